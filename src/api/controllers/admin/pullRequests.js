@@ -0,0 +1,43 @@
+// src/api/controllers/admin/pullRequests.js
+const db = require('../../../services/supabase/functions');
+const { ApiError } = require('../../../middleware/error');
+
+/**
+ * Get the transcript saved when a PR's channel was archived
+ * GET /api/admin/pull-requests/:id/transcript
+ */
+const getTranscript = async (req, res, next) => {
+  try {
+    let pullRequest;
+    try {
+      pullRequest = await db.pullRequests.findById(req.params.id);
+    } catch (error) {
+      if (error.code !== 'PGRST116') throw error;
+    }
+
+    if (!pullRequest || pullRequest.repository?.org_id !== req.organization.id) {
+      throw new ApiError(404, 'Pull request not found');
+    }
+
+    const transcript = pullRequest.slack_transcript_id
+      ? await db.channelTranscripts.findById(pullRequest.slack_transcript_id)
+      : null;
+
+    if (!transcript) {
+      throw new ApiError(404, pullRequest.transcript_export_error
+        ? `The transcript couldn't be exported: ${pullRequest.transcript_export_error}`
+        : 'No transcript was saved for this pull request');
+    }
+
+    res.json({
+      success: true,
+      data: transcript
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTranscript
+};
@@ -0,0 +1,70 @@
+// src/api/controllers/admin/repositories.js
+const db = require('../../../services/supabase/functions');
+const slackChannels = require('../../../services/slack/channels');
+const { ApiError } = require('../../../middleware/error');
+
+/**
+ * List repositories with their settings
+ * GET /api/admin/repositories
+ */
+const listRepositories = async (req, res, next) => {
+  try {
+    const repositories = await db.repositories.findByOrgId(req.organization.id);
+
+    res.json({
+      success: true,
+      data: repositories
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update repository settings
+ * PATCH /api/admin/repositories/:id/settings
+ */
+const updateRepositorySettings = async (req, res, next) => {
+  try {
+    const repositories = await db.repositories.findByOrgId(req.organization.id);
+    const repo = repositories.find(r => r.id === req.params.id);
+
+    if (!repo) {
+      throw new ApiError(404, 'Repository not found');
+    }
+
+    const mode = req.body.slack_channel_mode || repo.slack_channel_mode;
+    const channelId = req.body.slack_channel_id !== undefined
+      ? req.body.slack_channel_id
+      : repo.slack_channel_id;
+
+    if (mode === 'thread' && !channelId) {
+      throw new ApiError(400, 'A Slack channel is required to post PRs as threads');
+    }
+
+    // The bot must be able to post in the shared channel before PRs go there
+    if (req.body.slack_channel_id) {
+      try {
+        await slackChannels.joinSharedChannel(req.organization.slack_bot_token, req.body.slack_channel_id);
+      } catch (error) {
+        throw new ApiError(400, error.data?.error
+          ? `Slack channel can't be used: ${error.data.error}`
+          : error.message);
+      }
+    }
+
+    const updated = await db.repositories.update(repo.id, req.body);
+
+    res.json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  listRepositories,
+  updateRepositorySettings
+};
@@ -0,0 +1,265 @@
+// src/api/controllers/admin/settings.js
+const crypto = require('crypto');
+const config = require('../../../config');
+const db = require('../../../services/supabase/functions');
+const bitbucketRepositories = require('../../../services/bitbucket/repositories');
+const { ApiError } = require('../../../middleware/error');
+const { getGithubUrls } = require('../../../utils/github');
+const { getGitlabUrls } = require('../../../utils/gitlab');
+
+/**
+ * Format an organization's GitHub server for responses
+ * @param {Object} org - Organization data
+ * @returns {Object} Configured and effective GitHub URLs
+ */
+const formatGithubServer = (org) => ({
+  github_base_url: org.github_base_url || null,
+  github_api_url: org.github_api_url || null,
+  effective: getGithubUrls(org)
+});
+
+/**
+ * Format an organization's GitLab connection for responses
+ * The access token is never returned
+ * @param {Object} org - Organization data
+ * @returns {Object} GitLab URL, webhook details and whether a token is set
+ */
+const formatGitlab = (org) => ({
+  gitlab_base_url: org.gitlab_base_url || null,
+  effective_base_url: getGitlabUrls(org).baseUrl,
+  access_token_configured: Boolean(org.gitlab_access_token),
+  webhook_url: org.gitlab_webhook_token ? `${config.app.baseUrl}/api/gitlab/webhook/${org.id}` : null,
+  webhook_token: org.gitlab_webhook_token || null
+});
+
+/**
+ * Format an organization's Bitbucket connection for responses
+ * The access token is never returned
+ * @param {Object} org - Organization data
+ * @returns {Object} Workspace, webhook details and whether a token is set
+ */
+const formatBitbucket = (org) => ({
+  bitbucket_workspace: org.bitbucket_workspace || null,
+  access_token_configured: Boolean(org.bitbucket_access_token),
+  webhook_url: org.bitbucket_webhook_secret ? `${config.app.baseUrl}/api/bitbucket/webhook/${org.id}` : null,
+  webhook_secret: org.bitbucket_webhook_secret || null
+});
+
+/**
+ * Record a Bitbucket workspace's repositories so they can be activated
+ * @param {Object} org - Organization data
+ * @returns {Promise<number>} Number of repositories synced
+ */
+const syncBitbucketRepositories = async (org) => {
+  try {
+    const repositories = await bitbucketRepositories.syncRepositories(org);
+    return repositories.length;
+  } catch (error) {
+    throw new ApiError(400, `Bitbucket repositories couldn't be fetched: ${error.message}`);
+  }
+};
+
+/**
+ * Get organization settings
+ * GET /api/admin/settings
+ */
+const getSettings = async (req, res, next) => {
+  try {
+    const org = await db.organizations.findById(req.organization.id);
+
+    res.json({
+      success: true,
+      data: org.settings || {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update organization settings
+ * Only the provided keys are changed
+ * PATCH /api/admin/settings
+ */
+const updateSettings = async (req, res, next) => {
+  try {
+    const org = await db.organizations.updateSettings(req.organization.id, req.body);
+
+    res.json({
+      success: true,
+      data: org.settings
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the GitHub server the organization uses
+ * GET /api/admin/github-server
+ */
+const getGithubServer = async (req, res, next) => {
+  try {
+    const org = await db.organizations.findById(req.organization.id);
+
+    res.json({
+      success: true,
+      data: formatGithubServer(org)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Point the organization at a GitHub Enterprise Server, or back at github.com
+ * Installations and tokens belong to one server, so GitHub must be
+ * disconnected first
+ * PUT /api/admin/github-server
+ */
+const updateGithubServer = async (req, res, next) => {
+  try {
+    const current = await db.organizations.findById(req.organization.id);
+
+    if (current.github_connected) {
+      throw new ApiError(409, 'Disconnect GitHub before changing the GitHub server');
+    }
+
+    const org = await db.organizations.update(req.organization.id, req.body);
+
+    res.json({
+      success: true,
+      data: formatGithubServer(org)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the organization's GitLab connection
+ * GET /api/admin/gitlab
+ */
+const getGitlab = async (req, res, next) => {
+  try {
+    const org = await db.organizations.findById(req.organization.id);
+
+    res.json({
+      success: true,
+      data: formatGitlab(org)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Connect the organization to gitlab.com or a self-managed GitLab
+ * The webhook token is generated on first use, or on request
+ * PUT /api/admin/gitlab
+ */
+const updateGitlab = async (req, res, next) => {
+  try {
+    const { regenerate_webhook_token: regenerate, ...updates } = req.body;
+    const current = await db.organizations.findById(req.organization.id);
+
+    if (regenerate || !current.gitlab_webhook_token) {
+      updates.gitlab_webhook_token = crypto.randomBytes(24).toString('hex');
+    }
+
+    const org = await db.organizations.update(req.organization.id, updates);
+
+    res.json({
+      success: true,
+      data: formatGitlab(org)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the organization's Bitbucket connection
+ * GET /api/admin/bitbucket
+ */
+const getBitbucket = async (req, res, next) => {
+  try {
+    const org = await db.organizations.findById(req.organization.id);
+
+    res.json({
+      success: true,
+      data: formatBitbucket(org)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Connect the organization to a Bitbucket Cloud workspace
+ * The webhook secret is generated on first use, or on request, and the
+ * workspace's repositories are recorded when the workspace or token changes
+ * PUT /api/admin/bitbucket
+ */
+const updateBitbucket = async (req, res, next) => {
+  try {
+    const { regenerate_webhook_secret: regenerate, ...updates } = req.body;
+    const current = await db.organizations.findById(req.organization.id);
+
+    if (regenerate || !current.bitbucket_webhook_secret) {
+      updates.bitbucket_webhook_secret = crypto.randomBytes(24).toString('hex');
+    }
+
+    const org = await db.organizations.update(req.organization.id, updates);
+
+    const connectionChanged = updates.bitbucket_workspace !== undefined ||
+      updates.bitbucket_access_token !== undefined;
+
+    const repositoriesSynced = connectionChanged && org.bitbucket_workspace && org.bitbucket_access_token
+      ? await syncBitbucketRepositories(org)
+      : null;
+
+    res.json({
+      success: true,
+      data: formatBitbucket(org),
+      repositories_synced: repositoriesSynced
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record repositories added to the Bitbucket workspace since it was connected
+ * POST /api/admin/bitbucket/sync
+ */
+const syncBitbucket = async (req, res, next) => {
+  try {
+    const org = await db.organizations.findById(req.organization.id);
+
+    if (!org.bitbucket_workspace || !org.bitbucket_access_token) {
+      throw new ApiError(400, 'Bitbucket workspace and access token are required to sync repositories');
+    }
+
+    const repositoriesSynced = await syncBitbucketRepositories(org);
+
+    res.json({
+      success: true,
+      repositories_synced: repositoriesSynced
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSettings,
+  updateSettings,
+  getGithubServer,
+  updateGithubServer,
+  getGitlab,
+  updateGitlab,
+  getBitbucket,
+  updateBitbucket,
+  syncBitbucket
+};
@@ -0,0 +1,93 @@
+// src/api/controllers/admin/users.js
+const db = require('../../../services/supabase/functions');
+const { ApiError } = require('../../../middleware/error');
+
+/**
+ * Link a user to their GitLab account, or unlink it with null
+ * GitLab events by the account are attributed to the user from then on; a
+ * placeholder recorded for the account before it was linked loses the link
+ * PUT /api/admin/users/:id/gitlab
+ */
+const updateGitlabAccount = async (req, res, next) => {
+  try {
+    const orgId = req.organization.id;
+    const users = await db.users.findByOrgId(orgId);
+    const user = users.find(u => u.id === req.params.id);
+
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+
+    const gitlabUsername = req.body.gitlab_username;
+
+    if (gitlabUsername) {
+      const linked = users.find(u => u.gitlab_username === gitlabUsername);
+
+      if (linked && linked.id !== user.id) {
+        await db.users.update(linked.id, { gitlab_username: null });
+      }
+    }
+
+    const updated = await db.users.update(user.id, {
+      gitlab_username: gitlabUsername
+    });
+
+    res.json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Link a user to their Bitbucket account, or unlink it with null
+ * Bitbucket events by the account are attributed to the user from then on; a
+ * placeholder recorded for the account before it was linked loses the link
+ * PUT /api/admin/users/:id/bitbucket
+ */
+const updateBitbucketAccount = async (req, res, next) => {
+  try {
+    const orgId = req.organization.id;
+    const users = await db.users.findByOrgId(orgId);
+    const user = users.find(u => u.id === req.params.id);
+
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+
+    const accountId = req.body.bitbucket_account_id;
+    let username = req.body.bitbucket_username || null;
+
+    if (accountId) {
+      const linked = users.find(u => u.bitbucket_account_id === accountId);
+
+      if (linked && linked.id !== user.id) {
+        username = username || linked.bitbucket_username;
+
+        await db.users.update(linked.id, {
+          bitbucket_account_id: null,
+          bitbucket_username: null
+        });
+      }
+    }
+
+    const updated = await db.users.update(user.id, {
+      bitbucket_account_id: accountId,
+      bitbucket_username: accountId ? username : null
+    });
+
+    res.json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  updateGitlabAccount,
+  updateBitbucketAccount
+};
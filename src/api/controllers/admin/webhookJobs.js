@@ -0,0 +1,233 @@
+// src/api/controllers/admin/webhookJobs.js
+const db = require('../../../services/supabase/functions');
+const webhookQueue = require('../../../services/queue');
+const { ApiError } = require('../../../middleware/error');
+
+const JOB_STATUSES = ['pending', 'processing', 'failed', 'completed', 'dead'];
+const MAX_REPLAY_JOBS = 500;
+const MAX_REQUEUE_JOBS = 200;
+
+/**
+ * Load a job and make sure it belongs to the caller's organization
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Job data
+ */
+const findOrgJob = async (req) => {
+  const job = await db.webhookJobs.findById(req.params.id);
+
+  if (!job || job.org_id !== req.organization.id) {
+    throw new ApiError(404, 'Webhook job not found');
+  }
+
+  return job;
+};
+
+/**
+ * Map webhook log search parameters onto job filters
+ * @param {Object} params - Query string or request body
+ * @returns {Object} Job filters
+ */
+const getJobFilters = (params) => ({
+  status: params.status,
+  event: params.event,
+  action: params.action,
+  repository: params.repo,
+  prNumber: params.pr ? parseInt(params.pr, 10) : undefined,
+  deliveryId: params.delivery_id,
+  since: params.since,
+  until: params.until,
+  error: params.error
+});
+
+/**
+ * Search the webhook log for the organization
+ * GET /api/admin/webhook-jobs?status=dead&event=pull_request&repo=owner/name&pr=12&since=...&limit=50&offset=0
+ */
+const listJobs = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      throw new ApiError(400, `Invalid status. Must be one of: ${JOB_STATUSES.join(', ')}`);
+    }
+
+    const jobs = await db.webhookJobs.findByOrgId(req.organization.id, {
+      ...getJobFilters(req.query),
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      data: jobs
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get queue counts by status
+ * GET /api/admin/webhook-jobs/stats
+ */
+const getStats = async (req, res, next) => {
+  try {
+    const counts = await db.webhookJobs.countByStatus(req.organization.id);
+
+    res.json({
+      success: true,
+      data: counts
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a single webhook job including its payload
+ * GET /api/admin/webhook-jobs/:id
+ */
+const getJob = async (req, res, next) => {
+  try {
+    const job = await findOrgJob(req);
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Requeue a failed or dead webhook job
+ * POST /api/admin/webhook-jobs/:id/requeue
+ */
+const requeueJob = async (req, res, next) => {
+  try {
+    const job = await findOrgJob(req);
+
+    if (!['failed', 'dead'].includes(job.status)) {
+      throw new ApiError(409, `Only failed or dead jobs can be requeued (job is ${job.status})`);
+    }
+
+    const updated = await webhookQueue.requeueJob(job);
+
+    res.json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Requeue all dead webhook jobs for the organization
+ * Dead jobs don't hold back later jobs for their PR, which have run in the
+ * meantime, so a requeued job runs out of order: it replays an older event
+ * on top of newer state. Requeued jobs keep their sequence numbers, so they
+ * still run in the order received among themselves
+ * POST /api/admin/webhook-jobs/requeue-dead
+ */
+const requeueDeadJobs = async (req, res, next) => {
+  try {
+    // Fetch one extra to tell whether any dead jobs were left behind
+    const deadJobs = await db.webhookJobs.findByOrgId(req.organization.id, {
+      status: 'dead',
+      limit: MAX_REQUEUE_JOBS + 1
+    });
+
+    const truncated = deadJobs.length > MAX_REQUEUE_JOBS;
+
+    const requeued = [];
+    for (const job of deadJobs.slice(0, MAX_REQUEUE_JOBS)) {
+      await webhookQueue.requeueJob(job);
+      requeued.push(job.id);
+    }
+
+    if (requeued.length > 0) {
+      console.warn(`[QUEUE] Requeued ${requeued.length} dead job(s) for org ${req.organization.id}; they run after newer events for the same PRs`);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        requeued: requeued.length,
+        truncated,
+        jobIds: requeued
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replay a single webhook delivery through the event handlers
+ * POST /api/admin/webhook-jobs/:id/replay
+ */
+const replayJob = async (req, res, next) => {
+  try {
+    const job = await findOrgJob(req);
+
+    const replay = await webhookQueue.replayJob(job);
+
+    res.status(202).json({
+      success: true,
+      data: replay
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replay every webhook delivery in a time range, in the order received
+ * POST /api/admin/webhook-jobs/replay
+ * Body: { since, until?, event?, action?, repo?, pr?, status? }
+ */
+const replayJobs = async (req, res, next) => {
+  try {
+    const filters = getJobFilters(req.body);
+
+    // Fetch one extra to tell whether the range was cut short
+    const jobs = await db.webhookJobs.findForReplay(
+      req.organization.id,
+      filters,
+      MAX_REPLAY_JOBS + 1
+    );
+
+    const truncated = jobs.length > MAX_REPLAY_JOBS;
+
+    const replayed = [];
+    for (const job of jobs.slice(0, MAX_REPLAY_JOBS)) {
+      const replay = await webhookQueue.replayJob(job);
+      replayed.push(replay.id);
+    }
+
+    res.status(202).json({
+      success: true,
+      data: {
+        replayed: replayed.length,
+        truncated,
+        jobIds: replayed
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  listJobs,
+  getStats,
+  getJob,
+  requeueJob,
+  requeueDeadJobs,
+  replayJob,
+  replayJobs
+};
@@ -0,0 +1,61 @@
+const webhookQueue = require('../../../services/queue');
+const { ApiError } = require('../../../middleware/error');
+
+/**
+ * Persist Bitbucket webhook event for processing by the job worker
+ * The organization was resolved from the URL by verifyBitbucketWebhook
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const handleWebhook = async (req, res, next) => {
+  try {
+    const eventKey = req.headers['x-event-key'];
+    const deliveryId = req.headers['x-request-uuid'] || null;
+
+    if (!eventKey) {
+      throw new ApiError(400, 'Missing Bitbucket event key');
+    }
+
+    const event = `${webhookQueue.BITBUCKET_EVENT_PREFIX}${eventKey}`;
+
+    // Bitbucket payloads don't identify the organization, so the job carries it
+    const payload = {
+      ...req.body,
+      pingapr_org_id: req.organization.id
+    };
+
+    const { job, duplicate } = await webhookQueue.enqueueWebhookEvent(event, payload, deliveryId, {
+      orgId: req.organization.id
+    });
+
+    if (duplicate) {
+      return res.status(200).json({
+        status: 'duplicate',
+        event,
+        job_id: job.id,
+        message: `Delivery ${deliveryId} was already received`
+      });
+    }
+
+    res.status(202).json({
+      status: 'received',
+      event,
+      job_id: job.id,
+      message: `Event ${event} received and queued for processing`
+    });
+  } catch (error) {
+    console.error(`Error queueing Bitbucket webhook:`, {
+      message: error.message,
+      event: req.headers['x-event-key'],
+      delivery: req.headers['x-request-uuid'],
+      repository: req.body?.repository?.full_name
+    });
+
+    next(error);
+  }
+};
+
+module.exports = {
+  handleWebhook
+};
@@ -167,6 +167,28 @@ const getMembers = async (req, res, next) => {
   }
 };
 
+/**
+ * Get the GitHub team and Slack group mapping from a team request body
+ * Fields left out of the body are left unchanged
+ * @param {Object} body - Request body
+ * @returns {Object} Team mapping
+ */
+const getTeamMapping = (body) => {
+  const mapping = {};
+  
+  for (const field of ['github_team_slug', 'slack_group_id']) {
+    if (body[field] === undefined) continue;
+    
+    if (body[field] !== null && typeof body[field] !== 'string') {
+      throw new ApiError(400, `${field} must be a string`);
+    }
+    
+    mapping[field] = body[field] ? body[field].trim() : null;
+  }
+  
+  return mapping;
+};
+
 /**
  * Create a new team
  */
@@ -188,7 +210,7 @@ const createTeam = async (req, res, next) => {
       throw new ApiError(403, 'Only admin users can create teams');
     }
     
-    const team = await dashboardService.createTeam(orgId, name, member_ids);
+    const team = await dashboardService.createTeam(orgId, name, member_ids, getTeamMapping(req.body));
     res.status(201).json(team);
   } catch (error) {
     next(error);
@@ -217,7 +239,7 @@ const updateTeam = async (req, res, next) => {
       throw new ApiError(403, 'Only admin users can update teams');
     }
     
-    const team = await dashboardService.updateTeam(orgId, teamId, name, member_ids);
+    const team = await dashboardService.updateTeam(orgId, teamId, name, member_ids, getTeamMapping(req.body));
     res.json(team);
   } catch (error) {
     next(error);
@@ -1,5 +1,6 @@
 // src/api/controllers/github/auth.js
 const githubService = require('../../../services/github/auth');
+const backfill = require('../../../services/github/backfill');
 const { ApiError } = require('../../../middleware/error');
 
 // Get GitHub authorization URL
@@ -82,18 +83,38 @@ const getRepositories = async (req, res, next) => {
 // Toggle repository
 const toggleRepository = async (req, res, next) => {
   try {
-    const { repoId, isActive } = req.body;
+    const { repoId, isActive, backfillDays, provider = 'github' } = req.body;
     
     if (!repoId) {
       throw new ApiError(400, 'Repository ID is required');
     }
     
+    if (!['github', 'gitlab', 'bitbucket'].includes(provider)) {
+      throw new ApiError(400, 'provider must be github, gitlab or bitbucket');
+    }
+    
+    if (backfillDays !== undefined && provider !== 'github') {
+      throw new ApiError(400, 'History can only be backfilled for GitHub repositories');
+    }
+    
+    if (backfillDays !== undefined &&
+        (!Number.isInteger(backfillDays) || backfillDays < 1 || backfillDays > backfill.MAX_BACKFILL_DAYS)) {
+      throw new ApiError(400, `backfillDays must be a whole number between 1 and ${backfill.MAX_BACKFILL_DAYS}`);
+    }
+    
     const repository = await githubService.toggleRepository(
       req.organization.id,
       repoId,
-      isActive !== false
+      isActive !== false,
+      provider
     );
     
+    // History is imported in the background; progress is reported by the
+    // onboarding status endpoint
+    if (repository.is_active && backfillDays) {
+      repository.backfill = await backfill.startBackfill(req.organization, repository, backfillDays);
+    }
+    
     res.json(repository);
   } catch (error) {
     next(error);
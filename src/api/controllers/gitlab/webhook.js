@@ -0,0 +1,61 @@
+const webhookQueue = require('../../../services/queue');
+const { ApiError } = require('../../../middleware/error');
+
+/**
+ * Persist GitLab webhook event for processing by the job worker
+ * The organization was resolved from the URL by verifyGitLabWebhook
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const handleWebhook = async (req, res, next) => {
+  try {
+    const kind = req.body?.object_kind;
+    const deliveryId = req.headers['x-gitlab-event-uuid'] || null;
+
+    if (!kind) {
+      throw new ApiError(400, 'Missing GitLab event kind');
+    }
+
+    const event = `${webhookQueue.GITLAB_EVENT_PREFIX}${kind}`;
+
+    // GitLab payloads don't identify the organization, so the job carries it
+    const payload = {
+      ...req.body,
+      pingapr_org_id: req.organization.id
+    };
+
+    const { job, duplicate } = await webhookQueue.enqueueWebhookEvent(event, payload, deliveryId, {
+      orgId: req.organization.id
+    });
+
+    if (duplicate) {
+      return res.status(200).json({
+        status: 'duplicate',
+        event,
+        job_id: job.id,
+        message: `Delivery ${deliveryId} was already received`
+      });
+    }
+
+    res.status(202).json({
+      status: 'received',
+      event,
+      job_id: job.id,
+      message: `Event ${event} received and queued for processing`
+    });
+  } catch (error) {
+    console.error(`Error queueing GitLab webhook:`, {
+      message: error.message,
+      event: req.headers['x-gitlab-event'],
+      delivery: req.headers['x-gitlab-event-uuid'],
+      project: req.body?.project?.path_with_namespace
+    });
+
+    next(error);
+  }
+};
+
+module.exports = {
+  handleWebhook
+};
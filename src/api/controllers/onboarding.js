@@ -1,6 +1,7 @@
 // src/api/controllers/onboarding.js
 const { v4: uuidv4 } = require('uuid');
 const { supabase } = require('../../services/supabase/client');
+const db = require('../../services/supabase/functions');
 const { ApiError } = require('../../middleware/error');
 
 // Get current onboarding status
@@ -33,6 +34,14 @@ const getStatus = async (req, res, next) => {
         .eq('org_id', orgId)
         .not('github_username', 'like', 'pending_%');
       
+      // Latest history import of each repository
+      const backfills = new Map();
+      for (const backfill of await db.repositoryBackfills.findByOrgId(orgId)) {
+        if (!backfills.has(backfill.repo_id)) {
+          backfills.set(backfill.repo_id, backfill);
+        }
+      }
+      
       res.json({
         githubConnected: !!org.github_connected,
         slackConnected: !!org.slack_connected,
@@ -47,7 +56,19 @@ const getStatus = async (req, res, next) => {
           prReminderHours: 24,
           channelArchiveDays: 7
         },
-        onboardingCompleted: !!org?.onboarding_completed
+        onboardingCompleted: !!org?.onboarding_completed,
+        backfills: [...backfills.values()].map(backfill => ({
+          repoId: backfill.repository?.github_repo_id,
+          repoName: backfill.repository?.github_repo_name,
+          days: backfill.days,
+          status: backfill.status,
+          totalPrs: backfill.total_prs,
+          processedPrs: backfill.processed_prs,
+          importedReviews: backfill.imported_reviews,
+          error: backfill.last_error,
+          startedAt: backfill.started_at,
+          completedAt: backfill.completed_at
+        }))
       });
     } catch (error) {
       next(error);
@@ -84,16 +84,24 @@ const processSlackCommand = async (commandData) => {
           return;
         }
         await slackCommands.getUserPRsAndRespond(org, user, response_url);
+      } else if (text.trim() === 'review') {
+        if (!user) {
+          await slackCommands.respondToCommand(response_url, {
+            text: 'You need to connect your GitHub account first. Please contact your administrator.'
+          });
+          return;
+        }
+        await slackCommands.handleReviewCommand(org, channel_id, response_url, trigger_id);
       } else {
         await slackCommands.respondToCommand(response_url, {
-          text: 'Available commands: `/pingapr open` to see all open PRs, `/pingapr me` to see your PRs'
+          text: 'Available commands: `/pingapr open` to see all open PRs, `/pingapr me` to see your PRs, `/pingapr review` to review this channel\'s PR'
         });
       }
       break;
       
     default:
       await slackCommands.respondToCommand(response_url, {
-        text: 'Unknown command. Available commands: `/lgtm`, `/pingapr open`, `/pingapr me`'
+        text: 'Unknown command. Available commands: `/lgtm`, `/pingapr open`, `/pingapr me`, `/pingapr review`'
       });
   }
 };
@@ -1,14 +1,19 @@
 // src/api/controllers/slack/events.js
 const db = require('../../../services/supabase/functions');
 const githubService = require('../../../services/github/api');
+const { getGithubUrls, getGithubAuth } = require('../../../utils/github');
 const githubAuthService = require('../../../services/github/auth')
 const slackService = require('../../../services/slack/auth');
+const gitlabReplies = require('../../../services/gitlab/replies');
+const bitbucketReplies = require('../../../services/bitbucket/replies');
+const appHome = require('../../../services/slack/home');
+const unfurls = require('../../../services/slack/unfurls');
 const { v4: uuidv4 } = require('uuid');
 
 // Handle Slack events
 const handleEvents = async (req, res) => {
   console.log('recieved call:')
-  const { type, event, challenge } = req.body;
+  const { type, event, challenge, team_id } = req.body;
   
   console.log('type and event and challenge: ', type, event, challenge)
   // Handle URL verification
@@ -19,7 +24,7 @@ const handleEvents = async (req, res) => {
   // For other events, respond immediately to avoid Slack timeout
   res.status(200).send();
   
-processSlackEvent(type, event)
+processSlackEvent(type, event, team_id)
     .catch(error => {
       // Safe error logging
       const safeError = {
@@ -41,16 +46,25 @@ processSlackEvent(type, event)
  * Process Slack event asynchronously
  * @param {string} type - Event type
  * @param {Object} event - Event payload
+ * @param {string} teamId - Slack workspace ID
  */
-const processSlackEvent = async (type, event) => {
+const processSlackEvent = async (type, event, teamId) => {
   // Don't process if essential data is missing
   if (!event) {
     console.log('No event data to process');
     return;
   }
   
-  // Only process message events in threads, skip bot messages
-  if (event.type === 'message' && event.thread_ts && !event.bot_id) {
+  if (event.type === 'app_home_opened') {
+    await processAppHomeOpened(event, teamId);
+  } else if (event.type === 'link_shared') {
+    await processLinkShared(event, teamId);
+  } else if (event.type === 'message' && event.subtype === 'message_changed') {
+    await processMessageChanged(event);
+  } else if (event.type === 'message' && event.subtype === 'message_deleted') {
+    await processMessageDeleted(event);
+  } else if (event.type === 'message' && event.thread_ts && !event.bot_id) {
+    // Only process message events in threads, skip bot messages
     console.log(`Processing thread reply: ${event.thread_ts}`);
     await processThreadReply(event);
   } else {
@@ -58,6 +72,130 @@ const processSlackEvent = async (type, event) => {
   }
 };
 
+/**
+ * Publish the user's Home tab when they open it
+ * @param {Object} event - app_home_opened event
+ * @param {string} teamId - Slack workspace ID
+ */
+const processAppHomeOpened = async (event, teamId) => {
+  if (event.tab !== 'home') {
+    return;
+  }
+  
+  const org = await db.organizations.findBySlackWorkspaceId(teamId);
+  
+  if (!org) {
+    console.log(`No organization found for Slack workspace ${teamId}`);
+    return;
+  }
+  
+  await appHome.publishHomeView(org, event.user);
+};
+
+/**
+ * Unfurl pull request links shared anywhere in the workspace
+ * @param {Object} event - link_shared event
+ * @param {string} teamId - Slack workspace ID
+ */
+const processLinkShared = async (event, teamId) => {
+  const org = await db.organizations.findBySlackWorkspaceId(teamId);
+  
+  if (!org) {
+    console.log(`No organization found for Slack workspace ${teamId}`);
+    return;
+  }
+  
+  await unfurls.unfurlLinks(org, event);
+};
+
+/**
+ * Sync a reply in a threaded PR's thread to the PR's conversation
+ * Slack threads are one level deep, so a reply in the PR's thread answers no
+ * comment in particular and is posted as a PR comment
+ * @param {Object} pullRequest - Pull request with repository data
+ * @param {Object} event - Slack message event
+ */
+const processPrThreadReply = async (pullRequest, event) => {
+  const repo = pullRequest.repository;
+  
+  if (repo.provider !== 'github') {
+    // A comment without an ID stands for the PR's conversation
+    const conversation = {
+      id: null,
+      pr_id: pullRequest.id,
+      pull_request: pullRequest,
+      github_comment_id: null,
+      github_thread_id: null
+    };
+    
+    if (!await gitlabReplies.syncThreadReply(conversation, event)) {
+      await bitbucketReplies.syncThreadReply(conversation, event);
+    }
+    return;
+  }
+  
+  const org = await db.organizations.findById(repo.org_id);
+  const user = await db.users.findBySlackUserId(org.id, event.user);
+  
+  if (!user || !user.github_access_token) {
+    await slackService.sendErrorMessage(
+      org.slack_bot_token,
+      pullRequest.slack_channel_id,
+      event.thread_ts,
+      "Your GitHub account isn't connected. Please click on 'Connect GitHub' in the sidebar to enable two-way sync."
+    );
+    return;
+  }
+  
+  const { valid, token, message } = await githubAuthService.validateAndRefreshUserToken(user);
+  
+  if (!valid) {
+    await slackService.sendErrorMessage(
+      org.slack_bot_token,
+      pullRequest.slack_channel_id,
+      event.thread_ts,
+      message
+    );
+    return;
+  }
+  
+  try {
+    const gitHubComment = await githubService.createComment(
+      getGithubAuth(org, token),
+      repo.github_repo_name,
+      pullRequest.github_pr_number,
+      `${event.text}\n<!-- SENT_FROM_SLACK -->`
+    );
+    
+    await db.comments.create({
+      id: uuidv4(),
+      pr_id: pullRequest.id,
+      github_comment_id: gitHubComment.id.toString(),
+      slack_thread_ts: event.thread_ts,
+      slack_message_ts: event.ts,
+      user_id: user.id,
+      content: event.text,
+      source: 'slack',
+      comment_type: 'pr_comment',
+      github_comment_kind: 'issue_comment',
+      created_at: new Date().toISOString()
+    });
+    
+    console.log(`Posted Slack reply as comment ${gitHubComment.id} on PR #${pullRequest.github_pr_number}`);
+  } catch (apiError) {
+    console.error('Error posting to GitHub:', apiError);
+    
+    await slackService.sendErrorMessage(
+      org.slack_bot_token,
+      pullRequest.slack_channel_id,
+      event.thread_ts,
+      apiError.status === 401
+        ? "Failed to post your comment to GitHub due to authentication issues. Please click on 'Connect GitHub' in the sidebar to reconnect your account."
+        : 'Failed to post your comment to GitHub. Please try again later.'
+    );
+  }
+};
+
 // Process replies in threads to sync back to GitHub
 const processThreadReply = async (event) => {
   try {
@@ -69,6 +207,14 @@ const processThreadReply = async (event) => {
       return;
     }
     
+    // In a shared repository channel, every reply is in a PR's thread
+    const threadedPr = await db.pullRequests.findBySlackThreadTs(event.channel, event.thread_ts);
+    
+    if (threadedPr) {
+      await processPrThreadReply(threadedPr, event);
+      return;
+    }
+    
     // Find comment mapping for this thread
     const comment = await db.comments.findByThreadTs(event.thread_ts);
     
@@ -76,7 +222,17 @@ const processThreadReply = async (event) => {
       console.log('No GitHub comment found for thread:', event.thread_ts);
       return;
     }
-        
+    
+    // Merge request threads reply as GitLab notes
+    if (await gitlabReplies.syncThreadReply(comment, event)) {
+      return;
+    }
+    
+    // Bitbucket threads reply as Bitbucket comments
+    if (await bitbucketReplies.syncThreadReply(comment, event)) {
+      return;
+    }
+    
     // Make sure we have all the necessary data
     if (!comment.pull_request) {
       console.log('Pull request data missing, fetching directly');
@@ -145,7 +301,7 @@ const processThreadReply = async (event) => {
           console.log(`Token for user ${user.id} is expired or about to expire, refreshing...`);
           try {
             // Refresh token
-            const refreshedTokens = await githubAuthService.refreshGitHubToken(user.github_refresh_token);
+            const refreshedTokens = await githubAuthService.refreshGitHubToken(user.github_refresh_token, getGithubUrls(org).baseUrl);
             
             // Update user tokens in database
             await db.users.update(user.id, {
@@ -203,7 +359,7 @@ const processThreadReply = async (event) => {
       
       try {
         const gitHubComment = await githubService.createCommentReply(
-          validToken,
+          getGithubAuth(org, validToken),
           repo.github_repo_name,
           pullRequest.github_pr_number,
           targetCommentId,
@@ -217,10 +373,13 @@ const processThreadReply = async (event) => {
             pr_id: comment.pr_id,
             github_comment_id: gitHubComment.id.toString(),
             slack_thread_ts: event.thread_ts, // Same thread as parent
+            slack_message_ts: event.ts,
             user_id: user.id,
             content: event.text,
             source: 'slack',
             comment_type: 'reply',
+            // Line comment replies fall back to PR comments when GitHub refuses them
+            github_comment_kind: gitHubComment.pull_request_review_id ? 'review_comment' : 'issue_comment',
             parent_comment_id: comment.id,
             created_at: new Date().toISOString()
           });
@@ -305,7 +464,7 @@ const processThreadReply = async (event) => {
         console.log(`Token for user ${user.id} is expired or about to expire, refreshing...`);
         try {
           // Refresh token
-          const refreshedTokens = await githubAuthService.refreshGitHubToken(user.github_refresh_token);
+          const refreshedTokens = await githubAuthService.refreshGitHubToken(user.github_refresh_token, getGithubUrls(org).baseUrl);
           
           // Update user tokens in database
           await db.users.update(user.id, {
@@ -363,7 +522,7 @@ const processThreadReply = async (event) => {
     
     try {
       const gitHubComment = await githubService.createCommentReply(
-        validToken,
+        getGithubAuth(org, validToken),
         repo.github_repo_name,
         comment.pull_request.github_pr_number,
         targetCommentId,
@@ -377,10 +536,13 @@ const processThreadReply = async (event) => {
           pr_id: comment.pr_id,
           github_comment_id: gitHubComment.id.toString(),
           slack_thread_ts: event.thread_ts, // Same thread as parent
+          slack_message_ts: event.ts,
           user_id: user.id,
           content: event.text,
           source: 'slack',
           comment_type: 'reply',
+          // Line comment replies fall back to PR comments when GitHub refuses them
+          github_comment_kind: gitHubComment.pull_request_review_id ? 'review_comment' : 'issue_comment',
           parent_comment_id: comment.id,
           created_at: new Date().toISOString()
         });
@@ -414,6 +576,190 @@ const processThreadReply = async (event) => {
   }
 };
 
+/**
+ * Work out which GitHub API a comment lives under
+ * Comments written from Slack record it; GitHub comments follow their type
+ * @param {Object} comment - Comment record
+ * @returns {string|null} issue_comment, review_comment, or null for reviews
+ */
+const getGithubCommentKind = (comment) => {
+  if (comment.github_comment_kind) return comment.github_comment_kind;
+  if (comment.comment_type === 'pr_comment') return 'issue_comment';
+  if (['line_comment', 'reply'].includes(comment.comment_type)) return 'review_comment';
+  return null;
+};
+
+/**
+ * Load what syncing a Slack edit or deletion needs
+ * Only messages that stand for a GitHub comment by the same person are synced,
+ * and the change is made with that person's GitHub token
+ * @param {string} channelId - Channel the message is in
+ * @param {string} messageTs - Slack message timestamp
+ * @param {string} slackUserId - Slack user who wrote the message
+ * @param {string} threadTs - Thread for error messages
+ * @returns {Promise<Object|null>} comment, pullRequest, repo, org, user, kind and token
+ */
+const getCommentSyncContext = async (channelId, messageTs, slackUserId, threadTs) => {
+  const comment = await db.comments.findBySlackMessageTs(channelId, messageTs);
+  
+  if (!comment || !comment.github_comment_id || comment.user?.slack_user_id !== slackUserId) {
+    return null;
+  }
+  
+  const pullRequest = comment.pull_request;
+  const repo = pullRequest.repository;
+  const kind = getGithubCommentKind(comment);
+  
+  // GitLab and Bitbucket replies are written with the organization's token,
+  // and submitted reviews can't be changed comment by comment
+  if (repo.provider !== 'github' || !kind) {
+    console.log(`Not syncing Slack change for ${repo.provider} comment ${comment.id} (${comment.comment_type})`);
+    return null;
+  }
+  
+  const org = await db.organizations.findById(repo.org_id);
+  const user = await db.users.findBySlackUserId(org.id, slackUserId);
+  
+  if (!user || !user.github_access_token) {
+    await slackService.sendErrorMessage(
+      org.slack_bot_token,
+      pullRequest.slack_channel_id,
+      threadTs,
+      "Your GitHub account isn't connected. Please click on 'Connect GitHub' in the sidebar to enable two-way sync."
+    );
+    return null;
+  }
+  
+  const { valid, token, message } = await githubAuthService.validateAndRefreshUserToken(user);
+  
+  if (!valid) {
+    await slackService.sendErrorMessage(
+      org.slack_bot_token,
+      pullRequest.slack_channel_id,
+      threadTs,
+      message
+    );
+    return null;
+  }
+  
+  return { comment, pullRequest, repo, org, user, kind, token: getGithubAuth(org, token) };
+};
+
+/**
+ * Sync an edited Slack message to the GitHub comment it stands for
+ * The new text keeps the SENT_FROM_SLACK marker so the edited webhook is ignored
+ * @param {Object} event - message_changed event
+ */
+const processMessageChanged = async (event) => {
+  const { message, previous_message: previousMessage } = event;
+  
+  // Unfurls and thread updates change messages too; only text edits count
+  if (!message || message.bot_id || !message.edited || message.text === previousMessage?.text) {
+    return;
+  }
+  
+  const threadTs = message.thread_ts || message.ts;
+  
+  try {
+    const context = await getCommentSyncContext(event.channel, message.ts, message.user, threadTs);
+    if (!context) return;
+    
+    const { comment, pullRequest, repo, org, kind, token } = context;
+    
+    try {
+      const current = kind === 'review_comment'
+        ? await githubService.getReviewComment(token, repo.github_repo_name, comment.github_comment_id)
+        : await githubService.getIssueComment(token, repo.github_repo_name, comment.github_comment_id);
+      
+      // Only the old text is swapped, so the quote a reply opens with stays
+      const oldText = comment.content || '';
+      const index = oldText ? current.body.lastIndexOf(oldText) : -1;
+      let updatedBody = index === -1
+        ? message.text
+        : `${current.body.slice(0, index)}${message.text}${current.body.slice(index + oldText.length)}`;
+      
+      if (!updatedBody.includes('<!-- SENT_FROM_SLACK -->')) {
+        updatedBody = `${updatedBody}\n<!-- SENT_FROM_SLACK -->`;
+      }
+      
+      if (kind === 'review_comment') {
+        await githubService.updateReviewComment(token, repo.github_repo_name, comment.github_comment_id, updatedBody);
+      } else {
+        await githubService.updateComment(token, repo.github_repo_name, comment.github_comment_id, updatedBody);
+      }
+      
+      await db.comments.update(comment.id, {
+        content: message.text
+      });
+      
+      console.log(`Synced Slack edit to GitHub comment ${comment.github_comment_id}`);
+    } catch (apiError) {
+      console.error('Error updating GitHub comment:', apiError);
+      
+      await slackService.sendErrorMessage(
+        org.slack_bot_token,
+        pullRequest.slack_channel_id,
+        threadTs,
+        apiError.status === 401
+          ? "Failed to update your comment on GitHub due to authentication issues. Please click on 'Connect GitHub' in the sidebar to reconnect your account."
+          : 'Failed to update your comment on GitHub. Please try again later.'
+      );
+    }
+  } catch (error) {
+    console.error('Error in processMessageChanged:', error);
+  }
+};
+
+/**
+ * Delete the GitHub comment a deleted Slack message stood for
+ * @param {Object} event - message_deleted event
+ */
+const processMessageDeleted = async (event) => {
+  const previousMessage = event.previous_message;
+  
+  if (!previousMessage || previousMessage.bot_id) {
+    return;
+  }
+  
+  const threadTs = previousMessage.thread_ts || event.deleted_ts;
+  
+  try {
+    const context = await getCommentSyncContext(event.channel, event.deleted_ts, previousMessage.user, threadTs);
+    if (!context) return;
+    
+    const { comment, pullRequest, repo, org, kind, token } = context;
+    
+    try {
+      if (kind === 'review_comment') {
+        await githubService.deleteReviewComment(token, repo.github_repo_name, comment.github_comment_id);
+      } else {
+        await githubService.deleteComment(token, repo.github_repo_name, comment.github_comment_id);
+      }
+    } catch (apiError) {
+      // Already gone on GitHub is as good as deleted
+      if (apiError.status !== 404) {
+        console.error('Error deleting GitHub comment:', apiError);
+        
+        await slackService.sendErrorMessage(
+          org.slack_bot_token,
+          pullRequest.slack_channel_id,
+          threadTs,
+          apiError.status === 401
+            ? "Failed to delete your comment on GitHub due to authentication issues. Please click on 'Connect GitHub' in the sidebar to reconnect your account."
+            : 'Failed to delete your comment on GitHub. Please delete it there instead.'
+        );
+        return;
+      }
+    }
+    
+    await db.comments.delete(comment.id);
+    
+    console.log(`Deleted GitHub comment ${comment.github_comment_id} after its Slack message was deleted`);
+  } catch (error) {
+    console.error('Error in processMessageDeleted:', error);
+  }
+};
+
 module.exports = {
   handleEvents
 };
\ No newline at end of file
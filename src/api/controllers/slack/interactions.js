@@ -7,6 +7,13 @@ const slackInteractions = require('../../../services/slack/interactions');
  * @param {Object} res - Express response object
  */
 const handleInteractions = async (req, res) => {
+  // Modal input errors have to be part of the acknowledgement to show on the modal
+  const errors = await validateInteraction(req.body);
+  
+  if (errors) {
+    return res.json({ response_action: 'errors', errors });
+  }
+  
   // Acknowledge receipt immediately to prevent timeout
   // This ensures Slack gets a quick response and won't retry
   res.status(200).send();
@@ -34,6 +41,29 @@ const handleInteractions = async (req, res) => {
     });
 };
 
+/**
+ * Check the input of a modal submission before it is acknowledged
+ * Other interactions, and submissions that can't be checked, are acknowledged as usual
+ * @param {Object} interactionData - Interaction data from Slack
+ * @returns {Promise<Object|null>} Error messages by block ID, or null
+ */
+const validateInteraction = async (interactionData) => {
+  try {
+    const payload = typeof interactionData.payload === 'string'
+      ? JSON.parse(interactionData.payload)
+      : interactionData.payload;
+    
+    if (payload?.type !== 'view_submission') {
+      return null;
+    }
+    
+    return await slackInteractions.validateViewSubmission(payload);
+  } catch (error) {
+    console.error('Error validating Slack view submission:', error.message);
+    return null;
+  }
+};
+
 /**
  * Process Slack interaction asynchronously
  * @param {Object} interactionData - Interaction data from Slack
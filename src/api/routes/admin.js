@@ -0,0 +1,57 @@
+// src/api/routes/admin.js
+const express = require('express');
+const router = express.Router();
+const webhookJobsController = require('../controllers/admin/webhookJobs');
+const settingsController = require('../controllers/admin/settings');
+const repositoriesController = require('../controllers/admin/repositories');
+const pullRequestsController = require('../controllers/admin/pullRequests');
+const usersController = require('../controllers/admin/users');
+const { verifyJWT, ensureAdmin } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validation');
+const {
+  updateSettingsSchema,
+  updateRepositorySettingsSchema,
+  updateGithubServerSchema,
+  updateGitlabSchema,
+  updateBitbucketSchema,
+  updateUserGitlabSchema,
+  updateUserBitbucketSchema,
+  listWebhookJobsSchema,
+  replayWebhookJobsSchema,
+  pullRequestIdSchema,
+  userIdSchema
+} = require('../validation/admin');
+
+// All admin routes require an authenticated org admin
+router.use(verifyJWT, ensureAdmin);
+
+// Webhook job queue and delivery log
+router.get('/webhook-jobs', validate(listWebhookJobsSchema, 'query'), webhookJobsController.listJobs);
+router.get('/webhook-jobs/stats', webhookJobsController.getStats);
+router.post('/webhook-jobs/requeue-dead', webhookJobsController.requeueDeadJobs);
+router.post('/webhook-jobs/replay', validate(replayWebhookJobsSchema), webhookJobsController.replayJobs);
+router.get('/webhook-jobs/:id', webhookJobsController.getJob);
+router.post('/webhook-jobs/:id/requeue', webhookJobsController.requeueJob);
+router.post('/webhook-jobs/:id/replay', webhookJobsController.replayJob);
+
+// Organization and repository settings
+router.get('/settings', settingsController.getSettings);
+router.patch('/settings', validate(updateSettingsSchema), settingsController.updateSettings);
+router.get('/github-server', settingsController.getGithubServer);
+router.put('/github-server', validate(updateGithubServerSchema), settingsController.updateGithubServer);
+router.get('/gitlab', settingsController.getGitlab);
+router.put('/gitlab', validate(updateGitlabSchema), settingsController.updateGitlab);
+router.get('/bitbucket', settingsController.getBitbucket);
+router.put('/bitbucket', validate(updateBitbucketSchema), settingsController.updateBitbucket);
+router.post('/bitbucket/sync', settingsController.syncBitbucket);
+router.get('/repositories', repositoriesController.listRepositories);
+router.patch('/repositories/:id/settings', validate(updateRepositorySettingsSchema), repositoriesController.updateRepositorySettings);
+
+// Users
+router.put('/users/:id/gitlab', validate(userIdSchema, 'params'), validate(updateUserGitlabSchema), usersController.updateGitlabAccount);
+router.put('/users/:id/bitbucket', validate(userIdSchema, 'params'), validate(updateUserBitbucketSchema), usersController.updateBitbucketAccount);
+
+// Pull requests
+router.get('/pull-requests/:id/transcript', validate(pullRequestIdSchema, 'params'), pullRequestsController.getTranscript);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+/**
+ * Bitbucket API routes
+ */
+const express = require('express');
+const router = express.Router();
+const { verifyBitbucketWebhook } = require('../../middleware/auth');
+const bitbucketWebhookController = require('../controllers/bitbucket/webhook');
+
+/**
+ * Bitbucket webhook endpoint, one per organization
+ * POST /api/bitbucket/webhook/:orgId
+ */
+router.post('/webhook/:orgId', verifyBitbucketWebhook, bitbucketWebhookController.handleWebhook);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+/**
+ * GitLab API routes
+ */
+const express = require('express');
+const router = express.Router();
+const { verifyGitLabWebhook } = require('../../middleware/auth');
+const gitlabWebhookController = require('../controllers/gitlab/webhook');
+
+/**
+ * GitLab webhook endpoint, one per organization
+ * POST /api/gitlab/webhook/:orgId
+ */
+router.post('/webhook/:orgId', verifyGitLabWebhook, gitlabWebhookController.handleWebhook);
+
+module.exports = router;
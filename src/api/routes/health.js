@@ -7,7 +7,6 @@ const { supabase } = require('../../services/supabase/client');
 const { checkDatabaseHealth, verifyDatabaseStructure } = require('../../services/supabase/healthcheck');
 const pkg = require('../../../package.json');
 const { addCronHealthEndpoint } = require('../../services/cron');
-const cronDebug = require('../../services/cron/debug');
 
 /**
  * Basic health check endpoint
@@ -34,47 +33,6 @@ router.get('/', async (req, res) => {
   }
 });
 
-
-
-router.post('/debug-pr-reminders', async (req, res) => {
-  try {
-    const cronService = require('../../services/cron');
-    const result = await cronService.debugPrReminders();
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-router.post('/debug-channel-archival', async (req, res) => {
-  try {
-    const cronService = require('../../services/cron');
-    const result = await cronService.processChannelArchives();
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-router.get('/debug-stale-prs', async (req, res) => {
-  try {
-    const result = await cronDebug.debugCheckStalePRs();
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-router.get('/debug-channels-to-archive', async (req, res) => {
-  try {
-    const result = await cronDebug.debugCheckChannelsToArchive();
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-
 addCronHealthEndpoint(router);
 
 /**
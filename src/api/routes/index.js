@@ -9,6 +9,8 @@ const { notFoundHandler } = require('../../middleware/error');
 // Import all routes
 const healthRoutes = require('./health');
 const githubRoutes = require('./github');
+const gitlabRoutes = require('./gitlab');
+const bitbucketRoutes = require('./bitbucket');
 const slackRoutes = require('./slack');
 const adminRoutes = require('./admin');
 const onboardingRoutes = require('./onboarding');
@@ -16,6 +18,8 @@ const onboardingRoutes = require('./onboarding');
 // Apply routes
 router.use('/health', healthRoutes);
 router.use('/github', githubRoutes);
+router.use('/gitlab', gitlabRoutes);
+router.use('/bitbucket', bitbucketRoutes);
 router.use('/slack', slackRoutes);
 router.use('/admin', adminRoutes);
 router.use('/onboarding', onboardingRoutes);
@@ -0,0 +1,128 @@
+// src/api/validation/admin.js
+const Joi = require('joi');
+
+// Channel names may use {repo}, {number}, {title}, {author} and {branch}
+const channelNameTemplate = Joi.string()
+  .trim()
+  .max(100)
+  .pattern(/^([a-z0-9_-]|\{(repo|number|title|author|branch)\})+$/)
+  .message('channel_name_template may only use lowercase letters, numbers, dashes, underscores and the repo, number, title, author or branch placeholders');
+
+// Slack user IDs
+const slackUserIds = Joi.array().items(Joi.string().trim().pattern(/^[UW][A-Z0-9]+$/)).unique();
+
+// Organization settings validation schema
+const updateSettingsSchema = Joi.object({
+  pr_reminder_hours: Joi.number().integer().min(1),
+  channel_archive_days: Joi.number().integer().min(1),
+  defer_draft_prs: Joi.boolean(),
+  skip_reminders_when_ci_failing: Joi.boolean(),
+  channel_name_template: channelNameTemplate,
+  private_channels: Joi.boolean(),
+  channel_watchers: slackUserIds,
+  channel_archive_days_merged: Joi.number().integer().min(1),
+  channel_archive_days_closed: Joi.number().integer().min(1),
+  never_archive_labels: Joi.array().items(Joi.string().trim()).unique(),
+  export_channel_transcripts: Joi.boolean(),
+  label_rules: Joi.array().items(Joi.object({
+    label: Joi.string().trim().required(),
+    slack_group_id: Joi.string().trim(),
+    reminder_hours: Joi.number().integer().min(1)
+  }).or('slack_group_id', 'reminder_hours'))
+}).min(1);
+
+// Repository settings validation schema (null falls back to the organization setting)
+const updateRepositorySettingsSchema = Joi.object({
+  defer_draft_prs: Joi.boolean().allow(null),
+  slack_channel_mode: Joi.string().valid('channel', 'thread'),
+  slack_channel_id: Joi.string().trim().pattern(/^[CG][A-Z0-9]+$/).allow(null),
+  channel_name_template: channelNameTemplate.allow(null),
+  private_channels: Joi.boolean().allow(null),
+  slack_watchers: slackUserIds,
+  channel_archive_days: Joi.number().integer().min(1).allow(null),
+  channel_archive_days_merged: Joi.number().integer().min(1).allow(null),
+  channel_archive_days_closed: Joi.number().integer().min(1).allow(null),
+  export_channel_transcripts: Joi.boolean().allow(null)
+}).min(1);
+
+// GitHub server validation schema (null goes back to github.com)
+const updateGithubServerSchema = Joi.object({
+  github_base_url: Joi.string().trim().uri({ scheme: ['https', 'http'] }).allow(null),
+  github_api_url: Joi.string().trim().uri({ scheme: ['https', 'http'] }).allow(null)
+}).min(1);
+
+// GitLab connection validation schema (null base URL goes back to gitlab.com)
+const updateGitlabSchema = Joi.object({
+  gitlab_base_url: Joi.string().trim().uri({ scheme: ['https', 'http'] }).allow(null),
+  gitlab_access_token: Joi.string().trim().allow(null),
+  regenerate_webhook_token: Joi.boolean()
+});
+
+// Bitbucket connection validation schema
+const updateBitbucketSchema = Joi.object({
+  bitbucket_workspace: Joi.string().trim().pattern(/^[a-z0-9_.-]+$/i).allow(null),
+  bitbucket_access_token: Joi.string().trim().allow(null),
+  regenerate_webhook_secret: Joi.boolean()
+});
+
+// GitLab account link validation schema (null unlinks the account)
+const updateUserGitlabSchema = Joi.object({
+  gitlab_username: Joi.string().trim().max(100).allow(null).required()
+});
+
+// Bitbucket account link validation schema (a null account ID unlinks it);
+// account IDs and UUIDs are both accepted, as in webhook payloads
+const updateUserBitbucketSchema = Joi.object({
+  bitbucket_account_id: Joi.string().trim().max(100).allow(null).required(),
+  bitbucket_username: Joi.string().trim().max(100)
+});
+
+// Webhook log search filters, shared by listing and range replays
+const webhookJobFilters = {
+  status: Joi.string().valid('pending', 'processing', 'failed', 'completed', 'dead'),
+  event: Joi.string().trim(),
+  action: Joi.string().trim(),
+  repo: Joi.string().trim().pattern(/^[^/]+\/[^/]+$/).message('repo must be in owner/name form'),
+  pr: Joi.number().integer().min(1),
+  delivery_id: Joi.string().trim(),
+  since: Joi.date().iso(),
+  until: Joi.date().iso(),
+  error: Joi.string().trim()
+};
+
+// Webhook log search validation schema (query string)
+const listWebhookJobsSchema = Joi.object({
+  ...webhookJobFilters,
+  limit: Joi.number().integer().min(1).max(200),
+  offset: Joi.number().integer().min(0)
+});
+
+// Webhook range replay validation schema
+const replayWebhookJobsSchema = Joi.object({
+  ...webhookJobFilters,
+  since: webhookJobFilters.since.required()
+});
+
+// Pull request route parameters
+const pullRequestIdSchema = Joi.object({
+  id: Joi.string().guid().required()
+});
+
+// User route parameters
+const userIdSchema = Joi.object({
+  id: Joi.string().guid().required()
+});
+
+module.exports = {
+  updateSettingsSchema,
+  updateRepositorySettingsSchema,
+  updateGithubServerSchema,
+  updateGitlabSchema,
+  updateBitbucketSchema,
+  updateUserGitlabSchema,
+  updateUserBitbucketSchema,
+  listWebhookJobsSchema,
+  replayWebhookJobsSchema,
+  pullRequestIdSchema,
+  userIdSchema
+};
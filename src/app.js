@@ -37,7 +37,12 @@ app.use(helmet({
     allowedHeaders: ['Content-Type', 'Authorization'],
     credentials: true
   }));app.use(morgan('dev')); // HTTP request logging
-app.use(express.json()); // Parse JSON request bodies
+app.use(express.json({
+  // Bitbucket signs the body exactly as sent
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+})); // Parse JSON request bodies
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded request bodies
 
 
@@ -65,11 +70,14 @@ app.use('/api', apiLimiter);
 const authRoutes = require('./api/routes/auth');
 const healthRoutes = require('./api/routes/health');
 const githubRoutes = require('./api/routes/github');
+const gitlabRoutes = require('./api/routes/gitlab');
+const bitbucketRoutes = require('./api/routes/bitbucket');
 const slackRoutes = require('./api/routes/slack');
 const onboardingRoutes = require('./api/routes/onboarding')
 const dashboardRoutes = require('./api/routes/dashboard')
 const billingRoutes = require('./api/routes/billing');
 const usageRoutes = require('./api/routes/usage'); 
+const adminRoutes = require('./api/routes/admin');
 
 // API routes
 // app.use('/api/health', require('./api/routes/health'));
@@ -82,11 +90,14 @@ const usageRoutes = require('./api/routes/usage');
 app.use('/api/auth', authRoutes);
 app.use('/api/health', healthRoutes);
 app.use('/api/github', githubRoutes);
+app.use('/api/gitlab', gitlabRoutes);
+app.use('/api/bitbucket', bitbucketRoutes);
 app.use('/api/slack', slackRoutes);
 app.use('/api/onboarding', onboardingRoutes);
 app.use('/api/dashboard', dashboardRoutes)
 app.use('/api/billing', billingRoutes);
 app.use('/api/usage', usageRoutes);
+app.use('/api/admin', adminRoutes);
 
 
 // 404 handler for API routes
@@ -41,6 +41,22 @@ const config = {
     userRedirectUri: process.env.SLACK_USER_REDIRECT_URI
   },
   
+  // Webhook job queue settings
+  queue: {
+    pollIntervalMs: parseInt(process.env.WEBHOOK_QUEUE_POLL_MS, 10) || 2000,
+    batchSize: parseInt(process.env.WEBHOOK_QUEUE_BATCH_SIZE, 10) || 10,
+    maxAttempts: parseInt(process.env.WEBHOOK_QUEUE_MAX_ATTEMPTS, 10) || 8,
+    baseBackoffSeconds: parseInt(process.env.WEBHOOK_QUEUE_BASE_BACKOFF_SECONDS, 10) || 15,
+    maxBackoffSeconds: parseInt(process.env.WEBHOOK_QUEUE_MAX_BACKOFF_SECONDS, 10) || 3600,
+    lockTimeoutMinutes: parseInt(process.env.WEBHOOK_QUEUE_LOCK_TIMEOUT_MINUTES, 10) || 10
+  },
+
+  // Review batching settings
+  reviews: {
+    // How long to wait for a review's line comments before posting what has arrived
+    batchWindowSeconds: parseInt(process.env.REVIEW_BATCH_WINDOW_SECONDS, 10) || 30
+  },
+
   // Default settings for organizations
   defaults: {
     prReminderHours: 24,
@@ -0,0 +1,75 @@
+-- src/db/migrations/003_webhook_jobs.sql
+
+-- Durable queue for incoming GitHub webhooks
+-- Payloads are persisted before we acknowledge the delivery and are processed by the worker
+CREATE TABLE IF NOT EXISTS webhook_jobs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  seq BIGSERIAL NOT NULL,
+  event VARCHAR(100) NOT NULL,
+  action VARCHAR(100),
+  delivery_id VARCHAR(100),
+  github_org_id VARCHAR(100),
+  ordering_key VARCHAR(255), -- repo/PR key, jobs sharing a key run strictly in order
+  payload JSONB NOT NULL,
+  status VARCHAR(50) NOT NULL DEFAULT 'pending', -- pending, processing, failed, completed, dead
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 8,
+  next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  locked_at TIMESTAMP WITH TIME ZONE,
+  locked_by VARCHAR(100),
+  last_error TEXT,
+  result JSONB,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  dead_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create triggers for new tables
+CREATE TRIGGER update_webhook_jobs_timestamp BEFORE UPDATE ON webhook_jobs FOR EACH ROW EXECUTE FUNCTION update_timestamp();
+
+-- Create indexes for new tables
+CREATE INDEX IF NOT EXISTS idx_webhook_jobs_status_next_attempt ON webhook_jobs(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_jobs_ordering_key_seq ON webhook_jobs(ordering_key, seq);
+CREATE INDEX IF NOT EXISTS idx_webhook_jobs_github_org_id ON webhook_jobs(github_org_id);
+
+-- Add RLS for new tables
+ALTER TABLE webhook_jobs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can do anything"
+ON webhook_jobs FOR ALL
+TO service_role
+USING (true);
+
+-- Claim a batch of runnable jobs for a worker
+-- A job is skipped while an earlier job with the same ordering key is still unfinished,
+-- which keeps events for a single PR in delivery order
+CREATE OR REPLACE FUNCTION claim_webhook_jobs(batch_size INTEGER, worker_id TEXT)
+RETURNS SETOF webhook_jobs AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE webhook_jobs j
+  SET status = 'processing',
+      locked_at = NOW(),
+      locked_by = worker_id,
+      attempts = j.attempts + 1
+  WHERE j.id IN (
+    SELECT c.id
+    FROM webhook_jobs c
+    WHERE c.status IN ('pending', 'failed')
+      AND c.next_attempt_at <= NOW()
+      AND NOT EXISTS (
+        SELECT 1
+        FROM webhook_jobs earlier
+        WHERE c.ordering_key IS NOT NULL
+          AND earlier.ordering_key = c.ordering_key
+          AND earlier.seq < c.seq
+          AND earlier.status IN ('pending', 'processing', 'failed')
+      )
+    ORDER BY c.seq
+    LIMIT batch_size
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING j.*;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
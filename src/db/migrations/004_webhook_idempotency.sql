@@ -0,0 +1,6 @@
+-- src/db/migrations/004_webhook_idempotency.sql
+
+-- Each GitHub delivery is recorded once; redeliveries reuse the same X-GitHub-Delivery ID
+CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_jobs_delivery_id
+ON webhook_jobs(delivery_id)
+WHERE delivery_id IS NOT NULL;
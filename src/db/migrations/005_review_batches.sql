@@ -0,0 +1,36 @@
+-- src/db/migrations/005_review_batches.sql
+
+-- Buffers a submitted review and its line comments, which GitHub delivers as
+-- separate webhooks in no particular order, so each review is posted to Slack once
+CREATE TABLE IF NOT EXISTS review_batches (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  pr_id UUID NOT NULL REFERENCES pull_requests(id) ON DELETE CASCADE,
+  github_review_id VARCHAR(100) NOT NULL,
+  pull_request JSONB NOT NULL, -- number, title, html_url, repo_full_name
+  review JSONB, -- set once the pull_request_review event arrives
+  comments JSONB NOT NULL DEFAULT '[]',
+  expected_comment_count INTEGER, -- top-level line comments GitHub reports for the review
+  status VARCHAR(50) NOT NULL DEFAULT 'buffering', -- buffering, emitting, emitted
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  locked_at TIMESTAMP WITH TIME ZONE,
+  emitted_at TIMESTAMP WITH TIME ZONE,
+  slack_message_ts VARCHAR(100),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(pr_id, github_review_id)
+);
+
+-- Create triggers for new tables
+CREATE TRIGGER update_review_batches_timestamp BEFORE UPDATE ON review_batches FOR EACH ROW EXECUTE FUNCTION update_timestamp();
+
+-- Create indexes for new tables
+CREATE INDEX IF NOT EXISTS idx_review_batches_status_expires_at ON review_batches(status, expires_at);
+
+-- Add RLS for new tables
+ALTER TABLE review_batches ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can do anything"
+ON review_batches FOR ALL
+TO service_role
+USING (true);
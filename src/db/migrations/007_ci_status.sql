@@ -0,0 +1,36 @@
+-- src/db/migrations/007_ci_status.sql
+
+-- CI results are matched to PRs by head SHA
+ALTER TABLE pull_requests ADD COLUMN IF NOT EXISTS head_sha VARCHAR(100);
+ALTER TABLE pull_requests ADD COLUMN IF NOT EXISTS ci_status VARCHAR(50); -- pending, success, failure
+ALTER TABLE pull_requests ADD COLUMN IF NOT EXISTS ci_message_ts VARCHAR(100); -- live CI status message for head_sha
+
+-- Latest result of each check run / commit status context for a PR's head commit
+CREATE TABLE IF NOT EXISTS ci_checks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  pr_id UUID NOT NULL REFERENCES pull_requests(id) ON DELETE CASCADE,
+  head_sha VARCHAR(100) NOT NULL,
+  name VARCHAR(255) NOT NULL, -- check run name or status context
+  source VARCHAR(50) NOT NULL, -- check_run, check_suite, status
+  status VARCHAR(50) NOT NULL, -- pending, success, failure, neutral
+  conclusion VARCHAR(50), -- raw GitHub conclusion or state
+  url TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(pr_id, head_sha, name)
+);
+
+-- Create triggers for new tables
+CREATE TRIGGER update_ci_checks_timestamp BEFORE UPDATE ON ci_checks FOR EACH ROW EXECUTE FUNCTION update_timestamp();
+
+-- Create indexes for new tables or columns
+CREATE INDEX IF NOT EXISTS idx_pull_requests_repo_head_sha ON pull_requests(repo_id, head_sha);
+CREATE INDEX IF NOT EXISTS idx_ci_checks_pr_sha ON ci_checks(pr_id, head_sha);
+
+-- Add RLS for new tables
+ALTER TABLE ci_checks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can do anything"
+ON ci_checks FOR ALL
+TO service_role
+USING (true);
@@ -0,0 +1,79 @@
+-- src/db/migrations/008_pr_labels_assignees.sql
+
+-- Keep labels, assignees and milestone in sync with GitHub
+ALTER TABLE pull_requests ADD COLUMN IF NOT EXISTS labels TEXT[] NOT NULL DEFAULT '{}'::TEXT[];
+ALTER TABLE pull_requests ADD COLUMN IF NOT EXISTS assignees TEXT[] NOT NULL DEFAULT '{}'::TEXT[]; -- GitHub usernames
+ALTER TABLE pull_requests ADD COLUMN IF NOT EXISTS milestone VARCHAR(255);
+
+-- Reminder interval set by a label rule (NULL uses the organization setting)
+ALTER TABLE pull_requests ADD COLUMN IF NOT EXISTS reminder_hours INTEGER;
+
+-- Honour per-PR reminder intervals from label rules
+CREATE OR REPLACE FUNCTION check_stale_prs()
+RETURNS TABLE (
+  pr_id UUID,
+  pr_title TEXT,
+  pr_github_number INTEGER,
+  slack_channel_id TEXT,
+  org_id UUID,
+  slack_bot_token TEXT,
+  reminder_hours INTEGER,
+  reviewers JSONB
+) AS $$
+DECLARE
+  org RECORD;
+  pr RECORD;
+BEGIN
+  -- Loop through all organizations
+  FOR org IN SELECT o.id, o.slack_bot_token, (o.settings->'pr_reminder_hours')::INTEGER AS reminder_hours
+             FROM organizations o
+  LOOP
+    -- For each organization, find stale PRs
+    FOR pr IN SELECT 
+                pr.id AS pr_id,
+                pr.title AS pr_title,
+                pr.github_pr_number AS pr_github_number,
+                pr.slack_channel_id,
+                pr.reminder_sent,
+                COALESCE(pr.reminder_hours, org.reminder_hours) AS effective_reminder_hours,
+                r.org_id
+              FROM pull_requests pr
+              JOIN repositories r ON pr.repo_id = r.id
+              WHERE r.org_id = org.id
+                AND pr.status = 'open'
+                AND pr.is_draft = FALSE
+                AND COALESCE(pr.ready_for_review_at, pr.created_at) < NOW() - (COALESCE(pr.reminder_hours, org.reminder_hours) * INTERVAL '1 hour')
+                AND (pr.reminder_sent = FALSE OR pr.reminder_sent IS NULL)
+    LOOP
+      -- For each stale PR, get its pending reviewers
+      pr_id := pr.pr_id;
+      pr_title := pr.pr_title;
+      pr_github_number := pr.pr_github_number;
+      slack_channel_id := pr.slack_channel_id;
+      org_id := pr.org_id;
+      slack_bot_token := org.slack_bot_token;
+      reminder_hours := pr.effective_reminder_hours;
+      
+      -- Get pending reviewers
+      reviewers := (
+        SELECT json_agg(json_build_object(
+          'reviewer_id', u.id,
+          'slack_user_id', u.slack_user_id,
+          'github_username', u.github_username
+        ))
+        FROM review_requests rr
+        JOIN users u ON rr.reviewer_id = u.id
+        WHERE rr.pr_id = pr.pr_id
+          AND rr.status = 'pending'
+      );
+      
+      -- If there are pending reviewers, return this row
+      IF reviewers IS NOT NULL THEN
+        RETURN NEXT;
+      END IF;
+    END LOOP;
+  END LOOP;
+  
+  RETURN;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
@@ -0,0 +1,16 @@
+-- src/db/migrations/009_team_review_requests.sql
+
+-- Map PingaPR teams to GitHub teams and Slack user groups
+ALTER TABLE teams ADD COLUMN IF NOT EXISTS github_team_slug VARCHAR(255);
+ALTER TABLE teams ADD COLUMN IF NOT EXISTS slack_group_id VARCHAR(100); -- mentioned as <!subteam^ID>
+
+-- Review requests created for a member of a requested GitHub team
+ALTER TABLE review_requests ADD COLUMN IF NOT EXISTS team_slug VARCHAR(255);
+
+-- Create indexes for new columns
+CREATE UNIQUE INDEX IF NOT EXISTS idx_teams_org_github_team_slug
+  ON teams(org_id, github_team_slug)
+  WHERE github_team_slug IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_review_requests_pr_team_slug
+  ON review_requests(pr_id, team_slug)
+  WHERE team_slug IS NOT NULL;
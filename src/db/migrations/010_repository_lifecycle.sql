@@ -0,0 +1,7 @@
+-- src/db/migrations/010_repository_lifecycle.sql
+
+-- Repositories archived on GitHub are deactivated until they are unarchived
+ALTER TABLE repositories ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE;
+
+-- Installation webhooks look organizations up by installation
+CREATE INDEX IF NOT EXISTS idx_organizations_github_installation_id ON organizations(github_installation_id);
@@ -0,0 +1,7 @@
+-- src/db/migrations/011_review_threads.sql
+
+-- Resolution state of review conversations, kept on every comment in the thread
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS github_thread_id VARCHAR(100); -- GraphQL node ID of the review thread
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS is_resolved BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS resolved_by VARCHAR(255); -- GitHub username
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP WITH TIME ZONE;
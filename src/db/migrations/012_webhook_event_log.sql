@@ -0,0 +1,22 @@
+-- src/db/migrations/012_webhook_event_log.sql
+
+-- Webhook jobs double as the log of every delivery we received
+ALTER TABLE webhook_jobs ADD COLUMN IF NOT EXISTS repository_name VARCHAR(255); -- owner/repo
+ALTER TABLE webhook_jobs ADD COLUMN IF NOT EXISTS pr_number INTEGER;
+ALTER TABLE webhook_jobs ADD COLUMN IF NOT EXISTS duration_ms INTEGER; -- time spent in the last attempt
+ALTER TABLE webhook_jobs ADD COLUMN IF NOT EXISTS replay_of UUID REFERENCES webhook_jobs(id) ON DELETE SET NULL;
+
+-- Fill the search columns for deliveries received before this migration
+UPDATE webhook_jobs
+SET repository_name = payload->'repository'->>'full_name',
+    pr_number = COALESCE(
+      (payload->'pull_request'->>'number')::INTEGER,
+      CASE WHEN payload->'issue' ? 'pull_request' THEN (payload->'issue'->>'number')::INTEGER END
+    )
+WHERE repository_name IS NULL
+  AND payload ? 'repository';
+
+-- Create indexes for new columns
+CREATE INDEX IF NOT EXISTS idx_webhook_jobs_org_created_at ON webhook_jobs(github_org_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_jobs_repository_pr ON webhook_jobs(repository_name, pr_number);
+CREATE INDEX IF NOT EXISTS idx_webhook_jobs_replay_of ON webhook_jobs(replay_of);
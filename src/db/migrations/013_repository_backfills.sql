@@ -0,0 +1,33 @@
+-- src/db/migrations/013_repository_backfills.sql
+
+-- Imports of a repository's recent PR history, started when it is activated
+CREATE TABLE IF NOT EXISTS repository_backfills (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  repo_id UUID NOT NULL REFERENCES repositories(id) ON DELETE CASCADE,
+  days INTEGER NOT NULL,
+  status VARCHAR(50) NOT NULL DEFAULT 'queued', -- queued, running, completed, failed
+  total_prs INTEGER, -- set once the PRs have been listed
+  processed_prs INTEGER NOT NULL DEFAULT 0,
+  imported_reviews INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  started_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create triggers for new tables
+CREATE TRIGGER update_repository_backfills_timestamp BEFORE UPDATE ON repository_backfills FOR EACH ROW EXECUTE FUNCTION update_timestamp();
+
+-- Create indexes for new tables
+CREATE INDEX IF NOT EXISTS idx_repository_backfills_org_created_at ON repository_backfills(org_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_repository_backfills_status ON repository_backfills(status);
+
+-- Add RLS for new tables
+ALTER TABLE repository_backfills ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can do anything"
+ON repository_backfills FOR ALL
+TO service_role
+USING (true);
@@ -0,0 +1,35 @@
+-- src/db/migrations/014_pr_reconciliation.sql
+
+-- Summary of each reconciliation run between GitHub and the database
+CREATE TABLE IF NOT EXISTS reconciliation_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  status VARCHAR(50) NOT NULL DEFAULT 'running', -- running, completed, failed
+  checked_prs INTEGER NOT NULL DEFAULT 0,
+  corrected_prs INTEGER NOT NULL DEFAULT 0,
+  failed_prs INTEGER NOT NULL DEFAULT 0,
+  corrections JSONB NOT NULL DEFAULT '[]', -- pr_id, repository, number and the changes made
+  last_error TEXT,
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create triggers for new tables
+CREATE TRIGGER update_reconciliation_runs_timestamp BEFORE UPDATE ON reconciliation_runs FOR EACH ROW EXECUTE FUNCTION update_timestamp();
+
+-- Create indexes for new tables
+CREATE INDEX IF NOT EXISTS idx_reconciliation_runs_started_at ON reconciliation_runs(started_at DESC);
+
+-- Add RLS for new tables
+ALTER TABLE reconciliation_runs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can do anything"
+ON reconciliation_runs FOR ALL
+TO service_role
+USING (true);
+
+-- Track the last run like the other cron jobs
+INSERT INTO cron_status (name)
+SELECT 'pr_reconciliation'
+WHERE NOT EXISTS (SELECT 1 FROM cron_status WHERE name = 'pr_reconciliation');
@@ -0,0 +1,5 @@
+-- src/db/migrations/015_github_enterprise_server.sql
+
+-- GitHub Enterprise Server organizations; NULL means github.com
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS github_base_url TEXT; -- e.g. https://github.example.com
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS github_api_url TEXT; -- defaults to <github_base_url>/api/v3
@@ -0,0 +1,24 @@
+-- src/db/migrations/016_gitlab_provider.sql
+
+-- Repositories come from GitHub or GitLab; GitLab projects keep their project
+-- ID in github_repo_id and their path in github_repo_name, and their merge
+-- requests use the pull request columns (github_pr_id is the MR ID,
+-- github_pr_number the IID)
+ALTER TABLE repositories ADD COLUMN IF NOT EXISTS provider VARCHAR(20) NOT NULL DEFAULT 'github'
+  CHECK (provider IN ('github', 'gitlab'));
+
+-- A GitLab project ID can match a GitHub repository ID
+ALTER TABLE repositories DROP CONSTRAINT IF EXISTS repositories_org_id_github_repo_id_key;
+ALTER TABLE repositories DROP CONSTRAINT IF EXISTS repositories_org_id_provider_github_repo_id_key;
+ALTER TABLE repositories ADD CONSTRAINT repositories_org_id_provider_github_repo_id_key
+  UNIQUE (org_id, provider, github_repo_id);
+
+-- GitLab connection; NULL base URL means gitlab.com
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS gitlab_base_url TEXT;
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS gitlab_access_token TEXT; -- posts Slack replies as MR notes
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS gitlab_webhook_token VARCHAR(100); -- checked against X-Gitlab-Token
+
+-- GitLab accounts are matched to the same user records as GitHub accounts
+ALTER TABLE users ADD COLUMN IF NOT EXISTS gitlab_username VARCHAR(100);
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_org_id_gitlab_username_key;
+ALTER TABLE users ADD CONSTRAINT users_org_id_gitlab_username_key UNIQUE (org_id, gitlab_username);
@@ -0,0 +1,21 @@
+-- src/db/migrations/017_bitbucket_provider.sql
+
+-- Bitbucket Cloud repositories keep their UUID (with braces) in github_repo_id
+-- and their full name in github_repo_name; their pull requests use the pull
+-- request columns with the pull request ID as both github_pr_id and
+-- github_pr_number, since Bitbucket IDs are only unique per repository
+ALTER TABLE repositories DROP CONSTRAINT IF EXISTS repositories_provider_check;
+ALTER TABLE repositories ADD CONSTRAINT repositories_provider_check
+  CHECK (provider IN ('github', 'gitlab', 'bitbucket'));
+
+-- Bitbucket connection
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS bitbucket_workspace VARCHAR(100);
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS bitbucket_access_token TEXT; -- workspace access token; lists repositories and posts Slack replies
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS bitbucket_webhook_secret VARCHAR(100); -- signs deliveries in X-Hub-Signature
+
+-- Bitbucket accounts are matched to the same user records as GitHub accounts;
+-- account IDs are stable, nicknames are kept for display
+ALTER TABLE users ADD COLUMN IF NOT EXISTS bitbucket_account_id VARCHAR(100);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS bitbucket_username VARCHAR(100);
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_org_id_bitbucket_account_id_key;
+ALTER TABLE users ADD CONSTRAINT users_org_id_bitbucket_account_id_key UNIQUE (org_id, bitbucket_account_id);
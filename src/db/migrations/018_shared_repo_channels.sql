@@ -0,0 +1,57 @@
+-- src/db/migrations/018_shared_repo_channels.sql
+
+-- Repositories can post each PR as a thread in one shared channel instead of
+-- creating a channel per PR
+ALTER TABLE repositories ADD COLUMN IF NOT EXISTS slack_channel_mode VARCHAR(20) NOT NULL DEFAULT 'channel'
+  CHECK (slack_channel_mode IN ('channel', 'thread'));
+ALTER TABLE repositories ADD COLUMN IF NOT EXISTS slack_channel_id VARCHAR(100); -- shared channel for 'thread' mode
+
+-- Threaded PRs keep the shared channel in slack_channel_id and the PR opened
+-- message, which is the thread's parent, in slack_thread_ts. PRs keep the
+-- mode they were opened with
+ALTER TABLE pull_requests ADD COLUMN IF NOT EXISTS slack_thread_ts VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_pull_requests_slack_thread ON pull_requests(slack_channel_id, slack_thread_ts)
+  WHERE slack_thread_ts IS NOT NULL;
+
+-- The shared channel outlives its PRs, so threaded PRs are never archived
+CREATE OR REPLACE FUNCTION check_channel_archival()
+RETURNS TABLE (
+  pr_id UUID,
+  slack_channel_id TEXT,
+  org_id UUID,
+  slack_bot_token TEXT
+) AS $$
+DECLARE
+  org RECORD;
+  pr RECORD;
+BEGIN
+  -- Loop through all organizations
+  FOR org IN SELECT o.id, o.slack_bot_token, (o.settings->'channel_archive_days')::INTEGER AS archive_days
+             FROM organizations o
+  LOOP
+    -- For each organization, find PRs with closed channels ready for archiving
+    FOR pr IN SELECT 
+                pr.id AS pr_id,
+                pr.slack_channel_id,
+                r.org_id
+              FROM pull_requests pr
+              JOIN repositories r ON pr.repo_id = r.id
+              WHERE r.org_id = org.id
+                AND pr.status IN ('closed', 'merged')
+                AND pr.closed_at < NOW() - (org.archive_days * INTERVAL '1 day')
+                AND pr.slack_channel_id IS NOT NULL
+                AND pr.slack_thread_ts IS NULL
+    LOOP
+      pr_id := pr.pr_id;
+      slack_channel_id := pr.slack_channel_id;
+      org_id := pr.org_id;
+      slack_bot_token := org.slack_bot_token;
+      
+      RETURN NEXT;
+    END LOOP;
+  END LOOP;
+  
+  RETURN;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
@@ -0,0 +1,10 @@
+-- src/db/migrations/019_channel_naming.sql
+
+-- Per-repository overrides of the organization's channel_name_template and
+-- private_channels settings (NULL inherits)
+ALTER TABLE repositories ADD COLUMN IF NOT EXISTS channel_name_template VARCHAR(100);
+ALTER TABLE repositories ADD COLUMN IF NOT EXISTS private_channels BOOLEAN;
+
+-- Slack users invited to every PR channel of the repository, on top of the
+-- organization's channel_watchers
+ALTER TABLE repositories ADD COLUMN IF NOT EXISTS slack_watchers TEXT[] NOT NULL DEFAULT '{}'::TEXT[]; -- Slack user IDs
@@ -0,0 +1,47 @@
+-- src/db/migrations/020_channel_restore.sql
+
+-- When the PR's channel was archived; cleared when a reopened PR gets its
+-- channel back, so archived channels are not archived again
+ALTER TABLE pull_requests ADD COLUMN IF NOT EXISTS slack_channel_archived_at TIMESTAMP WITH TIME ZONE;
+
+CREATE OR REPLACE FUNCTION check_channel_archival()
+RETURNS TABLE (
+  pr_id UUID,
+  slack_channel_id TEXT,
+  org_id UUID,
+  slack_bot_token TEXT
+) AS $$
+DECLARE
+  org RECORD;
+  pr RECORD;
+BEGIN
+  -- Loop through all organizations
+  FOR org IN SELECT o.id, o.slack_bot_token, (o.settings->'channel_archive_days')::INTEGER AS archive_days
+             FROM organizations o
+  LOOP
+    -- For each organization, find PRs with closed channels ready for archiving
+    FOR pr IN SELECT 
+                pr.id AS pr_id,
+                pr.slack_channel_id,
+                r.org_id
+              FROM pull_requests pr
+              JOIN repositories r ON pr.repo_id = r.id
+              WHERE r.org_id = org.id
+                AND pr.status IN ('closed', 'merged')
+                AND pr.closed_at < NOW() - (org.archive_days * INTERVAL '1 day')
+                AND pr.slack_channel_id IS NOT NULL
+                AND pr.slack_thread_ts IS NULL
+                AND pr.slack_channel_archived_at IS NULL
+    LOOP
+      pr_id := pr.pr_id;
+      slack_channel_id := pr.slack_channel_id;
+      org_id := pr.org_id;
+      slack_bot_token := org.slack_bot_token;
+      
+      RETURN NEXT;
+    END LOOP;
+  END LOOP;
+  
+  RETURN;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
@@ -0,0 +1,85 @@
+-- src/db/migrations/021_archive_policies.sql
+
+-- Per-repository archive policies (NULL inherits). The organization settings
+-- use the same keys: channel_archive_days, channel_archive_days_merged,
+-- channel_archive_days_closed and export_channel_transcripts, plus
+-- never_archive_labels
+ALTER TABLE repositories ADD COLUMN IF NOT EXISTS channel_archive_days INTEGER;
+ALTER TABLE repositories ADD COLUMN IF NOT EXISTS channel_archive_days_merged INTEGER;
+ALTER TABLE repositories ADD COLUMN IF NOT EXISTS channel_archive_days_closed INTEGER; -- closed without merging
+ALTER TABLE repositories ADD COLUMN IF NOT EXISTS export_channel_transcripts BOOLEAN;
+
+-- Messages of a PR channel, saved before the channel is archived
+CREATE TABLE IF NOT EXISTS channel_transcripts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  pr_id UUID NOT NULL REFERENCES pull_requests(id) ON DELETE CASCADE,
+  slack_channel_id VARCHAR(100) NOT NULL,
+  messages JSONB NOT NULL DEFAULT '[]', -- oldest first, thread replies after their parent
+  message_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE pull_requests ADD COLUMN IF NOT EXISTS slack_transcript_id UUID REFERENCES channel_transcripts(id) ON DELETE SET NULL;
+
+-- Create indexes for new tables
+CREATE INDEX IF NOT EXISTS idx_channel_transcripts_pr_id ON channel_transcripts(pr_id);
+
+-- Add RLS for new tables
+ALTER TABLE channel_transcripts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can do anything"
+ON channel_transcripts FOR ALL
+TO service_role
+USING (true);
+
+-- The return type changes, so the function is recreated
+DROP FUNCTION IF EXISTS check_channel_archival();
+
+-- Repository policies win over organization policies, and outcome-specific
+-- days over the general setting. PRs with a never-archive label are skipped
+CREATE FUNCTION check_channel_archival()
+RETURNS TABLE (
+  pr_id UUID,
+  slack_channel_id TEXT,
+  org_id UUID,
+  slack_bot_token TEXT,
+  days_since_closure INTEGER,
+  export_transcript BOOLEAN
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    pr.id,
+    pr.slack_channel_id::TEXT,
+    r.org_id,
+    o.slack_bot_token::TEXT,
+    EXTRACT(DAY FROM NOW() - pr.closed_at)::INTEGER,
+    COALESCE(r.export_channel_transcripts, (o.settings->>'export_channel_transcripts')::BOOLEAN, FALSE)
+  FROM pull_requests pr
+  JOIN repositories r ON pr.repo_id = r.id
+  JOIN organizations o ON r.org_id = o.id
+  WHERE pr.status IN ('closed', 'merged')
+    AND pr.slack_channel_id IS NOT NULL
+    AND pr.slack_thread_ts IS NULL
+    AND pr.slack_channel_archived_at IS NULL
+    AND NOT (pr.labels && ARRAY(
+      SELECT jsonb_array_elements_text(COALESCE(o.settings->'never_archive_labels', '[]'::JSONB))
+    ))
+    AND pr.closed_at < NOW() - (
+      CASE WHEN pr.status = 'merged'
+        THEN COALESCE(
+          r.channel_archive_days_merged,
+          r.channel_archive_days,
+          (o.settings->>'channel_archive_days_merged')::INTEGER,
+          (o.settings->>'channel_archive_days')::INTEGER
+        )
+        ELSE COALESCE(
+          r.channel_archive_days_closed,
+          r.channel_archive_days,
+          (o.settings->>'channel_archive_days_closed')::INTEGER,
+          (o.settings->>'channel_archive_days')::INTEGER
+        )
+      END * INTERVAL '1 day'
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
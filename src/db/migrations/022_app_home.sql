@@ -0,0 +1,5 @@
+-- src/db/migrations/022_app_home.sql
+
+-- Reviewers can snooze a review request from the App Home; snoozed reviewers
+-- are left out of reminders until the time passes
+ALTER TABLE review_requests ADD COLUMN IF NOT EXISTS snoozed_until TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,7 @@
+-- src/db/migrations/024_pr_size.sql
+
+-- Diff size of each PR's head commit, kept current by the pull_request
+-- webhooks so link unfurls don't need the GitHub API
+ALTER TABLE pull_requests ADD COLUMN IF NOT EXISTS additions INTEGER;
+ALTER TABLE pull_requests ADD COLUMN IF NOT EXISTS deletions INTEGER;
+ALTER TABLE pull_requests ADD COLUMN IF NOT EXISTS changed_files INTEGER;
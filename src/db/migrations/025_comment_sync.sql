@@ -0,0 +1,9 @@
+-- src/db/migrations/025_comment_sync.sql
+
+-- Which GitHub API a comment written from Slack lives under (issue_comment or
+-- review_comment), so Slack edits and deletions reach the right comment.
+-- Replies to line comments fall back to PR comments, so the reply's parent
+-- doesn't tell
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS github_comment_kind VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_comments_slack_message_ts ON comments(slack_message_ts);
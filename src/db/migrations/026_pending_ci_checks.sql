@@ -0,0 +1,32 @@
+-- src/db/migrations/026_pending_ci_checks.sql
+
+-- CI results for a commit no open PR is at yet. Check and status events can
+-- be processed before the synchronize or opened event that moves a PR to the
+-- commit, so they wait here and are taken over by the PR once it gets there
+CREATE TABLE IF NOT EXISTS pending_ci_checks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  repo_id UUID NOT NULL REFERENCES repositories(id) ON DELETE CASCADE,
+  head_sha VARCHAR(100) NOT NULL,
+  name VARCHAR(255) NOT NULL, -- check run name or status context
+  source VARCHAR(50) NOT NULL, -- check_run, check_suite, status
+  status VARCHAR(50) NOT NULL, -- pending, success, failure, neutral
+  conclusion VARCHAR(50),
+  url TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(repo_id, head_sha, name)
+);
+
+-- Create triggers for new tables
+CREATE TRIGGER update_pending_ci_checks_timestamp BEFORE UPDATE ON pending_ci_checks FOR EACH ROW EXECUTE FUNCTION update_timestamp();
+
+-- Create indexes for new tables or columns
+CREATE INDEX IF NOT EXISTS idx_pending_ci_checks_updated_at ON pending_ci_checks(updated_at);
+
+-- Add RLS for new tables
+ALTER TABLE pending_ci_checks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can do anything"
+ON pending_ci_checks FOR ALL
+TO service_role
+USING (true);
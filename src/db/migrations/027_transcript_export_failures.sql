@@ -0,0 +1,7 @@
+-- src/db/migrations/027_transcript_export_failures.sql
+
+-- Failed transcript exports are retried on later archive runs; once the
+-- attempts run out the channel is archived without a transcript and the
+-- last error is kept
+ALTER TABLE pull_requests ADD COLUMN IF NOT EXISTS transcript_export_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE pull_requests ADD COLUMN IF NOT EXISTS transcript_export_error TEXT;
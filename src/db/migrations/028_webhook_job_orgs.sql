@@ -0,0 +1,21 @@
+-- src/db/migrations/028_webhook_job_orgs.sql
+
+-- Webhook jobs belong to a PingaPR organization. github_org_id is a
+-- placeholder for organizations without GitHub and is rewritten when GitHub
+-- is connected or uninstalled, so the webhook log can't be keyed on it
+ALTER TABLE webhook_jobs ADD COLUMN IF NOT EXISTS org_id UUID REFERENCES organizations(id) ON DELETE CASCADE;
+
+-- GitLab and Bitbucket jobs carry their organization in the payload
+UPDATE webhook_jobs
+SET org_id = (payload->>'pingapr_org_id')::UUID
+WHERE org_id IS NULL
+  AND payload ? 'pingapr_org_id';
+
+UPDATE webhook_jobs j
+SET org_id = o.id
+FROM organizations o
+WHERE j.org_id IS NULL
+  AND j.github_org_id = o.github_org_id;
+
+-- Create indexes for new columns
+CREATE INDEX IF NOT EXISTS idx_webhook_jobs_org_id ON webhook_jobs(org_id);
@@ -44,7 +44,90 @@ const verifyGitHubWebhook = (req, res, next) => {
       next(error);
     }
   };
-  
+
+/**
+ * Verify GitLab webhook token
+ * GitLab sends the organization's secret token as-is in X-Gitlab-Token
+ * instead of signing the body; the organization comes from the URL
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const verifyGitLabWebhook = async (req, res, next) => {
+    try {
+      const token = req.headers['x-gitlab-token'];
+
+      if (!token) {
+        throw new ApiError(401, 'Missing GitLab token');
+      }
+
+      const { data: org } = await supabase
+        .from('organizations')
+        .select('*')
+        .eq('id', req.params.orgId)
+        .single();
+
+      if (!org || !org.gitlab_webhook_token) {
+        throw new ApiError(404, 'GitLab is not configured for this organization');
+      }
+
+      const expected = Buffer.from(org.gitlab_webhook_token);
+      const received = Buffer.from(token);
+
+      if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw new ApiError(401, 'Invalid GitLab token');
+      }
+
+      req.organization = org;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+/**
+ * Verify Bitbucket webhook signature
+ * Bitbucket signs the body with the organization's webhook secret; the
+ * organization comes from the URL
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const verifyBitbucketWebhook = async (req, res, next) => {
+    try {
+      const signature = req.headers['x-hub-signature'];
+
+      if (!signature) {
+        throw new ApiError(401, 'Missing Bitbucket signature');
+      }
+
+      const { data: org } = await supabase
+        .from('organizations')
+        .select('*')
+        .eq('id', req.params.orgId)
+        .single();
+
+      if (!org || !org.bitbucket_webhook_secret) {
+        throw new ApiError(404, 'Bitbucket is not configured for this organization');
+      }
+
+      const hmac = crypto.createHmac('sha256', org.bitbucket_webhook_secret);
+      const expected = Buffer.from('sha256=' + hmac.update(req.rawBody || JSON.stringify(req.body)).digest('hex'));
+      const received = Buffer.from(signature);
+
+      if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw new ApiError(401, 'Invalid Bitbucket signature');
+      }
+
+      req.organization = org;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
 
 /**
  * Verify JWT and attach user to request
@@ -231,6 +314,8 @@ const authMiddleware = async (req, res, next) => {
 
 module.exports = {
   verifyGitHubWebhook,
+  verifyGitLabWebhook,
+  verifyBitbucketWebhook,
   verifyJWT,
   verifySlackRequest,
   ensureAdmin,
@@ -3,6 +3,8 @@ const app = require('./app');
 const config = require('./config');
 const { supabase } = require('./services/supabase/client');
 const { setupCronJobs } = require('./services/cron');
+const { startWebhookWorker } = require('./services/queue');
+const { resumeBackfills } = require('./services/github/backfill');
 
 const PORT = config.app.port;
 
@@ -26,6 +28,12 @@ async function startServer() {
       
       // Set up cron jobs after server is started
       setupCronJobs();
+      
+      // Start processing queued webhook jobs
+      startWebhookWorker();
+      
+      // Pick up repository backfills interrupted by a restart
+      resumeBackfills();
     });
   } catch (err) {
     console.error('Failed to start server:', err);
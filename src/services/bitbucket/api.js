@@ -0,0 +1,100 @@
+// src/services/bitbucket/api.js
+const axios = require('axios');
+const { BITBUCKET_API_URL } = require('../../utils/bitbucket');
+
+/**
+ * Bitbucket API service
+ * Calls are made with the organization's workspace access token
+ */
+
+/**
+ * Create an API client for an organization
+ * @param {Object} org - Organization data
+ * @returns {Object} Axios instance
+ */
+const createClient = (org) => {
+  if (!org.bitbucket_access_token) {
+    throw new Error('No Bitbucket access token configured for organization');
+  }
+
+  return axios.create({
+    baseURL: BITBUCKET_API_URL,
+    headers: {
+      Authorization: `Bearer ${org.bitbucket_access_token}`
+    }
+  });
+};
+
+/**
+ * List the repositories in the organization's workspace
+ * @param {Object} org - Organization data
+ * @returns {Promise<Array>} Repositories
+ */
+const listRepositories = async (org) => {
+  try {
+    const client = createClient(org);
+    const repositories = [];
+
+    let url = `/repositories/${encodeURIComponent(org.bitbucket_workspace)}?pagelen=100`;
+
+    // Pages link to the next page by absolute URL until there are no more
+    while (url) {
+      const response = await client.get(url);
+      repositories.push(...response.data.values);
+      url = response.data.next || null;
+    }
+
+    return repositories;
+  } catch (error) {
+    console.error('Error listing Bitbucket repositories:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Get a pull request
+ * @param {Object} org - Organization data
+ * @param {string} repoFullName - Repository full name (workspace/repo)
+ * @param {number} prId - Pull request ID
+ * @returns {Promise<Object>} Pull request data
+ */
+const getPullRequest = async (org, repoFullName, prId) => {
+  try {
+    const response = await createClient(org).get(`/repositories/${repoFullName}/pullrequests/${prId}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error getting Bitbucket pull request:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Comment on a pull request, or reply to a comment
+ * @param {Object} org - Organization data
+ * @param {string} repoFullName - Repository full name (workspace/repo)
+ * @param {number} prId - Pull request ID
+ * @param {string} body - Comment body (Markdown)
+ * @param {string|number|null} parentId - Comment to reply to
+ * @returns {Promise<Object>} Created comment
+ */
+const createPullRequestComment = async (org, repoFullName, prId, body, parentId = null) => {
+  try {
+    const response = await createClient(org).post(
+      `/repositories/${repoFullName}/pullrequests/${prId}/comments`,
+      {
+        content: { raw: body },
+        ...(parentId && { parent: { id: Number(parentId) } })
+      }
+    );
+    return response.data;
+  } catch (error) {
+    console.error('Error creating Bitbucket pull request comment:', error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  listRepositories,
+  getPullRequest,
+  createPullRequestComment
+};
@@ -0,0 +1,104 @@
+/**
+ * Bitbucket reply sync
+ * Posts Slack thread replies on pull request conversations back to Bitbucket
+ * as comment replies. Comments are written with the organization's access
+ * token, so the Slack author is named in the comment
+ */
+const { v4: uuidv4 } = require('uuid');
+const db = require('../supabase/functions');
+const slackAuth = require('../slack/auth');
+const slackMessages = require('../slack/messages');
+const bitbucketService = require('./api');
+const { SLACK_MARKER } = require('./webhooks');
+
+/**
+ * Post a reply sync error where the PR's Slack messages go
+ * @param {Object} org - Organization data
+ * @param {Object} pullRequest - Pull request data
+ * @param {Object} event - Slack message event
+ * @param {string} message - Error message
+ * @returns {Promise<Object>} Slack API response
+ */
+const sendReplyError = (org, pullRequest, event, message) => {
+  const { channel, thread_ts: threadTs } = slackMessages.resolveDestination(
+    slackMessages.getPrDestination(pullRequest),
+    event.thread_ts
+  );
+
+  return slackAuth.sendErrorMessage(org.slack_bot_token, channel, threadTs, message);
+};
+
+/**
+ * Sync a Slack thread reply to Bitbucket if the thread belongs to a Bitbucket pull request
+ * @param {Object} comment - Comment the Slack thread started from; a comment
+ *   without an ID stands for the PR's conversation
+ * @param {Object} event - Slack message event
+ * @returns {Promise<boolean>} False when the thread belongs to another provider
+ */
+const syncThreadReply = async (comment, event) => {
+  const pullRequest = comment.pull_request || await db.pullRequests.findById(comment.pr_id);
+  const repo = pullRequest.repository || await db.repositories.findById(pullRequest.repo_id);
+
+  if (repo.provider !== 'bitbucket') {
+    return false;
+  }
+
+  const org = await db.organizations.findById(repo.org_id);
+
+  if (!org.bitbucket_access_token) {
+    await sendReplyError(
+      org,
+      pullRequest,
+      event,
+      "Replies can't be posted to Bitbucket until an admin adds a Bitbucket access token in PingaPR."
+    );
+    return true;
+  }
+
+  const user = await db.users.findBySlackUserId(org.id, event.user);
+  const authorName = user?.bitbucket_username || user?.github_username || 'A Slack user';
+  const body = `**${authorName}** replied from Slack:\n\n${event.text}\n\n${SLACK_MARKER}`;
+
+  try {
+    const reply = await bitbucketService.createPullRequestComment(
+      org,
+      repo.github_repo_name,
+      pullRequest.github_pr_number,
+      body,
+      comment.github_comment_id
+    );
+
+    await db.comments.create({
+      id: uuidv4(),
+      pr_id: comment.pr_id,
+      github_comment_id: reply.id.toString(),
+      github_thread_id: comment.github_thread_id || comment.github_comment_id,
+      slack_thread_ts: event.thread_ts,
+      user_id: user?.id || null,
+      content: event.text,
+      source: 'slack',
+      comment_type: 'reply',
+      parent_comment_id: comment.id,
+      created_at: new Date().toISOString()
+    });
+
+    console.log(`[BITBUCKET] Posted Slack reply as comment ${reply.id} on PR #${pullRequest.github_pr_number}`);
+  } catch (error) {
+    console.error('[BITBUCKET] Error posting Slack reply to Bitbucket:', error.message);
+
+    await sendReplyError(
+      org,
+      pullRequest,
+      event,
+      error.response?.status === 401
+        ? "Failed to post your comment to Bitbucket: the organization's Bitbucket access token was rejected."
+        : 'Failed to post your comment to Bitbucket. Please try again later.'
+    );
+  }
+
+  return true;
+};
+
+module.exports = {
+  syncThreadReply
+};
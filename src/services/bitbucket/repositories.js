@@ -0,0 +1,63 @@
+/**
+ * Bitbucket repositories
+ * Workspace repositories are recorded inactive and listed next to GitHub
+ * repositories, where an admin activates the ones to track
+ */
+const { v4: uuidv4 } = require('uuid');
+const db = require('../supabase/functions');
+const bitbucketService = require('./api');
+
+/**
+ * Find or create the repository for a Bitbucket repository
+ * Unknown repositories are recorded inactive, so they show up in the
+ * repository list until an admin activates them
+ * @param {Object} org - Organization data
+ * @param {Object} repository - Repository from the webhook payload or API
+ * @returns {Promise<Object>} Repository data
+ */
+const findOrCreateRepository = async (org, repository) => {
+  const repo = await db.repositories.findByBitbucketUuid(org.id, repository.uuid);
+
+  if (!repo) {
+    return await db.repositories.create({
+      id: uuidv4(),
+      org_id: org.id,
+      provider: 'bitbucket',
+      github_repo_id: repository.uuid,
+      github_repo_name: repository.full_name,
+      is_active: false
+    });
+  }
+
+  // Repositories can be renamed or moved between projects
+  if (repo.github_repo_name !== repository.full_name) {
+    return await db.repositories.update(repo.id, {
+      github_repo_name: repository.full_name
+    });
+  }
+
+  return repo;
+};
+
+/**
+ * Record the workspace's repositories so they can be activated
+ * @param {Object} org - Organization data
+ * @returns {Promise<Array>} Repository records
+ */
+const syncRepositories = async (org) => {
+  const repositories = await bitbucketService.listRepositories(org);
+
+  const records = [];
+  for (const repository of repositories) {
+    records.push(await findOrCreateRepository(org, repository));
+  }
+
+  console.log(`[BITBUCKET] Synced ${records.length} repositories from workspace ${org.bitbucket_workspace}`);
+
+  return records;
+};
+
+module.exports = {
+  findOrCreateRepository,
+  syncRepositories
+};
@@ -0,0 +1,550 @@
+/**
+ * Bitbucket webhooks service
+ * Translates Bitbucket Cloud pull request, review and comment events into
+ * the pull request model, so Bitbucket pull requests get the same channels,
+ * reminders and dashboards as GitHub pull requests
+ */
+const { v4: uuidv4 } = require('uuid');
+const db = require('../supabase/functions');
+const slackService = require('../slack/messages');
+const appHome = require('../slack/home');
+const githubWebhooks = require('../github/webhooks');
+const { findOrCreateRepository } = require('./repositories');
+const { getBitbucketPullRequestUrl } = require('../../utils/bitbucket');
+
+const SLACK_MARKER = '<!-- SENT_FROM_SLACK -->';
+
+/**
+ * Review events and the review status they leave the reviewer in
+ * Revoking events only apply when the reviewer is still in the revoked status
+ */
+const REVIEW_EVENTS = {
+  'pullrequest:approved': {
+    field: 'approval',
+    status: 'approved',
+    icon: ':white_check_mark:',
+    text: 'approved this pull request'
+  },
+  'pullrequest:unapproved': {
+    field: 'approval',
+    status: 'pending',
+    revokes: 'approved',
+    icon: ':leftwards_arrow_with_hook:',
+    text: 'revoked their approval'
+  },
+  'pullrequest:changes_request_created': {
+    field: 'changes_request',
+    status: 'changes_requested',
+    icon: ':x:',
+    text: 'requested changes'
+  },
+  'pullrequest:changes_request_removed': {
+    field: 'changes_request',
+    status: 'pending',
+    revokes: 'changes_requested',
+    icon: ':leftwards_arrow_with_hook:',
+    text: 'withdrew their change request'
+  }
+};
+
+/**
+ * Find the user record for a Bitbucket account, creating a placeholder if needed
+ * Accounts are only attributed to an existing user once an admin links them,
+ * since anyone can pick a teammate's GitHub username as their nickname;
+ * placeholders keep clear of GitHub usernames for the same reason
+ * @param {Object} org - Organization data
+ * @param {Object} bitbucketUser - User from the webhook payload
+ * @returns {Promise<Object>} User record
+ */
+const findOrCreateUser = async (org, bitbucketUser) => {
+  // Accounts that hide their account ID still have a UUID
+  const accountId = bitbucketUser.account_id || bitbucketUser.uuid;
+  const username = bitbucketUser.nickname || bitbucketUser.display_name;
+
+  const user = await db.users.findByBitbucketAccountId(org.id, accountId);
+  if (user) return user;
+
+  return await db.users.create({
+    id: uuidv4(),
+    org_id: org.id,
+    github_username: `bitbucket:${username}`,
+    bitbucket_account_id: accountId,
+    bitbucket_username: username,
+    name: bitbucketUser.display_name || username,
+    is_admin: false
+  });
+};
+
+/**
+ * Get the username the shared handlers know a Bitbucket account by
+ * @param {Object} org - Organization data
+ * @param {Object} bitbucketUser - User from the webhook payload
+ * @returns {Promise<Object>} GitHub-style user
+ */
+const toGithubUser = async (org, bitbucketUser) => {
+  const user = await findOrCreateUser(org, bitbucketUser);
+  return { login: user.github_username };
+};
+
+/**
+ * Convert a Bitbucket timestamp to ISO format
+ * @param {string|null} timestamp - Bitbucket timestamp
+ * @returns {string|null} ISO timestamp
+ */
+const toIsoString = (timestamp) => timestamp ? new Date(timestamp).toISOString() : null;
+
+/**
+ * Build a GitHub-style pull request from a Bitbucket pull request
+ * Bitbucket IDs are only unique per repository, so the ID is also the number
+ * @param {Object} org - Organization data
+ * @param {Object} repo - Repository data
+ * @param {Object} bitbucketPr - Pull request from the webhook payload
+ * @returns {Promise<Object>} Pull request data
+ */
+const toPullRequest = async (org, repo, bitbucketPr) => {
+  const isMerged = bitbucketPr.state === 'MERGED';
+  const isOpen = bitbucketPr.state === 'OPEN';
+
+  const reviewers = [];
+  for (const reviewer of bitbucketPr.reviewers || []) {
+    reviewers.push(await toGithubUser(org, reviewer));
+  }
+
+  return {
+    id: bitbucketPr.id,
+    number: bitbucketPr.id,
+    title: bitbucketPr.title,
+    body: bitbucketPr.description || '',
+    state: isOpen ? 'open' : 'closed',
+    draft: Boolean(bitbucketPr.draft),
+    merged: isMerged,
+    html_url: bitbucketPr.links?.html?.href || getBitbucketPullRequestUrl(repo.github_repo_name, bitbucketPr.id),
+    user: await toGithubUser(org, bitbucketPr.author),
+    head: {
+      sha: bitbucketPr.source?.commit?.hash || null,
+      ref: bitbucketPr.source?.branch?.name || null
+    },
+    // Bitbucket has no labels, assignees or milestones
+    labels: [],
+    assignees: [],
+    milestone: null,
+    requested_reviewers: reviewers,
+    requested_teams: [],
+    changed_files: null,
+    created_at: toIsoString(bitbucketPr.created_on),
+    updated_at: toIsoString(bitbucketPr.updated_on),
+    merged_at: isMerged ? toIsoString(bitbucketPr.updated_on) : null,
+    closed_at: isOpen ? null : toIsoString(bitbucketPr.updated_on)
+  };
+};
+
+/**
+ * Translate a pull request update into pull request actions
+ * Update events carry the whole pull request but not what changed, so it is
+ * compared with the stored record
+ * @param {Object} org - Organization data
+ * @param {Object} pullRequest - Stored pull request record
+ * @param {Object} bitbucketPr - Pull request from the webhook payload
+ * @returns {Promise<Array>} Pull request payloads without the pull request
+ */
+const translateUpdate = async (org, pullRequest, bitbucketPr) => {
+  const actions = [];
+
+  const titleChanged = bitbucketPr.title !== pullRequest.title;
+  const bodyChanged = (bitbucketPr.description || '') !== (pullRequest.description || '');
+
+  if (titleChanged || bodyChanged) {
+    actions.push({
+      action: 'edited',
+      changes: {
+        ...(titleChanged && { title: { from: pullRequest.title } }),
+        ...(bodyChanged && { body: { from: pullRequest.description } })
+      }
+    });
+  }
+
+  if (Boolean(bitbucketPr.draft) !== Boolean(pullRequest.is_draft)) {
+    actions.push({
+      action: bitbucketPr.draft ? 'converted_to_draft' : 'ready_for_review'
+    });
+  }
+
+  const requests = await db.reviewRequests.getByPrId(pullRequest.id);
+  const requestedIds = requests
+    .filter(request => request.status !== 'removed')
+    .map(request => request.reviewer_id);
+
+  const currentIds = [];
+  for (const reviewer of bitbucketPr.reviewers || []) {
+    const user = await findOrCreateUser(org, reviewer);
+    currentIds.push(user.id);
+
+    if (!requestedIds.includes(user.id)) {
+      actions.push({ action: 'review_requested', requested_reviewer: { login: user.github_username } });
+    }
+  }
+
+  // Reviewers who already reviewed keep their review when they are removed
+  const pending = await db.reviewRequests.findPendingByPrId(pullRequest.id);
+  for (const request of pending) {
+    if (!request.team_slug && !currentIds.includes(request.reviewer_id)) {
+      actions.push({ action: 'review_request_removed', requested_reviewer: { login: request.reviewer.github_username } });
+    }
+  }
+
+  const headSha = bitbucketPr.source?.commit?.hash;
+  if (headSha && headSha !== pullRequest.head_sha) {
+    actions.push({ action: 'synchronize' });
+  }
+
+  return actions;
+};
+
+/**
+ * Record an approval or change request, or its removal, as the reviewer's
+ * review status
+ * @param {Object} org - Organization data
+ * @param {Object} repo - Repository data
+ * @param {string} event - Event key
+ * @param {Object} payload - Bitbucket webhook payload
+ * @returns {Promise<Object>} Result of processing
+ */
+const handleReviewEvent = async (org, repo, event, payload) => {
+  const review = REVIEW_EVENTS[event];
+  const pullRequest = await db.pullRequests.findByGithubPrId(repo.id, payload.pullrequest.id.toString());
+
+  if (!pullRequest) {
+    return {
+      status: 'error',
+      message: 'Pull request not found in database'
+    };
+  }
+
+  const bitbucketUser = payload[review.field]?.user || payload.actor;
+  const reviewer = await findOrCreateUser(org, bitbucketUser);
+  const reviewRequest = await db.reviewRequests.findByPrAndReviewer(pullRequest.id, reviewer.id);
+
+  // A revoked review only counts if it is still the reviewer's latest one
+  if (review.revokes ? reviewRequest?.status !== review.revokes : reviewRequest?.status === review.status) {
+    return {
+      status: 'ignored',
+      message: `Review status of ${reviewer.bitbucket_username} already recorded`
+    };
+  }
+
+  const now = new Date().toISOString();
+
+  await db.reviewRequests.upsert(pullRequest.id, reviewer.id, {
+    status: review.status,
+    requested_at: reviewRequest?.requested_at || now,
+    completed_at: review.revokes ? null : now
+  });
+
+  if (pullRequest.slack_channel_id) {
+    const mention = reviewer.slack_user_id ? `<@${reviewer.slack_user_id}>` : reviewer.bitbucket_username;
+
+    await slackService.sendPrActivityMessage(
+      org.slack_bot_token,
+      slackService.getPrDestination(pullRequest),
+      {
+        icon: review.icon,
+        text: `${mention} ${review.text}`
+      }
+    );
+  }
+
+  await appHome.refreshForPullRequest(org, pullRequest);
+
+  return {
+    status: 'success',
+    message: `Review status of ${reviewer.bitbucket_username} set to ${review.status}`
+  };
+};
+
+/**
+ * Handle Bitbucket pull request event
+ * @param {Object} org - Organization data
+ * @param {string} event - Event key (X-Event-Key header)
+ * @param {Object} payload - Bitbucket webhook payload
+ * @returns {Promise<Object>} Result of processing
+ */
+const handlePullRequestEvent = async (org, event, payload) => {
+  try {
+    const bitbucketPr = payload.pullrequest;
+
+    console.log(`[BITBUCKET] PR #${bitbucketPr.id} ${event} in ${payload.repository.full_name}`);
+
+    const repo = await findOrCreateRepository(org, payload.repository);
+
+    if (!repo.is_active) {
+      return {
+        status: 'ignored',
+        message: 'Repository not tracked or inactive'
+      };
+    }
+
+    if (REVIEW_EVENTS[event]) {
+      return await handleReviewEvent(org, repo, event, payload);
+    }
+
+    let actions;
+
+    switch (event) {
+      case 'pullrequest:created':
+        actions = [{ action: 'opened' }];
+        break;
+
+      case 'pullrequest:fulfilled':
+      case 'pullrequest:rejected':
+        actions = [{ action: 'closed' }];
+        break;
+
+      case 'pullrequest:updated': {
+        const pullRequest = await db.pullRequests.findByGithubPrId(repo.id, bitbucketPr.id.toString());
+
+        if (!pullRequest) {
+          return {
+            status: 'error',
+            message: 'Pull request not found in database'
+          };
+        }
+
+        actions = await translateUpdate(org, pullRequest, bitbucketPr);
+        break;
+      }
+
+      default:
+        return {
+          status: 'ignored',
+          message: `Pull request event '${event}' not handled`
+        };
+    }
+
+    if (actions.length === 0) {
+      return {
+        status: 'ignored',
+        message: 'No relevant changes to process'
+      };
+    }
+
+    const pr = await toPullRequest(org, repo, bitbucketPr);
+    const sender = await toGithubUser(org, payload.actor);
+
+    const results = [];
+    for (const prAction of actions) {
+      results.push(await githubWebhooks.handlePullRequestAction(org, repo, pr, {
+        ...prAction,
+        pull_request: pr,
+        sender
+      }));
+    }
+
+    if (results.length === 1) {
+      return results[0];
+    }
+
+    return {
+      status: 'success',
+      message: `Pull request update processed as ${results.length} actions`,
+      data: {
+        results
+      }
+    };
+  } catch (error) {
+    console.error('[BITBUCKET] Error handling pull request event:', error);
+    throw error;
+  }
+};
+
+/**
+ * Post a new comment to Slack
+ * Replies go into the Slack thread of the comment they reply to; inline
+ * comments are posted as code comments
+ * @param {Object} org - Organization data
+ * @param {Object} pullRequest - Pull request record
+ * @param {Object} comment - Comment from the webhook payload
+ * @param {Object} author - Author user record
+ * @returns {Promise<Object>} Comment record
+ */
+const postComment = async (org, pullRequest, comment, author) => {
+  const body = comment.content?.raw || '';
+
+  const message = {
+    author: author.bitbucket_username,
+    authorSlackId: author.slack_user_id || null,
+    body,
+    url: comment.links?.html?.href
+  };
+
+  const parent = comment.parent
+    ? await db.comments.findByGithubCommentId(pullRequest.id, comment.parent.id.toString())
+    : null;
+
+  const record = {
+    id: uuidv4(),
+    pr_id: pullRequest.id,
+    github_comment_id: comment.id.toString(),
+    // Threads are identified by their first comment
+    github_thread_id: parent
+      ? parent.github_thread_id || parent.github_comment_id
+      : comment.id.toString(),
+    user_id: author.id,
+    content: body,
+    source: 'bitbucket',
+    created_at: toIsoString(comment.created_on)
+  };
+
+  if (parent) {
+    const reply = await slackService.sendCommentReplyMessage(
+      org.slack_bot_token,
+      slackService.getPrDestination(pullRequest),
+      parent.slack_thread_ts,
+      message
+    );
+
+    return await db.comments.create({
+      ...record,
+      slack_thread_ts: parent.slack_thread_ts,
+      slack_message_ts: reply?.ts || null,
+      parent_comment_id: parent.id,
+      comment_type: 'reply'
+    });
+  }
+
+  if (comment.inline) {
+    const posted = await slackService.sendReviewCommentMessage(
+      org.slack_bot_token,
+      slackService.getPrDestination(pullRequest),
+      null,
+      {
+        ...message,
+        path: comment.inline.path,
+        line: comment.inline.to || comment.inline.from || 'Unknown line'
+      }
+    );
+
+    return await db.comments.create({
+      ...record,
+      slack_thread_ts: posted.ts,
+      slack_message_ts: posted.ts,
+      comment_type: 'line_comment'
+    });
+  }
+
+  const posted = await slackService.sendPrCommentMessage(
+    org.slack_bot_token,
+    slackService.getPrDestination(pullRequest),
+    message
+  );
+
+  return await db.comments.create({
+    ...record,
+    slack_thread_ts: posted.ts,
+    slack_message_ts: posted.ts,
+    comment_type: 'pr_comment'
+  });
+};
+
+/**
+ * Handle Bitbucket pull request comment event
+ * @param {Object} org - Organization data
+ * @param {Object} payload - Bitbucket webhook payload
+ * @returns {Promise<Object>} Result of processing
+ */
+const handleCommentEvent = async (org, payload) => {
+  try {
+    const { comment, pullrequest: bitbucketPr, repository } = payload;
+
+    console.log(`[BITBUCKET] Comment ${comment.id} on PR #${bitbucketPr.id} in ${repository.full_name}`);
+
+    if (comment.content?.raw?.includes(SLACK_MARKER)) {
+      return {
+        status: 'ignored',
+        message: 'Comment originated from Slack, ignoring to prevent duplication'
+      };
+    }
+
+    const repo = await db.repositories.findByBitbucketUuid(org.id, repository.uuid);
+
+    if (!repo || !repo.is_active) {
+      return {
+        status: 'ignored',
+        message: 'Repository not tracked or inactive'
+      };
+    }
+
+    const pullRequest = await db.pullRequests.findByGithubPrId(repo.id, bitbucketPr.id.toString());
+
+    if (!pullRequest) {
+      return {
+        status: 'error',
+        message: 'Pull request not found in database'
+      };
+    }
+
+    // Deferred drafts have no channel to post to yet
+    if (!pullRequest.slack_channel_id) {
+      return {
+        status: 'ignored',
+        message: 'Pull request has no Slack channel'
+      };
+    }
+
+    const existing = await db.comments.findByGithubCommentId(pullRequest.id, comment.id.toString());
+
+    if (existing) {
+      return {
+        status: 'ignored',
+        message: existing.source === 'slack'
+          ? 'Comment originated from Slack, ignoring to prevent duplication'
+          : 'Comment already processed'
+      };
+    }
+
+    const author = await findOrCreateUser(org, comment.user || payload.actor);
+    const record = await postComment(org, pullRequest, comment, author);
+
+    return {
+      status: 'success',
+      message: 'Comment posted to Slack',
+      data: {
+        comment_id: record.id,
+        comment_type: record.comment_type
+      }
+    };
+  } catch (error) {
+    console.error('[BITBUCKET] Error handling comment event:', error);
+    throw error;
+  }
+};
+
+/**
+ * Dispatch a Bitbucket webhook event to the matching handler
+ * Called by the webhook job worker; the webhook controller adds the
+ * organization ID to the payload, since Bitbucket payloads can't be tied to
+ * an organization on their own
+ * @param {string} event - Event key (X-Event-Key header)
+ * @param {Object} payload - Webhook payload
+ * @returns {Promise<Object>} Result of processing
+ */
+const processWebhookEvent = async (event, payload) => {
+  const org = await db.organizations.findById(payload.pingapr_org_id);
+
+  if (event === 'pullrequest:comment_created') {
+    return await handleCommentEvent(org, payload);
+  }
+
+  if (event.startsWith('pullrequest:')) {
+    return await handlePullRequestEvent(org, event, payload);
+  }
+
+  return { status: 'ignored', reason: `Bitbucket event '${event}' not handled` };
+};
+
+module.exports = {
+  SLACK_MARKER,
+  processWebhookEvent,
+  handlePullRequestEvent,
+  handleCommentEvent,
+  translateUpdate
+};
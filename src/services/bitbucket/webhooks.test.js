@@ -0,0 +1,142 @@
+// src/services/bitbucket/webhooks.test.js
+jest.mock('../supabase/functions', () => ({
+  users: {
+    findByBitbucketAccountId: jest.fn(),
+    create: jest.fn()
+  },
+  reviewRequests: {
+    getByPrId: jest.fn(),
+    findPendingByPrId: jest.fn()
+  }
+}));
+
+jest.mock('../slack/messages', () => ({}));
+jest.mock('../slack/home', () => ({}));
+jest.mock('../github/webhooks', () => ({}));
+jest.mock('./repositories', () => ({ findOrCreateRepository: jest.fn() }));
+
+const db = require('../supabase/functions');
+const bitbucketWebhooks = require('./webhooks');
+
+const org = { id: 'org-1' };
+
+const linkedUsers = {
+  'acct-alice': { id: 'user-alice', github_username: 'alice' },
+  'acct-bob': { id: 'user-bob', github_username: 'bitbucket:bob' }
+};
+
+const buildPullRequest = (overrides = {}) => ({
+  id: 'pr-1',
+  title: 'Fix login',
+  description: 'Fixes the login form',
+  is_draft: false,
+  head_sha: 'abc123',
+  ...overrides
+});
+
+const buildBitbucketPr = (overrides = {}) => ({
+  id: 12,
+  title: 'Fix login',
+  description: 'Fixes the login form',
+  draft: false,
+  reviewers: [],
+  source: { commit: { hash: 'abc123' } },
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+
+  db.users.findByBitbucketAccountId.mockImplementation(async (orgId, accountId) => linkedUsers[accountId] || null);
+  db.users.create.mockImplementation(async (user) => user);
+  db.reviewRequests.getByPrId.mockResolvedValue([]);
+  db.reviewRequests.findPendingByPrId.mockResolvedValue([]);
+});
+
+describe('translateUpdate', () => {
+  test('returns no actions when nothing tracked has changed', async () => {
+    const actions = await bitbucketWebhooks.translateUpdate(org, buildPullRequest(), buildBitbucketPr());
+
+    expect(actions).toEqual([]);
+  });
+
+  test('reports title and description changes against the stored record', async () => {
+    const bitbucketPr = buildBitbucketPr({ title: 'Fix login form', description: 'Now with tests' });
+
+    const actions = await bitbucketWebhooks.translateUpdate(org, buildPullRequest(), bitbucketPr);
+
+    expect(actions).toEqual([{
+      action: 'edited',
+      changes: { title: { from: 'Fix login' }, body: { from: 'Fixes the login form' } }
+    }]);
+  });
+
+  test('treats a missing description the same as an empty one', async () => {
+    const pullRequest = buildPullRequest({ description: '' });
+    const bitbucketPr = buildBitbucketPr({ description: null });
+
+    expect(await bitbucketWebhooks.translateUpdate(org, pullRequest, bitbucketPr)).toEqual([]);
+  });
+
+  test('reports draft changes', async () => {
+    const toDraft = await bitbucketWebhooks.translateUpdate(org, buildPullRequest(), buildBitbucketPr({ draft: true }));
+    const ready = await bitbucketWebhooks.translateUpdate(org, buildPullRequest({ is_draft: true }), buildBitbucketPr());
+
+    expect(toDraft).toEqual([{ action: 'converted_to_draft' }]);
+    expect(ready).toEqual([{ action: 'ready_for_review' }]);
+  });
+
+  test('requests reviews from reviewers without an active request', async () => {
+    db.reviewRequests.getByPrId.mockResolvedValue([
+      { reviewer_id: 'user-alice', status: 'pending' },
+      { reviewer_id: 'user-bob', status: 'removed' }
+    ]);
+    const bitbucketPr = buildBitbucketPr({
+      reviewers: [
+        { account_id: 'acct-alice', nickname: 'alice' },
+        { account_id: 'acct-bob', nickname: 'bob' },
+        { account_id: 'acct-carol', nickname: 'carol', display_name: 'Carol' }
+      ]
+    });
+
+    const actions = await bitbucketWebhooks.translateUpdate(org, buildPullRequest(), bitbucketPr);
+
+    expect(actions).toEqual([
+      { action: 'review_requested', requested_reviewer: { login: 'bitbucket:bob' } },
+      { action: 'review_requested', requested_reviewer: { login: 'bitbucket:carol' } }
+    ]);
+  });
+
+  test('removes pending requests for reviewers no longer on the pull request', async () => {
+    db.reviewRequests.getByPrId.mockResolvedValue([
+      { reviewer_id: 'user-alice', status: 'pending' },
+      { reviewer_id: 'user-bob', status: 'pending' }
+    ]);
+    db.reviewRequests.findPendingByPrId.mockResolvedValue([
+      { reviewer_id: 'user-alice', reviewer: { github_username: 'alice' } },
+      { reviewer_id: 'user-bob', reviewer: { github_username: 'bitbucket:bob' } },
+      { reviewer_id: null, team_slug: 'platform', reviewer: null }
+    ]);
+    const bitbucketPr = buildBitbucketPr({ reviewers: [{ account_id: 'acct-alice', nickname: 'alice' }] });
+
+    const actions = await bitbucketWebhooks.translateUpdate(org, buildPullRequest(), bitbucketPr);
+
+    expect(actions).toEqual([
+      { action: 'review_request_removed', requested_reviewer: { login: 'bitbucket:bob' } }
+    ]);
+  });
+
+  test('reports a new head commit as a synchronize', async () => {
+    const bitbucketPr = buildBitbucketPr({ source: { commit: { hash: 'def456' } } });
+
+    const actions = await bitbucketWebhooks.translateUpdate(org, buildPullRequest(), bitbucketPr);
+
+    expect(actions).toEqual([{ action: 'synchronize' }]);
+  });
+
+  test('ignores events without a head commit', async () => {
+    const bitbucketPr = buildBitbucketPr({ source: {} });
+
+    expect(await bitbucketWebhooks.translateUpdate(org, buildPullRequest(), bitbucketPr)).toEqual([]);
+  });
+});
@@ -2,10 +2,19 @@
 const db = require('../supabase/functions');
 const slackService = require('../slack/messages');
 const slackChannels = require('../slack/channels');
+const reconciliation = require('../github/reconciliation');
+const { getPullRequestUrl } = require('../../utils/github');
 const { WebClient } = require('@slack/web-api');
 const cron = require('node-cron');
 const { supabase } = require('../supabase/client'); // Correct import
 
+// CI results wait this long for a pull request to reach their commit
+const PENDING_CI_CHECK_DAYS = 7;
+
+// Archive runs that try to export a channel's transcript before archiving it
+// without one
+const MAX_TRANSCRIPT_EXPORT_ATTEMPTS = 3;
+
 /**
  * Database functions for cron status tracking
  */
@@ -90,6 +99,21 @@ async function processReminders() {
         const fullPR = await db.pullRequests.findById(pr.pr_id);
         if (!fullPR) continue;
 
+        const org = await db.organizations.findById(pr.org_id);
+
+        // Organizations can hold reminders while CI is red, since the
+        // author has to fix the build before review makes sense
+        if (fullPR.ci_status === 'failure') {
+          if (org.settings?.skip_reminders_when_ci_failing) {
+            results.push({
+              pr_id: pr.pr_id,
+              status: 'skipped',
+              reason: 'CI failing'
+            });
+            continue;
+          }
+        }
+        
         // Get repository data
         const repo = await db.repositories.findById(fullPR.repo_id);
         if (!repo) continue;
@@ -104,6 +128,7 @@ async function processReminders() {
         const approvedReviewers = [];
         const changesRequestedReviewers = [];
         const pendingReviewers = [];
+        let snoozedCount = 0;
         
         // Get all review requests for status information
         const reviewRequests = await db.pullRequests.getReviewRequests(pr.pr_id);
@@ -122,10 +147,26 @@ async function processReminders() {
           } else if (rr.status === 'changes_requested') {
             changesRequestedReviewers.push(reviewerInfo);
           } else if (rr.status === 'pending') {
+            // Snoozed reviewers aren't pinged until the snooze ends
+            if (rr.snoozed_until && new Date(rr.snoozed_until) > now) {
+              snoozedCount++;
+              continue;
+            }
+            
             pendingReviewers.push(reviewerInfo);
           }
         }
         
+        // Nobody left to ping; the reminder goes out once a snooze ends
+        if (pendingReviewers.length === 0 && snoozedCount > 0) {
+          results.push({
+            pr_id: pr.pr_id,
+            status: 'skipped',
+            reason: 'Reviewers snoozed'
+          });
+          continue;
+        }
+        
         // Prepare reminder data
         const reminderData = {
           prId: pr.pr_id,
@@ -137,13 +178,13 @@ async function processReminders() {
           approvedReviewers,
           changesRequestedReviewers,
           pendingReviewers,
-          url: `https://github.com/${repo.github_repo_name}/pull/${pr.pr_github_number}`
+          url: getPullRequestUrl(org, repo.github_repo_name, pr.pr_github_number, repo.provider)
         };
         
         // Send the reminder message
         await slackService.sendPrReminderMessage(
           pr.slack_bot_token,
-          pr.slack_channel_id,
+          slackService.getPrDestination(fullPR),
           reminderData
         );
         
@@ -180,36 +221,6 @@ async function processReminders() {
   }
 }
 
-
-async function debugPrReminders() {
-    try {
-      // Get the PR reminders service
-      const remindersService = require('../notifications/reminders');
-      
-      // Check if function exists
-      if (typeof remindersService.processReminders !== 'function') {
-        console.error('processReminders function not found in reminders service');
-        return {
-          success: false,
-          error: 'processReminders function not found'
-        };
-      }
-      
-      // Run the process
-      console.log('Calling processReminders...');
-      const result = await remindersService.processReminders();
-      console.log('processReminders result:', result);
-      
-      return result;
-    } catch (error) {
-      console.error('Error in debugPrReminders:', error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
-  }
-
 /**
  * Process and archive channels for closed/merged PRs
  * @returns {Promise<Object>} Summary of processed archives
@@ -254,6 +265,45 @@ async function processChannelArchives() {
             continue;
           }
           
+          // The PR may have been reopened since the list was built
+          if (pr.status === 'open') {
+            console.log(`Skipping archive - PR ${channel.pr_id} was reopened`);
+            continue;
+          }
+          
+          // Save the channel's messages first; a failed export leaves the
+          // channel open until the next run, until the attempts run out
+          if (channel.export_transcript && !pr.slack_transcript_id) {
+            try {
+              console.log('Exporting channel transcript...');
+              const messages = await slackChannels.exportChannelMessages(channel.slack_bot_token, channel.slack_channel_id);
+              const transcript = await db.channelTranscripts.create({
+                pr_id: channel.pr_id,
+                slack_channel_id: channel.slack_channel_id,
+                messages,
+                message_count: messages.length
+              });
+              
+              await db.pullRequests.update(channel.pr_id, {
+                slack_transcript_id: transcript.id,
+                transcript_export_error: null
+              });
+            } catch (error) {
+              const attempts = (pr.transcript_export_attempts || 0) + 1;
+              
+              await db.pullRequests.update(channel.pr_id, {
+                transcript_export_attempts: attempts,
+                transcript_export_error: error.message
+              });
+              
+              if (attempts < MAX_TRANSCRIPT_EXPORT_ATTEMPTS) {
+                throw error;
+              }
+              
+              console.error(`Archiving channel ${channel.slack_channel_id} without a transcript after ${attempts} failed exports:`, error.message);
+            }
+          }
+          
           // Send notification before archiving
           console.log('Sending notification before archiving...');
           const client = new WebClient(channel.slack_bot_token);
@@ -266,6 +316,9 @@ async function processChannelArchives() {
           // Archive the channel
           console.log(`Archiving channel ${channel.slack_channel_id}...`);
           await slackChannels.archiveChannel(channel.slack_bot_token, channel.slack_channel_id);
+          await db.pullRequests.update(channel.pr_id, {
+            slack_channel_archived_at: new Date().toISOString()
+          });
           
           archived++;
           results.push({
@@ -298,6 +351,46 @@ async function processChannelArchives() {
     }
   }
 
+/**
+ * Reconcile open PRs with GitHub and record a summary report
+ * @returns {Promise<Object>} Summary of the reconciliation
+ */
+async function processReconciliation() {
+  const run = await db.reconciliationRuns.create({
+    status: 'running',
+    started_at: new Date().toISOString()
+  });
+  
+  try {
+    const report = await reconciliation.reconcileOpenPullRequests();
+    
+    await db.reconciliationRuns.update(run.id, {
+      status: 'completed',
+      checked_prs: report.checked,
+      corrected_prs: report.corrected,
+      failed_prs: report.failed,
+      corrections: report.corrections,
+      completed_at: new Date().toISOString()
+    });
+    
+    return {
+      success: true,
+      run_id: run.id,
+      ...report
+    };
+  } catch (error) {
+    console.error('Error reconciling pull requests:', error);
+    
+    await db.reconciliationRuns.update(run.id, {
+      status: 'failed',
+      last_error: error.message,
+      completed_at: new Date().toISOString()
+    });
+    
+    throw error;
+  }
+}
+
 /**
  * Check if we should run a cron job based on last run time
  * @param {string} jobName - Name of the cron job
@@ -334,7 +427,8 @@ function setupCronJobs() {
   global.cronInitialized = true;
   global.cronLastCheck = {
     pr_reminder: null,
-    channel_archival: null
+    channel_archival: null,
+    pr_reconciliation: null
   };
   
   // Log memory usage on startup
@@ -403,6 +497,11 @@ function setupCronJobs() {
         const result = await processChannelArchives();
         console.log(`[CRON] Channel archival processed: ${result.archived} archived, ${result.failed} failed`);
         
+        // CI results for commits no PR reached are of no more use
+        const ciCutoff = new Date(Date.now() - PENDING_CI_CHECK_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        const prunedChecks = await db.pendingCiChecks.deleteOlderThan(ciCutoff);
+        console.log(`[CRON] Dropped ${prunedChecks} CI result(s) for commits without a pull request`);
+        
         // Update last run time
         await cronStatus.updateLastRunTime('channel_archival');
       } else {
@@ -419,6 +518,31 @@ function setupCronJobs() {
     }
   });
   
+  // PR Reconciliation job - Check every 6 hours
+  cron.schedule('30 */6 * * *', async () => {
+    const now = new Date();
+    global.cronLastCheck.pr_reconciliation = now.toISOString();
+    
+    console.log(`[${now.toISOString()}] Checking if PR reconciliation should run...`);
+    
+    try {
+      // Check if we should run the job
+      if (await shouldRunCronJob('pr_reconciliation', 5.5)) { // Run if at least 5.5 hours since last run
+        console.log('[CRON] Running PR reconciliation...');
+        
+        const result = await processReconciliation();
+        console.log(`[CRON] PR reconciliation processed: ${result.checked} checked, ${result.corrected} corrected, ${result.failed} failed`);
+        
+        // Update last run time
+        await cronStatus.updateLastRunTime('pr_reconciliation');
+      } else {
+        console.log('[CRON] Skipping PR reconciliation, ran recently');
+      }
+    } catch (error) {
+      console.error('[CRON] Error in PR reconciliation cron job:', error);
+    }
+  });
+  
   console.log('[CRON] Cron jobs set up successfully');
 }
 
@@ -431,6 +555,8 @@ function addCronHealthEndpoint(app) {
     try {
       const prReminderLastRun = await cronStatus.getLastRunTime('pr_reminder');
       const channelArchivalLastRun = await cronStatus.getLastRunTime('channel_archival');
+      const reconciliationLastRun = await cronStatus.getLastRunTime('pr_reconciliation');
+      const lastReconciliation = await db.reconciliationRuns.findLatest();
       
       res.json({
         status: 'ok',
@@ -449,6 +575,18 @@ function addCronHealthEndpoint(app) {
           channel_archival: {
             last_run: channelArchivalLastRun,
             last_check: global.cronLastCheck?.channel_archival || null
+          },
+          pr_reconciliation: {
+            last_run: reconciliationLastRun,
+            last_check: global.cronLastCheck?.pr_reconciliation || null,
+            // Counts only; the corrections stay in reconciliation_runs
+            last_report: lastReconciliation && {
+              status: lastReconciliation.status,
+              checked_prs: lastReconciliation.checked_prs,
+              corrected_prs: lastReconciliation.corrected_prs,
+              failed_prs: lastReconciliation.failed_prs,
+              completed_at: lastReconciliation.completed_at
+            }
           }
         }
       });
@@ -467,5 +605,5 @@ module.exports = {
   addCronHealthEndpoint,
   processReminders,
   processChannelArchives,
-  debugPrReminders
+  processReconciliation
 };
\ No newline at end of file
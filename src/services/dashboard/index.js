@@ -1545,9 +1545,10 @@ async getTeamMemberPerformance(repoIds, teamMembers, startDate) {
    * @param {string} orgId - Organization ID
    * @param {string} name - Team name
    * @param {Array} memberIds - Member IDs
+   * @param {Object} mapping - GitHub team slug and Slack group ID
    * @returns {Promise<Object>} Created team
    */
-  async createTeam(orgId, name, memberIds) {
+  async createTeam(orgId, name, memberIds, mapping = {}) {
     try {
       // Verify all member IDs belong to this organization
       if (memberIds.length > 0) {
@@ -1575,13 +1576,19 @@ async getTeamMemberPerformance(repoIds, teamMembers, startDate) {
           { 
             org_id: orgId, 
             name, 
-            member_ids: memberIds 
+            member_ids: memberIds,
+            ...mapping
           }
         ])
         .select()
         .single();
       
-      if (error) throw error;
+      if (error) {
+        if (error.code === '23505') {
+          throw new ApiError(409, 'Another team is already mapped to this GitHub team');
+        }
+        throw error;
+      }
       
       // Get team members
       const members = await this.getTeamMembers(orgId, data.id);
@@ -1602,9 +1609,10 @@ async getTeamMemberPerformance(repoIds, teamMembers, startDate) {
    * @param {string} teamId - Team ID
    * @param {string} name - Team name
    * @param {Array} memberIds - Member IDs
+   * @param {Object} mapping - GitHub team slug and Slack group ID
    * @returns {Promise<Object>} Updated team
    */
-  async updateTeam(orgId, teamId, name, memberIds) {
+  async updateTeam(orgId, teamId, name, memberIds, mapping = {}) {
     try {
       // First, verify the team exists and belongs to this org
       const { data: team, error: teamError } = await supabase
@@ -1643,13 +1651,18 @@ async getTeamMemberPerformance(repoIds, teamMembers, startDate) {
       // Update the team
       const { data, error } = await supabase
         .from('teams')
-        .update({ name, member_ids: memberIds })
+        .update({ name, member_ids: memberIds, ...mapping })
         .eq('id', teamId)
         .eq('org_id', orgId)
         .select()
         .single();
       
-      if (error) throw error;
+      if (error) {
+        if (error.code === '23505') {
+          throw new ApiError(409, 'Another team is already mapped to this GitHub team');
+        }
+        throw error;
+      }
       
       // Get team members
       const members = await this.getTeamMembers(orgId, data.id);
@@ -1,22 +1,37 @@
 // src/services/github/api.js
 
 const githubAuth = require('./auth')
+const { DEFAULT_BASE_URL, DEFAULT_API_URL } = require('../../utils/github');
 
 /**
  * GitHub API service
  * Handles direct GitHub API interactions
+ * Every token parameter also accepts { token, apiUrl, baseUrl } from
+ * getGithubAuth, which points the call at a GitHub Enterprise Server
  */
 
 /**
  * Create an Octokit instance
- * @param {string} token - GitHub access token
+ * @param {string|Object} token - GitHub access token, or token with the organization's GitHub URLs
  * @returns {Promise<Object>} Octokit instance
  */
 const createOctokit = async (token) => {
   const { Octokit } = await import('@octokit/rest');
-  return new Octokit({ auth: token });
+  
+  if (typeof token === 'string') {
+    return new Octokit({ auth: token });
+  }
+  
+  return new Octokit({ auth: token.token, baseUrl: token.apiUrl || DEFAULT_API_URL });
 };
 
+/**
+ * Get the GitHub web URL links should point at
+ * @param {string|Object} token - GitHub access token, or token with the organization's GitHub URLs
+ * @returns {string} GitHub base URL
+ */
+const getWebUrl = (token) => token?.baseUrl || DEFAULT_BASE_URL;
+
 /**
  * Create a comment on a PR
  * @param {string} token - GitHub access token
@@ -76,7 +91,7 @@ const createCommentReply = async (token, repoFullName, prNumber, commentId, body
         token, 
         repoFullName, 
         prNumber, 
-        `> Re: [comment](https://github.com/${repoFullName}/pull/${prNumber}#issuecomment-${commentId})\n\n${body}`
+        `> Re: [comment](${getWebUrl(token)}/${repoFullName}/pull/${prNumber}#issuecomment-${commentId})\n\n${body}`
       );
     } catch (error) {
       console.error('Error replying to GitHub comment:', error);
@@ -100,7 +115,7 @@ const createReviewComment = async (token, repoFullName, prNumber, reviewId, body
       token,
       repoFullName,
       prNumber,
-      `> Re: [review](https://github.com/${repoFullName}/pull/${prNumber}#pullrequestreview-${reviewId})\n\n${body}`
+      `> Re: [review](${getWebUrl(token)}/${repoFullName}/pull/${prNumber}#pullrequestreview-${reviewId})\n\n${body}`
     );
   } catch (error) {
     console.error('Error replying to GitHub review:', error);
@@ -140,6 +155,104 @@ const updateComment = async (token, repoFullName, commentId, body) => {
   }
 };
 
+/**
+ * Get a comment on a PR's conversation
+ * @param {string} token - GitHub access token
+ * @param {string} repoFullName - Repository full name (owner/repo)
+ * @param {string} commentId - Comment ID
+ * @returns {Promise<Object>} Comment data
+ */
+const getIssueComment = async (token, repoFullName, commentId) => {
+  try {
+    const octokit = await createOctokit(token);
+    const [owner, repo] = repoFullName.split('/');
+    
+    const { data } = await octokit.issues.getComment({
+      owner,
+      repo,
+      comment_id: commentId
+    });
+    
+    return data;
+  } catch (error) {
+    console.error('Error fetching GitHub comment:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a comment on a PR's conversation
+ * @param {string} token - GitHub access token
+ * @param {string} repoFullName - Repository full name (owner/repo)
+ * @param {string} commentId - Comment ID
+ * @returns {Promise<void>}
+ */
+const deleteComment = async (token, repoFullName, commentId) => {
+  try {
+    const octokit = await createOctokit(token);
+    const [owner, repo] = repoFullName.split('/');
+    
+    await octokit.issues.deleteComment({
+      owner,
+      repo,
+      comment_id: commentId
+    });
+  } catch (error) {
+    console.error('Error deleting GitHub comment:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update a review (line) comment
+ * @param {string} token - GitHub access token
+ * @param {string} repoFullName - Repository full name (owner/repo)
+ * @param {string} commentId - Review comment ID
+ * @param {string} body - Updated comment body
+ * @returns {Promise<Object>} Updated review comment
+ */
+const updateReviewComment = async (token, repoFullName, commentId, body) => {
+  try {
+    const octokit = await createOctokit(token);
+    const [owner, repo] = repoFullName.split('/');
+    
+    const { data } = await octokit.pulls.updateReviewComment({
+      owner,
+      repo,
+      comment_id: commentId,
+      body
+    });
+    
+    return data;
+  } catch (error) {
+    console.error('Error updating review comment:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a review (line) comment
+ * @param {string} token - GitHub access token
+ * @param {string} repoFullName - Repository full name (owner/repo)
+ * @param {string} commentId - Review comment ID
+ * @returns {Promise<void>}
+ */
+const deleteReviewComment = async (token, repoFullName, commentId) => {
+  try {
+    const octokit = await createOctokit(token);
+    const [owner, repo] = repoFullName.split('/');
+    
+    await octokit.pulls.deleteReviewComment({
+      owner,
+      repo,
+      comment_id: commentId
+    });
+  } catch (error) {
+    console.error('Error deleting review comment:', error);
+    throw error;
+  }
+};
+
 /**
  * Get details of a pull request
  * @param {string} token - GitHub access token
@@ -165,19 +278,136 @@ const getPullRequest = async (token, repoFullName, prNumber) => {
   }
 };
 
+/**
+ * List pull requests created since a date, newest first
+ * @param {string} token - GitHub access token
+ * @param {string} repoFullName - Repository full name (owner/repo)
+ * @param {Date} since - Oldest creation date to include
+ * @returns {Promise<Array>} Pull requests in any state
+ */
+const listPullRequestsSince = async (token, repoFullName, since) => {
+  try {
+    const octokit = await createOctokit(token);
+    const [owner, repo] = repoFullName.split('/');
+    
+    return await octokit.paginate(
+      octokit.pulls.list,
+      {
+        owner,
+        repo,
+        state: 'all',
+        sort: 'created',
+        direction: 'desc',
+        per_page: 100
+      },
+      (response, done) => {
+        const recent = response.data.filter(pr => new Date(pr.created_at) >= since);
+        
+        // Sorted by creation, so the first older PR ends the listing
+        if (recent.length < response.data.length) {
+          done();
+        }
+        
+        return recent;
+      }
+    );
+  } catch (error) {
+    console.error('Error listing pull requests:', error);
+    throw error;
+  }
+};
+
+/**
+ * List the reviews submitted on a pull request
+ * @param {string} token - GitHub access token
+ * @param {string} repoFullName - Repository full name (owner/repo)
+ * @param {number} prNumber - PR number
+ * @returns {Promise<Array>} Reviews, oldest first
+ */
+const listReviews = async (token, repoFullName, prNumber) => {
+  try {
+    const octokit = await createOctokit(token);
+    const [owner, repo] = repoFullName.split('/');
+    
+    return await octokit.paginate(octokit.pulls.listReviews, {
+      owner,
+      repo,
+      pull_number: prNumber,
+      per_page: 100
+    });
+  } catch (error) {
+    console.error('Error listing reviews:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the check runs and commit statuses of a commit
+ * @param {string} token - GitHub access token
+ * @param {string} repoFullName - Repository full name (owner/repo)
+ * @param {string} ref - Commit SHA or ref
+ * @returns {Promise<Object>} checkRuns and statuses (latest per context)
+ */
+const getCommitChecks = async (token, repoFullName, ref) => {
+  try {
+    const octokit = await createOctokit(token);
+    const [owner, repo] = repoFullName.split('/');
+    
+    const [checkRuns, combined] = await Promise.all([
+      octokit.paginate(octokit.checks.listForRef, { owner, repo, ref, per_page: 100 }),
+      octokit.repos.getCombinedStatusForRef({ owner, repo, ref })
+    ]);
+    
+    return {
+      checkRuns,
+      statuses: combined.data.statuses
+    };
+  } catch (error) {
+    console.error('Error getting commit checks:', error);
+    throw error;
+  }
+};
+
+/**
+ * List the review request events of a pull request
+ * @param {string} token - GitHub access token
+ * @param {string} repoFullName - Repository full name (owner/repo)
+ * @param {number} prNumber - PR number
+ * @returns {Promise<Array>} review_requested events, oldest first
+ */
+const listReviewRequestEvents = async (token, repoFullName, prNumber) => {
+  try {
+    const octokit = await createOctokit(token);
+    const [owner, repo] = repoFullName.split('/');
+    
+    const events = await octokit.paginate(octokit.issues.listEvents, {
+      owner,
+      repo,
+      issue_number: prNumber,
+      per_page: 100
+    });
+    
+    return events.filter(event => event.event === 'review_requested');
+  } catch (error) {
+    console.error('Error listing review request events:', error);
+    throw error;
+  }
+};
+
 /**
  * Refresh GitHub OAuth token
  * @param {string} refreshToken - GitHub refresh token
+ * @param {string} baseUrl - GitHub base URL
  * @returns {Promise<Object>} New access token data
  */
-const refreshToken = async (refreshToken) => {
+const refreshToken = async (refreshToken, baseUrl = DEFAULT_BASE_URL) => {
   try {
     // Set up the request to GitHub's token endpoint
     const clientId = process.env.GITHUB_CLIENT_ID;
     const clientSecret = process.env.GITHUB_CLIENT_SECRET;
     
     // Call GitHub's token endpoint to get a new access token
-    const response = await fetch('https://github.com/login/oauth/access_token', {
+    const response = await fetch(`${baseUrl}/login/oauth/access_token`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -276,6 +506,33 @@ const requestReviewers = async (token, repoFullName, prNumber, reviewers) => {
   }
 };
 
+/**
+ * Remove requested reviewers from a pull request
+ * @param {string} token - GitHub token
+ * @param {string} repoFullName - Repository full name (owner/repo)
+ * @param {number} prNumber - Pull request number
+ * @param {Array<string>} reviewers - GitHub usernames
+ * @returns {Promise<Object>} Updated pull request
+ */
+const removeRequestedReviewers = async (token, repoFullName, prNumber, reviewers) => {
+  try {
+    const octokit = await createOctokit(token);
+    const [owner, repo] = repoFullName.split('/');
+    
+    const response = await octokit.pulls.removeRequestedReviewers({
+      owner,
+      repo,
+      pull_number: prNumber,
+      reviewers
+    });
+    
+    return response.data;
+  } catch (error) {
+    console.error('Error removing requested reviewers:', error);
+    throw error;
+  }
+};
+
 /**
  * Get organization members
  * @param {string} token - GitHub installation token
@@ -298,6 +555,28 @@ const getOrgMembers = async (token, org) => {
   }
 };
 
+/**
+ * Get members of a GitHub team
+ * @param {string} token - GitHub installation token
+ * @param {string} org - Organization name
+ * @param {string} teamSlug - Team slug
+ * @returns {Promise<Array>} Array of team members
+ */
+const getTeamMembers = async (token, org, teamSlug) => {
+  try {
+    const octokit = await createOctokit(token);
+    
+    return await octokit.paginate(octokit.teams.listMembersInOrg, {
+      org,
+      team_slug: teamSlug,
+      per_page: 100
+    });
+  } catch (error) {
+    console.error('Error getting team members:', error);
+    throw error;
+  }
+};
+
 
 /**
  * Get a specific review comment
@@ -370,7 +649,7 @@ const createReviewLineCommentReply = async (token, repoFullName, prNumber, comme
           token,
           repoFullName,
           prNumber,
-          `> Re: [comment on line](https://github.com/${repoFullName}/pull/${prNumber}#discussion_r${commentId})\n\n${body}`
+          `> Re: [comment on line](${getWebUrl(token)}/${repoFullName}/pull/${prNumber}#discussion_r${commentId})\n\n${body}`
         );
       }
     } catch (error) {
@@ -414,7 +693,7 @@ const getOrgRepos = async (token, org) => {
 const getReviewComments = async (orgId, repoFullName, prNumber, reviewId) => {
   try {
     // Get token using the new auth method
-    const token = await githubAuth.getAccessToken(orgId);
+    const token = await githubAuth.getApiAuth(orgId);
     
     if (!token) {
       console.error('No valid GitHub token available');
@@ -496,21 +775,113 @@ const createPullRequestReview = async (token, owner, repo, pullNumber, event, bo
   }
 };
 
+/**
+ * Find the review thread a line comment belongs to
+ * Threads are only exposed through GraphQL, so they are matched by the
+ * database IDs of their comments
+ * @param {string} token - GitHub access token
+ * @param {string} repoFullName - Repository full name (owner/repo)
+ * @param {number} prNumber - PR number
+ * @param {string|number} commentId - ID of a comment in the thread
+ * @returns {Promise<Object|null>} Thread ID and resolution state, or null if not found
+ */
+const findReviewThread = async (token, repoFullName, prNumber, commentId) => {
+  try {
+    const octokit = await createOctokit(token);
+    const [owner, repo] = repoFullName.split('/');
+    
+    let cursor = null;
+    do {
+      const { repository } = await octokit.graphql(`
+        query($owner: String!, $repo: String!, $prNumber: Int!, $cursor: String) {
+          repository(owner: $owner, name: $repo) {
+            pullRequest(number: $prNumber) {
+              reviewThreads(first: 100, after: $cursor) {
+                nodes {
+                  id
+                  isResolved
+                  comments(first: 100) {
+                    nodes { databaseId }
+                  }
+                }
+                pageInfo { hasNextPage endCursor }
+              }
+            }
+          }
+        }
+      `, { owner, repo, prNumber, cursor });
+      
+      const threads = repository.pullRequest.reviewThreads;
+      const thread = threads.nodes.find(node => node.comments.nodes.some(
+        comment => comment.databaseId?.toString() === commentId.toString()
+      ));
+      
+      if (thread) {
+        return { id: thread.id, isResolved: thread.isResolved };
+      }
+      
+      cursor = threads.pageInfo.hasNextPage ? threads.pageInfo.endCursor : null;
+    } while (cursor);
+    
+    return null;
+  } catch (error) {
+    console.error('Error finding review thread:', error);
+    throw error;
+  }
+};
+
+/**
+ * Resolve a review thread
+ * @param {string} token - GitHub access token
+ * @param {string} threadId - GraphQL node ID of the thread
+ * @returns {Promise<Object>} Resolved thread
+ */
+const resolveReviewThread = async (token, threadId) => {
+  try {
+    const octokit = await createOctokit(token);
+    
+    const { resolveReviewThread: result } = await octokit.graphql(`
+      mutation($threadId: ID!) {
+        resolveReviewThread(input: { threadId: $threadId }) {
+          thread { id isResolved }
+        }
+      }
+    `, { threadId });
+    
+    return result.thread;
+  } catch (error) {
+    console.error('Error resolving review thread:', error);
+    throw error;
+  }
+};
+
 module.exports = {
   createComment,
   createCommentReply,
   updateComment,
+  getIssueComment,
+  deleteComment,
+  updateReviewComment,
+  deleteReviewComment,
   getPullRequest,
+  listPullRequestsSince,
+  listReviews,
+  listReviewRequestEvents,
+  getCommitChecks,
   getPullRequestComments,
   requestReviewers,
+  removeRequestedReviewers,
   getOrgMembers,
+  getTeamMembers,
   getOrgRepos,
   createReviewLineCommentReply,
   refreshToken,
   getReviewComments,
   getReview,
   getReviewComment,
-  createPullRequestReview
+  createPullRequestReview,
+  findReviewThread,
+  resolveReviewThread
 };
 
 
@@ -4,8 +4,24 @@ const { supabase } = require('../supabase/client');
 const db = require('../supabase/functions');
 const config = require('../../config');
 const logger = require('../../utils/formatting');
+const { getGithubUrls, getGithubAuth, DEFAULT_BASE_URL, DEFAULT_API_URL } = require('../../utils/github');
 
 const githubAuth = {
+  /**
+   * Get an organization's GitHub web and API URLs
+   * @param {string} orgId - Organization ID
+   * @returns {Promise<Object>} baseUrl and apiUrl
+   */
+  async getGithubUrls(orgId) {
+    const { data: org } = await supabase
+      .from('organizations')
+      .select('github_base_url, github_api_url')
+      .eq('id', orgId)
+      .single();
+    
+    return getGithubUrls(org);
+  },
+
   // Generate GitHub OAuth URL
   async getAuthUrl(userId, orgId) {
     // Create state parameter with user and org IDs
@@ -14,8 +30,10 @@ const githubAuth = {
       orgId
     })).toString('base64');
     
+    const { baseUrl } = await this.getGithubUrls(orgId);
+    
     // Build GitHub OAuth URL
-    const url = new URL('https://github.com/login/oauth/authorize');
+    const url = new URL(`${baseUrl}/login/oauth/authorize`);
     url.searchParams.append('client_id', config.github.clientId);
     url.searchParams.append('redirect_uri', config.github.redirectUri);
     url.searchParams.append('scope', 'repo user:email admin:org');
@@ -28,8 +46,11 @@ const githubAuth = {
     // State param for tracking the org after callback
     const state = Buffer.from(JSON.stringify({ orgId })).toString('base64');
     
-    // URL to install the GitHub App
-    const url = `https://github.com/apps/${config.github.appName}/installations/new?state=${state}`;
+    const { baseUrl } = await this.getGithubUrls(orgId);
+    
+    // URL to install the GitHub App; Enterprise Server serves apps under /github-apps
+    const appsPath = baseUrl === DEFAULT_BASE_URL ? 'apps' : 'github-apps';
+    const url = `${baseUrl}/${appsPath}/${config.github.appName}/installations/new?state=${state}`;
     
     return url;
   },
@@ -44,13 +65,16 @@ const githubAuth = {
       const { Octokit } = await import('@octokit/rest');
       const { createAppAuth } = await import('@octokit/auth-app');
       
+      const { apiUrl } = await this.getGithubUrls(orgId);
+      
       const appOctokit = new Octokit({
         authStrategy: createAppAuth,
         auth: {
           appId: config.github.appId,
           privateKey: config.github.privateKey.replace(/\\n/g, '\n'),
           installationId
-        }
+        },
+        baseUrl: apiUrl
       });
       
       // Get installation details
@@ -68,6 +92,9 @@ const githubAuth = {
         })
         .eq('id', orgId);
       
+      // Deliveries that arrived before the organization was linked
+      await db.webhookJobs.assignOrg(installation.account.id.toString(), orgId);
+      
       // Get repositories from this installation
       const { data: repos } = await appOctokit.apps.listReposAccessibleToInstallation();
       
@@ -81,7 +108,7 @@ const githubAuth = {
             github_repo_name: repo.full_name,
             is_active: true // Set active by default since admin explicitly selected them
           }, {
-            onConflict: 'org_id, github_repo_id'
+            onConflict: 'org_id, provider, github_repo_id'
           });
       }
       
@@ -96,12 +123,13 @@ const githubAuth = {
   /**
    * Validate GitHub credentials before storing
    * @param {string} accessToken - GitHub access token to validate
+   * @param {string} apiUrl - GitHub API URL
    * @returns {Promise<boolean>} True if valid, false otherwise
    */
-  async validateGitHubCredentials(accessToken) {
+  async validateGitHubCredentials(accessToken, apiUrl = DEFAULT_API_URL) {
     try {
       const { Octokit } = await import('@octokit/rest');
-      const octokit = new Octokit({ auth: accessToken });
+      const octokit = new Octokit({ auth: accessToken, baseUrl: apiUrl });
       
       // Test the token by making a simple API call
       const { data } = await octokit.users.getAuthenticated();
@@ -130,8 +158,10 @@ const githubAuth = {
       // Decode state
       const { userId, orgId } = JSON.parse(Buffer.from(state, 'base64').toString());
       
+      const { baseUrl, apiUrl } = await this.getGithubUrls(orgId);
+      
       // Exchange code for token
-      const response = await axios.post('https://github.com/login/oauth/access_token', {
+      const response = await axios.post(`${baseUrl}/login/oauth/access_token`, {
         client_id: config.github.clientId,
         client_secret: config.github.clientSecret,
         code
@@ -147,14 +177,14 @@ const githubAuth = {
       
       const accessToken = response.data.access_token;
 
-      const { valid, username, error: validationError } = await this.validateGitHubCredentials(accessToken);
+      const { valid, username, error: validationError } = await this.validateGitHubCredentials(accessToken, apiUrl);
 
       if (!valid) {
         throw new Error(`Failed to validate GitHub token: ${validationError}`);
       }
       
       // Get user info from GitHub
-      const userResponse = await axios.get('https://api.github.com/user', {
+      const userResponse = await axios.get(`${apiUrl}/user`, {
         headers: {
           Authorization: `token ${accessToken}`
         }
@@ -192,7 +222,7 @@ const githubAuth = {
     }
   },
 
-  async getInstallationToken(installationId) {
+  async getInstallationToken(installationId, apiUrl = DEFAULT_API_URL) {
     try {      
       // Skip if not a valid installation ID
       if (!installationId || installationId === 'direct_oauth') {
@@ -200,17 +230,23 @@ const githubAuth = {
         return null;
       }
       
+      const { Octokit } = await import('@octokit/rest');
       const { createAppAuth } = await import('@octokit/auth-app');
       
-      const auth = createAppAuth({
-        appId: config.github.appId,
-        privateKey: config.github.privateKey.replace(/\\n/g, '\n'),
-        clientId: config.github.clientId,
-        clientSecret: config.github.clientSecret
+      // Going through Octokit points the token request at the right server
+      const appOctokit = new Octokit({
+        authStrategy: createAppAuth,
+        auth: {
+          appId: config.github.appId,
+          privateKey: config.github.privateKey.replace(/\\n/g, '\n'),
+          clientId: config.github.clientId,
+          clientSecret: config.github.clientSecret
+        },
+        baseUrl: apiUrl
       });
       
       // Request an installation token
-      const installationAuthentication = await auth({
+      const installationAuthentication = await appOctokit.auth({
         type: "installation",
         installationId
       });
@@ -235,7 +271,7 @@ async  getAccessToken(orgId) {
     // Get organization details
     const { data: org } = await supabase
       .from('organizations')
-      .select('github_installation_id')
+      .select('github_installation_id, github_base_url, github_api_url')
       .eq('id', orgId)
       .single();
     
@@ -247,7 +283,7 @@ async  getAccessToken(orgId) {
     // Use installation token if available
     if (org.github_installation_id && org.github_installation_id !== 'direct_oauth') {
       // Use this.getInstallationToken instead of just getInstallationToken
-      return await this.getInstallationToken(org.github_installation_id);
+      return await this.getInstallationToken(org.github_installation_id, getGithubUrls(org).apiUrl);
     }
     
     
@@ -281,14 +317,33 @@ async  getAccessToken(orgId) {
   }
 },
 
-async refreshGitHubToken(refreshTokenStr) {
+  /**
+   * Get a token for GitHub API access, paired with the organization's
+   * GitHub URLs as the API helpers expect
+   * @param {string} orgId - Organization ID
+   * @returns {Promise<Object|null>} token, apiUrl and baseUrl
+   */
+  async getApiAuth(orgId) {
+    const token = await this.getAccessToken(orgId);
+    if (!token) return null;
+    
+    const { data: org } = await supabase
+      .from('organizations')
+      .select('github_base_url, github_api_url')
+      .eq('id', orgId)
+      .single();
+    
+    return getGithubAuth(org, token);
+  },
+
+async refreshGitHubToken(refreshTokenStr, baseUrl = DEFAULT_BASE_URL) {
   try {
     // Set up the request to GitHub's token endpoint
     const clientId = config.github.clientId;
     const clientSecret = config.github.clientSecret;
     
     // Call GitHub's token endpoint to get a new access token
-    const response = await fetch('https://github.com/login/oauth/access_token', {
+    const response = await fetch(`${baseUrl}/login/oauth/access_token`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -338,7 +393,9 @@ async refreshGitHubToken(refreshTokenStr) {
   // Fetch and save repositories
   async fetchAndSaveRepositories(accessToken, orgId) {
     try {
-      const response = await axios.get('https://api.github.com/user/repos', {
+      const { apiUrl } = await this.getGithubUrls(orgId);
+      
+      const response = await axios.get(`${apiUrl}/user/repos`, {
         headers: {
           Authorization: `token ${accessToken}`
         },
@@ -360,7 +417,7 @@ async refreshGitHubToken(refreshTokenStr) {
             github_repo_name: repo.full_name,
             is_active: false // Default to inactive, user will select which to monitor
           }, {
-            onConflict: 'org_id, github_repo_id'
+            onConflict: 'org_id, provider, github_repo_id'
           });
       }
       
@@ -377,7 +434,7 @@ async getUsers(orgId) {
       // Get installation ID from database
       const { data: org } = await supabase
         .from('organizations')
-        .select('github_installation_id')
+        .select('github_installation_id, github_base_url, github_api_url')
         .eq('id', orgId)
         .single();
   
@@ -394,7 +451,8 @@ async getUsers(orgId) {
           appId: config.github.appId,
           privateKey: config.github.privateKey.replace(/\\n/g, '\n'),
           installationId: org.github_installation_id
-        }
+        },
+        baseUrl: getGithubUrls(org).apiUrl
       });
       
       // Get repositories from this installation
@@ -464,14 +522,14 @@ async getUsers(orgId) {
   // Get repositories
 async getRepositories(orgId) {
   try {
-    // Get organization to check if GitHub is connected
+    // Get organization to check if GitHub or Bitbucket is connected
     const { data: org, error: orgError } = await supabase
       .from('organizations')
-      .select('github_connected')
+      .select('github_connected, bitbucket_workspace')
       .eq('id', orgId)
       .single();
     
-    if (orgError || !org.github_connected) {
+    if (orgError || (!org.github_connected && !org.bitbucket_workspace)) {
       throw new Error('GitHub not connected');
     }
     
@@ -492,13 +550,14 @@ async getRepositories(orgId) {
   }
 },
   
-  // Toggle repository
-  async toggleRepository(orgId, repoId, isActive) {
+  // Toggle repository; repoId is the provider's repository ID
+  async toggleRepository(orgId, repoId, isActive, provider = 'github') {
     try {
       const { data, error } = await supabase
         .from('repositories')
         .update({ is_active: isActive })
         .eq('org_id', orgId)
+        .eq('provider', provider)
         .eq('github_repo_id', repoId)
         .select()
         .single();
@@ -526,7 +585,8 @@ async getRepositories(orgId) {
         github_access_token: accessToken, 
         github_refresh_token: userRefreshToken,
         github_token_expires_at: expiresAt,
-        id: userId
+        id: userId,
+        org_id: orgId
       } = user;
       
       // If no access token, cannot proceed
@@ -538,6 +598,8 @@ async getRepositories(orgId) {
         };
       }
       
+      const { baseUrl, apiUrl } = await this.getGithubUrls(orgId);
+      
       // Check if token is still valid
       const now = new Date();
       const tokenExpires = expiresAt ? new Date(expiresAt) : null;
@@ -547,7 +609,7 @@ async getRepositories(orgId) {
         // Verify token is actually working with GitHub API
         try {
           const { Octokit } = await import('@octokit/rest');
-          const octokit = new Octokit({ auth: accessToken });
+          const octokit = new Octokit({ auth: accessToken, baseUrl: apiUrl });
           await octokit.users.getAuthenticated();
           
           return { 
@@ -567,7 +629,7 @@ async getRepositories(orgId) {
           
           
           // Use the refresh token to get a new access token
-          const tokenData = await this.refreshGitHubToken(userRefreshToken);
+          const tokenData = await this.refreshGitHubToken(userRefreshToken, baseUrl);
           
           if (tokenData && tokenData.access_token) {
             // Update the user's token information in the database using the proper db method
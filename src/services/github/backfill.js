@@ -0,0 +1,310 @@
+/**
+ * Historical PR backfill
+ * Imports a repository's recent PRs, reviews and review requests when it is
+ * activated, so analytics cover the weeks before onboarding. Closed PRs are
+ * only recorded; open PRs go through the usual opened flow and get a channel
+ */
+const { v4: uuidv4 } = require('uuid');
+const db = require('../supabase/functions');
+const githubService = require('./api');
+const githubAuth = require('./auth');
+const webhooks = require('./webhooks');
+
+const MAX_BACKFILL_DAYS = 90;
+
+const REVIEW_STATES = ['approved', 'changes_requested', 'commented'];
+
+// Backfills run one at a time to stay within the GitHub rate limit
+let backfillChain = Promise.resolve();
+
+/**
+ * Find a GitHub user, creating a placeholder record if needed
+ * @param {Object} org - Organization data
+ * @param {string} githubUsername - GitHub username
+ * @returns {Promise<Object>} User record
+ */
+const findOrCreateUser = async (org, githubUsername) => {
+  const user = await db.users.findByGithubUsername(org.id, githubUsername);
+  if (user) return user;
+
+  return await db.users.create({
+    id: uuidv4(),
+    org_id: org.id,
+    github_username: githubUsername,
+    is_admin: false
+  });
+};
+
+/**
+ * Record a PR without creating a Slack channel
+ * @param {Object} org - Organization data
+ * @param {Object} repo - Repository data
+ * @param {Object} pr - Pull request data from GitHub
+ * @returns {Promise<Object>} Pull request record
+ */
+const recordPullRequest = async (org, repo, pr) => {
+  const author = await findOrCreateUser(org, pr.user.login);
+
+  return await db.pullRequests.create({
+    id: uuidv4(),
+    repo_id: repo.id,
+    github_pr_id: pr.id.toString(),
+    github_pr_number: pr.number,
+    title: pr.title,
+    description: pr.body || '',
+    author_id: author.id,
+    status: pr.merged_at ? 'merged' : pr.state,
+    is_draft: Boolean(pr.draft),
+    head_sha: pr.head.sha,
+    labels: (pr.labels || []).map(l => l.name),
+    assignees: (pr.assignees || []).map(a => a.login),
+    milestone: pr.milestone?.title || null,
+    created_at: new Date(pr.created_at).toISOString(),
+    updated_at: new Date(pr.updated_at).toISOString(),
+    merged_at: pr.merged_at ? new Date(pr.merged_at).toISOString() : null,
+    closed_at: pr.closed_at ? new Date(pr.closed_at).toISOString() : null
+  });
+};
+
+/**
+ * Import an open PR as if it had just been opened
+ * Organizations without Slack yet only get the record
+ * @param {string} token - GitHub access token
+ * @param {Object} org - Organization data
+ * @param {Object} repo - Repository data
+ * @param {Object} pr - Pull request data from the PR listing
+ * @returns {Promise<Object|null>} Pull request record, or null when the opened flow skipped the PR
+ */
+const importOpenPullRequest = async (token, org, repo, pr) => {
+  if (!org.slack_bot_token) {
+    return await recordPullRequest(org, repo, pr);
+  }
+
+  // The listing leaves out the diff stats the opened message shows
+  const fullPr = await githubService.getPullRequest(token, repo.github_repo_name, pr.number);
+
+  await webhooks.handlePrOpened(org, repo, fullPr, {
+    action: 'opened',
+    pull_request: fullPr,
+    repository: fullPr.base.repo
+  });
+
+  return await db.pullRequests.findByGithubPrId(repo.id, pr.id.toString());
+};
+
+/**
+ * Import a PR's review requests from its reviews and review_requested events
+ * Each reviewer's latest review decides the status, as with live reviews;
+ * reviewers who are currently requested on an open PR were recorded as
+ * pending by the opened flow
+ * @param {string} token - GitHub access token
+ * @param {Object} org - Organization data
+ * @param {Object} repo - Repository data
+ * @param {Object} pullRequest - Pull request record
+ * @param {Object} pr - Pull request data from GitHub
+ * @returns {Promise<number>} Number of review requests imported
+ */
+const importReviewRequests = async (token, org, repo, pullRequest, pr) => {
+  const [reviews, requestEvents] = await Promise.all([
+    githubService.listReviews(token, repo.github_repo_name, pr.number),
+    githubService.listReviewRequestEvents(token, repo.github_repo_name, pr.number)
+  ]);
+
+  const requestedAt = new Map();
+  for (const event of requestEvents) {
+    const login = event.requested_reviewer?.login;
+    if (login && !requestedAt.has(login)) {
+      requestedAt.set(login, event.created_at);
+    }
+  }
+
+  const latestReviews = new Map();
+  for (const review of reviews) {
+    const login = review.user?.login;
+    if (!login || login === pr.user.login) continue;
+    if (!REVIEW_STATES.includes(review.state.toLowerCase())) continue;
+
+    latestReviews.set(login, review);
+  }
+
+  const stillRequested = (pr.requested_reviewers || []).map(reviewer => reviewer.login);
+  const usernames = new Set([...requestedAt.keys(), ...latestReviews.keys()]);
+
+  let imported = 0;
+
+  for (const username of usernames) {
+    const review = latestReviews.get(username);
+    const isRequested = stillRequested.includes(username);
+
+    if (pr.state === 'open' && isRequested) continue;
+
+    // Requests that were removed without a review never happened for analytics
+    if (!review && !isRequested) continue;
+
+    const reviewer = await findOrCreateUser(org, username);
+    const status = review ? review.state.toLowerCase() : 'pending';
+
+    await db.reviewRequests.upsert(pullRequest.id, reviewer.id, {
+      status,
+      requested_at: new Date(requestedAt.get(username) || review?.submitted_at || pr.created_at).toISOString(),
+      completed_at: ['approved', 'changes_requested'].includes(status)
+        ? new Date(review.submitted_at).toISOString()
+        : null
+    });
+    imported++;
+  }
+
+  return imported;
+};
+
+/**
+ * Import the PRs of a backfill
+ * PRs we already track are left to their webhook history, which also lets
+ * an interrupted backfill pick up where it stopped
+ * @param {Object} backfill - Backfill record
+ * @returns {Promise<Object>} Updated backfill record
+ */
+const runBackfill = async (backfill) => {
+  try {
+    const org = await db.organizations.findById(backfill.org_id);
+    const repo = await db.repositories.findById(backfill.repo_id);
+
+    console.log(`[BACKFILL] Importing ${backfill.days} days of PRs for ${repo.github_repo_name}`);
+
+    await db.repositoryBackfills.update(backfill.id, {
+      status: 'running',
+      started_at: new Date().toISOString(),
+      last_error: null
+    });
+
+    const token = await githubAuth.getApiAuth(org.id);
+
+    if (!token) {
+      throw new Error('No GitHub access token available for organization');
+    }
+
+    const since = new Date(Date.now() - backfill.days * 24 * 60 * 60 * 1000);
+    const prs = await githubService.listPullRequestsSince(token, repo.github_repo_name, since);
+
+    await db.repositoryBackfills.update(backfill.id, {
+      total_prs: prs.length,
+      processed_prs: 0,
+      imported_reviews: 0
+    });
+
+    let processed = 0;
+    let importedReviews = 0;
+    let lastError = null;
+
+    for (const pr of prs) {
+      try {
+        const existing = await db.pullRequests.findByGithubPrId(repo.id, pr.id.toString());
+
+        if (!existing) {
+          const pullRequest = pr.state === 'open'
+            ? await importOpenPullRequest(token, org, repo, pr)
+            : await recordPullRequest(org, repo, pr);
+
+          // The opened flow can skip a PR without recording it
+          if (!pullRequest) {
+            throw new Error('No pull request record was created, so its reviews were not imported');
+          }
+
+          importedReviews += await importReviewRequests(token, org, repo, pullRequest, pr);
+        }
+      } catch (error) {
+        // One PR shouldn't cost the rest of the history
+        console.error(`[BACKFILL] Error importing PR #${pr.number} of ${repo.github_repo_name}:`, error);
+        lastError = `PR #${pr.number}: ${error.message}`;
+      }
+
+      processed++;
+
+      await db.repositoryBackfills.update(backfill.id, {
+        processed_prs: processed,
+        imported_reviews: importedReviews,
+        last_error: lastError
+      });
+    }
+
+    console.log(`[BACKFILL] Imported ${processed} PRs and ${importedReviews} review requests for ${repo.github_repo_name}`);
+
+    return await db.repositoryBackfills.update(backfill.id, {
+      status: 'completed',
+      completed_at: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`[BACKFILL] Backfill ${backfill.id} failed:`, error);
+
+    return await db.repositoryBackfills.update(backfill.id, {
+      status: 'failed',
+      last_error: error.message,
+      completed_at: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Run a backfill after the ones already scheduled
+ * @param {Object} backfill - Backfill record
+ */
+const scheduleBackfill = (backfill) => {
+  backfillChain = backfillChain
+    .then(() => runBackfill(backfill))
+    .catch(error => {
+      console.error(`[BACKFILL] Error running backfill ${backfill.id}:`, error);
+    });
+};
+
+/**
+ * Start importing a repository's recent PR history
+ * Returns the running backfill instead when the repository already has one
+ * @param {Object} org - Organization data
+ * @param {Object} repo - Repository data
+ * @param {number} days - Number of days of history to import
+ * @returns {Promise<Object>} Backfill record
+ */
+const startBackfill = async (org, repo, days) => {
+  const active = await db.repositoryBackfills.findActiveByRepoId(repo.id);
+  if (active) return active;
+
+  const backfill = await db.repositoryBackfills.create({
+    id: uuidv4(),
+    org_id: org.id,
+    repo_id: repo.id,
+    days: Math.min(days, MAX_BACKFILL_DAYS),
+    status: 'queued'
+  });
+
+  scheduleBackfill(backfill);
+  return backfill;
+};
+
+/**
+ * Resume backfills that were interrupted by a restart
+ * @returns {Promise<number>} Number of backfills resumed
+ */
+const resumeBackfills = async () => {
+  try {
+    const backfills = await db.repositoryBackfills.findActive();
+
+    for (const backfill of backfills) {
+      scheduleBackfill(backfill);
+    }
+
+    if (backfills.length > 0) {
+      console.log(`[BACKFILL] Resuming ${backfills.length} backfill(s)`);
+    }
+
+    return backfills.length;
+  } catch (error) {
+    console.error('[BACKFILL] Error resuming backfills:', error);
+    return 0;
+  }
+};
+
+module.exports = {
+  MAX_BACKFILL_DAYS,
+  startBackfill,
+  resumeBackfills
+};
@@ -0,0 +1,362 @@
+/**
+ * CI status tracking
+ * Maps check_suite, check_run and commit status events onto PRs by head SHA
+ * and keeps a live CI status message in each PR channel
+ */
+const db = require('../supabase/functions');
+const slackService = require('../slack/messages');
+
+const NEUTRAL_CONCLUSIONS = ['neutral', 'skipped', 'stale'];
+
+/**
+ * Map a check run or check suite onto our CI status
+ * @param {string} status - GitHub status (queued, in_progress, completed)
+ * @param {string|null} conclusion - GitHub conclusion once completed
+ * @returns {string} pending, success, failure or neutral
+ */
+const getCheckStatus = (status, conclusion) => {
+  if (status !== 'completed') return 'pending';
+  if (conclusion === 'success') return 'success';
+  if (NEUTRAL_CONCLUSIONS.includes(conclusion)) return 'neutral';
+
+  // failure, timed_out, cancelled, action_required, startup_failure
+  return 'failure';
+};
+
+/**
+ * Map a commit status state onto our CI status
+ * @param {string} state - GitHub state (pending, success, failure, error)
+ * @returns {string} pending, success or failure
+ */
+const getCommitStatus = (state) => {
+  if (state === 'success') return 'success';
+  if (state === 'pending') return 'pending';
+  return 'failure';
+};
+
+/**
+ * Combine individual checks into one status for the commit
+ * @param {Array} checks - Recorded checks
+ * @returns {string} pending, success or failure
+ */
+const getOverallStatus = (checks) => {
+  if (checks.some(check => check.status === 'failure')) return 'failure';
+  if (checks.some(check => check.status === 'pending')) return 'pending';
+  return 'success';
+};
+
+/**
+ * Find the organization and repository for a CI event
+ * @param {Object} payload - GitHub webhook payload
+ * @returns {Promise<Object|null>} Organization and repository, or null if not tracked
+ */
+const findTrackedRepo = async (payload) => {
+  const { repository, organization } = payload;
+
+  const org = await db.organizations.findByGithubOrgId(organization?.id || repository.owner.id);
+  if (!org) return null;
+
+  const repo = await db.repositories.findByGithubRepoId(org.id, repository.id);
+  if (!repo || !repo.is_active) return null;
+
+  return { org, repo };
+};
+
+/**
+ * Find open PRs for a commit
+ * Check events also list the PRs they belong to, which covers PRs recorded
+ * before we started storing head SHAs
+ * @param {Object} repo - Repository data
+ * @param {string} headSha - Commit SHA
+ * @param {Array} prRefs - pull_requests array from a check run or suite
+ * @returns {Promise<Array>} List of pull requests
+ */
+const findPullRequestsForSha = async (repo, headSha, prRefs = []) => {
+  const pullRequests = await db.pullRequests.findOpenByHeadSha(repo.id, headSha);
+  if (pullRequests.length > 0) return pullRequests;
+
+  for (const ref of prRefs) {
+    if (ref.head?.sha !== headSha) continue;
+
+    const pullRequest = await db.pullRequests.findByPrNumber(repo.id, ref.number);
+    if (pullRequest && pullRequest.status === 'open') {
+      await db.pullRequests.update(pullRequest.id, { head_sha: headSha });
+      pullRequests.push({ ...pullRequest, head_sha: headSha });
+    }
+  }
+
+  return pullRequests;
+};
+
+/**
+ * Recalculate a PR's CI status and update its Slack message
+ * The author is pinged when the commit first turns red
+ * @param {Object} org - Organization data
+ * @param {Object} pullRequest - Pull request data
+ * @param {Object} repository - Repository from the webhook payload
+ * @returns {Promise<string>} Overall CI status
+ */
+const refreshCiStatus = async (org, pullRequest, repository) => {
+  const checks = await db.ciChecks.findByPrAndSha(pullRequest.id, pullRequest.head_sha);
+  const overall = checks.length > 0 ? getOverallStatus(checks) : 'pending';
+  const previous = pullRequest.ci_status;
+
+  if (overall !== previous) {
+    await db.pullRequests.update(pullRequest.id, { ci_status: overall });
+  }
+
+  // Deferred drafts have no channel yet
+  if (!pullRequest.slack_channel_id) {
+    return overall;
+  }
+
+  const messageData = {
+    title: pullRequest.title,
+    url: `${repository.html_url}/pull/${pullRequest.github_pr_number}`,
+    headSha: pullRequest.head_sha,
+    overall,
+    checks
+  };
+
+  let messageTs = pullRequest.ci_message_ts;
+
+  if (messageTs) {
+    await slackService.updateCiStatusMessage(
+      org.slack_bot_token,
+      slackService.getPrDestination(pullRequest),
+      messageTs,
+      messageData
+    );
+  } else {
+    const message = await slackService.sendCiStatusMessage(
+      org.slack_bot_token,
+      slackService.getPrDestination(pullRequest),
+      messageData
+    );
+    messageTs = message.ts;
+
+    await db.pullRequests.update(pullRequest.id, { ci_message_ts: messageTs });
+  }
+
+  if (overall === 'failure' && previous !== 'failure') {
+    await slackService.sendCiFailedMessage(
+      org.slack_bot_token,
+      slackService.getPrDestination(pullRequest),
+      {
+        title: pullRequest.title,
+        url: messageData.url,
+        author: pullRequest.author?.github_username,
+        authorSlackId: pullRequest.author?.slack_user_id,
+        failedChecks: checks.filter(check => check.status === 'failure'),
+        threadTs: messageTs
+      }
+    );
+  }
+
+  return overall;
+};
+
+/**
+ * Record a check result against every open PR at the commit
+ * @param {Object} payload - GitHub webhook payload
+ * @param {string} headSha - Commit SHA
+ * @param {Object} check - Check data (name, source, status, conclusion, url)
+ * @param {Array} prRefs - pull_requests array from a check run or suite
+ * @returns {Promise<Object>} Result of processing
+ */
+const recordCheck = async (payload, headSha, check, prRefs = []) => {
+  const tracked = await findTrackedRepo(payload);
+
+  if (!tracked) {
+    return {
+      status: 'ignored',
+      message: 'Repository not tracked or inactive'
+    };
+  }
+
+  const { org, repo } = tracked;
+  const pullRequests = await findPullRequestsForSha(repo, headSha, prRefs);
+
+  // The synchronize or opened event that moves a PR to this commit may not
+  // have been processed yet, so the result waits for the PR
+  if (pullRequests.length === 0) {
+    await db.pendingCiChecks.upsert({
+      repo_id: repo.id,
+      head_sha: headSha,
+      ...check
+    });
+
+    return {
+      status: 'success',
+      message: `CI check '${check.name}' kept until a pull request reaches commit ${headSha}`
+    };
+  }
+
+  const statuses = [];
+  for (const pullRequest of pullRequests) {
+    await db.ciChecks.upsert({
+      pr_id: pullRequest.id,
+      head_sha: headSha,
+      ...check
+    });
+
+    statuses.push(await refreshCiStatus(org, pullRequest, payload.repository));
+  }
+
+  return {
+    status: 'success',
+    message: `CI check '${check.name}' recorded for ${pullRequests.length} pull request(s)`,
+    data: {
+      ci_status: statuses
+    }
+  };
+};
+
+/**
+ * Pick up CI results for a PR's new head commit
+ * Results that arrived before the PR reached the commit are moved onto the
+ * PR, and the CI status message is posted if the commit has any results
+ * @param {Object} org - Organization data
+ * @param {Object} pullRequest - Pull request data, with its new head SHA
+ * @param {Object} repository - Repository from the webhook payload
+ * @returns {Promise<string|null>} Overall CI status, or null without results
+ */
+const syncHeadChecks = async (org, pullRequest, repository) => {
+  const pending = await db.pendingCiChecks.findByRepoAndSha(pullRequest.repo_id, pullRequest.head_sha);
+
+  for (const check of pending) {
+    await db.ciChecks.upsert({
+      pr_id: pullRequest.id,
+      head_sha: check.head_sha,
+      name: check.name,
+      source: check.source,
+      status: check.status,
+      conclusion: check.conclusion,
+      url: check.url
+    });
+  }
+
+  if (pending.length > 0) {
+    await db.pendingCiChecks.deleteByRepoAndSha(pullRequest.repo_id, pullRequest.head_sha);
+  }
+
+  const stored = await db.ciChecks.findByPrAndSha(pullRequest.id, pullRequest.head_sha);
+  if (stored.length === 0) return null;
+
+  return refreshCiStatus(org, pullRequest, repository);
+};
+
+/**
+ * Handle GitHub check_run event
+ * @param {Object} payload - GitHub webhook payload
+ * @returns {Promise<Object>} Result of processing
+ */
+const handleCheckRunEvent = async (payload) => {
+  try {
+    const { action, check_run: checkRun } = payload;
+
+    console.log(`[CI] Check run '${checkRun.name}' ${action} (${checkRun.status}/${checkRun.conclusion || '-'}) for ${checkRun.head_sha}`);
+
+    if (!['created', 'completed', 'rerequested'].includes(action)) {
+      return {
+        status: 'ignored',
+        message: `Check run action '${action}' not handled`
+      };
+    }
+
+    return await recordCheck(
+      payload,
+      checkRun.head_sha,
+      {
+        name: checkRun.name,
+        source: 'check_run',
+        status: getCheckStatus(checkRun.status, checkRun.conclusion),
+        conclusion: checkRun.conclusion || checkRun.status,
+        url: checkRun.html_url || checkRun.details_url || null
+      },
+      checkRun.pull_requests
+    );
+  } catch (error) {
+    console.error('[CI] Error handling check run event:', error);
+    throw error;
+  }
+};
+
+/**
+ * Handle GitHub check_suite event
+ * Individual results come from check_run events; a completed suite that
+ * reported no check runs is recorded as a single check named after its app
+ * @param {Object} payload - GitHub webhook payload
+ * @returns {Promise<Object>} Result of processing
+ */
+const handleCheckSuiteEvent = async (payload) => {
+  try {
+    const { action, check_suite: checkSuite } = payload;
+
+    console.log(`[CI] Check suite ${action} (${checkSuite.status}/${checkSuite.conclusion || '-'}) for ${checkSuite.head_sha}`);
+
+    if (action !== 'completed') {
+      return {
+        status: 'ignored',
+        message: `Check suite action '${action}' not handled`
+      };
+    }
+
+    if (checkSuite.latest_check_runs_count > 0) {
+      return {
+        status: 'ignored',
+        message: 'Check suite results are tracked through its check runs'
+      };
+    }
+
+    return await recordCheck(
+      payload,
+      checkSuite.head_sha,
+      {
+        name: checkSuite.app?.name || `Check suite ${checkSuite.id}`,
+        source: 'check_suite',
+        status: getCheckStatus(checkSuite.status, checkSuite.conclusion),
+        conclusion: checkSuite.conclusion || checkSuite.status,
+        url: null
+      },
+      checkSuite.pull_requests
+    );
+  } catch (error) {
+    console.error('[CI] Error handling check suite event:', error);
+    throw error;
+  }
+};
+
+/**
+ * Handle GitHub commit status event
+ * @param {Object} payload - GitHub webhook payload
+ * @returns {Promise<Object>} Result of processing
+ */
+const handleStatusEvent = async (payload) => {
+  try {
+    const { sha, state, context, target_url: targetUrl } = payload;
+
+    console.log(`[CI] Commit status '${context}' ${state} for ${sha}`);
+
+    return await recordCheck(payload, sha, {
+      name: context,
+      source: 'status',
+      status: getCommitStatus(state),
+      conclusion: state,
+      url: targetUrl || null
+    });
+  } catch (error) {
+    console.error('[CI] Error handling status event:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  getCheckStatus,
+  getCommitStatus,
+  getOverallStatus,
+  syncHeadChecks,
+  handleCheckRunEvent,
+  handleCheckSuiteEvent,
+  handleStatusEvent
+};
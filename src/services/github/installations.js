@@ -0,0 +1,326 @@
+/**
+ * GitHub App installation and repository lifecycle
+ * Keeps organizations and their repository list in sync with the app
+ * installation, without an admin having to re-fetch repositories
+ */
+const { v4: uuidv4 } = require('uuid');
+const db = require('../supabase/functions');
+
+/**
+ * Find the organization for an installation
+ * Falls back to the installation account for installations we haven't
+ * linked yet
+ * @param {Object} installation - Installation from the webhook payload
+ * @returns {Promise<Object|null>} Organization data
+ */
+const findInstallationOrg = async (installation) => {
+  if (!installation) return null;
+
+  const org = await db.organizations.findByInstallationId(installation.id.toString());
+  if (org) return org;
+
+  return installation.account
+    ? await db.organizations.findByGithubOrgId(installation.account.id.toString())
+    : null;
+};
+
+/**
+ * Record repositories granted to the installation
+ * New repositories are recorded inactive until an admin activates them,
+ * and existing ones keep their active state
+ * @param {Object} org - Organization data
+ * @param {Array} repos - Repositories from the webhook payload
+ * @returns {Promise<number>} Number of repositories synced
+ */
+const addRepositories = async (org, repos = []) => {
+  for (const repo of repos) {
+    const existing = await db.repositories.findByGithubRepoId(org.id, repo.id.toString());
+
+    await db.repositories.upsert(org.id, repo.id.toString(), {
+      github_repo_name: repo.full_name,
+      is_active: existing ? existing.is_active : false
+    });
+  }
+
+  return repos.length;
+};
+
+/**
+ * Deactivate repositories the installation lost access to
+ * Records are kept so PR history and analytics survive
+ * @param {Object} org - Organization data
+ * @param {Array} repos - Repositories from the webhook payload
+ * @returns {Promise<number>} Number of repositories deactivated
+ */
+const removeRepositories = async (org, repos = []) => {
+  let removed = 0;
+
+  for (const repo of repos) {
+    const existing = await db.repositories.findByGithubRepoId(org.id, repo.id.toString());
+    if (!existing) continue;
+
+    await db.repositories.update(existing.id, {
+      github_repo_name: repo.full_name || existing.github_repo_name,
+      is_active: false
+    });
+    removed++;
+  }
+
+  return removed;
+};
+
+/**
+ * Disconnect an organization from GitHub after the app is uninstalled
+ * GitHub IDs are reset to pending placeholders, as for a new organization,
+ * so the GitHub organization can be connected again later. The webhook log
+ * is filed by organization, so it survives the reset
+ * @param {Object} org - Organization data
+ * @returns {Promise<number>} Number of repositories deactivated
+ */
+const disconnectOrg = async (org) => {
+  const uniqueId = uuidv4();
+
+  await db.organizations.update(org.id, {
+    github_org_id: `pending_${uniqueId}`,
+    github_installation_id: `pending_${uniqueId}`,
+    github_connected: false
+  });
+
+  const deactivated = await db.repositories.deactivateByOrgId(org.id);
+  return deactivated.length;
+};
+
+/**
+ * Handle GitHub installation event
+ * @param {Object} payload - GitHub webhook payload
+ * @returns {Promise<Object>} Result of processing
+ */
+const handleInstallationEvent = async (payload) => {
+  try {
+    const { action, installation } = payload;
+
+    console.log(`[INSTALLATION] Installation ${installation.id} ${action} for ${installation.account?.login}`);
+
+    const org = await findInstallationOrg(installation);
+
+    if (!org) {
+      // New installations are linked to an organization by the install callback
+      return {
+        status: 'ignored',
+        message: 'Installation not linked to an organization'
+      };
+    }
+
+    switch (action) {
+      case 'created':
+      case 'unsuspend': {
+        await db.organizations.update(org.id, {
+          github_org_id: installation.account.id.toString(),
+          github_installation_id: installation.id.toString(),
+          github_connected: true
+        });
+
+        // Deliveries that arrived before the organization was linked
+        await db.webhookJobs.assignOrg(installation.account.id.toString(), org.id);
+
+        const synced = await addRepositories(org, payload.repositories);
+
+        return {
+          status: 'success',
+          message: `Installation ${action === 'created' ? 'created' : 'unsuspended'}, ${synced} repositories synced`
+        };
+      }
+
+      case 'deleted': {
+        const deactivated = await disconnectOrg(org);
+
+        return {
+          status: 'success',
+          message: `Installation deleted, organization disconnected and ${deactivated} repositories deactivated`
+        };
+      }
+
+      case 'suspend':
+        // Keep the installation so unsuspending picks up where it left off
+        await db.organizations.update(org.id, {
+          github_connected: false
+        });
+
+        return {
+          status: 'success',
+          message: 'Installation suspended'
+        };
+
+      default:
+        return {
+          status: 'ignored',
+          message: `Installation action '${action}' not handled`
+        };
+    }
+  } catch (error) {
+    console.error('[INSTALLATION] Error handling installation event:', error);
+    throw error;
+  }
+};
+
+/**
+ * Handle GitHub installation_repositories event
+ * @param {Object} payload - GitHub webhook payload
+ * @returns {Promise<Object>} Result of processing
+ */
+const handleInstallationRepositoriesEvent = async (payload) => {
+  try {
+    const { action, installation } = payload;
+
+    console.log(`[INSTALLATION] Repositories ${action} for installation ${installation.id}`);
+
+    const org = await findInstallationOrg(installation);
+
+    if (!org) {
+      return {
+        status: 'ignored',
+        message: 'Installation not linked to an organization'
+      };
+    }
+
+    const added = await addRepositories(org, payload.repositories_added);
+    const removed = await removeRepositories(org, payload.repositories_removed);
+
+    return {
+      status: 'success',
+      message: `${added} repositories added, ${removed} repositories removed`
+    };
+  } catch (error) {
+    console.error('[INSTALLATION] Error handling installation repositories event:', error);
+    throw error;
+  }
+};
+
+/**
+ * Handle a repository transferred to another owner
+ * The previous owner's installation loses access; the new owner's gets the
+ * repository inactive, as when repositories are fetched
+ * @param {Object} payload - GitHub webhook payload
+ * @returns {Promise<Object>} Result of processing
+ */
+const handleRepositoryTransferred = async (payload) => {
+  const { repository, changes } = payload;
+  const previousOwner = changes?.owner?.from?.organization || changes?.owner?.from?.user;
+
+  let moved = 0;
+
+  const previousOrg = previousOwner
+    ? await db.organizations.findByGithubOrgId(previousOwner.id.toString())
+    : null;
+
+  if (previousOrg) {
+    moved = await removeRepositories(previousOrg, [repository]);
+  }
+
+  const newOrg = await db.organizations.findByGithubOrgId(repository.owner.id.toString());
+
+  if (newOrg) {
+    const existing = await db.repositories.findByGithubRepoId(newOrg.id, repository.id.toString());
+
+    await db.repositories.upsert(newOrg.id, repository.id.toString(), {
+      github_repo_name: repository.full_name,
+      is_active: existing ? existing.is_active : false
+    });
+  }
+
+  return {
+    status: 'success',
+    message: `Repository transferred to ${repository.owner.login}${moved ? ', deactivated for the previous owner' : ''}`
+  };
+};
+
+/**
+ * Handle GitHub repository event
+ * @param {Object} payload - GitHub webhook payload
+ * @returns {Promise<Object>} Result of processing
+ */
+const handleRepositoryEvent = async (payload) => {
+  try {
+    const { action, repository, organization } = payload;
+
+    console.log(`[REPOSITORY] Repository ${repository.full_name} ${action}`);
+
+    if (action === 'transferred') {
+      return await handleRepositoryTransferred(payload);
+    }
+
+    const org = await db.organizations.findByGithubOrgId(organization?.id || repository.owner.id);
+
+    if (!org) {
+      return {
+        status: 'error',
+        message: 'Organization not registered with PingaPR'
+      };
+    }
+
+    const repo = await db.repositories.findByGithubRepoId(org.id, repository.id);
+
+    if (!repo) {
+      return {
+        status: 'ignored',
+        message: 'Repository not tracked'
+      };
+    }
+
+    // Every event carries the current name
+    const updates = {
+      github_repo_name: repository.full_name
+    };
+
+    switch (action) {
+      case 'renamed':
+      case 'edited':
+        break;
+
+      case 'archived':
+        // Remember that archiving deactivated it, so unarchiving can undo it
+        if (repo.is_active) {
+          updates.is_active = false;
+          updates.archived_at = new Date().toISOString();
+        }
+        break;
+
+      case 'unarchived':
+        if (repo.archived_at) {
+          updates.is_active = true;
+          updates.archived_at = null;
+        }
+        break;
+
+      case 'deleted':
+        updates.is_active = false;
+        break;
+
+      default:
+        return {
+          status: 'ignored',
+          message: `Repository action '${action}' not handled`
+        };
+    }
+
+    await db.repositories.update(repo.id, updates);
+
+    return {
+      status: 'success',
+      message: `Repository ${action}`,
+      data: {
+        repo_id: repo.id,
+        is_active: updates.is_active ?? repo.is_active
+      }
+    };
+  } catch (error) {
+    console.error('[REPOSITORY] Error handling repository event:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  handleInstallationEvent,
+  handleInstallationRepositoriesEvent,
+  handleRepositoryEvent
+};
@@ -0,0 +1,83 @@
+/**
+ * Label rules
+ * Organizations can attach actions to labels in settings.label_rules, e.g.
+ * { "label": "hotfix", "slack_group_id": "S0123ABCD", "reminder_hours": 2 }
+ */
+const db = require('../supabase/functions');
+const slackService = require('../slack/messages');
+
+/**
+ * Find the organization's rules for the given labels
+ * Labels are matched case-insensitively
+ * @param {Object} org - Organization data
+ * @param {Array<string>} labels - Label names
+ * @returns {Array} Matching rules
+ */
+const getMatchingRules = (org, labels) => {
+  const rules = org.settings?.label_rules || [];
+  const labelSet = new Set(labels.map(label => label.toLowerCase()));
+
+  return rules.filter(rule => rule.label && labelSet.has(rule.label.toLowerCase()));
+};
+
+/**
+ * Get the reminder interval the labels call for
+ * The shortest interval wins when several rules match
+ * @param {Object} org - Organization data
+ * @param {Array<string>} labels - Label names
+ * @returns {number|null} Reminder hours, or null to use the organization setting
+ */
+const getReminderHours = (org, labels) => {
+  const hours = getMatchingRules(org, labels)
+    .map(rule => rule.reminder_hours)
+    .filter(Boolean);
+
+  return hours.length > 0 ? Math.min(...hours) : null;
+};
+
+/**
+ * Apply label rules after labels change
+ * The reminder interval follows the current labels; Slack groups are only
+ * pinged for labels that were just added
+ * @param {Object} org - Organization data
+ * @param {Object} pullRequest - Pull request record
+ * @param {Object} pr - Pull request data from GitHub
+ * @param {Array<string>} addedLabels - Labels added by this event
+ * @returns {Promise<Array>} Rules that were triggered by the added labels
+ */
+const applyLabelRules = async (org, pullRequest, pr, addedLabels) => {
+  const labels = (pr.labels || []).map(label => label.name);
+  const reminderHours = getReminderHours(org, labels);
+
+  if (reminderHours !== (pullRequest.reminder_hours ?? null)) {
+    await db.pullRequests.update(pullRequest.id, {
+      reminder_hours: reminderHours
+    });
+  }
+
+  const triggered = getMatchingRules(org, addedLabels);
+
+  if (pullRequest.slack_channel_id) {
+    for (const rule of triggered.filter(rule => rule.slack_group_id)) {
+      await slackService.sendLabelRuleAlertMessage(
+        org.slack_bot_token,
+        slackService.getPrDestination(pullRequest),
+        {
+          title: pr.title,
+          url: pr.html_url,
+          label: rule.label,
+          slackGroupId: rule.slack_group_id,
+          reminderHours: rule.reminder_hours
+        }
+      );
+    }
+  }
+
+  return triggered;
+};
+
+module.exports = {
+  applyLabelRules,
+  getMatchingRules,
+  getReminderHours
+};
@@ -0,0 +1,111 @@
+// src/services/github/labelRules.test.js
+jest.mock('../supabase/functions', () => ({
+  pullRequests: {
+    update: jest.fn()
+  }
+}));
+
+jest.mock('../slack/messages', () => ({
+  getPrDestination: jest.fn(),
+  sendLabelRuleAlertMessage: jest.fn()
+}));
+
+const db = require('../supabase/functions');
+const slackService = require('../slack/messages');
+const labelRules = require('./labelRules');
+
+const buildOrg = (rules) => ({
+  id: 'org-1',
+  slack_bot_token: 'xoxb-token',
+  settings: { label_rules: rules }
+});
+
+const org = buildOrg([
+  { label: 'hotfix', slack_group_id: 'S0HOTFIX', reminder_hours: 2 },
+  { label: 'Security', reminder_hours: 6 },
+  { label: 'docs', slack_group_id: 'S0DOCS' }
+]);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+
+  slackService.getPrDestination.mockReturnValue({ channel: 'C123', thread_ts: '1.1' });
+});
+
+describe('getMatchingRules', () => {
+  test('matches labels case-insensitively', () => {
+    const rules = labelRules.getMatchingRules(org, ['HotFix', 'security']);
+
+    expect(rules.map(rule => rule.label)).toEqual(['hotfix', 'Security']);
+  });
+
+  test('ignores labels without a rule', () => {
+    expect(labelRules.getMatchingRules(org, ['bug'])).toEqual([]);
+  });
+
+  test('returns nothing when the organization has no label rules', () => {
+    expect(labelRules.getMatchingRules({ settings: {} }, ['hotfix'])).toEqual([]);
+    expect(labelRules.getMatchingRules({}, ['hotfix'])).toEqual([]);
+  });
+});
+
+describe('getReminderHours', () => {
+  test('uses the shortest interval of the matching rules', () => {
+    expect(labelRules.getReminderHours(org, ['security', 'hotfix'])).toBe(2);
+  });
+
+  test('skips matching rules without an interval', () => {
+    expect(labelRules.getReminderHours(org, ['docs', 'security'])).toBe(6);
+  });
+
+  test('returns null when no rule sets an interval', () => {
+    expect(labelRules.getReminderHours(org, ['docs'])).toBeNull();
+    expect(labelRules.getReminderHours(org, [])).toBeNull();
+  });
+});
+
+describe('applyLabelRules', () => {
+  const pr = {
+    title: 'Fix login',
+    html_url: 'https://github.com/acme/app/pull/7',
+    labels: [{ name: 'hotfix' }, { name: 'docs' }]
+  };
+
+  test('stores the interval the current labels call for', async () => {
+    const pullRequest = { id: 'pr-1', reminder_hours: null, slack_channel_id: 'C123' };
+
+    await labelRules.applyLabelRules(org, pullRequest, pr, []);
+
+    expect(db.pullRequests.update).toHaveBeenCalledWith('pr-1', { reminder_hours: 2 });
+  });
+
+  test('leaves the record alone when the interval has not changed', async () => {
+    const pullRequest = { id: 'pr-1', reminder_hours: 2, slack_channel_id: 'C123' };
+
+    await labelRules.applyLabelRules(org, pullRequest, pr, []);
+
+    expect(db.pullRequests.update).not.toHaveBeenCalled();
+  });
+
+  test('only pings Slack groups for labels that were just added', async () => {
+    const pullRequest = { id: 'pr-1', reminder_hours: 2, slack_channel_id: 'C123' };
+
+    const triggered = await labelRules.applyLabelRules(org, pullRequest, pr, ['docs']);
+
+    expect(triggered.map(rule => rule.label)).toEqual(['docs']);
+    expect(slackService.sendLabelRuleAlertMessage).toHaveBeenCalledTimes(1);
+    expect(slackService.sendLabelRuleAlertMessage).toHaveBeenCalledWith(
+      'xoxb-token',
+      { channel: 'C123', thread_ts: '1.1' },
+      expect.objectContaining({ label: 'docs', slackGroupId: 'S0DOCS' })
+    );
+  });
+
+  test('does not ping Slack groups for PRs without a channel', async () => {
+    const pullRequest = { id: 'pr-1', reminder_hours: 2, slack_channel_id: null };
+
+    await labelRules.applyLabelRules(org, pullRequest, pr, ['hotfix']);
+
+    expect(slackService.sendLabelRuleAlertMessage).not.toHaveBeenCalled();
+  });
+});
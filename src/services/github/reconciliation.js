@@ -0,0 +1,248 @@
+/**
+ * GitHub reconciliation
+ * Compares open PRs and their pending review requests with GitHub and fixes
+ * the drift a missed webhook leaves behind
+ */
+const db = require('../supabase/functions');
+const slackService = require('../slack/messages');
+const githubService = require('./api');
+const githubAuth = require('./auth');
+const webhooks = require('./webhooks');
+
+const REVIEW_STATES = ['approved', 'changes_requested', 'commented'];
+
+/**
+ * Get each reviewer's latest review
+ * @param {string} token - GitHub access token
+ * @param {string} repoFullName - Repository full name (owner/repo)
+ * @param {number} prNumber - PR number
+ * @returns {Promise<Map>} Latest review by GitHub username
+ */
+const getLatestReviews = async (token, repoFullName, prNumber) => {
+  const reviews = await githubService.listReviews(token, repoFullName, prNumber);
+  const latestReviews = new Map();
+
+  for (const review of reviews) {
+    if (review.user && REVIEW_STATES.includes(review.state.toLowerCase())) {
+      latestReviews.set(review.user.login, review);
+    }
+  }
+
+  return latestReviews;
+};
+
+/**
+ * Fix the title of a PR
+ * @param {Object} pullRequest - Pull request record
+ * @param {Object} pr - Pull request data from GitHub
+ * @returns {Promise<Array<string>>} Corrections made
+ */
+const reconcileTitle = async (pullRequest, pr) => {
+  if (pr.title === pullRequest.title) return [];
+
+  await db.pullRequests.update(pullRequest.id, {
+    title: pr.title
+  });
+
+  return [`Title updated to "${pr.title}"`];
+};
+
+/**
+ * Fix pending review requests
+ * Requests GitHub no longer lists were either answered by a review or
+ * removed; reviewers GitHub lists that we don't have as pending are added
+ * without the usual notification
+ * @param {string} token - GitHub access token
+ * @param {Object} org - Organization data
+ * @param {Object} pullRequest - Pull request record with repository data
+ * @param {Object} pr - Pull request data from GitHub
+ * @returns {Promise<Array<string>>} Corrections made
+ */
+const reconcileReviewers = async (token, org, pullRequest, pr) => {
+  const corrections = [];
+  const pendingRequests = await db.reviewRequests.findPendingByPrId(pullRequest.id);
+  const requestedUsers = (pr.requested_reviewers || []).map(reviewer => reviewer.login);
+  const requestedTeams = (pr.requested_teams || []).map(team => team.slug);
+
+  const staleRequests = pendingRequests.filter(request => request.team_slug
+    ? !requestedTeams.includes(request.team_slug)
+    : !requestedUsers.includes(request.reviewer?.github_username));
+
+  if (staleRequests.length > 0) {
+    const latestReviews = await getLatestReviews(
+      token,
+      pullRequest.repository.github_repo_name,
+      pullRequest.github_pr_number
+    );
+
+    // One member's review covers a team request, as with live reviews
+    const reviewedTeams = new Set(
+      staleRequests
+        .filter(request => request.team_slug && latestReviews.has(request.reviewer?.github_username))
+        .map(request => request.team_slug)
+    );
+
+    for (const request of staleRequests) {
+      const username = request.reviewer?.github_username;
+      const review = latestReviews.get(username);
+
+      if (review) {
+        const status = review.state.toLowerCase();
+
+        await db.reviewRequests.update(request.id, {
+          status,
+          completed_at: ['approved', 'changes_requested'].includes(status)
+            ? new Date(review.submitted_at).toISOString()
+            : null
+        });
+        corrections.push(`Recorded the review by ${username} (${status.replace('_', ' ')})`);
+      } else if (reviewedTeams.has(request.team_slug)) {
+        await db.reviewRequests.update(request.id, {
+          status: 'team_reviewed',
+          completed_at: new Date().toISOString()
+        });
+      } else {
+        await db.reviewRequests.update(request.id, {
+          status: 'removed'
+        });
+        corrections.push(`Removed the review request for ${username}`);
+      }
+    }
+  }
+
+  const pendingUsernames = pendingRequests.map(request => request.reviewer?.github_username);
+
+  for (const username of requestedUsers.filter(username => !pendingUsernames.includes(username))) {
+    const reviewer = await webhooks.processReviewRequest(org, pullRequest, username, { notify: false });
+
+    if (reviewer) {
+      corrections.push(`Added the review request for ${username}`);
+    }
+  }
+
+  return corrections;
+};
+
+/**
+ * Fix the status of a PR that was closed or merged on GitHub
+ * @param {Object} pullRequest - Pull request record
+ * @param {Object} pr - Pull request data from GitHub
+ * @returns {Promise<Array<string>>} Corrections made
+ */
+const reconcileStatus = async (pullRequest, pr) => {
+  if (pr.state === 'open') return [];
+
+  const isMerged = Boolean(pr.merged);
+
+  await db.pullRequests.update(pullRequest.id, {
+    status: isMerged ? 'merged' : 'closed',
+    merged_at: isMerged ? new Date(pr.merged_at).toISOString() : null,
+    closed_at: new Date(pr.closed_at).toISOString()
+  });
+
+  return [isMerged
+    ? `Marked as merged (merged ${new Date(pr.merged_at).toUTCString()})`
+    : `Marked as closed (closed ${new Date(pr.closed_at).toUTCString()})`];
+};
+
+/**
+ * Reconcile one open PR with GitHub
+ * @param {string} token - GitHub access token
+ * @param {Object} org - Organization data
+ * @param {Object} pullRequest - Pull request record with repository data
+ * @returns {Promise<Array<string>>} Corrections made
+ */
+const reconcilePullRequest = async (token, org, pullRequest) => {
+  const pr = await githubService.getPullRequest(
+    token,
+    pullRequest.repository.github_repo_name,
+    pullRequest.github_pr_number
+  );
+
+  const corrections = [
+    ...await reconcileTitle(pullRequest, pr),
+    ...await reconcileReviewers(token, org, pullRequest, pr),
+    ...await reconcileStatus(pullRequest, pr)
+  ];
+
+  if (corrections.length > 0 && pullRequest.slack_channel_id) {
+    await slackService.sendReconciliationMessage(
+      org.slack_bot_token,
+      slackService.getPrDestination(pullRequest),
+      {
+        title: pr.title,
+        url: pr.html_url,
+        corrections
+      }
+    );
+  }
+
+  return corrections;
+};
+
+/**
+ * Reconcile every open PR of an active repository with GitHub
+ * @returns {Promise<Object>} Summary report
+ */
+const reconcileOpenPullRequests = async () => {
+  const pullRequests = await db.pullRequests.findOpenInActiveRepos();
+
+  console.log(`[RECONCILE] Checking ${pullRequests.length} open PRs against GitHub`);
+
+  // Organization and token, looked up once per organization
+  const orgAccess = new Map();
+
+  const report = {
+    checked: 0,
+    corrected: 0,
+    failed: 0,
+    corrections: []
+  };
+
+  for (const pullRequest of pullRequests) {
+    const orgId = pullRequest.repository.org_id;
+
+    try {
+      if (!orgAccess.has(orgId)) {
+        const org = await db.organizations.findById(orgId);
+        const token = await githubAuth.getApiAuth(orgId);
+
+        orgAccess.set(orgId, { org, token });
+      }
+
+      const { org, token } = orgAccess.get(orgId);
+
+      if (!token) {
+        throw new Error('No GitHub access token available for organization');
+      }
+
+      const changes = await reconcilePullRequest(token, org, pullRequest);
+      report.checked++;
+
+      if (changes.length > 0) {
+        report.corrected++;
+        report.corrections.push({
+          pr_id: pullRequest.id,
+          repository: pullRequest.repository.github_repo_name,
+          number: pullRequest.github_pr_number,
+          changes
+        });
+      }
+    } catch (error) {
+      console.error(`[RECONCILE] Error reconciling PR ${pullRequest.id}:`, error);
+      report.failed++;
+      report.corrections.push({
+        pr_id: pullRequest.id,
+        repository: pullRequest.repository.github_repo_name,
+        number: pullRequest.github_pr_number,
+        error: error.message
+      });
+    }
+  }
+
+  return report;
+};
+
+module.exports = {
+  reconcileOpenPullRequests
+};
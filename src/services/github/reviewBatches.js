@@ -0,0 +1,496 @@
+/**
+ * Review batching
+ * GitHub delivers a submitted review and each of its line comments as separate
+ * webhooks, in no guaranteed order. Both halves are buffered by review ID until
+ * the set is complete or the window expires, then posted to Slack once.
+ */
+const { v4: uuidv4 } = require('uuid');
+const db = require('../supabase/functions');
+const slackService = require('../slack/messages');
+const githubService = require('./api');
+const config = require('../../config');
+
+/**
+ * Keep only the PR fields needed to post the review
+ * @param {Object} payload - Webhook payload
+ * @returns {Object} PR details
+ */
+const pickPullRequest = (payload) => ({
+  number: payload.pull_request.number,
+  title: payload.pull_request.title,
+  html_url: payload.pull_request.html_url,
+  repo_full_name: payload.repository.full_name
+});
+
+/**
+ * Keep only the review fields needed to post the review
+ * @param {Object} review - Review from the webhook payload
+ * @returns {Object} Review details
+ */
+const pickReview = (review) => ({
+  id: review.id,
+  state: review.state,
+  body: review.body,
+  user: { login: review.user.login },
+  html_url: review.html_url,
+  submitted_at: review.submitted_at
+});
+
+/**
+ * Keep only the comment fields needed to post the comment
+ * @param {Object} comment - Review comment from the webhook payload
+ * @returns {Object} Comment details
+ */
+const pickComment = (comment) => ({
+  id: comment.id,
+  body: comment.body,
+  user: { login: comment.user.login },
+  html_url: comment.html_url,
+  path: comment.path,
+  line: comment.line,
+  position: comment.position,
+  created_at: comment.created_at
+});
+
+/**
+ * Get the time at which a batch stops waiting for more events
+ * @returns {string} ISO timestamp
+ */
+const getExpiry = () => {
+  return new Date(Date.now() + config.reviews.batchWindowSeconds * 1000).toISOString();
+};
+
+/**
+ * A batch is complete once the review and every top-level line comment GitHub
+ * reported for it have arrived
+ * @param {Object} batch - Review batch
+ * @returns {boolean} True if the batch can be posted
+ */
+const isComplete = (batch) => {
+  return Boolean(batch.review) &&
+    batch.expected_comment_count !== null &&
+    batch.comments.length >= batch.expected_comment_count;
+};
+
+/**
+ * Find the batch for a review, creating it if needed
+ * @param {Object} org - Organization data
+ * @param {Object} pullRequest - Pull request data
+ * @param {Object} payload - Webhook payload
+ * @param {string} reviewId - GitHub review ID
+ * @returns {Promise<Object>} Batch data
+ */
+const findOrCreateBatch = async (org, pullRequest, payload, reviewId) => {
+  const existing = await db.reviewBatches.findByReviewId(pullRequest.id, reviewId);
+  if (existing) return existing;
+
+  try {
+    return await db.reviewBatches.create({
+      id: uuidv4(),
+      org_id: org.id,
+      pr_id: pullRequest.id,
+      github_review_id: reviewId.toString(),
+      pull_request: pickPullRequest(payload),
+      comments: [],
+      status: 'buffering',
+      expires_at: getExpiry()
+    });
+  } catch (error) {
+    // Another worker created the batch between our lookup and insert
+    if (error.code === '23505') {
+      return db.reviewBatches.findByReviewId(pullRequest.id, reviewId);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Find or create a user record for a GitHub username
+ * @param {Object} org - Organization data
+ * @param {string} githubUsername - GitHub username
+ * @returns {Promise<Object>} User data
+ */
+const findOrCreateUser = async (org, githubUsername) => {
+  const user = await db.users.findByGithubUsername(org.id, githubUsername);
+  if (user) return user;
+
+  return db.users.create({
+    id: uuidv4(),
+    org_id: org.id,
+    github_username: githubUsername,
+    is_admin: false
+  });
+};
+
+/**
+ * Post a line comment to Slack and store its mapping
+ * Comments that already have a record are skipped, so a retried batch doesn't double-post
+ * @param {Object} org - Organization data
+ * @param {Object} pullRequest - Pull request data
+ * @param {Object} comment - Buffered comment
+ * @param {string|null} threadTs - Review summary thread, or null for a standalone message
+ * @param {string|null} parentId - Review summary comment UUID
+ * @returns {Promise<string>} Slack message timestamp
+ */
+const postLineComment = async (org, pullRequest, comment, threadTs, parentId) => {
+  const existing = await db.comments.findByGithubCommentId(pullRequest.id, comment.id.toString());
+  if (existing) return existing.slack_message_ts || existing.slack_thread_ts;
+
+  const commenter = await findOrCreateUser(org, comment.user.login);
+
+  const message = await slackService.sendReviewCommentMessage(
+    org.slack_bot_token,
+    slackService.getPrDestination(pullRequest),
+    threadTs,
+    {
+      author: comment.user.login,
+      authorSlackId: commenter.slack_user_id || null,
+      body: comment.body,
+      url: comment.html_url,
+      path: comment.path,
+      line: comment.line || comment.position || 'Unknown line',
+      commentId: comment.id
+    }
+  );
+
+  await db.comments.create({
+    id: uuidv4(),
+    pr_id: pullRequest.id,
+    github_comment_id: comment.id.toString(),
+    slack_thread_ts: threadTs || message.ts,
+    slack_message_ts: message.ts,
+    parent_comment_id: parentId,
+    user_id: commenter.id,
+    content: comment.body,
+    source: 'github',
+    comment_type: 'line_comment',
+    created_at: new Date(comment.created_at).toISOString()
+  });
+
+  return message.ts;
+};
+
+/**
+ * Post a claimed batch to Slack
+ * @param {Object} batch - Claimed review batch
+ * @returns {Promise<string|null>} Slack timestamp of the review message, or null if nothing was posted
+ */
+const postBatch = async (batch) => {
+  const org = await db.organizations.findById(batch.org_id);
+  const pullRequest = await db.pullRequests.findById(batch.pr_id);
+
+  if (!pullRequest.slack_channel_id) {
+    console.log(`[REVIEW BATCH] PR ${pullRequest.id} has no Slack channel, nothing to post`);
+    return null;
+  }
+
+  const { review } = batch;
+  const comments = [...batch.comments].sort(
+    (a, b) => new Date(a.created_at) - new Date(b.created_at)
+  );
+
+  // An empty "commented" review is how GitHub records a standalone line comment
+  // (or a reply to an existing thread), so there is no summary worth posting
+  const isBareComment = !review || (!review.body && review.state.toLowerCase() === 'commented');
+
+  if (isBareComment && comments.length === 0) {
+    console.log(`[REVIEW BATCH] Review ${batch.github_review_id} has no body or new comments, nothing to post`);
+    return null;
+  }
+
+  if (isBareComment && comments.length === 1) {
+    return postLineComment(org, pullRequest, comments[0], null, null);
+  }
+
+  const reviewerUsername = review ? review.user.login : comments[0].user.login;
+  const reviewStatus = review ? review.state.toLowerCase() : 'commented';
+  const summaryId = `review_${batch.github_review_id}`;
+
+  let summary = await db.comments.findByGithubCommentId(pullRequest.id, summaryId);
+
+  if (!summary) {
+    const reviewer = await findOrCreateUser(org, reviewerUsername);
+
+    console.log(`[REVIEW BATCH] Sending review message to Slack: ${reviewStatus} with ${comments.length} comments`);
+    const message = await slackService.sendReviewMessage(
+      org.slack_bot_token,
+      slackService.getPrDestination(pullRequest),
+      {
+        title: batch.pull_request.title,
+        url: batch.pull_request.html_url,
+        prNumber: batch.pull_request.number,
+        reviewer: reviewerUsername,
+        reviewerSlackId: reviewer.slack_user_id || null,
+        state: reviewStatus,
+        body: review?.body,
+        commentCount: comments.length
+      }
+    );
+
+    // Store the comment mapping for two-way sync
+    summary = await db.comments.create({
+      id: uuidv4(),
+      pr_id: pullRequest.id,
+      github_comment_id: summaryId,
+      slack_thread_ts: message.ts,
+      user_id: reviewer.id,
+      content: review?.body || '',
+      source: 'github',
+      comment_type: 'review_summary',
+      created_at: new Date(review?.submitted_at || new Date()).toISOString()
+    });
+  }
+
+  // Line comments go in the review's thread
+  for (const comment of comments) {
+    await postLineComment(org, pullRequest, comment, summary.slack_thread_ts, summary.id);
+  }
+
+  return summary.slack_thread_ts;
+};
+
+/**
+ * Claim a batch and post it, making sure only one worker does so
+ * @param {Object} batch - Review batch
+ * @returns {Promise<Object>} Result of processing
+ */
+const emitBatch = async (batch) => {
+  const claimed = await db.reviewBatches.claim(batch.id);
+
+  if (!claimed) {
+    return {
+      status: 'ignored',
+      message: `Review ${batch.github_review_id} is already being posted`
+    };
+  }
+
+  try {
+    const messageTs = await postBatch(claimed);
+
+    await db.reviewBatches.update(claimed.id, {
+      status: 'emitted',
+      locked_at: null,
+      emitted_at: new Date().toISOString(),
+      slack_message_ts: messageTs
+    });
+
+    return {
+      status: 'success',
+      message: `Review ${batch.github_review_id} posted with ${claimed.comments.length} comments`
+    };
+  } catch (error) {
+    // Hand the batch back so a retry or the sweep can post it; anything
+    // already posted has a comment record and won't be sent again
+    await db.reviewBatches.update(claimed.id, {
+      status: 'buffering',
+      locked_at: null,
+      expires_at: getExpiry()
+    });
+    throw error;
+  }
+};
+
+/**
+ * Post the batch if it is complete, otherwise leave it buffering
+ * @param {Object} batch - Review batch
+ * @returns {Promise<Object>} Result of processing
+ */
+const emitIfComplete = async (batch) => {
+  if (!isComplete(batch)) {
+    const expected = batch.expected_comment_count ?? '?';
+    console.log(`[REVIEW BATCH] Review ${batch.github_review_id} waiting (${batch.review ? 'review received' : 'no review yet'}, ${batch.comments.length}/${expected} comments)`);
+
+    return {
+      status: 'buffered',
+      message: `Waiting for the rest of review ${batch.github_review_id}`
+    };
+  }
+
+  return emitBatch(batch);
+};
+
+/**
+ * Add a submitted review to its batch
+ * @param {Object} org - Organization data
+ * @param {Object} pullRequest - Pull request data
+ * @param {Object} payload - pull_request_review webhook payload
+ * @returns {Promise<Object>} Result of processing
+ */
+const addReview = async (org, pullRequest, payload) => {
+  const { review, repository } = payload;
+  const batch = await findOrCreateBatch(org, pullRequest, payload, review.id);
+
+  if (batch.status !== 'buffering') {
+    return {
+      status: 'ignored',
+      message: `Review ${review.id} has already been posted`
+    };
+  }
+
+  // Replies to existing threads are posted on their own, so only
+  // top-level comments are part of the review's message
+  let expectedCommentCount = null;
+  try {
+    const reviewComments = await githubService.getReviewComments(
+      org.id,
+      repository.full_name,
+      payload.pull_request.number,
+      review.id
+    );
+
+    if (Array.isArray(reviewComments)) {
+      expectedCommentCount = reviewComments.filter(c => !c.in_reply_to_id).length;
+    }
+  } catch (error) {
+    // Without a count the batch is posted when the window expires
+    console.error(`[REVIEW BATCH] Error fetching comments for review ${review.id}:`, error.message);
+  }
+
+  const updated = await db.reviewBatches.updateBuffering(batch.id, {
+    review: pickReview(review),
+    expected_comment_count: expectedCommentCount
+  });
+
+  if (!updated) {
+    return {
+      status: 'ignored',
+      message: `Review ${review.id} window already closed`
+    };
+  }
+
+  return emitIfComplete(updated);
+};
+
+/**
+ * Add a top-level line comment to its review's batch
+ * Edits to a comment that is still buffered replace the buffered copy
+ * @param {Object} org - Organization data
+ * @param {Object} pullRequest - Pull request data
+ * @param {Object} payload - pull_request_review_comment webhook payload
+ * @returns {Promise<Object|null>} Result of processing, or null if the review was already posted
+ */
+const addComment = async (org, pullRequest, payload) => {
+  const { action, comment } = payload;
+  const reviewId = comment.pull_request_review_id;
+
+  const batch = action === 'created'
+    ? await findOrCreateBatch(org, pullRequest, payload, reviewId)
+    : await db.reviewBatches.findByReviewId(pullRequest.id, reviewId);
+
+  if (!batch || batch.status !== 'buffering') {
+    return null;
+  }
+
+  const comments = batch.comments
+    .filter(c => c.id !== comment.id)
+    .concat(pickComment(comment));
+
+  const updated = await db.reviewBatches.updateBuffering(batch.id, { comments });
+
+  if (!updated) {
+    return null;
+  }
+
+  return emitIfComplete(updated);
+};
+
+/**
+ * Apply an edited or dismissed review to its Slack message
+ * A review that is still buffered is updated in place and posted as is
+ * @param {Object} org - Organization data
+ * @param {Object} pullRequest - Pull request data
+ * @param {Object} payload - pull_request_review webhook payload
+ * @returns {Promise<Object>} Result of processing
+ */
+const updateReview = async (org, pullRequest, payload) => {
+  const { review, pull_request: pr } = payload;
+  const batch = await db.reviewBatches.findByReviewId(pullRequest.id, review.id);
+
+  if (batch && batch.status === 'buffering' && batch.review) {
+    const updated = await db.reviewBatches.updateBuffering(batch.id, {
+      review: pickReview(review)
+    });
+
+    if (updated) {
+      return {
+        status: 'buffered',
+        message: `Buffered review ${review.id} updated`
+      };
+    }
+  }
+
+  const summary = await db.comments.findByGithubCommentId(pullRequest.id, `review_${review.id}`);
+
+  if (!summary || !pullRequest.slack_channel_id) {
+    return {
+      status: 'ignored',
+      message: `No Slack message for review ${review.id}`
+    };
+  }
+
+  const reviewer = await findOrCreateUser(org, review.user.login);
+
+  await slackService.updateReviewMessage(
+    org.slack_bot_token,
+    slackService.getPrDestination(pullRequest),
+    summary.slack_thread_ts,
+    {
+      title: pr.title,
+      url: pr.html_url,
+      prNumber: pr.number,
+      reviewer: review.user.login,
+      reviewerSlackId: reviewer.slack_user_id || null,
+      state: review.state.toLowerCase(),
+      body: review.body,
+      commentCount: batch ? batch.comments.length : 0
+    }
+  );
+
+  if (summary.content !== (review.body || '')) {
+    await db.comments.update(summary.id, {
+      content: review.body || '',
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  return {
+    status: 'success',
+    message: `Review ${review.id} message updated`
+  };
+};
+
+/**
+ * Post every batch whose window has expired
+ * Called from the webhook worker's poll loop
+ * @returns {Promise<number>} Number of batches posted
+ */
+const flushExpiredBatches = async () => {
+  const lockedBefore = new Date(Date.now() - config.queue.lockTimeoutMinutes * 60 * 1000).toISOString();
+  const released = await db.reviewBatches.releaseStale(lockedBefore);
+  if (released.length > 0) {
+    console.warn(`[REVIEW BATCH] Released ${released.length} stale batch(es)`);
+  }
+
+  const batches = await db.reviewBatches.findExpired();
+  let flushed = 0;
+
+  for (const batch of batches) {
+    try {
+      console.log(`[REVIEW BATCH] Window expired for review ${batch.github_review_id}, posting ${batch.comments.length} comments`);
+      const result = await emitBatch(batch);
+      if (result.status === 'success') flushed++;
+    } catch (error) {
+      console.error(`[REVIEW BATCH] Error posting review ${batch.github_review_id}:`, error.message);
+    }
+  }
+
+  return flushed;
+};
+
+module.exports = {
+  addReview,
+  addComment,
+  updateReview,
+  flushExpiredBatches,
+  isComplete
+};
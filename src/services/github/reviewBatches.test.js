@@ -0,0 +1,55 @@
+// src/services/github/reviewBatches.test.js
+jest.mock('../supabase/functions', () => ({
+  reviewBatches: {
+    findByReviewId: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn()
+  }
+}));
+
+jest.mock('../../config', () => ({
+  reviews: {
+    batchWindowSeconds: 30
+  }
+}));
+
+jest.mock('../slack/messages', () => ({}));
+jest.mock('./api', () => ({}));
+
+const reviewBatches = require('./reviewBatches');
+
+const buildBatch = (overrides = {}) => ({
+  id: 'batch-1',
+  review: { id: 1, state: 'commented' },
+  expected_comment_count: 2,
+  comments: [{ id: 10 }, { id: 11 }],
+  ...overrides
+});
+
+describe('isComplete', () => {
+  test('is complete once the review and every expected comment have arrived', () => {
+    expect(reviewBatches.isComplete(buildBatch())).toBe(true);
+  });
+
+  test('waits for the review itself', () => {
+    expect(reviewBatches.isComplete(buildBatch({ review: null }))).toBe(false);
+  });
+
+  test('waits while the expected comment count is unknown', () => {
+    const batch = buildBatch({ expected_comment_count: null, comments: [] });
+
+    expect(reviewBatches.isComplete(batch)).toBe(false);
+  });
+
+  test('waits for comments that have not arrived yet', () => {
+    const batch = buildBatch({ comments: [{ id: 10 }] });
+
+    expect(reviewBatches.isComplete(batch)).toBe(false);
+  });
+
+  test('is complete for a review without line comments', () => {
+    const batch = buildBatch({ expected_comment_count: 0, comments: [] });
+
+    expect(reviewBatches.isComplete(batch)).toBe(true);
+  });
+});
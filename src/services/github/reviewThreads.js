@@ -0,0 +1,134 @@
+/**
+ * Review thread resolution
+ * Mirrors resolved and unresolved review conversations onto their comment
+ * records and the Slack message that starts each conversation
+ */
+const db = require('../supabase/functions');
+const slackService = require('../slack/messages');
+
+/**
+ * Format a GitHub user as a Slack mention when we know their Slack ID
+ * @param {Object} org - Organization data
+ * @param {string} githubUsername - GitHub username
+ * @returns {Promise<Object>} User record (if any) and display text
+ */
+const findUserDisplay = async (org, githubUsername) => {
+  const user = await db.users.findByGithubUsername(org.id, githubUsername);
+
+  return {
+    user,
+    display: user?.slack_user_id ? `<@${user.slack_user_id}>` : githubUsername
+  };
+};
+
+/**
+ * Handle GitHub pull_request_review_thread event
+ * @param {Object} payload - GitHub webhook payload
+ * @returns {Promise<Object>} Result of processing
+ */
+const handleReviewThreadEvent = async (payload) => {
+  try {
+    const { action, thread, pull_request: pr, repository, organization, sender } = payload;
+
+    console.log(`[REVIEW THREAD] Thread ${thread.node_id} ${action} on PR #${pr.number}`);
+
+    if (!['resolved', 'unresolved'].includes(action)) {
+      return {
+        status: 'ignored',
+        message: `Review thread action '${action}' not handled`
+      };
+    }
+
+    const org = await db.organizations.findByGithubOrgId(organization?.id || repository.owner.id);
+
+    if (!org) {
+      return {
+        status: 'error',
+        message: 'Organization not registered with PingaPR'
+      };
+    }
+
+    const repo = await db.repositories.findByGithubRepoId(org.id, repository.id);
+
+    if (!repo || !repo.is_active) {
+      return {
+        status: 'ignored',
+        message: 'Repository not tracked or inactive'
+      };
+    }
+
+    const pullRequest = await db.pullRequests.findByPrNumber(repo.id, pr.number);
+
+    if (!pullRequest) {
+      return {
+        status: 'error',
+        message: 'Pull request not found in database'
+      };
+    }
+
+    const resolved = action === 'resolved';
+    const threadComments = thread.comments || [];
+
+    const records = await db.comments.updateByGithubCommentIds(
+      pullRequest.id,
+      threadComments.map(comment => comment.id.toString()),
+      {
+        github_thread_id: thread.node_id,
+        is_resolved: resolved,
+        resolved_by: resolved ? sender.login : null,
+        resolved_at: resolved ? new Date().toISOString() : null
+      }
+    );
+
+    if (records.length === 0) {
+      return {
+        status: 'ignored',
+        message: 'Review thread was never posted to Slack'
+      };
+    }
+
+    if (!pullRequest.slack_channel_id) {
+      return {
+        status: 'success',
+        message: `Review thread ${action}`
+      };
+    }
+
+    const resolver = resolved ? await findUserDisplay(org, sender.login) : null;
+
+    // Only line comments start a Slack thread; replies live inside it
+    for (const record of records.filter(record => record.comment_type === 'line_comment')) {
+      const comment = threadComments.find(c => c.id.toString() === record.github_comment_id);
+      const author = await findUserDisplay(org, comment.user.login);
+
+      await slackService.updateReviewCommentMessage(
+        org.slack_bot_token,
+        slackService.getPrDestination(pullRequest),
+        record.slack_message_ts || record.slack_thread_ts,
+        {
+          author: comment.user.login,
+          authorSlackId: author.user?.slack_user_id || null,
+          body: comment.body,
+          url: comment.html_url,
+          path: comment.path,
+          line: comment.line || comment.original_line || comment.position || 'Unknown line',
+          commentId: comment.id,
+          resolved,
+          resolvedBy: resolver?.display
+        }
+      );
+    }
+
+    return {
+      status: 'success',
+      message: `Review thread ${action}, ${records.length} comment(s) updated`
+    };
+  } catch (error) {
+    console.error('[REVIEW THREAD] Error handling review thread event:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  handleReviewThreadEvent
+};
@@ -2,6 +2,7 @@ const axios = require('axios');
 const { supabase } = require('../supabase/client');
 const config = require('../../config');
 const { WebClient } = require('@slack/web-api');
+const githubAuth = require('./auth');
 
 const githubUserAuth = {
   /**
@@ -30,9 +31,11 @@ const githubUserAuth = {
         redirectTo
       })).toString('base64');
       
+      const { baseUrl } = await githubAuth.getGithubUrls(user.org_id);
+      
       // Use the web application flow to get user access token
       // This is GitHub's recommended approach for GitHub Apps
-      const url = new URL('https://github.com/login/oauth/authorize');
+      const url = new URL(`${baseUrl}/login/oauth/authorize`);
       url.searchParams.append('client_id', config.github.clientId);
       url.searchParams.append('redirect_uri', `${config.github.userRedirectUri}`);
       url.searchParams.append('state', state);
@@ -58,8 +61,10 @@ const githubUserAuth = {
       // Decode state
       const { userId, orgId, redirectTo = 'github' } = JSON.parse(Buffer.from(state, 'base64').toString());
       
+      const { baseUrl, apiUrl } = await githubAuth.getGithubUrls(orgId);
+      
       // Exchange code for token using GitHub's OAuth endpoint
-      const response = await axios.post('https://github.com/login/oauth/access_token', {
+      const response = await axios.post(`${baseUrl}/login/oauth/access_token`, {
         client_id: config.github.clientId,
         client_secret: config.github.clientSecret,
         code,
@@ -78,7 +83,7 @@ const githubUserAuth = {
       const accessToken = response.data.access_token;
       
       // Get user info from GitHub to verify the token works
-      const userResponse = await axios.get('https://api.github.com/user', {
+      const userResponse = await axios.get(`${apiUrl}/user`, {
         headers: {
           Authorization: `Bearer ${accessToken}`,
           Accept: 'application/vnd.github+json',
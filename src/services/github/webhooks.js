@@ -6,11 +6,28 @@ const { v4: uuidv4 } = require('uuid');
 const db = require('../supabase/functions');
 const slackService = require('../../services/slack/messages');
 const slackChannels = require('../../services/slack/channels');
+const appHome = require('../../services/slack/home');
 const { formatPrDescription } = require('../../utils/formatting');
 const githubService = require('./api')
 const githubAuth = require('./auth');
+const reviewBatches = require('./reviewBatches');
+const checks = require('./checks');
+const labelRules = require('./labelRules');
+const installations = require('./installations');
+const reviewThreads = require('./reviewThreads');
 const { WebClient } = require('@slack/web-api');
 
+// Actions that change what shows up on the author's and reviewers' App Home
+const HOME_REFRESH_ACTIONS = [
+  'opened',
+  'closed',
+  'reopened',
+  'review_requested',
+  'review_request_removed',
+  'converted_to_draft',
+  'ready_for_review'
+];
+
 /**
  * Handle GitHub ping event
  * @param {Object} payload - GitHub webhook payload
@@ -74,41 +91,187 @@ const handlePullRequestEvent = async (payload) => {
       };
     }
     
-    // Process based on action
-    switch (action) {
-      case 'opened':
-        return await handlePrOpened(org, repo, pr, payload);
-        
-      case 'closed':
-        return await handlePrClosed(org, repo, pr, payload);
-        
-      case 'reopened':
-        return await handlePrReopened(org, repo, pr, payload);
-        
-      case 'review_requested':
-        return await handlePrReviewRequested(org, repo, pr, payload);
-        
-      case 'review_request_removed':
-        return await handlePrReviewRequestRemoved(org, repo, pr, payload);
-        
-      case 'synchronize': // PR code was updated
-        return await handlePrSynchronize(org, repo, pr, payload);
-        
-      case 'edited':
-        return await handlePrEdited(org, repo, pr, payload);
-        
-      default:
-        return {
-          status: 'ignored',
-          message: `PR action '${action}' not handled`
-        };
-    }
+    return await handlePullRequestAction(org, repo, pr, payload);
   } catch (error) {
     console.error('Error processing pull request event:', error);
     throw error;
   }
 };
 
+/**
+ * Run the handler for a pull request action and refresh the App Home of
+ * everyone on the PR when its state changes
+ * GitLab merge request and Bitbucket pull request events are translated
+ * into the same actions
+ * @param {Object} org - Organization data
+ * @param {Object} repo - Repository data
+ * @param {Object} pr - Pull request data from GitHub
+ * @param {Object} payload - Full webhook payload
+ * @returns {Object} Result of processing
+ */
+const handlePullRequestAction = async (org, repo, pr, payload) => {
+  const result = await dispatchPullRequestAction(org, repo, pr, payload);
+  
+  if (HOME_REFRESH_ACTIONS.includes(payload.action) && result?.status === 'success') {
+    const pullRequest = await db.pullRequests.findByPrNumber(repo.id, pr.number);
+    
+    if (pullRequest) {
+      await appHome.refreshForPullRequest(org, pullRequest);
+    }
+  }
+  
+  return result;
+};
+
+/**
+ * Route a pull request action to its handler
+ * @param {Object} org - Organization data
+ * @param {Object} repo - Repository data
+ * @param {Object} pr - Pull request data
+ * @param {Object} payload - Full webhook payload
+ * @returns {Object} Result of processing
+ */
+const dispatchPullRequestAction = async (org, repo, pr, payload) => {
+  switch (payload.action) {
+    case 'opened':
+      return await handlePrOpened(org, repo, pr, payload);
+      
+    case 'closed':
+      return await handlePrClosed(org, repo, pr, payload);
+      
+    case 'reopened':
+      return await handlePrReopened(org, repo, pr, payload);
+      
+    case 'review_requested':
+      return await handlePrReviewRequested(org, repo, pr, payload);
+      
+    case 'review_request_removed':
+      return await handlePrReviewRequestRemoved(org, repo, pr, payload);
+      
+    case 'synchronize': // PR code was updated
+      return await handlePrSynchronize(org, repo, pr, payload);
+      
+    case 'edited':
+      return await handlePrEdited(org, repo, pr, payload);
+      
+    case 'converted_to_draft':
+      return await handlePrConvertedToDraft(org, repo, pr, payload);
+      
+    case 'ready_for_review':
+      return await handlePrReadyForReview(org, repo, pr, payload);
+      
+    case 'labeled':
+    case 'unlabeled':
+      return await handlePrLabelsChanged(org, repo, pr, payload);
+      
+    case 'assigned':
+    case 'unassigned':
+      return await handlePrAssigneesChanged(org, repo, pr, payload);
+      
+    case 'milestoned':
+    case 'demilestoned':
+      return await handlePrMilestoneChanged(org, repo, pr, payload);
+      
+    default:
+      return {
+        status: 'ignored',
+        message: `PR action '${payload.action}' not handled`
+      };
+  }
+};
+
+/**
+ * Check whether draft PRs should wait until they are ready for review
+ * before getting a Slack channel and reviewer pings
+ * A repository setting overrides the organization setting
+ * @param {Object} org - Organization data
+ * @param {Object} repo - Repository data
+ * @returns {boolean} True if drafts are deferred
+ */
+const shouldDeferDrafts = (org, repo) => {
+  if (repo.defer_draft_prs !== null && repo.defer_draft_prs !== undefined) {
+    return repo.defer_draft_prs;
+  }
+  
+  return Boolean(org.settings?.defer_draft_prs);
+};
+
+/**
+ * Look up Slack IDs for a PR's requested reviewers
+ * @param {Object} org - Organization data
+ * @param {Object} pr - Pull request data from GitHub
+ * @returns {Promise<Array>} Reviewer info for Slack messages
+ */
+const getRequestedReviewerInfo = async (org, pr) => {
+  const reviewerInfo = [];
+  
+  for (const reviewer of pr.requested_reviewers || []) {
+    const reviewerUser = await db.users.findByGithubUsername(org.id, reviewer.login);
+    
+    reviewerInfo.push({
+      githubUsername: reviewer.login,
+      slackUserId: reviewerUser?.slack_user_id || null
+    });
+  }
+  
+  return reviewerInfo;
+};
+
+/**
+ * Build the data for the PR opened message
+ * @param {Object} repo - Repository data
+ * @param {Object} pr - Pull request data from GitHub
+ * @param {Object} author - Author user record
+ * @param {Array} reviewerInfo - Reviewer info for Slack messages
+ * @param {Object} pullRequest - Pull request record
+ * @returns {Object} PR opened message data
+ */
+const buildPrOpenedMessageData = (repo, pr, author, reviewerInfo, pullRequest) => ({
+  pullRequestId: pullRequest.id,
+  title: pr.title,
+  url: pr.html_url,
+  author: author,
+  repoName: repo.github_repo_name,
+  description: formatPrDescription(pr.body || '', 300),
+  additions: pr.additions,
+  deletions: pr.deletions,
+  changedFiles: pr.changed_files,
+  labels: pr.labels.map(l => l.name),
+  reviewers: reviewerInfo,
+  isDraft: Boolean(pr.draft)
+});
+
+/**
+ * Post a PR to its repository's shared channel
+ * The PR opened message is the parent of the PR's thread, so it goes out
+ * before anything else is posted about the PR
+ * @param {Object} org - Organization data
+ * @param {Object} repo - Repository data
+ * @param {Object} pr - Pull request data from GitHub
+ * @param {Object} pullRequest - Pull request record
+ * @param {Object} author - Author user record
+ * @returns {Promise<Object>} Pull request record with its channel and thread
+ */
+const startPrThread = async (org, repo, pr, pullRequest, author) => {
+  const reviewerInfo = await getRequestedReviewerInfo(org, pr);
+  
+  const message = await slackService.sendPrOpenedMessage(
+    org.slack_bot_token,
+    repo.slack_channel_id,
+    buildPrOpenedMessageData(repo, pr, author, reviewerInfo, pullRequest)
+  );
+  
+  const thread = {
+    slack_channel_id: repo.slack_channel_id,
+    slack_message_ts: message.ts,
+    slack_thread_ts: message.ts
+  };
+  
+  await db.pullRequests.update(pullRequest.id, thread);
+  
+  return Object.assign(pullRequest, thread);
+};
+
 /**
  * Handle PR opened event
  * @param {Object} org - Organization data
@@ -133,74 +296,123 @@ const handlePrOpened = async (org, repo, pr, payload) => {
       });
     }
     
-    // Create PR record in database
-    const pullRequest = await db.pullRequests.create({
-      id: uuidv4(),
-      repo_id: repo.id,
-      github_pr_id: pr.id.toString(),
-      github_pr_number: pr.number,
-      title: pr.title,
-      description: pr.body || '',
-      author_id: author.id,
-      status: 'open',
-      created_at: new Date(pr.created_at).toISOString(),
-      updated_at: new Date(pr.updated_at).toISOString()
-    });
-    
-    // Create Slack channel for the PR
-    const channel = await slackChannels.createPrChannel(org, pullRequest, repo);
+    // Reuse the PR record if an earlier attempt already created it
+    let pullRequest = await db.pullRequests.findByGithubPrId(repo.id, pr.id.toString());
     
-    // Update PR with Slack channel ID
-    await db.pullRequests.update(pullRequest.id, {
-      slack_channel_id: channel.id
-    });
+    if (pullRequest && pullRequest.slack_channel_id) {
+      console.log(`PR #${pr.number} already has channel ${pullRequest.slack_channel_id}, ignoring duplicate opened event`);
+      return {
+        status: 'ignored',
+        message: 'Pull request already processed',
+        data: {
+          pr_id: pullRequest.id,
+          channel_id: pullRequest.slack_channel_id
+        }
+      };
+    }
     
-    // Update the pullRequest object with the channel ID
-    pullRequest.slack_channel_id = channel.id;
+    if (!pullRequest) {
+      // Create PR record in database
+      pullRequest = await db.pullRequests.create({
+        id: uuidv4(),
+        repo_id: repo.id,
+        github_pr_id: pr.id.toString(),
+        github_pr_number: pr.number,
+        title: pr.title,
+        description: pr.body || '',
+        author_id: author.id,
+        status: 'open',
+        is_draft: Boolean(pr.draft),
+        head_sha: pr.head.sha,
+        additions: pr.additions,
+        deletions: pr.deletions,
+        changed_files: pr.changed_files,
+        labels: (pr.labels || []).map(l => l.name),
+        assignees: (pr.assignees || []).map(a => a.login),
+        milestone: pr.milestone?.title || null,
+        created_at: new Date(pr.created_at).toISOString(),
+        updated_at: new Date(pr.updated_at).toISOString()
+      });
+    }
     
-    // Process requested reviewers and collect their Slack IDs
-    const reviewerInfo = [];
-    if (pr.requested_reviewers && pr.requested_reviewers.length > 0) {
-      for (const reviewer of pr.requested_reviewers) {
-        // Process review request and add to database
+    // Deferred drafts get no channel yet; reviewers are recorded without
+    // being pinged and are notified once the PR is ready for review
+    if (pr.draft && shouldDeferDrafts(org, repo)) {
+      for (const reviewer of pr.requested_reviewers || []) {
         await processReviewRequest(org, pullRequest, reviewer.login);
-        
-        // Find the reviewer in our database to get their Slack ID
-        const reviewerUser = await db.users.findByGithubUsername(org.id, reviewer.login);
-        
-        reviewerInfo.push({
-          githubUsername: reviewer.login,
-          slackUserId: reviewerUser?.slack_user_id || null
-        });
       }
+      
+      for (const team of pr.requested_teams || []) {
+        await processTeamReviewRequest(org, pullRequest, team, payload);
+      }
+      
+      await labelRules.applyLabelRules(org, pullRequest, pr, []);
+      
+      return {
+        status: 'success',
+        message: 'Draft pull request recorded, channel deferred until ready for review',
+        data: {
+          pr_id: pullRequest.id
+        }
+      };
     }
     
+    const threaded = slackChannels.usesSharedChannel(repo);
     
-    // Send PR notification to Slack
-    const formattedDescription = formatPrDescription(pr.body || '', 300);
-    const message = await slackService.sendPrOpenedMessage(
-      org.slack_bot_token,
-      channel.id,
-      {
-        title: pr.title,
-        url: pr.html_url,
-        author: author,
-        repoName: repo.github_repo_name,
-        description: formattedDescription,
-        additions: pr.additions,
-        deletions: pr.deletions,
-        changedFiles: pr.changed_files,
-        labels: pr.labels.map(l => l.name),
-        reviewers: reviewerInfo  // Add the reviewers info here
-      }
-    );
+    if (threaded) {
+      // The PR gets a thread in the repository's shared channel
+      await startPrThread(org, repo, pr, pullRequest, author);
+    } else {
+      // Create Slack channel for the PR
+      const channel = await slackChannels.createPrChannel(org, pullRequest, repo, pr);
+      
+      // Update PR with Slack channel ID
+      await db.pullRequests.update(pullRequest.id, {
+        slack_channel_id: channel.id
+      });
+      
+      // Update the pullRequest object with the channel ID
+      pullRequest.slack_channel_id = channel.id;
+    }
+    
+    // Process requested reviewers; the channel is new, so reviewers recorded
+    // while the PR was a deferred draft are notified here as well
+    for (const reviewer of pr.requested_reviewers || []) {
+      await processReviewRequest(org, pullRequest, reviewer.login, { notifyPending: true });
+    }
+    
+    for (const team of pr.requested_teams || []) {
+      await processTeamReviewRequest(org, pullRequest, team, payload, { notifyPending: true });
+    }
+    
+    if (!threaded) {
+      const reviewerInfo = await getRequestedReviewerInfo(org, pr);
+      
+      // Send PR notification to Slack
+      const message = await slackService.sendPrOpenedMessage(
+        org.slack_bot_token,
+        pullRequest.slack_channel_id,
+        buildPrOpenedMessageData(repo, pr, author, reviewerInfo, pullRequest)
+      );
+      
+      // Keep the message timestamp so the header can be updated later
+      await db.pullRequests.update(pullRequest.id, {
+        slack_message_ts: message.ts
+      });
+    }
+    
+    // Labels present at open time trigger their rules too
+    await labelRules.applyLabelRules(org, pullRequest, pr, (pr.labels || []).map(l => l.name));
+    
+    // CI may have reported on the commit before the PR was opened
+    await checks.syncHeadChecks(org, { ...pullRequest, head_sha: pr.head.sha, author }, payload.repository);
     
     return {
       status: 'success',
       message: 'Pull request opened and notification sent',
       data: {
         pr_id: pullRequest.id,
-        channel_id: channel.id
+        channel_id: pullRequest.slack_channel_id
       }
     };
   } catch (error) {
@@ -243,7 +455,7 @@ const handlePrClosed = async (org, repo, pr, payload) => {
     if (pullRequest.slack_channel_id) {
       await slackService.sendPrClosedMessage(
         org.slack_bot_token,
-        pullRequest.slack_channel_id,
+        slackService.getPrDestination(pullRequest),
         {
           title: pr.title,
           url: pr.html_url,
@@ -288,45 +500,413 @@ const handlePrReopened = async (org, repo, pr, payload) => {
       return await handlePrOpened(org, repo, pr, payload);
     }
     
-    // Update PR status
+    // Update PR status
+    await db.pullRequests.update(pullRequest.id, {
+      status: 'open',
+      merged_at: null,
+      closed_at: null,
+      head_sha: pr.head.sha,
+      additions: pr.additions,
+      deletions: pr.deletions,
+      changed_files: pr.changed_files,
+      updated_at: new Date(pr.updated_at).toISOString()
+    });
+    
+    // If there's no Slack channel, create one
+    let channelId = pullRequest.slack_channel_id;
+    
+    if (!channelId && pr.draft && shouldDeferDrafts(org, repo)) {
+      return {
+        status: 'success',
+        message: 'Draft pull request reopened, channel deferred until ready for review'
+      };
+    }
+    
+    if (!channelId && slackChannels.usesSharedChannel(repo)) {
+      const author = pullRequest.author || await db.users.findById(pullRequest.author_id);
+      await startPrThread(org, repo, pr, pullRequest, author);
+    } else if (!channelId) {
+      const channel = await slackChannels.createPrChannel(org, pullRequest, repo, pr);
+      channelId = channel.id;
+      
+      // Update PR with new channel ID
+      await db.pullRequests.update(pullRequest.id, {
+        slack_channel_id: channelId
+      });
+      
+      pullRequest.slack_channel_id = channelId;
+    } else if (!pullRequest.slack_thread_ts) {
+      // The channel may have been archived while the PR was closed
+      const channel = await slackChannels.restorePrChannel(org, pullRequest, repo, pr);
+      
+      if (channel.replaced || pullRequest.slack_channel_archived_at) {
+        // The opened message stays behind in a replaced channel
+        await db.pullRequests.update(pullRequest.id, {
+          slack_channel_id: channel.id,
+          slack_channel_archived_at: null,
+          ...(channel.replaced && { slack_message_ts: null })
+        });
+        
+        pullRequest.slack_channel_id = channel.id;
+      }
+    }
+    
+    // Send PR reopened notification to Slack
+    await slackService.sendPrReopenedMessage(
+      org.slack_bot_token,
+      slackService.getPrDestination(pullRequest),
+      {
+        title: pr.title,
+        url: pr.html_url,
+        reopenedBy: payload.sender.login,
+        repoName: repo.github_repo_name
+      }
+    );
+    
+    return {
+      status: 'success',
+      message: 'Pull request reopened and notification sent'
+    };
+  } catch (error) {
+    console.error('Error handling PR reopened event:', error);
+    throw error;
+  }
+};
+
+/**
+ * Refresh the PR opened message so its header matches the PR's draft state
+ * @param {Object} org - Organization data
+ * @param {Object} repo - Repository data
+ * @param {Object} pr - Pull request data from GitHub
+ * @param {Object} pullRequest - Pull request record
+ */
+const refreshPrOpenedMessage = async (org, repo, pr, pullRequest) => {
+  if (!pullRequest.slack_channel_id || !pullRequest.slack_message_ts) {
+    return;
+  }
+  
+  const author = pullRequest.author || { github_username: pr.user.login };
+  const reviewerInfo = await getRequestedReviewerInfo(org, pr);
+  
+  try {
+    await slackService.updatePrOpenedMessage(
+      org.slack_bot_token,
+      slackService.getPrDestination(pullRequest),
+      pullRequest.slack_message_ts,
+      buildPrOpenedMessageData(repo, pr, author, reviewerInfo, pullRequest)
+    );
+  } catch (error) {
+    // The status message still goes out if the original message is gone
+    console.error('Error refreshing PR opened message:', error);
+  }
+};
+
+/**
+ * Handle PR converted to draft event
+ * @param {Object} org - Organization data
+ * @param {Object} repo - Repository data
+ * @param {Object} pr - Pull request data from GitHub
+ * @param {Object} payload - Full webhook payload
+ * @returns {Object} Result of processing
+ */
+const handlePrConvertedToDraft = async (org, repo, pr, payload) => {
+  try {
+    // Find PR in database
+    const pullRequest = await db.pullRequests.findByPrNumber(repo.id, pr.number);
+    
+    if (!pullRequest) {
+      return {
+        status: 'error',
+        message: 'Pull request not found in database'
+      };
+    }
+    
+    if (pullRequest.is_draft) {
+      return {
+        status: 'ignored',
+        message: 'Pull request is already a draft'
+      };
+    }
+    
+    await db.pullRequests.update(pullRequest.id, {
+      is_draft: true,
+      updated_at: new Date(pr.updated_at).toISOString()
+    });
+    
+    // An existing channel is kept; it just stops getting reminders
+    if (pullRequest.slack_channel_id) {
+      await refreshPrOpenedMessage(org, repo, pr, pullRequest);
+      
+      const changedBy = await db.users.findByGithubUsername(org.id, payload.sender.login);
+      
+      await slackService.sendPrDraftStatusMessage(
+        org.slack_bot_token,
+        slackService.getPrDestination(pullRequest),
+        {
+          isDraft: true,
+          title: pr.title,
+          url: pr.html_url,
+          changedBy: changedBy?.slack_user_id ? `<@${changedBy.slack_user_id}>` : payload.sender.login
+        }
+      );
+    }
+    
+    return {
+      status: 'success',
+      message: 'Pull request converted to draft'
+    };
+  } catch (error) {
+    console.error('Error handling PR converted to draft event:', error);
+    throw error;
+  }
+};
+
+/**
+ * Handle PR ready for review event
+ * @param {Object} org - Organization data
+ * @param {Object} repo - Repository data
+ * @param {Object} pr - Pull request data from GitHub
+ * @param {Object} payload - Full webhook payload
+ * @returns {Object} Result of processing
+ */
+const handlePrReadyForReview = async (org, repo, pr, payload) => {
+  try {
+    // Find PR in database
+    const pullRequest = await db.pullRequests.findByPrNumber(repo.id, pr.number);
+    
+    if (!pullRequest) {
+      // We never saw this PR, so handle it like a new PR
+      return await handlePrOpened(org, repo, pr, payload);
+    }
+    
+    if (!pullRequest.is_draft && pullRequest.slack_channel_id) {
+      return {
+        status: 'ignored',
+        message: 'Pull request is already ready for review'
+      };
+    }
+    
+    await db.pullRequests.update(pullRequest.id, {
+      is_draft: false,
+      ready_for_review_at: new Date().toISOString(),
+      reminder_sent: false,
+      updated_at: new Date(pr.updated_at).toISOString()
+    });
+    
+    // A deferred draft gets its channel and reviewer pings now
+    if (!pullRequest.slack_channel_id) {
+      return await handlePrOpened(org, repo, pr, payload);
+    }
+    
+    await refreshPrOpenedMessage(org, repo, pr, pullRequest);
+    
+    const reviewerInfo = await getRequestedReviewerInfo(org, pr);
+    
+    await slackService.sendPrDraftStatusMessage(
+      org.slack_bot_token,
+      slackService.getPrDestination(pullRequest),
+      {
+        isDraft: false,
+        title: pr.title,
+        url: pr.html_url,
+        reviewers: reviewerInfo
+      }
+    );
+    
+    return {
+      status: 'success',
+      message: 'Pull request marked ready for review'
+    };
+  } catch (error) {
+    console.error('Error handling PR ready for review event:', error);
+    throw error;
+  }
+};
+
+/**
+ * Format a GitHub user as a Slack mention when we know their Slack ID
+ * @param {Object} org - Organization data
+ * @param {string} githubUsername - GitHub username
+ * @returns {Promise<string>} Slack mention or GitHub username
+ */
+const getUserMention = async (org, githubUsername) => {
+  const user = await db.users.findByGithubUsername(org.id, githubUsername);
+  return user?.slack_user_id ? `<@${user.slack_user_id}>` : githubUsername;
+};
+
+/**
+ * Handle PR labeled and unlabeled events
+ * @param {Object} org - Organization data
+ * @param {Object} repo - Repository data
+ * @param {Object} pr - Pull request data from GitHub
+ * @param {Object} payload - Full webhook payload
+ * @returns {Object} Result of processing
+ */
+const handlePrLabelsChanged = async (org, repo, pr, payload) => {
+  try {
+    const { action, label } = payload;
+    
+    // Find PR in database
+    const pullRequest = await db.pullRequests.findByPrNumber(repo.id, pr.number);
+    
+    if (!pullRequest) {
+      return {
+        status: 'error',
+        message: 'Pull request not found in database'
+      };
+    }
+    
+    // The payload carries the full label list, so it's the source of truth
+    await db.pullRequests.update(pullRequest.id, {
+      labels: (pr.labels || []).map(l => l.name)
+    });
+    
+    const added = action === 'labeled' ? [label.name] : [];
+    const triggered = await labelRules.applyLabelRules(org, pullRequest, pr, added);
+    
+    if (pullRequest.slack_channel_id) {
+      await refreshPrOpenedMessage(org, repo, pr, pullRequest);
+      
+      const sender = await getUserMention(org, payload.sender.login);
+      await slackService.sendPrActivityMessage(
+        org.slack_bot_token,
+        slackService.getPrDestination(pullRequest),
+        {
+          icon: ':bookmark:',
+          text: action === 'labeled'
+            ? `${sender} added label \`${label.name}\``
+            : `${sender} removed label \`${label.name}\``
+        }
+      );
+    }
+    
+    return {
+      status: 'success',
+      message: `Label ${label.name} ${action === 'labeled' ? 'added' : 'removed'}`,
+      data: {
+        rules_triggered: triggered.length
+      }
+    };
+  } catch (error) {
+    console.error('Error handling PR label event:', error);
+    throw error;
+  }
+};
+
+/**
+ * Handle PR assigned and unassigned events
+ * @param {Object} org - Organization data
+ * @param {Object} repo - Repository data
+ * @param {Object} pr - Pull request data from GitHub
+ * @param {Object} payload - Full webhook payload
+ * @returns {Object} Result of processing
+ */
+const handlePrAssigneesChanged = async (org, repo, pr, payload) => {
+  try {
+    const { action, assignee } = payload;
+    
+    // Find PR in database
+    const pullRequest = await db.pullRequests.findByPrNumber(repo.id, pr.number);
+    
+    if (!pullRequest) {
+      return {
+        status: 'error',
+        message: 'Pull request not found in database'
+      };
+    }
+    
+    await db.pullRequests.update(pullRequest.id, {
+      assignees: (pr.assignees || []).map(a => a.login)
+    });
+    
+    if (pullRequest.slack_channel_id) {
+      const assigneeUser = await db.users.findByGithubUsername(org.id, assignee.login);
+      
+      // Assignees join the channel so they see the discussion
+      if (action === 'assigned' && assigneeUser?.slack_user_id) {
+        await slackChannels.inviteUserToChannel(
+          org.slack_bot_token,
+          pullRequest.slack_channel_id,
+          assigneeUser.slack_user_id
+        );
+      }
+      
+      const assigneeMention = assigneeUser?.slack_user_id ? `<@${assigneeUser.slack_user_id}>` : assignee.login;
+      const sender = await getUserMention(org, payload.sender.login);
+      
+      await slackService.sendPrActivityMessage(
+        org.slack_bot_token,
+        slackService.getPrDestination(pullRequest),
+        {
+          icon: ':bust_in_silhouette:',
+          text: action === 'assigned'
+            ? `${sender} assigned ${assigneeMention}`
+            : `${sender} unassigned ${assigneeMention}`
+        }
+      );
+    }
+    
+    return {
+      status: 'success',
+      message: `Assignee ${assignee.login} ${action}`
+    };
+  } catch (error) {
+    console.error('Error handling PR assignee event:', error);
+    throw error;
+  }
+};
+
+/**
+ * Handle PR milestoned and demilestoned events
+ * @param {Object} org - Organization data
+ * @param {Object} repo - Repository data
+ * @param {Object} pr - Pull request data from GitHub
+ * @param {Object} payload - Full webhook payload
+ * @returns {Object} Result of processing
+ */
+const handlePrMilestoneChanged = async (org, repo, pr, payload) => {
+  try {
+    const { action } = payload;
+    const milestone = payload.milestone || pr.milestone;
+    
+    // Find PR in database
+    const pullRequest = await db.pullRequests.findByPrNumber(repo.id, pr.number);
+    
+    if (!pullRequest) {
+      return {
+        status: 'error',
+        message: 'Pull request not found in database'
+      };
+    }
+    
     await db.pullRequests.update(pullRequest.id, {
-      status: 'open',
-      merged_at: null,
-      closed_at: null,
-      updated_at: new Date(pr.updated_at).toISOString()
+      milestone: action === 'milestoned' ? milestone?.title || null : null
     });
     
-    // If there's no Slack channel, create one
-    let channelId = pullRequest.slack_channel_id;
-    
-    if (!channelId) {
-      const channel = await slackChannels.createPrChannel(org, pullRequest, repo);
-      channelId = channel.id;
+    if (pullRequest.slack_channel_id && milestone) {
+      const sender = await getUserMention(org, payload.sender.login);
+      const milestoneText = milestone.html_url
+        ? `<${milestone.html_url}|${milestone.title}>`
+        : milestone.title;
       
-      // Update PR with new channel ID
-      await db.pullRequests.update(pullRequest.id, {
-        slack_channel_id: channelId
-      });
+      await slackService.sendPrActivityMessage(
+        org.slack_bot_token,
+        slackService.getPrDestination(pullRequest),
+        {
+          icon: ':triangular_flag_on_post:',
+          text: action === 'milestoned'
+            ? `${sender} added this to the ${milestoneText} milestone`
+            : `${sender} removed this from the ${milestoneText} milestone`
+        }
+      );
     }
     
-    // Send PR reopened notification to Slack
-    await slackService.sendPrReopenedMessage(
-      org.slack_bot_token,
-      channelId,
-      {
-        title: pr.title,
-        url: pr.html_url,
-        reopenedBy: payload.sender.login,
-        repoName: repo.github_repo_name
-      }
-    );
-    
     return {
       status: 'success',
-      message: 'Pull request reopened and notification sent'
+      message: `Pull request ${action}`
     };
   } catch (error) {
-    console.error('Error handling PR reopened event:', error);
+    console.error('Error handling PR milestone event:', error);
     throw error;
   }
 };
@@ -342,10 +922,11 @@ const handlePrReopened = async (org, repo, pr, payload) => {
 const handlePrReviewRequested = async (org, repo, pr, payload) => {
   console.log('handle pr review requested is called during pr opening')
   try {
-    // Get requested reviewer
+    // Get requested reviewer or team
     const requestedReviewer = payload.requested_reviewer?.login;
+    const requestedTeam = payload.requested_team;
     
-    if (!requestedReviewer) {
+    if (!requestedReviewer && !requestedTeam) {
       return {
         status: 'error',
         message: 'No reviewer found in payload'
@@ -362,6 +943,15 @@ const handlePrReviewRequested = async (org, repo, pr, payload) => {
       };
     }
     
+    if (requestedTeam) {
+      const members = await processTeamReviewRequest(org, pullRequest, requestedTeam, payload);
+      
+      return {
+        status: 'success',
+        message: `Team review request processed for ${members.length} member(s)`
+      };
+    }
+    
     // Process review request
     await processReviewRequest(org, pullRequest, requestedReviewer);
     
@@ -385,10 +975,11 @@ const handlePrReviewRequested = async (org, repo, pr, payload) => {
  */
 const handlePrReviewRequestRemoved = async (org, repo, pr, payload) => {
   try {
-    // Get removed reviewer
+    // Get removed reviewer or team
     const removedReviewer = payload.requested_reviewer?.login;
+    const removedTeam = payload.requested_team;
     
-    if (!removedReviewer) {
+    if (!removedReviewer && !removedTeam) {
       return {
         status: 'error',
         message: 'No reviewer found in payload'
@@ -405,43 +996,73 @@ const handlePrReviewRequestRemoved = async (org, repo, pr, payload) => {
       };
     }
     
-    // Find the reviewer
-    const reviewer = await db.users.findByGithubUsername(org.id, removedReviewer);
-    
-    if (reviewer && reviewer.slack_user_id && pullRequest.slack_channel_id) {
-      // Find the review request
-      const reviewRequest = await db.reviewRequests.findByPrAndReviewer(
-        pullRequest.id,
-        reviewer.id
-      );
+    if (removedTeam) {
+      // Members stay in the channel, they may be involved in the PR otherwise
+      const teamRequests = await db.reviewRequests.findPendingByTeam(pullRequest.id, removedTeam.slug);
       
-      if (reviewRequest) {
-        // Update review request status
-        await db.reviewRequests.update(reviewRequest.id, {
+      for (const teamRequest of teamRequests) {
+        await db.reviewRequests.update(teamRequest.id, {
           status: 'removed'
         });
-        
-        // Initialize Slack client
-        const slackClient = new WebClient(org.slack_bot_token);
-        
-        // First, send a notification message about the removal
-        await slackService.sendReviewRequestRemovedMessage(
+      }
+      
+      if (pullRequest.slack_channel_id) {
+        await slackService.sendPrActivityMessage(
           org.slack_bot_token,
-          pullRequest.slack_channel_id,
+          slackService.getPrDestination(pullRequest),
           {
-            reviewer,
-            reviewerSlackId: reviewer.slack_user_id,
-            removedBy: payload.sender.login
+            icon: ':busts_in_silhouette:',
+            text: `${payload.sender.login} removed the review request for team *${removedTeam.name}*`
           }
         );
-        
+      }
+      
+      return {
+        status: 'success',
+        message: `Team review request removed for ${teamRequests.length} member(s)`
+      };
+    }
+    
+    // Find the reviewer
+    const reviewer = await db.users.findByGithubUsername(org.id, removedReviewer);
+    
+    // Find the review request
+    const reviewRequest = reviewer
+      ? await db.reviewRequests.findByPrAndReviewer(pullRequest.id, reviewer.id)
+      : null;
+    
+    // Record the removal even when there is no channel yet (deferred drafts),
+    // so the reviewer isn't pinged once the PR is ready for review
+    if (reviewRequest) {
+      await db.reviewRequests.update(reviewRequest.id, {
+        status: 'removed'
+      });
+    }
+    
+    if (reviewRequest && reviewer.slack_user_id && pullRequest.slack_channel_id) {
+      // Initialize Slack client
+      const slackClient = new WebClient(org.slack_bot_token);
+      
+      // First, send a notification message about the removal
+      await slackService.sendReviewRequestRemovedMessage(
+        org.slack_bot_token,
+        slackService.getPrDestination(pullRequest),
+        {
+          reviewer,
+          reviewerSlackId: reviewer.slack_user_id,
+          removedBy: payload.sender.login
+        }
+      );
+      
+      // Reviewers stay in a shared channel, since it has other PRs
+      if (!pullRequest.slack_thread_ts) {
         try {
           // Then, remove the user from the channel
           await slackClient.conversations.kick({
             channel: pullRequest.slack_channel_id,
             user: reviewer.slack_user_id
           });
-          
+        
           console.log(`Removed user ${reviewer.slack_user_id} from channel ${pullRequest.slack_channel_id}`);
         } catch (kickError) {
           // Don't fail the whole operation if kick fails
@@ -481,8 +1102,18 @@ const handlePrSynchronize = async (org, repo, pr, payload) => {
       };
     }
     
-    // Update PR updated timestamp
+    // New commits start a fresh CI run with its own status message. A check
+    // event processed first may already have moved the PR to this commit and
+    // posted that message, which is kept
+    const headChanged = pullRequest.head_sha !== pr.head.sha;
+    const ciReset = headChanged ? { ci_status: null, ci_message_ts: null } : {};
+    
     await db.pullRequests.update(pullRequest.id, {
+      head_sha: pr.head.sha,
+      additions: pr.additions,
+      deletions: pr.deletions,
+      changed_files: pr.changed_files,
+      ...ciReset,
       updated_at: new Date(pr.updated_at).toISOString()
     });
     
@@ -490,7 +1121,7 @@ const handlePrSynchronize = async (org, repo, pr, payload) => {
     if (pullRequest.slack_channel_id) {
       await slackService.sendPrUpdatedMessage(
         org.slack_bot_token,
-        pullRequest.slack_channel_id,
+        slackService.getPrDestination(pullRequest),
         {
           title: pr.title,
           url: pr.html_url,
@@ -502,6 +1133,11 @@ const handlePrSynchronize = async (org, repo, pr, payload) => {
       );
     }
     
+    // Results for the new commit may have come in before this event
+    if (headChanged) {
+      await checks.syncHeadChecks(org, { ...pullRequest, head_sha: pr.head.sha, ...ciReset }, payload.repository);
+    }
+    
     return {
       status: 'success',
       message: 'Pull request update processed'
@@ -561,7 +1197,7 @@ const handlePrEdited = async (org, repo, pr, payload) => {
       if (pullRequest.slack_channel_id) {
         await slackService.sendPrEditedMessage(
           org.slack_bot_token,
-          pullRequest.slack_channel_id,
+          slackService.getPrDestination(pullRequest),
           {
             title: pr.title,
             url: pr.html_url,
@@ -593,12 +1229,12 @@ const handlePullRequestReviewEvent = async (payload) => {
     
     console.log(`[REVIEW EVENT] Processing review event: ${action} for PR #${pr.number}, review ID: ${review.id}`);
     console.log('review body: ', review.body);
-    // Only process initial review submissions, not individual comments
-    if (action !== 'submitted') {
-      console.log(`[REVIEW EVENT] Ignoring non-submission review action: ${action}`);
+    // Individual comments arrive as pull_request_review_comment events
+    if (!['submitted', 'edited', 'dismissed'].includes(action)) {
+      console.log(`[REVIEW EVENT] Ignoring review action: ${action}`);
       return {
         status: 'ignored',
-        message: `Ignoring non-submission review event: ${action}`
+        message: `Ignoring review event: ${action}`
       };
     }
 
@@ -614,35 +1250,9 @@ const handlePullRequestReviewEvent = async (payload) => {
       };
     }
 
-    if (!review.body && review.state === 'commented') {
-      console.log(`[REVIEW EVENT] Empty review detected (likely just a comment). Review ID: ${review.id}`);
-      
-      // Check if this review has any comments
-      try {
-        const reviewComments = await githubService.getReviewComments(
-          org.id,
-          repository.full_name,
-          pr.number,
-          review.id
-        );
-        
-        // If this review only has one comment, it's likely just a standalone comment
-        // not an actual review, so we should skip it
-        if (reviewComments && Array.isArray(reviewComments) && reviewComments.length === 1) {
-          console.log(`[REVIEW EVENT] This appears to be a single comment review, skipping to avoid duplication`);
-          return {
-            status: 'ignored',
-            message: 'Empty review with just a single comment, skipping to avoid duplication'
-          };
-        }
-      } catch (error) {
-        console.error(`[REVIEW EVENT] Error checking review comments: ${error}`);
-        // Continue processing in case of error, but log it
-      }
-    }
-    
-    // Check for Slack markers to avoid duplication
-    if (review.body && review.body.includes('<!-- SENT_FROM_SLACK -->')) {
+    // Check for Slack markers to avoid duplication; a dismissal still has to
+    // reset the reviewer even if the review was written in Slack
+    if (action !== 'dismissed' && review.body && review.body.includes('<!-- SENT_FROM_SLACK -->')) {
       console.log(`[REVIEW EVENT] Review ${review.id} originated from Slack, ignoring webhook`);
       return {
         status: 'ignored',
@@ -673,6 +1283,14 @@ const handlePullRequestReviewEvent = async (payload) => {
       };
     }
     
+    if (action === 'edited') {
+      return await reviewBatches.updateReview(org, pullRequest, payload);
+    }
+    
+    if (action === 'dismissed') {
+      return await handleReviewDismissed(org, pullRequest, payload);
+    }
+    
     // Check if this review has been processed before
     const commentId = `review_${review.id}`;
     const existingComment = await db.comments.findByGithubCommentId(pullRequest.id, commentId);
@@ -680,29 +1298,7 @@ const handlePullRequestReviewEvent = async (payload) => {
     
     if (existingComment) {
       console.log(`[REVIEW EVENT] Review ${review.id} has already been processed, updating instead`);
-      
-      // Just update the existing comment if needed
-      if (review.body && existingComment.content !== review.body) {
-        await db.comments.update(existingComment.id, {
-          content: review.body,
-          updated_at: new Date().toISOString()
-        });
-        
-        // Update in Slack if needed
-        if (existingComment.slack_thread_ts) {
-          await slackService.updateMessage(
-            org.slack_bot_token,
-            pullRequest.slack_channel_id,
-            existingComment.slack_thread_ts,
-            review.body
-          );
-        }
-      }
-      
-      return {
-        status: 'success',
-        message: 'Pull request review updated'
-      };
+      return await reviewBatches.updateReview(org, pullRequest, payload);
     }
     
     // Find the reviewer
@@ -739,6 +1335,20 @@ const handlePullRequestReviewEvent = async (payload) => {
           : null
       });
       console.log(`[REVIEW EVENT] Updated review request: ${reviewRequest.id}`);
+      
+      // One review covers a team request, so the other members are done too
+      if (reviewRequest.team_slug) {
+        const teamRequests = await db.reviewRequests.findPendingByTeam(pullRequest.id, reviewRequest.team_slug);
+        
+        for (const teamRequest of teamRequests) {
+          await db.reviewRequests.update(teamRequest.id, {
+            status: 'team_reviewed',
+            completed_at: new Date().toISOString()
+          });
+        }
+        
+        console.log(`[REVIEW EVENT] Closed ${teamRequests.length} other request(s) for team ${reviewRequest.team_slug}`);
+      }
     } else if (['approved', 'changes_requested', 'commented'].includes(reviewStatus)) {
       // Create a new review request if one doesn't exist
       const newReviewRequest = await db.reviewRequests.create({
@@ -754,86 +1364,72 @@ const handlePullRequestReviewEvent = async (payload) => {
       console.log(`[REVIEW EVENT] Created new review request: ${newReviewRequest.id}`);
     }
     
-    // Fetch comments count for this review - we don't need to process them here
-    // as they'll be handled by the review_comment webhook
-    let commentCount = 0;
-    
-    try {
-      const reviewComments = await githubService.getReviewComments(
-        org.id,
-        repository.full_name,
-        pr.number,
-        review.id
-      );
-      
-      if (reviewComments && Array.isArray(reviewComments)) {
-        commentCount = reviewComments.length;
-        console.log(`[REVIEW EVENT] Found ${commentCount} comments for review ${review.id}`);
-      }
-    } catch (error) {
-      console.error(`[REVIEW EVENT] Error fetching review comments:`, error);
-      // Continue with what we know
-    }
+    await appHome.refreshForPullRequest(org, pullRequest);
     
-    // Get Slack user ID for mention
-    let slackUserId = null;
-    if (reviewer && reviewer.slack_user_id) {
-      slackUserId = reviewer.slack_user_id;
-    }
+    // The Slack message is posted once the review's line comments have arrived
+    return await reviewBatches.addReview(org, pullRequest, payload);
+  } catch (error) {
+    console.error('[REVIEW EVENT] Error handling pull request review event:', error);
+    throw error;
+  }
+};
+
+
+/**
+ * Handle a dismissed review
+ * The reviewer goes back to pending so reminders and review stats treat
+ * them as still owing a review
+ * @param {Object} org - Organization data
+ * @param {Object} pullRequest - Pull request data
+ * @param {Object} payload - GitHub webhook payload
+ * @returns {Promise<Object>} Result of processing
+ */
+const handleReviewDismissed = async (org, pullRequest, payload) => {
+  const { review, sender } = payload;
+  
+  const reviewer = await db.users.findByGithubUsername(org.id, review.user.login);
+  const reviewRequest = reviewer
+    ? await db.reviewRequests.findByPrAndReviewer(pullRequest.id, reviewer.id)
+    : null;
+  
+  const previousStatus = reviewRequest?.status;
+  const reset = ['approved', 'changes_requested', 'commented'].includes(previousStatus);
+  
+  if (reset) {
+    await db.reviewRequests.update(reviewRequest.id, {
+      status: 'pending',
+      completed_at: null
+    });
+    console.log(`[REVIEW EVENT] Reset review request ${reviewRequest.id} from ${previousStatus} to pending`);
     
-    // Send message to Slack
-    console.log(`[REVIEW EVENT] Sending review message to Slack: ${reviewStatus} with ${commentCount} comments`);
-    const message = await slackService.sendReviewMessage(
+    await appHome.refreshForPullRequest(org, pullRequest);
+  }
+  
+  await reviewBatches.updateReview(org, pullRequest, payload);
+  
+  if (pullRequest.slack_channel_id && previousStatus !== 'pending') {
+    const reviewerMention = await getUserMention(org, review.user.login);
+    const stateText = reset ? ` ${previousStatus.replace('_', ' ')}` : '';
+    
+    await slackService.sendPrActivityMessage(
       org.slack_bot_token,
-      pullRequest.slack_channel_id,
+      slackService.getPrDestination(pullRequest),
       {
-        title: pr.title,
-        url: pr.html_url,
-        prNumber: pr.number,
-        reviewer: reviewerUsername,
-        reviewerSlackId: slackUserId,
-        state: reviewStatus,
-        body: review.body, 
-        commentCount: commentCount
+        icon: ':no_entry_sign:',
+        text: `${sender.login} dismissed ${reviewerMention}'s${stateText} review`
       }
     );
-    
-    // Store the comment mapping for two-way sync
-    if (message && message.ts) {
-      try {
-        console.log(`[REVIEW EVENT] Creating comment record for review ${review.id} with thread timestamp ${message.ts}`);
-        
-        // Create the review summary comment
-        const newReviewComment = await db.comments.create({
-          id: uuidv4(),
-          pr_id: pullRequest.id,
-          github_comment_id: commentId,
-          slack_thread_ts: message.ts,
-          user_id: reviewer.id,
-          content: review.body || '',
-          source: 'github',
-          comment_type: 'review_summary',
-          created_at: new Date(review.submitted_at || new Date()).toISOString()
-        });
-        
-        console.log(`[REVIEW EVENT] Created review summary comment with ID: ${newReviewComment.id}`);
-      } catch (error) {
-        console.error(`[REVIEW EVENT] Error creating review records:`, error);
-        throw error;
-      }
-    }
-    
-    return {
-      status: 'success',
-      message: 'Pull request review processed'
-    };
-  } catch (error) {
-    console.error('[REVIEW EVENT] Error handling pull request review event:', error);
-    throw error;
   }
+  
+  return {
+    status: 'success',
+    message: `Review ${review.id} dismissed`,
+    data: {
+      reviewer_reset: reset
+    }
+  };
 };
 
-
 /**
  * Handle GitHub pull request review comment event
  * @param {Object} payload - GitHub webhook payload
@@ -865,6 +1461,15 @@ const handlePullRequestReviewCommentEvent = async (payload) => {
       };
     }
     
+    // A created comment we already have a record for was delivered before
+    if (action === 'created' && existingComment) {
+      console.log(`[REVIEW COMMENT] Comment ${comment.id} already processed, ignoring duplicate`);
+      return {
+        status: 'ignored',
+        message: 'Comment already processed'
+      };
+    }
+
     // Check if comment includes Slack marker
     if (comment.body && comment.body.includes('<!-- SENT_FROM_SLACK -->')) {
       console.log(`[REVIEW COMMENT] Comment ${comment.id} has Slack marker, ignoring webhook`);
@@ -909,6 +1514,14 @@ const handlePullRequestReviewCommentEvent = async (payload) => {
       };
     }
     
+    // Deferred drafts have no channel to post to yet
+    if (!pullRequest.slack_channel_id) {
+      return {
+        status: 'ignored',
+        message: 'Pull request has no Slack channel'
+      };
+    }
+    
     // Find the commenter
     const commenterUsername = comment.user.login;
     let commenter = await db.users.findByGithubUsername(org.id, commenterUsername);
@@ -951,7 +1564,7 @@ const handlePullRequestReviewCommentEvent = async (payload) => {
           
           // Fetch the parent comment from GitHub API since we don't have it
           try {
-            const token = await githubAuth.getAccessToken(org.id);
+            const token = await githubAuth.getApiAuth(org.id);
             const originalComment = await githubService.getReviewComment(
               token, 
               repository.full_name, 
@@ -962,7 +1575,7 @@ const handlePullRequestReviewCommentEvent = async (payload) => {
               // First send the original comment if we didn't have it
               const originalMessage = await slackService.sendReviewCommentMessage(
                 org.slack_bot_token,
-                pullRequest.slack_channel_id,
+                slackService.getPrDestination(pullRequest),
                 null, // Create a new thread
                 {
                   author: originalComment.user.login,
@@ -970,7 +1583,8 @@ const handlePullRequestReviewCommentEvent = async (payload) => {
                   body: originalComment.body,
                   url: originalComment.html_url,
                   path: originalComment.path,
-                  line: originalComment.line || originalComment.position
+                  line: originalComment.line || originalComment.position,
+                  commentId: originalComment.id
                 }
               );
               
@@ -990,7 +1604,7 @@ const handlePullRequestReviewCommentEvent = async (payload) => {
               // Now send the reply to that thread
               const replyMessage = await slackService.sendCommentReplyMessage(
                 org.slack_bot_token,
-                pullRequest.slack_channel_id,
+                slackService.getPrDestination(pullRequest),
                 originalMessage.ts,
                 {
                   author: commenterUsername,
@@ -1019,7 +1633,7 @@ const handlePullRequestReviewCommentEvent = async (payload) => {
             // Fall back to creating a standalone comment
             const message = await slackService.sendReviewCommentMessage(
               org.slack_bot_token,
-              pullRequest.slack_channel_id,
+              slackService.getPrDestination(pullRequest),
               null,
               {
                 author: commenterUsername,
@@ -1027,7 +1641,8 @@ const handlePullRequestReviewCommentEvent = async (payload) => {
                 body: comment.body,
                 url: comment.html_url,
                 path: comment.path,
-                line: comment.line || comment.position
+                line: comment.line || comment.position,
+                commentId: comment.id
               }
             );
             
@@ -1057,7 +1672,7 @@ const handlePullRequestReviewCommentEvent = async (payload) => {
             // Create a new message if there's no thread_ts
             const message = await slackService.sendReviewCommentMessage(
               org.slack_bot_token,
-              pullRequest.slack_channel_id,
+              slackService.getPrDestination(pullRequest),
               null,
               {
                 author: commenterUsername,
@@ -1065,7 +1680,8 @@ const handlePullRequestReviewCommentEvent = async (payload) => {
                 body: comment.body,
                 url: comment.html_url,
                 path: comment.path,
-                line: comment.line || comment.position
+                line: comment.line || comment.position,
+                commentId: comment.id
               }
             );
             
@@ -1085,7 +1701,7 @@ const handlePullRequestReviewCommentEvent = async (payload) => {
             // Send as a reply in the parent's thread
             const message = await slackService.sendCommentReplyMessage(
               org.slack_bot_token,
-              pullRequest.slack_channel_id,
+              slackService.getPrDestination(pullRequest),
               threadTs,
               {
                 author: commenterUsername,
@@ -1114,6 +1730,15 @@ const handlePullRequestReviewCommentEvent = async (payload) => {
         // This is a new top-level comment
         console.log(`[REVIEW COMMENT] This is a new top-level comment`);
         
+        // Buffer it with its review; once the review is posted, late comments
+        // fall through and are threaded under the review summary
+        if (comment.pull_request_review_id) {
+          const batchResult = await reviewBatches.addComment(org, pullRequest, payload);
+          if (batchResult) {
+            return batchResult;
+          }
+        }
+        
         // Find the review summary this comment belongs to
         const reviewId = comment.pull_request_review_id;
         const reviewSummaryId = `review_${reviewId}`;
@@ -1136,7 +1761,7 @@ const handlePullRequestReviewCommentEvent = async (payload) => {
         const lineNumber = comment.line || comment.position || 'Unknown line';
         const message = await slackService.sendReviewCommentMessage(
           org.slack_bot_token,
-          pullRequest.slack_channel_id,
+          slackService.getPrDestination(pullRequest),
           threadTs, // If null, creates a new thread
           {
             author: commenterUsername,
@@ -1144,7 +1769,8 @@ const handlePullRequestReviewCommentEvent = async (payload) => {
             body: comment.body,
             url: comment.html_url,
             path: comment.path,
-            line: lineNumber
+            line: lineNumber,
+            commentId: comment.id
           }
         );
         
@@ -1183,7 +1809,7 @@ const handlePullRequestReviewCommentEvent = async (payload) => {
         // Send edit notification to Slack
         await slackService.sendCommentEditedMessage(
           org.slack_bot_token,
-          pullRequest.slack_channel_id,
+          slackService.getPrDestination(pullRequest),
           existingComment.slack_thread_ts,
           {
             author: commenterUsername,
@@ -1191,6 +1817,9 @@ const handlePullRequestReviewCommentEvent = async (payload) => {
             url: comment.html_url
           }
         );
+      } else if (!isReply && comment.pull_request_review_id) {
+        // The comment may still be waiting to be posted with its review
+        await reviewBatches.addComment(org, pullRequest, payload);
       }
     }
     
@@ -1254,6 +1883,15 @@ const handlePullRequestCommentEvent = async (payload) => {
       };
     }
 
+    // A created comment we already have a record for was delivered before
+    if (action === 'created' && existingComment) {
+      console.log(`[PR COMMENT] Comment ${comment.id} already processed, ignoring duplicate`);
+      return {
+        status: 'ignored',
+        message: 'Comment already processed'
+      };
+    }
+
     // Check if comment includes Slack marker
     if (comment.body && comment.body.includes('<!-- SENT_FROM_SLACK -->')) {
       console.log(`[PR COMMENT] Comment ${comment.id} has Slack marker, ignoring webhook`);
@@ -1298,6 +1936,14 @@ const handlePullRequestCommentEvent = async (payload) => {
       };
     }
     
+    // Deferred drafts have no channel to post to yet
+    if (!pullRequest.slack_channel_id) {
+      return {
+        status: 'ignored',
+        message: 'Pull request has no Slack channel'
+      };
+    }
+    
     // Find the commenter
     const commenterUsername = comment.user.login;
     let commenter = await db.users.findByGithubUsername(org.id, commenterUsername);
@@ -1333,7 +1979,7 @@ const handlePullRequestCommentEvent = async (payload) => {
       // This is a new comment
       message = await slackService.sendPrCommentMessage(
         org.slack_bot_token,
-        pullRequest.slack_channel_id,
+        slackService.getPrDestination(pullRequest),
         {
           author: commenterUsername,
           authorSlackId: slackUserId,
@@ -1382,7 +2028,7 @@ const handlePullRequestCommentEvent = async (payload) => {
         // Send edit notification to Slack
         await slackService.sendCommentEditedMessage(
           org.slack_bot_token,
-          pullRequest.slack_channel_id,
+          slackService.getPrDestination(pullRequest),
           existingComment.slack_thread_ts,
           {
             author: commenterUsername,
@@ -1414,8 +2060,13 @@ const handlePullRequestCommentEvent = async (payload) => {
  * @param {Object} org - Organization data
  * @param {Object} pullRequest - Pull request data
  * @param {string} reviewerUsername - GitHub username of reviewer
+ * @param {Object} options - Processing options
+ * @param {boolean} options.notifyPending - Notify even if the request is already pending
+ * @param {boolean} options.notify - Post the reviewer added message
+ * @param {string|null} options.teamSlug - GitHub team the request was made through
+ * @returns {Promise<Object|null>} Reviewer, or null if the request was already pending
  */
-const processReviewRequest = async (org, pullRequest, reviewerUsername) => {
+const processReviewRequest = async (org, pullRequest, reviewerUsername, { notifyPending = false, notify = true, teamSlug = null } = {}) => {
   try {
     console.log('Processing review request for:', reviewerUsername);
     console.log('Slack channel ID:', pullRequest.slack_channel_id);
@@ -1435,11 +2086,20 @@ const processReviewRequest = async (org, pullRequest, reviewerUsername) => {
       });
     }
     
+    // A reviewer who is still pending has already been notified, e.g. the
+    // opened event and its review_requested events both list them
+    const existingRequest = await db.reviewRequests.findByPrAndReviewer(pullRequest.id, reviewer.id);
+    if (existingRequest && existingRequest.status === 'pending' && !notifyPending) {
+      console.log(`Review request for ${reviewerUsername} already pending, skipping notification`);
+      return null;
+    }
+    
     // Create or update review request
     const now = new Date().toISOString();
     await db.reviewRequests.upsert(pullRequest.id, reviewer.id, {
       status: 'pending',
-      requested_at: now
+      requested_at: now,
+      team_slug: teamSlug
     });
     
     // If there's a Slack channel, add the reviewer and send notification
@@ -1454,24 +2114,209 @@ const processReviewRequest = async (org, pullRequest, reviewerUsername) => {
       }
       
       // Send notification
-      await slackService.sendReviewRequestedMessage(
+      if (notify) {
+        await slackService.sendReviewRequestedMessage(
+          org.slack_bot_token,
+          slackService.getPrDestination(pullRequest),
+          {
+            reviewer: reviewerUsername,
+            slackUserId: reviewer.slack_user_id
+          }
+        );
+      }
+    }
+    
+    return reviewer;
+  } catch (error) {
+    console.error('Error processing review request:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the GitHub usernames of a requested team's members
+ * Falls back to the members of the mapped PingaPR team when GitHub can't
+ * be asked, e.g. the app lacks organization members permission
+ * @param {Object} org - Organization data
+ * @param {Object} payload - Full webhook payload
+ * @param {string} teamSlug - GitHub team slug
+ * @param {Object|null} team - Mapped PingaPR team
+ * @returns {Promise<Array<string>>} GitHub usernames
+ */
+const getTeamMemberUsernames = async (org, payload, teamSlug, team) => {
+  try {
+    const token = await githubAuth.getApiAuth(org.id);
+    
+    if (token) {
+      const owner = payload.organization?.login || payload.repository.owner.login;
+      const members = await githubService.getTeamMembers(token, owner, teamSlug);
+      
+      return members.map(member => member.login);
+    }
+  } catch (error) {
+    console.error(`Error fetching members of team ${teamSlug}, using mapped team instead:`, error);
+  }
+  
+  if (!team || !team.member_ids || team.member_ids.length === 0) {
+    return [];
+  }
+  
+  const users = await db.users.findByOrgId(org.id);
+  
+  return users
+    .filter(user => team.member_ids.includes(user.id) && user.github_username)
+    .map(user => user.github_username);
+};
+
+/**
+ * Process a review request for a GitHub team
+ * Each member gets a review request and is invited to the channel; one
+ * message mentions the team's Slack group, or the members if it has none
+ * @param {Object} org - Organization data
+ * @param {Object} pullRequest - Pull request data
+ * @param {Object} requestedTeam - Team from the GitHub payload
+ * @param {Object} payload - Full webhook payload
+ * @param {Object} options - Processing options
+ * @param {boolean} options.notifyPending - Notify even if members are already pending
+ * @returns {Promise<Array>} Members that were requested
+ */
+const processTeamReviewRequest = async (org, pullRequest, requestedTeam, payload, { notifyPending = false } = {}) => {
+  try {
+    console.log('Processing team review request for:', requestedTeam.slug);
+    
+    const team = await db.teams.findByGithubSlug(org.id, requestedTeam.slug);
+    const usernames = await getTeamMemberUsernames(org, payload, requestedTeam.slug, team);
+    const authorUsername = payload.pull_request.user.login;
+    
+    const members = [];
+    for (const username of usernames) {
+      // GitHub never asks the author to review their own PR
+      if (username === authorUsername) continue;
+      
+      const reviewer = await processReviewRequest(org, pullRequest, username, {
+        notifyPending,
+        notify: false,
+        teamSlug: requestedTeam.slug
+      });
+      
+      if (reviewer) {
+        members.push({
+          githubUsername: username,
+          slackUserId: reviewer.slack_user_id
+        });
+      }
+    }
+    
+    if (members.length === 0) {
+      console.log(`No new members to notify for team ${requestedTeam.slug}`);
+      return members;
+    }
+    
+    if (pullRequest.slack_channel_id) {
+      await slackService.sendTeamReviewRequestedMessage(
         org.slack_bot_token,
-        pullRequest.slack_channel_id,
+        slackService.getPrDestination(pullRequest),
         {
-          reviewer: reviewerUsername,
-          slackUserId: reviewer.slack_user_id
+          team: team?.name || requestedTeam.name,
+          slackGroupId: team?.slack_group_id || null,
+          members
         }
       );
     }
+    
+    return members;
   } catch (error) {
-    console.error('Error processing review request:', error);
+    console.error('Error processing team review request:', error);
     throw error;
   }
 };
 
+/**
+ * Dispatch a webhook event to the matching handler
+ * Called by the webhook job worker for every persisted delivery
+ * @param {string} event - Event type (X-GitHub-Event header)
+ * @param {Object} payload - Webhook payload
+ * @returns {Promise<Object>} Result of processing
+ */
+const processWebhookEvent = async (event, payload) => {
+  let result;
+  
+  switch (event) {
+    case 'ping':
+      result = await handlePingEvent(payload);
+      break;
+      
+    case 'pull_request':
+      result = await handlePullRequestEvent(payload);
+      break;
+      
+    case 'pull_request_review':
+      result = await handlePullRequestReviewEvent(payload);
+      break;
+      
+    case 'pull_request_review_comment':
+      // Only handle individual comments in a review
+      result = await handlePullRequestReviewCommentEvent(payload);
+      break;
+      
+    case 'pull_request_review_thread':
+      result = await reviewThreads.handleReviewThreadEvent(payload);
+      break;
+      
+    case 'check_run':
+      result = await checks.handleCheckRunEvent(payload);
+      break;
+      
+    case 'check_suite':
+      result = await checks.handleCheckSuiteEvent(payload);
+      break;
+      
+    case 'status':
+      result = await checks.handleStatusEvent(payload);
+      break;
+      
+    case 'installation':
+      result = await installations.handleInstallationEvent(payload);
+      break;
+      
+    case 'installation_repositories':
+      result = await installations.handleInstallationRepositoriesEvent(payload);
+      break;
+      
+    case 'repository':
+      result = await installations.handleRepositoryEvent(payload);
+      break;
+      
+    case 'issue_comment':
+      // Only process issue comments for pull requests
+      if (payload.issue && payload.issue.pull_request) {
+        // Check if this comment originated from Slack
+        if (payload.comment && payload.comment.body.includes('<!-- SENT_FROM_SLACK -->')) {
+          result = { status: 'ignored', reason: 'Comment originated from Slack, ignoring to prevent duplication' };
+        } else {
+          result = await handlePullRequestCommentEvent(payload);
+        }
+      } else {
+        // We're not handling regular issue comments
+        result = { status: 'ignored', reason: 'Not a pull request comment' };
+      }
+      break;
+      
+    default:
+      // Note we're ignoring this event type
+      result = { status: 'ignored', reason: `Event type '${event}' not handled` };
+  }
+  
+  return result;
+};
+
 module.exports = {
+  processWebhookEvent,
   handlePingEvent,
   handlePullRequestEvent,
+  handlePullRequestAction,
+  handlePrOpened,
+  processReviewRequest,
   handlePullRequestReviewEvent,
   handlePullRequestReviewCommentEvent,
   handlePullRequestCommentEvent
@@ -0,0 +1,93 @@
+// src/services/gitlab/api.js
+const axios = require('axios');
+const { getGitlabUrls } = require('../../utils/gitlab');
+
+/**
+ * GitLab API service
+ * Calls are made with the organization's access token, against gitlab.com
+ * or the organization's self-managed GitLab
+ */
+
+/**
+ * Create an API client for an organization
+ * @param {Object} org - Organization data
+ * @returns {Object} Axios instance
+ */
+const createClient = (org) => {
+  if (!org.gitlab_access_token) {
+    throw new Error('No GitLab access token configured for organization');
+  }
+
+  return axios.create({
+    baseURL: getGitlabUrls(org).apiUrl,
+    headers: {
+      'PRIVATE-TOKEN': org.gitlab_access_token
+    }
+  });
+};
+
+/**
+ * Get a merge request
+ * @param {Object} org - Organization data
+ * @param {string|number} projectId - GitLab project ID
+ * @param {number} iid - Merge request IID
+ * @returns {Promise<Object>} Merge request data
+ */
+const getMergeRequest = async (org, projectId, iid) => {
+  try {
+    const response = await createClient(org).get(`/projects/${projectId}/merge_requests/${iid}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error getting GitLab merge request:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Create a note on a merge request
+ * @param {Object} org - Organization data
+ * @param {string|number} projectId - GitLab project ID
+ * @param {number} iid - Merge request IID
+ * @param {string} body - Note body
+ * @returns {Promise<Object>} Created note
+ */
+const createMergeRequestNote = async (org, projectId, iid, body) => {
+  try {
+    const response = await createClient(org).post(
+      `/projects/${projectId}/merge_requests/${iid}/notes`,
+      { body }
+    );
+    return response.data;
+  } catch (error) {
+    console.error('Error creating GitLab merge request note:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Reply to a merge request discussion
+ * @param {Object} org - Organization data
+ * @param {string|number} projectId - GitLab project ID
+ * @param {number} iid - Merge request IID
+ * @param {string} discussionId - Discussion ID
+ * @param {string} body - Note body
+ * @returns {Promise<Object>} Created note
+ */
+const createDiscussionNote = async (org, projectId, iid, discussionId, body) => {
+  try {
+    const response = await createClient(org).post(
+      `/projects/${projectId}/merge_requests/${iid}/discussions/${discussionId}/notes`,
+      { body }
+    );
+    return response.data;
+  } catch (error) {
+    console.error('Error replying to GitLab discussion:', error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  getMergeRequest,
+  createMergeRequestNote,
+  createDiscussionNote
+};
@@ -0,0 +1,112 @@
+/**
+ * GitLab reply sync
+ * Posts Slack thread replies on merge request conversations back to GitLab
+ * as notes. Notes are written with the organization's access token, so the
+ * Slack author is named in the note
+ */
+const { v4: uuidv4 } = require('uuid');
+const db = require('../supabase/functions');
+const slackAuth = require('../slack/auth');
+const slackMessages = require('../slack/messages');
+const gitlabService = require('./api');
+const { SLACK_MARKER } = require('./webhooks');
+
+/**
+ * Tell the Slack thread a reply came from that it couldn't be synced
+ * Threaded PRs take the error in the PR's thread, like their other messages
+ * @param {Object} org - Organization data
+ * @param {Object} pullRequest - Pull request data
+ * @param {Object} event - Slack message event
+ * @param {string} message - Error message
+ * @returns {Promise<Object>} Slack API response
+ */
+const sendReplyError = (org, pullRequest, event, message) => {
+  const { channel, thread_ts: threadTs } = slackMessages.resolveDestination(
+    slackMessages.getPrDestination(pullRequest),
+    event.thread_ts
+  );
+
+  return slackAuth.sendErrorMessage(org.slack_bot_token, channel, threadTs, message);
+};
+
+/**
+ * Sync a Slack thread reply to GitLab if the thread belongs to a merge request
+ * @param {Object} comment - Comment the Slack thread started from; a comment
+ *   without an ID stands for the PR's conversation
+ * @param {Object} event - Slack message event
+ * @returns {Promise<boolean>} False when the thread belongs to a GitHub PR
+ */
+const syncThreadReply = async (comment, event) => {
+  const pullRequest = comment.pull_request || await db.pullRequests.findById(comment.pr_id);
+  const repo = pullRequest.repository || await db.repositories.findById(pullRequest.repo_id);
+
+  if (repo.provider !== 'gitlab') {
+    return false;
+  }
+
+  const org = await db.organizations.findById(repo.org_id);
+
+  if (!org.gitlab_access_token) {
+    await sendReplyError(
+      org,
+      pullRequest,
+      event,
+      "Replies can't be posted to GitLab until an admin adds a GitLab access token in PingaPR."
+    );
+    return true;
+  }
+
+  const user = await db.users.findBySlackUserId(org.id, event.user);
+  const authorName = user?.gitlab_username || user?.github_username || 'A Slack user';
+  const body = `**${authorName}** replied from Slack:\n\n${event.text}\n\n${SLACK_MARKER}`;
+
+  try {
+    const note = comment.github_thread_id
+      ? await gitlabService.createDiscussionNote(
+        org,
+        repo.github_repo_id,
+        pullRequest.github_pr_number,
+        comment.github_thread_id,
+        body
+      )
+      : await gitlabService.createMergeRequestNote(
+        org,
+        repo.github_repo_id,
+        pullRequest.github_pr_number,
+        body
+      );
+
+    await db.comments.create({
+      id: uuidv4(),
+      pr_id: comment.pr_id,
+      github_comment_id: note.id.toString(),
+      github_thread_id: comment.github_thread_id || null,
+      slack_thread_ts: event.thread_ts,
+      user_id: user?.id || null,
+      content: event.text,
+      source: 'slack',
+      comment_type: 'reply',
+      parent_comment_id: comment.id,
+      created_at: new Date().toISOString()
+    });
+
+    console.log(`[GITLAB] Posted Slack reply as note ${note.id} on MR !${pullRequest.github_pr_number}`);
+  } catch (error) {
+    console.error('[GITLAB] Error posting Slack reply to GitLab:', error.message);
+
+    await sendReplyError(
+      org,
+      pullRequest,
+      event,
+      error.response?.status === 401
+        ? "Failed to post your comment to GitLab: the organization's GitLab access token was rejected."
+        : 'Failed to post your comment to GitLab. Please try again later.'
+    );
+  }
+
+  return true;
+};
+
+module.exports = {
+  syncThreadReply
+};
@@ -0,0 +1,652 @@
+/**
+ * GitLab webhooks service
+ * Translates merge request, approval and note events into the pull request
+ * model, so merge requests get the same channels, reminders and dashboards
+ * as GitHub pull requests
+ */
+const { v4: uuidv4 } = require('uuid');
+const db = require('../supabase/functions');
+const slackService = require('../slack/messages');
+const appHome = require('../slack/home');
+const githubWebhooks = require('../github/webhooks');
+const gitlabService = require('./api');
+
+const SLACK_MARKER = '<!-- SENT_FROM_SLACK -->';
+
+/**
+ * Find the user record for a GitLab account, creating a placeholder if needed
+ * Accounts are only attributed to an existing user once an admin links them,
+ * since a GitHub account with the same username may belong to someone else;
+ * placeholders keep clear of GitHub usernames for the same reason
+ * @param {Object} org - Organization data
+ * @param {Object} gitlabUser - User from the webhook payload
+ * @returns {Promise<Object>} User record
+ */
+const findOrCreateUser = async (org, gitlabUser) => {
+  const { username } = gitlabUser;
+
+  const user = await db.users.findByGitlabUsername(org.id, username);
+  if (user) return user;
+
+  return await db.users.create({
+    id: uuidv4(),
+    org_id: org.id,
+    github_username: `gitlab:${username}`,
+    gitlab_username: username,
+    is_admin: false
+  });
+};
+
+/**
+ * Get the username the shared handlers know a GitLab account by
+ * @param {Object} org - Organization data
+ * @param {Object} gitlabUser - User from the webhook payload
+ * @returns {Promise<Object>} GitHub-style user
+ */
+const toGithubUser = async (org, gitlabUser) => {
+  const user = await findOrCreateUser(org, gitlabUser);
+  return { login: user.github_username };
+};
+
+/**
+ * Convert a GitLab timestamp to ISO format
+ * @param {string|null} timestamp - GitLab timestamp
+ * @returns {string|null} ISO timestamp
+ */
+const toIsoString = (timestamp) => timestamp ? new Date(timestamp).toISOString() : null;
+
+/**
+ * Find or create the repository for a GitLab project
+ * Unknown projects are recorded inactive, so they show up in the repository
+ * list until an admin activates them
+ * @param {Object} org - Organization data
+ * @param {Object} project - Project from the webhook payload
+ * @returns {Promise<Object>} Repository data
+ */
+const findOrCreateRepository = async (org, project) => {
+  const repo = await db.repositories.findByGitlabProjectId(org.id, project.id.toString());
+
+  if (!repo) {
+    return await db.repositories.create({
+      id: uuidv4(),
+      org_id: org.id,
+      provider: 'gitlab',
+      github_repo_id: project.id.toString(),
+      github_repo_name: project.path_with_namespace,
+      is_active: false
+    });
+  }
+
+  // Every event carries the current path
+  if (repo.github_repo_name !== project.path_with_namespace) {
+    return await db.repositories.update(repo.id, {
+      github_repo_name: project.path_with_namespace
+    });
+  }
+
+  return repo;
+};
+
+/**
+ * Get the author of a merge request
+ * Merge request events only carry the author's ID, so the username comes
+ * from the API, the actor when they are the author, or the stored record
+ * @param {Object} org - Organization data
+ * @param {Object} repo - Repository data
+ * @param {Object} payload - GitLab webhook payload
+ * @param {Object|null} mergeRequest - Merge request from the API
+ * @returns {Promise<Object>} GitHub-style user
+ */
+const getAuthor = async (org, repo, payload, mergeRequest) => {
+  const attrs = payload.object_attributes;
+
+  if (mergeRequest?.author) {
+    return await toGithubUser(org, mergeRequest.author);
+  }
+
+  if (attrs.author_id === payload.user.id) {
+    return await toGithubUser(org, payload.user);
+  }
+
+  const pullRequest = await db.pullRequests.findByGithubPrId(repo.id, attrs.id.toString());
+  const author = pullRequest ? await db.users.findById(pullRequest.author_id) : null;
+
+  return author
+    ? { login: author.github_username }
+    : await toGithubUser(org, payload.user);
+};
+
+/**
+ * Build a GitHub-style pull request from a merge request event
+ * @param {Object} org - Organization data
+ * @param {Object} repo - Repository data
+ * @param {Object} payload - GitLab webhook payload
+ * @returns {Promise<Object>} Pull request data
+ */
+const toPullRequest = async (org, repo, payload) => {
+  const attrs = payload.object_attributes;
+
+  let mergeRequest = null;
+
+  if (org.gitlab_access_token) {
+    try {
+      mergeRequest = await gitlabService.getMergeRequest(org, payload.project.id, attrs.iid);
+    } catch (error) {
+      // The event has everything but the author's username and file count
+      console.error(`[GITLAB] Error fetching MR !${attrs.iid}, using the event payload:`, error.message);
+    }
+  }
+
+  const isMerged = attrs.state === 'merged';
+  const isOpen = attrs.state === 'opened';
+
+  const reviewers = [];
+  for (const reviewer of payload.reviewers || []) {
+    reviewers.push(await toGithubUser(org, reviewer));
+  }
+
+  const assignees = [];
+  for (const assignee of payload.assignees || []) {
+    assignees.push(await toGithubUser(org, assignee));
+  }
+
+  return {
+    id: attrs.id,
+    number: attrs.iid,
+    title: attrs.title,
+    body: attrs.description || '',
+    state: isOpen ? 'open' : 'closed',
+    draft: Boolean(attrs.draft ?? attrs.work_in_progress),
+    merged: isMerged,
+    html_url: attrs.url,
+    user: await getAuthor(org, repo, payload, mergeRequest),
+    head: {
+      sha: attrs.last_commit?.id || null,
+      ref: attrs.source_branch || null
+    },
+    labels: (payload.labels || []).map(label => ({ name: label.title })),
+    assignees,
+    milestone: null,
+    requested_reviewers: reviewers,
+    requested_teams: [],
+    changed_files: mergeRequest?.changes_count || null,
+    created_at: toIsoString(attrs.created_at),
+    updated_at: toIsoString(attrs.updated_at),
+    merged_at: isMerged ? toIsoString(attrs.merged_at || mergeRequest?.merged_at || attrs.updated_at) : null,
+    closed_at: isOpen ? null : toIsoString(attrs.closed_at || mergeRequest?.closed_at || attrs.updated_at)
+  };
+};
+
+/**
+ * Compare the previous and current users of a change
+ * @param {Object} change - Change from the webhook payload
+ * @returns {Object} Added and removed users
+ */
+const diffUsers = (change) => {
+  const previous = change?.previous || [];
+  const current = change?.current || [];
+
+  return {
+    added: current.filter(user => !previous.some(p => p.id === user.id)),
+    removed: previous.filter(user => !current.some(c => c.id === user.id))
+  };
+};
+
+/**
+ * Translate a merge request update into pull request actions
+ * @param {Object} org - Organization data
+ * @param {Object} payload - GitLab webhook payload
+ * @returns {Promise<Array>} Pull request payloads without the pull request
+ */
+const translateUpdate = async (org, payload) => {
+  const changes = payload.changes || {};
+  const actions = [];
+
+  if (changes.title || changes.description) {
+    actions.push({
+      action: 'edited',
+      changes: {
+        ...(changes.title && { title: { from: changes.title.previous } }),
+        ...(changes.description && { body: { from: changes.description.previous } })
+      }
+    });
+  }
+
+  const draftChange = changes.draft || changes.work_in_progress;
+  if (draftChange) {
+    actions.push({
+      action: draftChange.current ? 'converted_to_draft' : 'ready_for_review'
+    });
+  }
+
+  const reviewers = diffUsers(changes.reviewers);
+  for (const reviewer of reviewers.added) {
+    actions.push({ action: 'review_requested', requested_reviewer: await toGithubUser(org, reviewer) });
+  }
+  for (const reviewer of reviewers.removed) {
+    actions.push({ action: 'review_request_removed', requested_reviewer: await toGithubUser(org, reviewer) });
+  }
+
+  const assignees = diffUsers(changes.assignees);
+  for (const assignee of assignees.added) {
+    actions.push({ action: 'assigned', assignee: await toGithubUser(org, assignee) });
+  }
+  for (const assignee of assignees.removed) {
+    actions.push({ action: 'unassigned', assignee: await toGithubUser(org, assignee) });
+  }
+
+  if (changes.labels) {
+    const previous = (changes.labels.previous || []).map(label => label.title);
+    const current = (changes.labels.current || []).map(label => label.title);
+
+    for (const label of current.filter(title => !previous.includes(title))) {
+      actions.push({ action: 'labeled', label: { name: label } });
+    }
+    for (const label of previous.filter(title => !current.includes(title))) {
+      actions.push({ action: 'unlabeled', label: { name: label } });
+    }
+  }
+
+  // oldrev is only set when commits were pushed
+  if (payload.object_attributes.oldrev) {
+    actions.push({ action: 'synchronize' });
+  }
+
+  return actions;
+};
+
+/**
+ * Record an approval, or a revoked approval, as the reviewer's review status
+ * @param {Object} org - Organization data
+ * @param {Object} repo - Repository data
+ * @param {Object} payload - GitLab webhook payload
+ * @param {boolean} approved - Whether the approval was given or revoked
+ * @returns {Promise<Object>} Result of processing
+ */
+const handleApproval = async (org, repo, payload, approved) => {
+  const attrs = payload.object_attributes;
+  const pullRequest = await db.pullRequests.findByGithubPrId(repo.id, attrs.id.toString());
+
+  if (!pullRequest) {
+    return {
+      status: 'error',
+      message: 'Merge request not found in database'
+    };
+  }
+
+  const reviewer = await findOrCreateUser(org, payload.user);
+  const reviewRequest = await db.reviewRequests.findByPrAndReviewer(pullRequest.id, reviewer.id);
+
+  // Approving the last required approval sends both 'approval' and 'approved'
+  if (approved === (reviewRequest?.status === 'approved')) {
+    return {
+      status: 'ignored',
+      message: `Approval by ${payload.user.username} already recorded`
+    };
+  }
+
+  const now = new Date().toISOString();
+
+  await db.reviewRequests.upsert(pullRequest.id, reviewer.id, {
+    status: approved ? 'approved' : 'pending',
+    requested_at: reviewRequest?.requested_at || now,
+    completed_at: approved ? now : null
+  });
+
+  if (pullRequest.slack_channel_id) {
+    const mention = reviewer.slack_user_id ? `<@${reviewer.slack_user_id}>` : payload.user.username;
+
+    await slackService.sendPrActivityMessage(
+      org.slack_bot_token,
+      slackService.getPrDestination(pullRequest),
+      {
+        icon: approved ? ':white_check_mark:' : ':leftwards_arrow_with_hook:',
+        text: approved
+          ? `${mention} approved this merge request`
+          : `${mention} revoked their approval`
+      }
+    );
+  }
+
+  await appHome.refreshForPullRequest(org, pullRequest);
+
+  return {
+    status: 'success',
+    message: `Approval ${approved ? 'recorded' : 'revoked'} for ${payload.user.username}`
+  };
+};
+
+/**
+ * Handle GitLab merge request event
+ * @param {Object} org - Organization data
+ * @param {Object} payload - GitLab webhook payload
+ * @returns {Promise<Object>} Result of processing
+ */
+const handleMergeRequestEvent = async (org, payload) => {
+  try {
+    const attrs = payload.object_attributes;
+    const action = attrs.action;
+
+    console.log(`[GITLAB] MR !${attrs.iid} ${action} in ${payload.project.path_with_namespace}`);
+
+    const repo = await findOrCreateRepository(org, payload.project);
+
+    if (!repo.is_active) {
+      return {
+        status: 'ignored',
+        message: 'Repository not tracked or inactive'
+      };
+    }
+
+    switch (action) {
+      case 'approved':
+      case 'approval':
+        return await handleApproval(org, repo, payload, true);
+
+      case 'unapproved':
+      case 'unapproval':
+        return await handleApproval(org, repo, payload, false);
+    }
+
+    let actions;
+
+    switch (action) {
+      case 'open':
+        actions = [{ action: 'opened' }];
+        break;
+
+      case 'close':
+      case 'merge':
+        actions = [{ action: 'closed' }];
+        break;
+
+      case 'reopen':
+        actions = [{ action: 'reopened' }];
+        break;
+
+      case 'update':
+        actions = await translateUpdate(org, payload);
+        break;
+
+      default:
+        return {
+          status: 'ignored',
+          message: `Merge request action '${action}' not handled`
+        };
+    }
+
+    if (actions.length === 0) {
+      return {
+        status: 'ignored',
+        message: 'No relevant changes to process'
+      };
+    }
+
+    const pr = await toPullRequest(org, repo, payload);
+    const sender = await toGithubUser(org, payload.user);
+
+    const results = [];
+    for (const prAction of actions) {
+      results.push(await githubWebhooks.handlePullRequestAction(org, repo, pr, {
+        ...prAction,
+        pull_request: pr,
+        sender
+      }));
+    }
+
+    if (results.length === 1) {
+      return results[0];
+    }
+
+    return {
+      status: 'success',
+      message: `Merge request update processed as ${results.length} actions`,
+      data: {
+        results
+      }
+    };
+  } catch (error) {
+    console.error('[GITLAB] Error handling merge request event:', error);
+    throw error;
+  }
+};
+
+/**
+ * Post a new note to Slack
+ * Replies to a discussion we posted go into its Slack thread; diff notes
+ * are posted as code comments
+ * @param {Object} org - Organization data
+ * @param {Object} pullRequest - Pull request record
+ * @param {Object} note - Note from the webhook payload
+ * @param {Object} author - Author user record
+ * @returns {Promise<Object>} Comment record
+ */
+const postNote = async (org, pullRequest, note, author) => {
+  const message = {
+    author: author.gitlab_username,
+    authorSlackId: author.slack_user_id || null,
+    body: note.note,
+    url: note.url
+  };
+
+  const discussion = note.discussion_id
+    ? await db.comments.findFirstByGithubThreadId(pullRequest.id, note.discussion_id)
+    : null;
+
+  const record = {
+    id: uuidv4(),
+    pr_id: pullRequest.id,
+    github_comment_id: note.id.toString(),
+    github_thread_id: note.discussion_id || null,
+    user_id: author.id,
+    content: note.note,
+    source: 'gitlab',
+    created_at: toIsoString(note.created_at)
+  };
+
+  if (discussion) {
+    const reply = await slackService.sendCommentReplyMessage(
+      org.slack_bot_token,
+      slackService.getPrDestination(pullRequest),
+      discussion.slack_thread_ts,
+      message
+    );
+
+    return await db.comments.create({
+      ...record,
+      slack_thread_ts: discussion.slack_thread_ts,
+      slack_message_ts: reply?.ts || null,
+      parent_comment_id: discussion.id,
+      comment_type: 'reply'
+    });
+  }
+
+  if (note.type === 'DiffNote' && note.position) {
+    const posted = await slackService.sendReviewCommentMessage(
+      org.slack_bot_token,
+      slackService.getPrDestination(pullRequest),
+      null,
+      {
+        ...message,
+        path: note.position.new_path || note.position.old_path,
+        line: note.position.new_line || note.position.old_line || 'Unknown line'
+      }
+    );
+
+    return await db.comments.create({
+      ...record,
+      slack_thread_ts: posted.ts,
+      slack_message_ts: posted.ts,
+      comment_type: 'line_comment'
+    });
+  }
+
+  const posted = await slackService.sendPrCommentMessage(
+    org.slack_bot_token,
+    slackService.getPrDestination(pullRequest),
+    message
+  );
+
+  return await db.comments.create({
+    ...record,
+    slack_thread_ts: posted.ts,
+    slack_message_ts: posted.ts,
+    comment_type: 'pr_comment'
+  });
+};
+
+/**
+ * Handle GitLab note event
+ * @param {Object} org - Organization data
+ * @param {Object} payload - GitLab webhook payload
+ * @returns {Promise<Object>} Result of processing
+ */
+const handleNoteEvent = async (org, payload) => {
+  try {
+    const { object_attributes: note, merge_request: mr, project, user } = payload;
+
+    if (note.noteable_type !== 'MergeRequest') {
+      return {
+        status: 'ignored',
+        message: `Notes on ${note.noteable_type} not handled`
+      };
+    }
+
+    console.log(`[GITLAB] Note ${note.id} on MR !${mr.iid} in ${project.path_with_namespace}`);
+
+    // System notes repeat what merge request events already told us
+    if (note.system) {
+      return {
+        status: 'ignored',
+        message: 'System note'
+      };
+    }
+
+    if (note.note && note.note.includes(SLACK_MARKER)) {
+      return {
+        status: 'ignored',
+        message: 'Note originated from Slack, ignoring to prevent duplication'
+      };
+    }
+
+    const repo = await db.repositories.findByGitlabProjectId(org.id, project.id.toString());
+
+    if (!repo || !repo.is_active) {
+      return {
+        status: 'ignored',
+        message: 'Repository not tracked or inactive'
+      };
+    }
+
+    const pullRequest = await db.pullRequests.findByGithubPrId(repo.id, mr.id.toString());
+
+    if (!pullRequest) {
+      return {
+        status: 'error',
+        message: 'Merge request not found in database'
+      };
+    }
+
+    // Deferred drafts have no channel to post to yet
+    if (!pullRequest.slack_channel_id) {
+      return {
+        status: 'ignored',
+        message: 'Merge request has no Slack channel'
+      };
+    }
+
+    const existing = await db.comments.findByGithubCommentId(pullRequest.id, note.id.toString());
+
+    if (existing && existing.source === 'slack') {
+      return {
+        status: 'ignored',
+        message: 'Note originated from Slack, ignoring to prevent duplication'
+      };
+    }
+
+    // Older GitLab versions don't send an action and only report new notes
+    if (note.action === 'update') {
+      if (!existing) {
+        return {
+          status: 'ignored',
+          message: 'Edited note was never posted to Slack'
+        };
+      }
+
+      await db.comments.update(existing.id, {
+        content: note.note,
+        updated_at: new Date().toISOString()
+      });
+
+      await slackService.sendCommentEditedMessage(
+        org.slack_bot_token,
+        slackService.getPrDestination(pullRequest),
+        existing.slack_thread_ts,
+        {
+          author: user.username,
+          body: note.note,
+          url: note.url
+        }
+      );
+
+      return {
+        status: 'success',
+        message: 'Note edit processed'
+      };
+    }
+
+    if (existing) {
+      return {
+        status: 'ignored',
+        message: 'Note already processed'
+      };
+    }
+
+    const author = await findOrCreateUser(org, user);
+    const comment = await postNote(org, pullRequest, note, author);
+
+    return {
+      status: 'success',
+      message: 'Note posted to Slack',
+      data: {
+        comment_id: comment.id,
+        comment_type: comment.comment_type
+      }
+    };
+  } catch (error) {
+    console.error('[GITLAB] Error handling note event:', error);
+    throw error;
+  }
+};
+
+/**
+ * Dispatch a GitLab webhook event to the matching handler
+ * Called by the webhook job worker; the webhook controller adds the
+ * organization ID to the payload, since GitLab payloads can't be tied to
+ * an organization on their own
+ * @param {string} event - Event kind (object_kind of the payload)
+ * @param {Object} payload - Webhook payload
+ * @returns {Promise<Object>} Result of processing
+ */
+const processWebhookEvent = async (event, payload) => {
+  const org = await db.organizations.findById(payload.pingapr_org_id);
+
+  switch (event) {
+    case 'merge_request':
+      return await handleMergeRequestEvent(org, payload);
+
+    case 'note':
+      return await handleNoteEvent(org, payload);
+
+    default:
+      return { status: 'ignored', reason: `GitLab event '${event}' not handled` };
+  }
+};
+
+module.exports = {
+  SLACK_MARKER,
+  processWebhookEvent,
+  handleMergeRequestEvent,
+  handleNoteEvent,
+  translateUpdate
+};
@@ -0,0 +1,128 @@
+// src/services/gitlab/webhooks.test.js
+jest.mock('../supabase/functions', () => ({
+  users: {
+    findByGitlabUsername: jest.fn(),
+    create: jest.fn()
+  }
+}));
+
+jest.mock('../slack/messages', () => ({}));
+jest.mock('../slack/home', () => ({}));
+jest.mock('../github/webhooks', () => ({}));
+jest.mock('./api', () => ({}));
+
+const db = require('../supabase/functions');
+const gitlabWebhooks = require('./webhooks');
+
+const org = { id: 'org-1' };
+
+const buildPayload = (changes, attributes = {}) => ({
+  object_kind: 'merge_request',
+  object_attributes: { iid: 3, action: 'update', ...attributes },
+  changes
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+
+  db.users.findByGitlabUsername.mockResolvedValue(null);
+  db.users.create.mockImplementation(async (user) => user);
+});
+
+describe('translateUpdate', () => {
+  test('reports title and description changes as an edit', async () => {
+    const payload = buildPayload({
+      title: { previous: 'Old title', current: 'New title' },
+      description: { previous: 'Old body', current: 'New body' }
+    });
+
+    const actions = await gitlabWebhooks.translateUpdate(org, payload);
+
+    expect(actions).toEqual([{
+      action: 'edited',
+      changes: { title: { from: 'Old title' }, body: { from: 'Old body' } }
+    }]);
+  });
+
+  test('reports draft changes', async () => {
+    const toDraft = buildPayload({ draft: { previous: false, current: true } });
+    const ready = buildPayload({ work_in_progress: { previous: true, current: false } });
+
+    expect(await gitlabWebhooks.translateUpdate(org, toDraft)).toEqual([{ action: 'converted_to_draft' }]);
+    expect(await gitlabWebhooks.translateUpdate(org, ready)).toEqual([{ action: 'ready_for_review' }]);
+  });
+
+  test('reports added and removed reviewers by their placeholder login', async () => {
+    const payload = buildPayload({
+      reviewers: {
+        previous: [{ id: 1, username: 'alice' }, { id: 2, username: 'bob' }],
+        current: [{ id: 2, username: 'bob' }, { id: 3, username: 'carol' }]
+      }
+    });
+
+    const actions = await gitlabWebhooks.translateUpdate(org, payload);
+
+    expect(actions).toEqual([
+      { action: 'review_requested', requested_reviewer: { login: 'gitlab:carol' } },
+      { action: 'review_request_removed', requested_reviewer: { login: 'gitlab:alice' } }
+    ]);
+  });
+
+  test('uses the linked user for reviewers an admin has linked', async () => {
+    db.users.findByGitlabUsername.mockResolvedValue({ id: 'user-1', github_username: 'carol-gh' });
+    const payload = buildPayload({
+      reviewers: { previous: [], current: [{ id: 3, username: 'carol' }] }
+    });
+
+    const actions = await gitlabWebhooks.translateUpdate(org, payload);
+
+    expect(actions).toEqual([{ action: 'review_requested', requested_reviewer: { login: 'carol-gh' } }]);
+    expect(db.users.create).not.toHaveBeenCalled();
+  });
+
+  test('reports added and removed assignees', async () => {
+    const payload = buildPayload({
+      assignees: {
+        previous: [{ id: 1, username: 'alice' }],
+        current: [{ id: 2, username: 'bob' }]
+      }
+    });
+
+    const actions = await gitlabWebhooks.translateUpdate(org, payload);
+
+    expect(actions).toEqual([
+      { action: 'assigned', assignee: { login: 'gitlab:bob' } },
+      { action: 'unassigned', assignee: { login: 'gitlab:alice' } }
+    ]);
+  });
+
+  test('reports added and removed labels', async () => {
+    const payload = buildPayload({
+      labels: {
+        previous: [{ title: 'bug' }, { title: 'docs' }],
+        current: [{ title: 'docs' }, { title: 'hotfix' }]
+      }
+    });
+
+    const actions = await gitlabWebhooks.translateUpdate(org, payload);
+
+    expect(actions).toEqual([
+      { action: 'labeled', label: { name: 'hotfix' } },
+      { action: 'unlabeled', label: { name: 'bug' } }
+    ]);
+  });
+
+  test('reports pushed commits as a synchronize', async () => {
+    const payload = buildPayload({}, { oldrev: 'abc123' });
+
+    const actions = await gitlabWebhooks.translateUpdate(org, payload);
+
+    expect(actions).toEqual([{ action: 'synchronize' }]);
+  });
+
+  test('returns no actions for changes that do not map to a pull request action', async () => {
+    const payload = buildPayload({ updated_at: { previous: '2024-01-01', current: '2024-01-02' } });
+
+    expect(await gitlabWebhooks.translateUpdate(org, payload)).toEqual([]);
+  });
+});
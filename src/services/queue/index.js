@@ -0,0 +1,392 @@
+// src/services/queue/index.js
+const os = require('os');
+const db = require('../supabase/functions');
+const config = require('../../config');
+const githubWebhooks = require('../github/webhooks');
+const gitlabWebhooks = require('../gitlab/webhooks');
+const bitbucketWebhooks = require('../bitbucket/webhooks');
+const reviewBatches = require('../github/reviewBatches');
+
+// GitLab jobs are recorded as 'gitlab:<object_kind>'
+const GITLAB_EVENT_PREFIX = 'gitlab:';
+
+// Bitbucket jobs are recorded as 'bitbucket:<event key>'
+const BITBUCKET_EVENT_PREFIX = 'bitbucket:';
+
+// Identifies this process in locked_by so stuck jobs can be traced to a worker
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+let pollTimer = null;
+let isProcessing = false;
+let rerunRequested = false;
+
+/**
+ * Get the PR number an event is about
+ * @param {Object} payload - Webhook payload
+ * @returns {number|null} PR number or null when the event is not about a PR
+ */
+const getPrNumber = (payload) => {
+  return payload?.pull_request?.number
+    ?? (payload?.issue?.pull_request ? payload.issue.number : null)
+    ?? payload?.merge_request?.iid
+    ?? (payload?.object_kind === 'merge_request' ? payload.object_attributes?.iid : null)
+    ?? payload?.pullrequest?.id
+    ?? null;
+};
+
+/**
+ * Build the key used to keep events for the same PR in order
+ * @param {string} event - Event type
+ * @param {Object} payload - Webhook payload
+ * @returns {string|null} Ordering key or null when the event is not tied to a repository
+ */
+const getOrderingKey = (event, payload) => {
+  // Installation events touch many repositories, so they run in order per installation
+  if (['installation', 'installation_repositories'].includes(event) && payload?.installation?.id) {
+    return `installation:${payload.installation.id}`;
+  }
+
+  // GitLab project IDs and Bitbucket UUIDs get a prefix so they can't collide
+  // with GitHub repository IDs
+  const repoId = payload?.repository?.id
+    ?? (payload?.project?.id ? `gitlab:${payload.project.id}` : null)
+    ?? (payload?.repository?.uuid ? `bitbucket:${payload.repository.uuid}` : null);
+  if (!repoId) return null;
+
+  const prNumber = getPrNumber(payload);
+
+  return prNumber ? `${repoId}#${prNumber}` : `${repoId}`;
+};
+
+/**
+ * Calculate the delay before the next attempt (exponential backoff with jitter)
+ * @param {number} attempts - Number of attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+const getBackoffDelay = (attempts) => {
+  const { baseBackoffSeconds, maxBackoffSeconds } = config.queue;
+  const exponential = baseBackoffSeconds * Math.pow(2, Math.max(attempts - 1, 0));
+  const capped = Math.min(exponential, maxBackoffSeconds);
+
+  // Up to 20% jitter so retries from one outage don't all land together
+  const jitter = capped * 0.2 * Math.random();
+
+  return Math.round((capped + jitter) * 1000);
+};
+
+/**
+ * Kick the worker so new work doesn't wait for the next poll
+ * @param {string} reason - Used in the error log
+ */
+const scheduleProcessing = (reason) => {
+  setImmediate(() => {
+    processPendingJobs().catch(error => {
+      console.error(`[QUEUE] Error processing jobs after ${reason}:`, error.message);
+    });
+  });
+};
+
+/**
+ * Persist a webhook delivery as a job
+ * Deliveries are keyed on their delivery ID, so a redelivery of an event we
+ * already have is recognised and skipped instead of being processed twice
+ * @param {string} event - Event type (X-GitHub-Event header)
+ * @param {Object} payload - Webhook payload
+ * @param {string|null} deliveryId - Delivery ID (X-GitHub-Delivery header)
+ * @param {Object} options - Enqueue options
+ * @param {string|null} options.orgId - Organization to file the job under, for payloads without a GitHub organization
+ * @returns {Promise<Object>} The job and whether the delivery was a duplicate
+ */
+const enqueueWebhookEvent = async (event, payload, deliveryId = null, { orgId = null } = {}) => {
+  if (deliveryId) {
+    const existing = await db.webhookJobs.findByDeliveryId(deliveryId);
+    if (existing) {
+      return handleDuplicateDelivery(existing);
+    }
+  }
+
+  const githubOrgId = payload?.organization?.id || payload?.repository?.owner?.id || payload?.installation?.account?.id;
+
+  // GitHub deliveries are filed under the organization connected to their
+  // GitHub organization, if there is one yet
+  const org = !orgId && githubOrgId
+    ? await db.organizations.findByGithubOrgId(githubOrgId.toString())
+    : null;
+
+  let job;
+  try {
+    job = await db.webhookJobs.create({
+      event,
+      action: payload?.action || payload?.object_attributes?.action || null,
+      delivery_id: deliveryId,
+      org_id: orgId || org?.id || null,
+      github_org_id: githubOrgId ? githubOrgId.toString() : null,
+      ordering_key: getOrderingKey(event, payload),
+      repository_name: payload?.repository?.full_name || payload?.project?.path_with_namespace || null,
+      pr_number: getPrNumber(payload),
+      payload,
+      status: 'pending',
+      max_attempts: config.queue.maxAttempts
+    });
+  } catch (error) {
+    // Two copies of the same delivery raced past the lookup above
+    if (error.code === '23505' && deliveryId) {
+      const existing = await db.webhookJobs.findByDeliveryId(deliveryId);
+      if (existing) {
+        return handleDuplicateDelivery(existing);
+      }
+    }
+    throw error;
+  }
+
+  scheduleProcessing('enqueue');
+
+  return { job, duplicate: false };
+};
+
+/**
+ * Handle a delivery ID we have already recorded
+ * A manual redelivery of a dead job is taken as a request to retry it;
+ * anything else is skipped
+ * @param {Object} job - Existing job for the delivery
+ * @returns {Promise<Object>} The job and duplicate flag
+ */
+const handleDuplicateDelivery = async (job) => {
+  if (job.status === 'dead') {
+    console.log(`[QUEUE] Delivery ${job.delivery_id} redelivered after dead-letter, requeueing job ${job.id}`);
+    const requeued = await requeueJob(job);
+    return { job: requeued, duplicate: true };
+  }
+
+  console.log(`[QUEUE] Skipping duplicate delivery ${job.delivery_id} (job ${job.id} is ${job.status})`);
+  return { job, duplicate: true };
+};
+
+/**
+ * Record a failed attempt, scheduling a retry or moving the job to the dead-letter state
+ * @param {Object} job - Job that failed
+ * @param {Error} error - Error thrown while processing
+ * @param {number} durationMs - Time spent on the attempt
+ * @returns {Promise<Object>} Updated job
+ */
+const markJobFailed = async (job, error, durationMs) => {
+  const now = new Date();
+  const lastError = error?.message || String(error);
+
+  if (job.attempts >= job.max_attempts) {
+    console.error(`[QUEUE] Job ${job.id} (${job.event}) exhausted ${job.attempts} attempts, moving to dead-letter`);
+
+    return db.webhookJobs.update(job.id, {
+      status: 'dead',
+      last_error: lastError,
+      duration_ms: durationMs,
+      locked_at: null,
+      locked_by: null,
+      dead_at: now.toISOString()
+    });
+  }
+
+  const delay = getBackoffDelay(job.attempts);
+  console.warn(`[QUEUE] Job ${job.id} (${job.event}) failed attempt ${job.attempts}/${job.max_attempts}, retrying in ${Math.round(delay / 1000)}s: ${lastError}`);
+
+  return db.webhookJobs.update(job.id, {
+    status: 'failed',
+    last_error: lastError,
+    duration_ms: durationMs,
+    locked_at: null,
+    locked_by: null,
+    next_attempt_at: new Date(now.getTime() + delay).toISOString()
+  });
+};
+
+/**
+ * Hand a job's event to the GitHub, GitLab or Bitbucket webhook handlers
+ * @param {string} event - Recorded event type
+ * @param {Object} payload - Webhook payload
+ * @returns {Promise<Object>} Result of processing
+ */
+const processJobEvent = (event, payload) => {
+  if (event.startsWith(GITLAB_EVENT_PREFIX)) {
+    return gitlabWebhooks.processWebhookEvent(event.slice(GITLAB_EVENT_PREFIX.length), payload);
+  }
+
+  if (event.startsWith(BITBUCKET_EVENT_PREFIX)) {
+    return bitbucketWebhooks.processWebhookEvent(event.slice(BITBUCKET_EVENT_PREFIX.length), payload);
+  }
+
+  return githubWebhooks.processWebhookEvent(event, payload);
+};
+
+/**
+ * Run a single claimed job
+ * @param {Object} job - Claimed job
+ * @returns {Promise<Object>} Outcome summary
+ */
+const runJob = async (job) => {
+  const startedAt = Date.now();
+
+  try {
+    const result = await processJobEvent(job.event, job.payload);
+
+    await db.webhookJobs.update(job.id, {
+      status: 'completed',
+      result: result || null,
+      last_error: null,
+      duration_ms: Date.now() - startedAt,
+      locked_at: null,
+      locked_by: null,
+      completed_at: new Date().toISOString()
+    });
+
+    return { id: job.id, status: 'completed' };
+  } catch (error) {
+    console.error(`[QUEUE] Error processing job ${job.id}:`, {
+      message: error.message,
+      event: job.event,
+      action: job.action,
+      repo: job.repository_name
+    });
+
+    const updated = await markJobFailed(job, error, Date.now() - startedAt);
+    return { id: job.id, status: updated.status };
+  }
+};
+
+/**
+ * Claim and process runnable jobs until the queue is drained
+ * Only one drain loop runs per process; concurrent calls request another pass instead
+ * @returns {Promise<Object>} Summary of processed jobs
+ */
+const processPendingJobs = async () => {
+  if (isProcessing) {
+    rerunRequested = true;
+    return { skipped: true };
+  }
+
+  isProcessing = true;
+  const summary = { processed: 0, completed: 0, failed: 0, dead: 0 };
+
+  try {
+    do {
+      rerunRequested = false;
+
+      // Recover jobs left in 'processing' by a crashed or redeployed worker
+      const lockedBefore = new Date(Date.now() - config.queue.lockTimeoutMinutes * 60 * 1000).toISOString();
+      const released = await db.webhookJobs.releaseStale(lockedBefore);
+      if (released.length > 0) {
+        console.warn(`[QUEUE] Released ${released.length} stale job(s)`);
+      }
+
+      let jobs = await db.webhookJobs.claimBatch(config.queue.batchSize, WORKER_ID);
+
+      while (jobs.length > 0) {
+        // Jobs in a batch never share an ordering key, so they can run in parallel
+        const outcomes = await Promise.all(jobs.map(runJob));
+
+        for (const outcome of outcomes) {
+          summary.processed++;
+          summary[outcome.status] = (summary[outcome.status] || 0) + 1;
+        }
+
+        jobs = await db.webhookJobs.claimBatch(config.queue.batchSize, WORKER_ID);
+      }
+    } while (rerunRequested);
+  } finally {
+    isProcessing = false;
+  }
+
+  return summary;
+};
+
+/**
+ * Put a failed or dead job back in the queue
+ * @param {Object} job - Job to requeue
+ * @param {Object} options - Requeue options
+ * @param {boolean} options.resetAttempts - Whether to restart the attempt counter
+ * @returns {Promise<Object>} Updated job
+ */
+const requeueJob = async (job, { resetAttempts = true } = {}) => {
+  const updated = await db.webhookJobs.update(job.id, {
+    status: 'pending',
+    attempts: resetAttempts ? 0 : job.attempts,
+    next_attempt_at: new Date().toISOString(),
+    locked_at: null,
+    locked_by: null,
+    dead_at: null
+  });
+
+  scheduleProcessing('requeue');
+
+  return updated;
+};
+
+/**
+ * Replay a recorded delivery as a new job
+ * The copy has no delivery ID, so it is never taken for a GitHub redelivery,
+ * and keeps the original's ordering key so it runs after anything still
+ * queued for the same PR
+ * @param {Object} job - Job to replay (including its payload)
+ * @returns {Promise<Object>} The new job
+ */
+const replayJob = async (job) => {
+  const replay = await db.webhookJobs.create({
+    event: job.event,
+    action: job.action,
+    delivery_id: null,
+    org_id: job.org_id,
+    github_org_id: job.github_org_id,
+    ordering_key: job.ordering_key,
+    repository_name: job.repository_name,
+    pr_number: job.pr_number,
+    payload: job.payload,
+    status: 'pending',
+    max_attempts: config.queue.maxAttempts,
+    replay_of: job.id
+  });
+
+  scheduleProcessing('replay');
+
+  return replay;
+};
+
+/**
+ * Start polling the queue
+ * Polling picks up scheduled retries, anything enqueued by other instances
+ * and review batches whose window has expired
+ */
+const startWebhookWorker = () => {
+  if (pollTimer) return;
+
+  console.log(`[QUEUE] Starting webhook worker ${WORKER_ID} (poll every ${config.queue.pollIntervalMs}ms)`);
+
+  pollTimer = setInterval(() => {
+    processPendingJobs()
+      .then(() => reviewBatches.flushExpiredBatches())
+      .catch(error => {
+        console.error('[QUEUE] Error polling webhook jobs:', error.message);
+      });
+  }, config.queue.pollIntervalMs);
+};
+
+/**
+ * Stop polling the queue
+ */
+const stopWebhookWorker = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
+
+module.exports = {
+  enqueueWebhookEvent,
+  processPendingJobs,
+  requeueJob,
+  replayJob,
+  startWebhookWorker,
+  stopWebhookWorker,
+  GITLAB_EVENT_PREFIX,
+  BITBUCKET_EVENT_PREFIX,
+  getOrderingKey,
+  getBackoffDelay
+};
@@ -0,0 +1,300 @@
+// src/services/queue/index.test.js
+jest.mock('../supabase/functions', () => ({
+  organizations: {
+    findByGithubOrgId: jest.fn()
+  },
+  webhookJobs: {
+    findByDeliveryId: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    releaseStale: jest.fn(),
+    claimBatch: jest.fn()
+  }
+}));
+
+jest.mock('../../config', () => ({
+  queue: {
+    baseBackoffSeconds: 10,
+    maxBackoffSeconds: 600,
+    maxAttempts: 5,
+    batchSize: 10,
+    lockTimeoutMinutes: 5,
+    pollIntervalMs: 1000
+  }
+}));
+
+jest.mock('../github/webhooks', () => ({ processWebhookEvent: jest.fn() }));
+jest.mock('../gitlab/webhooks', () => ({ processWebhookEvent: jest.fn() }));
+jest.mock('../bitbucket/webhooks', () => ({ processWebhookEvent: jest.fn() }));
+jest.mock('../github/reviewBatches', () => ({ flushExpiredBatches: jest.fn() }));
+
+const db = require('../supabase/functions');
+const githubWebhooks = require('../github/webhooks');
+const gitlabWebhooks = require('../gitlab/webhooks');
+const bitbucketWebhooks = require('../bitbucket/webhooks');
+const queue = require('./index');
+
+// Lets the processing that enqueueing and requeueing schedule run out
+const flushScheduledProcessing = () => new Promise(resolve => setImmediate(resolve));
+
+const buildJob = (overrides = {}) => ({
+  id: 'job-1',
+  event: 'pull_request',
+  action: 'opened',
+  delivery_id: 'delivery-1',
+  payload: { action: 'opened' },
+  status: 'processing',
+  attempts: 1,
+  max_attempts: 5,
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(Math, 'random').mockReturnValue(0);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  db.webhookJobs.releaseStale.mockResolvedValue([]);
+  db.webhookJobs.claimBatch.mockResolvedValue([]);
+  db.webhookJobs.update.mockImplementation(async (id, updates) => ({ ...buildJob({ id }), ...updates }));
+});
+
+afterEach(async () => {
+  await flushScheduledProcessing();
+  jest.restoreAllMocks();
+});
+
+describe('getOrderingKey', () => {
+  test('keys GitHub pull request events by repository and PR number', () => {
+    const payload = { repository: { id: 42 }, pull_request: { number: 7 } };
+
+    expect(queue.getOrderingKey('pull_request', payload)).toBe('42#7');
+  });
+
+  test('keys GitHub PR comments by the issue number', () => {
+    const payload = { repository: { id: 42 }, issue: { number: 9, pull_request: {} } };
+
+    expect(queue.getOrderingKey('issue_comment', payload)).toBe('42#9');
+  });
+
+  test('keys GitHub check events by repository alone', () => {
+    const payload = { repository: { id: 42 }, check_run: { head_sha: 'abc' } };
+
+    expect(queue.getOrderingKey('check_run', payload)).toBe('42');
+  });
+
+  test('keys installation events by installation', () => {
+    const payload = { installation: { id: 5 }, repository: { id: 42 } };
+
+    expect(queue.getOrderingKey('installation_repositories', payload)).toBe('installation:5');
+  });
+
+  test('prefixes GitLab project IDs and uses the merge request IID', () => {
+    const payload = {
+      object_kind: 'merge_request',
+      project: { id: 42 },
+      repository: { name: 'app' },
+      object_attributes: { iid: 3 }
+    };
+
+    expect(queue.getOrderingKey('gitlab:merge_request', payload)).toBe('gitlab:42#3');
+  });
+
+  test('uses the merge request IID of GitLab notes', () => {
+    const payload = { object_kind: 'note', project: { id: 42 }, merge_request: { iid: 4 } };
+
+    expect(queue.getOrderingKey('gitlab:note', payload)).toBe('gitlab:42#4');
+  });
+
+  test('prefixes Bitbucket repository UUIDs and uses the pull request ID', () => {
+    const payload = { repository: { uuid: '{abc}' }, pullrequest: { id: 12 } };
+
+    expect(queue.getOrderingKey('bitbucket:pullrequest:created', payload)).toBe('bitbucket:{abc}#12');
+  });
+
+  test('returns null for events without a repository', () => {
+    expect(queue.getOrderingKey('ping', { zen: 'Keep it simple' })).toBeNull();
+  });
+});
+
+describe('getBackoffDelay', () => {
+  test('starts at the base delay', () => {
+    expect(queue.getBackoffDelay(0)).toBe(10000);
+    expect(queue.getBackoffDelay(1)).toBe(10000);
+  });
+
+  test('doubles with every attempt', () => {
+    expect(queue.getBackoffDelay(2)).toBe(20000);
+    expect(queue.getBackoffDelay(4)).toBe(80000);
+  });
+
+  test('is capped at the maximum delay', () => {
+    expect(queue.getBackoffDelay(20)).toBe(600000);
+  });
+
+  test('adds up to 20% jitter', () => {
+    Math.random.mockReturnValue(0.999999);
+
+    expect(queue.getBackoffDelay(20)).toBe(720000);
+  });
+});
+
+describe('processPendingJobs', () => {
+  test('marks jobs completed when their event is handled', async () => {
+    const job = buildJob();
+    db.webhookJobs.claimBatch.mockResolvedValueOnce([job]);
+    githubWebhooks.processWebhookEvent.mockResolvedValue({ status: 'success' });
+
+    const summary = await queue.processPendingJobs();
+
+    expect(githubWebhooks.processWebhookEvent).toHaveBeenCalledWith('pull_request', job.payload);
+    expect(db.webhookJobs.update).toHaveBeenCalledWith('job-1', expect.objectContaining({
+      status: 'completed',
+      result: { status: 'success' },
+      last_error: null,
+      locked_at: null,
+      locked_by: null
+    }));
+    expect(summary).toEqual(expect.objectContaining({ processed: 1, completed: 1 }));
+  });
+
+  test('hands GitLab and Bitbucket jobs to their providers without the prefix', async () => {
+    db.webhookJobs.claimBatch.mockResolvedValueOnce([
+      buildJob({ id: 'job-1', event: 'gitlab:merge_request' }),
+      buildJob({ id: 'job-2', event: 'bitbucket:pullrequest:created' })
+    ]);
+
+    await queue.processPendingJobs();
+
+    expect(gitlabWebhooks.processWebhookEvent).toHaveBeenCalledWith('merge_request', expect.any(Object));
+    expect(bitbucketWebhooks.processWebhookEvent).toHaveBeenCalledWith('pullrequest:created', expect.any(Object));
+    expect(githubWebhooks.processWebhookEvent).not.toHaveBeenCalled();
+  });
+
+  test('schedules a retry with backoff while attempts remain', async () => {
+    const now = Date.now();
+    db.webhookJobs.claimBatch.mockResolvedValueOnce([buildJob({ attempts: 2 })]);
+    githubWebhooks.processWebhookEvent.mockRejectedValue(new Error('GitHub is down'));
+
+    const summary = await queue.processPendingJobs();
+
+    const [id, updates] = db.webhookJobs.update.mock.calls[0];
+    expect(id).toBe('job-1');
+    expect(updates).toEqual(expect.objectContaining({
+      status: 'failed',
+      last_error: 'GitHub is down',
+      locked_at: null,
+      locked_by: null
+    }));
+    expect(updates.dead_at).toBeUndefined();
+    expect(new Date(updates.next_attempt_at).getTime()).toBeGreaterThanOrEqual(now + 20000);
+    expect(summary).toEqual(expect.objectContaining({ processed: 1, failed: 1 }));
+  });
+
+  test('moves a job to the dead-letter state once its attempts run out', async () => {
+    db.webhookJobs.claimBatch.mockResolvedValueOnce([buildJob({ attempts: 5, max_attempts: 5 })]);
+    githubWebhooks.processWebhookEvent.mockRejectedValue(new Error('Still down'));
+
+    const summary = await queue.processPendingJobs();
+
+    const [, updates] = db.webhookJobs.update.mock.calls[0];
+    expect(updates).toEqual(expect.objectContaining({
+      status: 'dead',
+      last_error: 'Still down',
+      dead_at: expect.any(String)
+    }));
+    expect(updates.next_attempt_at).toBeUndefined();
+    expect(summary).toEqual(expect.objectContaining({ processed: 1, dead: 1 }));
+  });
+
+  test('keeps claiming batches until the queue is drained', async () => {
+    db.webhookJobs.claimBatch
+      .mockResolvedValueOnce([buildJob({ id: 'job-1' })])
+      .mockResolvedValueOnce([buildJob({ id: 'job-2' })]);
+
+    const summary = await queue.processPendingJobs();
+
+    expect(db.webhookJobs.claimBatch).toHaveBeenCalledTimes(3);
+    expect(summary.processed).toBe(2);
+  });
+});
+
+describe('enqueueWebhookEvent', () => {
+  test('records new deliveries as pending jobs', async () => {
+    db.webhookJobs.findByDeliveryId.mockResolvedValue(null);
+    db.webhookJobs.create.mockImplementation(async (job) => ({ id: 'job-1', ...job }));
+    const payload = { action: 'opened', repository: { id: 42, full_name: 'acme/app' }, pull_request: { number: 7 } };
+
+    const { job, duplicate } = await queue.enqueueWebhookEvent('pull_request', payload, 'delivery-1');
+
+    expect(duplicate).toBe(false);
+    expect(job).toEqual(expect.objectContaining({
+      status: 'pending',
+      ordering_key: '42#7',
+      pr_number: 7,
+      max_attempts: 5
+    }));
+  });
+
+  test('files GitHub deliveries under the organization connected to their GitHub organization', async () => {
+    db.webhookJobs.findByDeliveryId.mockResolvedValue(null);
+    db.organizations.findByGithubOrgId.mockResolvedValue({ id: 'org-1' });
+    db.webhookJobs.create.mockImplementation(async (job) => ({ id: 'job-1', ...job }));
+    const payload = { action: 'opened', organization: { id: 99 }, repository: { id: 42 } };
+
+    const { job } = await queue.enqueueWebhookEvent('pull_request', payload, 'delivery-1');
+
+    expect(db.organizations.findByGithubOrgId).toHaveBeenCalledWith('99');
+    expect(job).toEqual(expect.objectContaining({ org_id: 'org-1', github_org_id: '99' }));
+  });
+
+  test('files GitLab and Bitbucket deliveries under the organization they arrived for', async () => {
+    db.webhookJobs.findByDeliveryId.mockResolvedValue(null);
+    db.webhookJobs.create.mockImplementation(async (job) => ({ id: 'job-1', ...job }));
+    const payload = { object_kind: 'merge_request', project: { id: 42 }, object_attributes: { iid: 3 } };
+
+    const { job } = await queue.enqueueWebhookEvent('gitlab:merge_request', payload, 'delivery-1', { orgId: 'org-1' });
+
+    expect(db.organizations.findByGithubOrgId).not.toHaveBeenCalled();
+    expect(job).toEqual(expect.objectContaining({ org_id: 'org-1', github_org_id: null }));
+  });
+
+  test('skips redeliveries of jobs that are not dead', async () => {
+    db.webhookJobs.findByDeliveryId.mockResolvedValue(buildJob({ status: 'completed' }));
+
+    const { job, duplicate } = await queue.enqueueWebhookEvent('pull_request', {}, 'delivery-1');
+
+    expect(duplicate).toBe(true);
+    expect(job.status).toBe('completed');
+    expect(db.webhookJobs.create).not.toHaveBeenCalled();
+    expect(db.webhookJobs.update).not.toHaveBeenCalled();
+  });
+
+  test('requeues a dead job when its delivery is redelivered', async () => {
+    db.webhookJobs.findByDeliveryId.mockResolvedValue(buildJob({ status: 'dead', attempts: 5 }));
+
+    const { job, duplicate } = await queue.enqueueWebhookEvent('pull_request', {}, 'delivery-1');
+
+    expect(duplicate).toBe(true);
+    expect(db.webhookJobs.update).toHaveBeenCalledWith('job-1', expect.objectContaining({
+      status: 'pending',
+      attempts: 0,
+      dead_at: null,
+      locked_at: null
+    }));
+    expect(job.status).toBe('pending');
+  });
+
+  test('treats a delivery that raced past the lookup as a duplicate', async () => {
+    db.webhookJobs.findByDeliveryId
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(buildJob({ status: 'pending' }));
+    db.webhookJobs.create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: '23505' }));
+
+    const { duplicate } = await queue.enqueueWebhookEvent('pull_request', {}, 'delivery-1');
+
+    expect(duplicate).toBe(true);
+  });
+});
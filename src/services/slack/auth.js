@@ -20,6 +20,7 @@ const slackAuth = {
     // Use the exact scopes from your app manifest
     url.searchParams.append('scope', [
       "app_mentions:read",
+      "channels:history",
       "channels:join",
       "channels:manage",
       "channels:read",
@@ -29,10 +30,13 @@ const slackAuth = {
       "chat:write.customize",
       "chat:write.public",
       "commands",
+      "groups:history",
       "groups:read",
       "groups:write",
       "im:read",
       "im:write",
+      "links:read",
+      "links:write",
       "team:read",
       "users:read",
       "users:read.email",
@@ -7,39 +7,123 @@
 const { WebClient } = require('@slack/web-api');
 const db = require('../supabase/functions');
 
+// Used when neither the repository nor the organization sets a template
+const DEFAULT_CHANNEL_NAME_TEMPLATE = 'pr-{number}-{title}';
+
+// Slack channel names are at most 80 characters
+const MAX_CHANNEL_NAME_LENGTH = 80;
+
+// Suffixes tried when a channel name is already taken
+const MAX_NAME_ATTEMPTS = 10;
+
+/**
+ * Reduce text to the characters Slack allows in channel names
+ * @param {string} text - Text to clean
+ * @returns {string} Lowercase text with dashes for anything else
+ */
+const toChannelNamePart = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9_-]+/g, '-')
+  .replace(/-{2,}/g, '-')
+  .replace(/^-|-$/g, '');
+
+/**
+ * Get the channel settings for a repository
+ * Repository settings override the organization settings; watchers from both
+ * are invited
+ * @param {Object} org - Organization data
+ * @param {Object} repo - Repository data
+ * @returns {Object} Name template, privacy and watcher Slack IDs
+ */
+const getChannelSettings = (org, repo) => ({
+  template: repo.channel_name_template || org.settings?.channel_name_template || DEFAULT_CHANNEL_NAME_TEMPLATE,
+  isPrivate: repo.private_channels !== null && repo.private_channels !== undefined
+    ? repo.private_channels
+    : Boolean(org.settings?.private_channels),
+  watchers: [...new Set([...(org.settings?.channel_watchers || []), ...(repo.slack_watchers || [])])]
+});
+
+/**
+ * Build a PR channel name from a template
+ * Supports {repo}, {number}, {title}, {author} and {branch}
+ * @param {string} template - Channel name template
+ * @param {Object} values - Placeholder values
+ * @returns {string} Channel name
+ */
+const buildChannelName = (template, values) => {
+  const name = template.replace(/\{(repo|number|title|author|branch)\}/g, (match, key) => {
+    const value = toChannelNamePart(values[key]);
+    
+    // Titles are long; keep room for the other placeholders
+    return key === 'title' ? value.substring(0, 30).replace(/-$/, '') : value;
+  });
+  
+  return toChannelNamePart(name).substring(0, MAX_CHANNEL_NAME_LENGTH).replace(/-$/, '') || `pr-${values.number}`;
+};
+
+/**
+ * Create a channel, adding a numbered suffix while the name is taken
+ * @param {Object} client - Slack client
+ * @param {string} name - Preferred channel name
+ * @param {boolean} isPrivate - Whether to create a private channel
+ * @returns {Promise<Object>} Created channel
+ */
+const createUniqueChannel = async (client, name, isPrivate) => {
+  for (let attempt = 1; attempt <= MAX_NAME_ATTEMPTS; attempt++) {
+    const suffix = attempt === 1 ? '' : `-${attempt}`;
+    const candidate = name.substring(0, MAX_CHANNEL_NAME_LENGTH - suffix.length) + suffix;
+    
+    try {
+      const response = await client.conversations.create({
+        name: candidate,
+        is_private: isPrivate
+      });
+      
+      if (!response.ok) {
+        throw new Error(`Failed to create Slack channel: ${response.error}`);
+      }
+      
+      return response.channel;
+    } catch (error) {
+      if (error.data?.error !== 'name_taken') {
+        throw error;
+      }
+      
+      console.log(`Slack channel name ${candidate} is taken, trying another`);
+    }
+  }
+  
+  throw new Error(`Failed to create Slack channel: no free name for ${name}`);
+};
+
 /**
  * Create a new Slack channel for a PR
+ * The name comes from the repository's or organization's template; the
+ * author and watchers are invited, reviewers are invited as they are requested
  * @param {Object} org - Organization data
  * @param {Object} pullRequest - Pull request data
  * @param {Object} repo - Repository data
+ * @param {Object} pr - Pull request data from the provider, for the branch name
  * @returns {Promise<Object>} Created channel data
  */
-const createPrChannel = async (org, pullRequest, repo) => {
+const createPrChannel = async (org, pullRequest, repo, pr = null) => {
   try {
     const client = new WebClient(org.slack_bot_token);
+    const { template, isPrivate, watchers } = getChannelSettings(org, repo);
     
-    // Create channel name from PR info
-    // Format: pr-123-title-with-dashes
     const prNumber = pullRequest.github_pr_number;
-    const prTitle = pullRequest.title
-      .toLowerCase()
-      .replace(/[^\w\s-]/g, '') // Remove special chars
-      .replace(/\s+/g, '-') // Replace spaces with dashes
-      .substring(0, 30); // Limit length
-    
-    const channelName = `pr-${prNumber}-${prTitle}`;
+    const author = await db.users.findById(pullRequest.author_id);
     
-    // Create the channel
-    const response = await client.conversations.create({
-      name: channelName,
-      is_private: false
+    const channelName = buildChannelName(template, {
+      repo: repo.github_repo_name.split('/').pop(),
+      number: prNumber,
+      title: pullRequest.title,
+      author: author?.github_username || author?.name,
+      branch: pr?.head?.ref
     });
     
-    if (!response.ok) {
-      throw new Error(`Failed to create Slack channel: ${response.error}`);
-    }
-    
-    const channel = response.channel;
+    // Create the channel
+    const channel = await createUniqueChannel(client, channelName, isPrivate);
     
     // Set channel topic with PR info
     await client.conversations.setTopic({
@@ -48,11 +132,16 @@ const createPrChannel = async (org, pullRequest, repo) => {
     });
     
     // Add PR author to channel if they have a Slack ID
-    const author = await db.users.findById(pullRequest.author_id);
     if (author && author.slack_user_id) {
       await inviteUserToChannel(org.slack_bot_token, channel.id, author.slack_user_id);
     }
     
+    for (const watcher of watchers) {
+      if (watcher !== author?.slack_user_id) {
+        await inviteUserToChannel(org.slack_bot_token, channel.id, watcher);
+      }
+    }
+    
     return channel;
   } catch (error) {
     console.error('Error creating Slack channel for PR:', error);
@@ -60,6 +149,44 @@ const createPrChannel = async (org, pullRequest, repo) => {
   }
 };
 
+/**
+ * Check whether a repository posts its PRs as threads in a shared channel
+ * @param {Object} repo - Repository data
+ * @returns {boolean} True if PRs get a thread instead of a channel
+ */
+const usesSharedChannel = (repo) => repo.slack_channel_mode === 'thread' && Boolean(repo.slack_channel_id);
+
+/**
+ * Make sure the bot can post to a repository's shared channel
+ * The bot joins public channels itself; private channels need an invite
+ * @param {string} token - Slack bot token
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<Object>} Channel info
+ */
+const joinSharedChannel = async (token, channelId) => {
+  const client = new WebClient(token);
+  
+  const { channel } = await client.conversations.info({
+    channel: channelId
+  });
+  
+  if (channel.is_archived) {
+    throw new Error(`Channel ${channelId} is archived`);
+  }
+  
+  if (!channel.is_member) {
+    if (channel.is_private) {
+      throw new Error(`Invite the PingaPR app to private channel ${channelId} first`);
+    }
+    
+    await client.conversations.join({
+      channel: channelId
+    });
+  }
+  
+  return channel;
+};
+
 /**
  * Invite a user to a channel
  * @param {string} token - Slack bot token
@@ -121,6 +248,156 @@ const archiveChannel = async (token, channelId) => {
   }
 };
 
+/**
+ * Unarchive a channel
+ * @param {string} token - Slack bot token
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<Object>} Slack API response
+ */
+const unarchiveChannel = async (token, channelId) => {
+  try {
+    const client = new WebClient(token);
+    
+    const response = await client.conversations.unarchive({
+      channel: channelId
+    });
+    
+    return response;
+  } catch (error) {
+    // Don't fail if channel was never archived
+    if (error.data && error.data.error === 'not_archived') {
+      return { ok: true, not_archived: true };
+    }
+    
+    throw error;
+  }
+};
+
+/**
+ * Give a reopened PR its channel back
+ * An archived channel is unarchived when Slack allows it; otherwise the PR
+ * gets a fresh channel that links to the old one. The author, watchers and
+ * pending reviewers are invited again
+ * @param {Object} org - Organization data
+ * @param {Object} pullRequest - Pull request data
+ * @param {Object} repo - Repository data
+ * @param {Object} pr - Pull request data from the provider, for the branch name
+ * @returns {Promise<Object>} Channel data; `replaced` is set when the PR got a new channel
+ */
+const restorePrChannel = async (org, pullRequest, repo, pr = null) => {
+  const client = new WebClient(org.slack_bot_token);
+  const oldChannelId = pullRequest.slack_channel_id;
+  
+  let channel;
+  try {
+    ({ channel } = await client.conversations.info({
+      channel: oldChannelId
+    }));
+  } catch (error) {
+    // A deleted channel is replaced like an archived one
+    if (error.data?.error !== 'channel_not_found') {
+      throw error;
+    }
+  }
+  
+  if (channel && !channel.is_archived) {
+    return channel;
+  }
+  
+  if (channel) {
+    try {
+      await unarchiveChannel(org.slack_bot_token, oldChannelId);
+      console.log(`Unarchived channel ${oldChannelId} for reopened PR ${pullRequest.id}`);
+    } catch (error) {
+      console.error(`Error unarchiving channel ${oldChannelId}, creating a new one:`, error.data?.error || error.message);
+      channel = null;
+    }
+  }
+  
+  const { watchers } = getChannelSettings(org, repo);
+  const members = [];
+  
+  if (channel) {
+    const author = await db.users.findById(pullRequest.author_id);
+    members.push(author?.slack_user_id, ...watchers);
+  } else {
+    // New channels get the author and watchers on creation
+    channel = { ...await createPrChannel(org, pullRequest, repo, pr), replaced: true };
+    
+    await client.chat.postMessage({
+      channel: channel.id,
+      text: `This PR was reopened. Earlier discussion is in <#${oldChannelId}>.`
+    });
+  }
+  
+  const reviewRequests = await db.reviewRequests.findPendingByPrId(pullRequest.id);
+  members.push(...reviewRequests.map(request => request.reviewer?.slack_user_id));
+  
+  for (const userId of new Set(members.filter(Boolean))) {
+    await inviteUserToChannel(org.slack_bot_token, channel.id, userId);
+  }
+  
+  return channel;
+};
+
+/**
+ * Read every message of a channel for its transcript
+ * Thread replies follow their parent message
+ * @param {string} token - Slack bot token
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<Array>} Messages, oldest first
+ */
+const exportChannelMessages = async (token, channelId) => {
+  const client = new WebClient(token);
+  const toEntry = (message) => ({
+    ts: message.ts,
+    thread_ts: message.thread_ts || null,
+    user: message.user || null,
+    bot_id: message.bot_id || null,
+    text: message.text || ''
+  });
+  
+  const history = [];
+  let cursor;
+  do {
+    const response = await client.conversations.history({
+      channel: channelId,
+      limit: 200,
+      cursor
+    });
+    
+    history.push(...response.messages);
+    cursor = response.response_metadata?.next_cursor;
+  } while (cursor);
+  
+  const messages = [];
+  
+  // History is newest first
+  for (const message of history.reverse()) {
+    messages.push(toEntry(message));
+    
+    if (!message.reply_count) {
+      continue;
+    }
+    
+    let replyCursor;
+    do {
+      const response = await client.conversations.replies({
+        channel: channelId,
+        ts: message.ts,
+        limit: 200,
+        cursor: replyCursor
+      });
+      
+      // The parent comes back as the first message of every page
+      messages.push(...response.messages.filter(reply => reply.ts !== message.ts).map(toEntry));
+      replyCursor = response.response_metadata?.next_cursor;
+    } while (replyCursor);
+  }
+  
+  return messages;
+};
+
 /**
  * Check and archive channels for closed PRs
  * This is called by the scheduled job
@@ -134,6 +411,9 @@ const checkAndArchiveChannels = async () => {
       try {
         // Archive the channel
         await archiveChannel(channel.slack_bot_token, channel.slack_channel_id);
+        await db.pullRequests.update(channel.pr_id, {
+          slack_channel_archived_at: new Date().toISOString()
+        });
         console.log(`Archived channel for PR ${channel.pr_id}`);
       } catch (error) {
         console.error(`Error archiving channel for PR ${channel.pr_id}:`, error);
@@ -153,7 +433,13 @@ const checkAndArchiveChannels = async () => {
 
 module.exports = {
   createPrChannel,
+  usesSharedChannel,
+  joinSharedChannel,
   inviteUserToChannel,
   archiveChannel,
-  checkAndArchiveChannels
+  unarchiveChannel,
+  restorePrChannel,
+  exportChannelMessages,
+  checkAndArchiveChannels,
+  buildChannelName
 };
\ No newline at end of file
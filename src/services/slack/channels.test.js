@@ -0,0 +1,56 @@
+// src/services/slack/channels.test.js
+jest.mock('../supabase/functions', () => ({}));
+
+const channels = require('./channels');
+
+const values = {
+  repo: 'acme/web-app',
+  number: 42,
+  title: 'Fix: Login form on Safari!',
+  author: 'Octo_Cat',
+  branch: 'fix/login-safari'
+};
+
+describe('buildChannelName', () => {
+  test('fills in every supported placeholder', () => {
+    const name = channels.buildChannelName('{repo}-{number}-{author}-{branch}', values);
+
+    expect(name).toBe('acme-web-app-42-octo_cat-fix-login-safari');
+  });
+
+  test('lowercases values and collapses disallowed characters into single dashes', () => {
+    expect(channels.buildChannelName('pr-{number}-{title}', values)).toBe('pr-42-fix-login-form-on-safari');
+  });
+
+  test('shortens titles to leave room for the other placeholders', () => {
+    const name = channels.buildChannelName('{title}', {
+      ...values,
+      title: 'Refactor the notification pipeline to batch Slack messages'
+    });
+
+    expect(name).toBe('refactor-the-notification-pipe');
+  });
+
+  test('drops the dash a shortened title would end on', () => {
+    const name = channels.buildChannelName('{title}-{number}', {
+      ...values,
+      title: 'Update the reminder scheduler so weekends are skipped'
+    });
+
+    expect(name).toBe('update-the-reminder-scheduler-42');
+  });
+
+  test('leaves unknown placeholders as plain text', () => {
+    expect(channels.buildChannelName('pr-{number}-{team}', values)).toBe('pr-42-team');
+  });
+
+  test('keeps names within the Slack length limit', () => {
+    const name = channels.buildChannelName('{branch}', { ...values, branch: 'feature/'.concat('a'.repeat(100)) });
+
+    expect(name).toHaveLength(80);
+  });
+
+  test('falls back to the PR number when nothing usable is left', () => {
+    expect(channels.buildChannelName('{title}', { ...values, title: '🚀🚀' })).toBe('pr-42');
+  });
+});
@@ -2,9 +2,9 @@
 const axios = require('axios');
 const { WebClient } = require('@slack/web-api');
 const db = require('../../services/supabase/functions');
-const slackMessages = require('./messages');
 const githubApi = require('../github/api');
 const githubAuth = require('../github/auth');
+const { getGithubAuth, getPullRequestUrl } = require('../../utils/github');
 
 /**
  * Respond to a Slack command using the response_url
@@ -32,9 +32,10 @@ const respondToCommand = async (responseUrl, message) => {
 /**
  * Format a list of pull requests for display in Slack
  * @param {Array} prs - Array of pull request objects
+ * @param {Object} org - Organization data
  * @returns {Array} Array of Slack blocks
  */
-const formatPRList = (prs) => {
+const formatPRList = (prs, org) => {
   if (!prs || prs.length === 0) {
     return [
       {
@@ -61,7 +62,7 @@ const formatPRList = (prs) => {
   prs.forEach(pr => {
     const repoFullName = pr.repository.github_repo_name;
     const prNumber = pr.github_pr_number;
-    const prUrl = `https://github.com/${repoFullName}/pull/${prNumber}`;
+    const prUrl = getPullRequestUrl(org, repoFullName, prNumber, pr.repository.provider);
     
     // Format authors and reviewers
     const authorDisplay = pr.author?.slack_user_id 
@@ -158,6 +159,58 @@ const getAllOpenPRs = async (orgId) => {
   }
 };
 
+/**
+ * Approve a PR on GitHub as a requested reviewer
+ * Shared by /lgtm and the App Home
+ * @param {Object} org - Organization data
+ * @param {Object} user - User data
+ * @param {Object} pr - Pull request with repository data
+ * @returns {Promise<Object>} `{ success, message }` to show the user
+ */
+const approvePullRequest = async (org, user, pr) => {
+  if (pr.repository.provider === 'gitlab') {
+    return { success: false, message: 'Merge requests can only be approved in GitLab.' };
+  }
+  
+  if (pr.repository.provider === 'bitbucket') {
+    return { success: false, message: 'Bitbucket pull requests can only be approved in Bitbucket.' };
+  }
+  
+  // Validate and refresh GitHub token if needed
+  const { valid, token, message } = await githubAuth.validateAndRefreshUserToken(user);
+  
+  if (!valid) {
+    return {
+      success: false,
+      message: message || 'Your GitHub authentication is invalid. Please reconnect your GitHub account.'
+    };
+  }
+  
+  // Submit the approval review using the GitHub API
+  const repoFullName = pr.repository.github_repo_name;
+  const prNumber = pr.github_pr_number;
+  
+  try {
+    // Use githubApi to create the review
+    const [owner, repo] = repoFullName.split('/');
+    
+    await githubApi.createPullRequestReview(
+      getGithubAuth(org, token), // Using the possibly refreshed token
+      owner,
+      repo,
+      prNumber,
+      'APPROVE',
+      'LGTM! Approved via PingaPR from Slack.'
+    );
+    
+    // The review webhook records the approval and posts it in the channel
+    return { success: true, message: `✅ Success! You've approved PR #${prNumber}: ${pr.title}` };
+  } catch (error) {
+    console.error('Error submitting GitHub review:', error);
+    return { success: false, message: `Error approving PR: ${error.message}` };
+  }
+};
+
 /**
  * Handle the /lgtm command to approve a PR
  * @param {Object} org - Organization data
@@ -188,66 +241,135 @@ const handleLGTMCommand = async (org, user, channelId, responseUrl) => {
       return;
     }
     
-    // Validate and refresh GitHub token if needed
-    const { valid, token, message } = await githubAuth.validateAndRefreshUserToken(user);
+    const { message } = await approvePullRequest(org, user, pr);
     
-    if (!valid) {
+    await respondToCommand(responseUrl, {
+      text: message
+    });
+  } catch (error) {
+    console.error('Error handling LGTM command:', error);
+    await respondToCommand(responseUrl, {
+      text: 'An error occurred while processing your command. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Open the modal for submitting a GitHub review from Slack
+ * Shared by /pingapr review and the Review button on PR messages
+ * @param {Object} org - Organization data
+ * @param {Object} pr - Pull request with repository data
+ * @param {string} triggerId - Slack trigger ID
+ * @returns {Promise<Object>} Slack API response
+ */
+const openReviewModal = async (org, pr, triggerId) => {
+  const prUrl = getPullRequestUrl(org, pr.repository.github_repo_name, pr.github_pr_number);
+  
+  const eventOption = (text, value) => ({
+    text: {
+      type: "plain_text",
+      text,
+      emoji: true
+    },
+    value
+  });
+  
+  const client = new WebClient(org.slack_bot_token);
+  return client.views.open({
+    trigger_id: triggerId,
+    view: {
+      type: "modal",
+      callback_id: "submit_review_modal",
+      private_metadata: JSON.stringify({ pr_id: pr.id }),
+      title: {
+        type: "plain_text",
+        text: `Review #${pr.github_pr_number}`
+      },
+      submit: {
+        type: "plain_text",
+        text: "Submit review"
+      },
+      close: {
+        type: "plain_text",
+        text: "Cancel"
+      },
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `*<${prUrl}|${pr.title}>*\n${pr.repository.github_repo_name}`
+          }
+        },
+        {
+          type: "input",
+          block_id: "review_event",
+          label: {
+            type: "plain_text",
+            text: "Review"
+          },
+          element: {
+            type: "radio_buttons",
+            action_id: "event_select",
+            options: [
+              eventOption(":white_check_mark: Approve", "APPROVE"),
+              eventOption(":x: Request changes", "REQUEST_CHANGES"),
+              eventOption(":speech_balloon: Comment", "COMMENT")
+            ]
+          }
+        },
+        {
+          type: "input",
+          block_id: "review_body",
+          optional: true,
+          label: {
+            type: "plain_text",
+            text: "Message"
+          },
+          hint: {
+            type: "plain_text",
+            text: "Markdown is supported. Required when requesting changes or commenting."
+          },
+          element: {
+            type: "plain_text_input",
+            action_id: "body_input",
+            multiline: true
+          }
+        }
+      ]
+    }
+  });
+};
+
+/**
+ * Handle /pingapr review: open the review modal for the channel's PR
+ * @param {Object} org - Organization data
+ * @param {string} channelId - Slack channel ID
+ * @param {string} responseUrl - Slack response URL
+ * @param {string} triggerId - Slack trigger ID
+ * @returns {Promise<void>}
+ */
+const handleReviewCommand = async (org, channelId, responseUrl, triggerId) => {
+  try {
+    const pr = await db.pullRequests.findBySlackChannelId(channelId);
+    
+    if (!pr) {
       await respondToCommand(responseUrl, {
-        text: message || 'Your GitHub authentication is invalid. Please reconnect your GitHub account.'
+        text: "This channel is not associated with any pull request. In a shared repository channel, use the Review button on the PR's message."
       });
       return;
     }
     
-    // Submit the approval review using the GitHub API
-    const repoFullName = pr.repository.github_repo_name;
-    const prNumber = pr.github_pr_number;
-    
-    try {
-      // Use githubApi to create the review
-      const [owner, repo] = repoFullName.split('/');
-      
-      await githubApi.createPullRequestReview(
-        token, // Using the possibly refreshed token
-        owner,
-        repo,
-        prNumber,
-        'APPROVE',
-        'LGTM! Approved via PingaPR from Slack.'
-      );
-      
-      // Update the review request status
-      await db.reviewRequests.update(reviewRequest.id, {
-        status: 'approved',
-        completed_at: new Date().toISOString()
-      });
-      
-      // Post success message
-      await respondToCommand(responseUrl, {
-        text: `✅ Success! You've approved PR #${prNumber}: ${pr.title}`
-      });
-      
-      // Also post in the channel
-      await slackMessages.sendReviewMessage(
-        org.slack_bot_token,
-        channelId,
-        {
-          title: pr.title,
-          url: `https://github.com/${repoFullName}/pull/${prNumber}`,
-          reviewer: user.github_username,
-          reviewerSlackId: user.slack_user_id,
-          state: 'approved',
-          body: 'LGTM! Approved via PingaPR from Slack.',
-          prNumber
-        }
-      );
-    } catch (error) {
-      console.error('Error submitting GitHub review:', error);
+    if (pr.repository.provider !== 'github') {
       await respondToCommand(responseUrl, {
-        text: `Error approving PR: ${error.message}`
+        text: 'Reviews can only be submitted from Slack on GitHub pull requests.'
       });
+      return;
     }
+    
+    await openReviewModal(org, pr, triggerId);
   } catch (error) {
-    console.error('Error handling LGTM command:', error);
+    console.error('Error handling review command:', error);
     await respondToCommand(responseUrl, {
       text: 'An error occurred while processing your command. Please try again later.'
     });
@@ -402,7 +524,7 @@ const getUserPRsAndRespond = async (org, user, responseUrl) => {
     }
     
     // Format the responses into blocks
-    const blocks = formatUserPRsBlocks(authoredPRs, reviewPRs);
+    const blocks = formatUserPRsBlocks(authoredPRs, reviewPRs, org);
     
     // Send the response
     await respondToCommand(responseUrl, {
@@ -421,9 +543,10 @@ const getUserPRsAndRespond = async (org, user, responseUrl) => {
  * Format user's PRs into Slack blocks
  * @param {Array} authoredPRs - PRs authored by the user
  * @param {Array} reviewPRs - PRs where user is a reviewer
+ * @param {Object} org - Organization data
  * @returns {Array} Slack blocks
  */
-const formatUserPRsBlocks = (authoredPRs, reviewPRs) => {
+const formatUserPRsBlocks = (authoredPRs, reviewPRs, org) => {
   // Format authored PRs section
   let authoredBlocks = [];
   if (authoredPRs && authoredPRs.length > 0) {
@@ -441,7 +564,7 @@ const formatUserPRsBlocks = (authoredPRs, reviewPRs) => {
     authoredPRs.forEach(pr => {
       const repoFullName = pr.repository.github_repo_name;
       const prNumber = pr.github_pr_number;
-      const prUrl = `https://github.com/${repoFullName}/pull/${prNumber}`;
+      const prUrl = getPullRequestUrl(org, repoFullName, prNumber, pr.repository.provider);
       
       authoredBlocks.push(
         {
@@ -478,7 +601,7 @@ const formatUserPRsBlocks = (authoredPRs, reviewPRs) => {
       
       const repoFullName = pr.repository.github_repo_name;
       const prNumber = pr.github_pr_number;
-      const prUrl = `https://github.com/${repoFullName}/pull/${prNumber}`;
+      const prUrl = getPullRequestUrl(org, repoFullName, prNumber, pr.repository.provider);
       const authorDisplay = pr.author.slack_user_id 
         ? `<@${pr.author.slack_user_id}>` 
         : pr.author.github_username;
@@ -538,7 +661,10 @@ const formatUserPRsBlocks = (authoredPRs, reviewPRs) => {
 
 module.exports = {
   respondToCommand,
+  approvePullRequest,
   handleLGTMCommand,
+  openReviewModal,
+  handleReviewCommand,
   openRepoSelectionModal,
   getUserPRsAndRespond,
   formatPRList,
@@ -0,0 +1,346 @@
+// src/services/slack/home.js
+
+/**
+ * Slack App Home service
+ * Publishes each user's Home tab: PRs waiting on their review, their own open
+ * PRs and what they merged recently
+ */
+const { WebClient } = require('@slack/web-api');
+const db = require('../supabase/functions');
+const { getPullRequestUrl } = require('../../utils/github');
+
+// Home tab blocks are capped by Slack, so long lists are cut
+const MAX_PRS_PER_SECTION = 10;
+
+// Merged PRs stay on the Home tab this long
+const RECENTLY_MERGED_DAYS = 7;
+
+// How long the Snooze button holds reminders for a review
+const SNOOZE_HOURS = 24;
+
+/**
+ * Link to a PR's channel, or the shared channel its thread is in
+ * @param {Object} org - Organization data
+ * @param {Object} pr - Pull request data
+ * @returns {string|null} Slack URL
+ */
+const getChannelUrl = (org, pr) => (pr.slack_channel_id
+  ? `https://slack.com/app_redirect?team=${org.slack_workspace_id}&channel=${pr.slack_channel_id}`
+  : null);
+
+/**
+ * Describe how long ago a time was
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} e.g. "3d ago"
+ */
+const formatAge = (timestamp) => {
+  const hours = Math.floor((Date.now() - new Date(timestamp)) / (1000 * 60 * 60));
+
+  if (hours < 1) return 'just now';
+  if (hours < 24) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+};
+
+/**
+ * Summarize the review state of a PR
+ * @param {Array} reviewRequests - Review requests of the PR
+ * @returns {string} Review state text
+ */
+const formatReviewState = (reviewRequests) => {
+  if (reviewRequests.length === 0) {
+    return 'No reviewers requested';
+  }
+
+  const count = (status) => reviewRequests.filter(rr => rr.status === status).length;
+  const parts = [];
+
+  if (count('approved')) parts.push(`✅ ${count('approved')} approved`);
+  if (count('changes_requested')) parts.push(`❌ ${count('changes_requested')} changes requested`);
+  if (count('commented')) parts.push(`💬 ${count('commented')} commented`);
+  if (count('pending')) parts.push(`⏳ ${count('pending')} pending`);
+
+  return parts.join(' · ');
+};
+
+/**
+ * Build a section header with an empty-state line
+ * @param {string} title - Header text
+ * @param {number} total - Number of PRs in the section
+ * @param {string} emptyText - Text shown when there are none
+ * @returns {Array} Slack blocks
+ */
+const buildSectionHeader = (title, total, emptyText) => {
+  const blocks = [
+    {
+      type: 'header',
+      text: {
+        type: 'plain_text',
+        text: total ? `${title} (${total})` : title,
+        emoji: true
+      }
+    }
+  ];
+
+  if (!total) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: emptyText }]
+    });
+  }
+
+  return blocks;
+};
+
+/**
+ * Build the blocks for PRs waiting on the user's review
+ * @param {Object} org - Organization data
+ * @param {Array} reviewRequests - Pending review requests with PR data
+ * @returns {Array} Slack blocks
+ */
+const buildReviewBlocks = (org, reviewRequests) => {
+  const blocks = buildSectionHeader('👀 PRs waiting on my review', reviewRequests.length, 'Nothing to review. Nice!');
+
+  for (const rr of reviewRequests.slice(0, MAX_PRS_PER_SECTION)) {
+    const pr = rr.pull_request;
+    const prUrl = getPullRequestUrl(org, pr.repository.github_repo_name, pr.github_pr_number, pr.repository.provider);
+    const authorDisplay = pr.author?.slack_user_id
+      ? `<@${pr.author.slack_user_id}>`
+      : (pr.author?.github_username || 'Unknown');
+    const snoozed = rr.snoozed_until && new Date(rr.snoozed_until) > new Date();
+
+    const details = [
+      `*<${prUrl}|#${pr.github_pr_number}: ${pr.title}>*`,
+      `${pr.repository.github_repo_name} · by ${authorDisplay} · requested ${formatAge(rr.requested_at)}`
+    ];
+
+    if (snoozed) {
+      details.push(`💤 Snoozed until <!date^${Math.floor(new Date(rr.snoozed_until) / 1000)}^{date_short_pretty} {time}|${rr.snoozed_until}>`);
+    }
+
+    const buttons = [];
+    const channelUrl = getChannelUrl(org, pr);
+
+    if (channelUrl) {
+      buttons.push({
+        type: 'button',
+        text: { type: 'plain_text', text: pr.slack_thread_ts ? 'Go to thread' : 'Go to channel', emoji: true },
+        action_id: 'home_open_channel',
+        url: channelUrl
+      });
+    }
+
+    if (!snoozed) {
+      buttons.push({
+        type: 'button',
+        text: { type: 'plain_text', text: `Snooze ${SNOOZE_HOURS}h`, emoji: true },
+        action_id: 'home_snooze_review',
+        value: rr.id
+      });
+    }
+
+    // Only GitHub reviews can be submitted from Slack
+    if (pr.repository.provider === 'github') {
+      buttons.push({
+        type: 'button',
+        text: { type: 'plain_text', text: 'Approve', emoji: true },
+        style: 'primary',
+        action_id: 'home_approve_review',
+        value: rr.id,
+        confirm: {
+          title: { type: 'plain_text', text: 'Approve this PR?' },
+          text: { type: 'mrkdwn', text: `Approve #${pr.github_pr_number} on GitHub as you.` },
+          confirm: { type: 'plain_text', text: 'Approve' },
+          deny: { type: 'plain_text', text: 'Cancel' }
+        }
+      });
+    }
+
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: details.join('\n') }
+    });
+
+    if (buttons.length > 0) {
+      blocks.push({ type: 'actions', elements: buttons });
+    }
+  }
+
+  return blocks;
+};
+
+/**
+ * Build the blocks for the user's own open PRs
+ * @param {Object} org - Organization data
+ * @param {Array} pullRequests - Open PRs with their review requests
+ * @returns {Array} Slack blocks
+ */
+const buildAuthoredBlocks = (org, pullRequests) => {
+  const blocks = buildSectionHeader('🔍 My open PRs', pullRequests.length, "You don't have any open PRs.");
+
+  for (const pr of pullRequests.slice(0, MAX_PRS_PER_SECTION)) {
+    const prUrl = getPullRequestUrl(org, pr.repository.github_repo_name, pr.github_pr_number, pr.repository.provider);
+    const channelUrl = getChannelUrl(org, pr);
+
+    const section = {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: [
+          `*<${prUrl}|#${pr.github_pr_number}: ${pr.title}>*${pr.is_draft ? ' _(draft)_' : ''}`,
+          `${pr.repository.github_repo_name} · opened ${formatAge(pr.created_at)}`,
+          formatReviewState(pr.reviewRequests)
+        ].join('\n')
+      }
+    };
+
+    if (channelUrl) {
+      section.accessory = {
+        type: 'button',
+        text: { type: 'plain_text', text: pr.slack_thread_ts ? 'Go to thread' : 'Go to channel', emoji: true },
+        action_id: 'home_open_channel',
+        url: channelUrl
+      };
+    }
+
+    blocks.push(section);
+  }
+
+  return blocks;
+};
+
+/**
+ * Build the blocks for the user's recently merged PRs
+ * @param {Object} org - Organization data
+ * @param {Array} pullRequests - Merged PRs
+ * @returns {Array} Slack blocks
+ */
+const buildMergedBlocks = (org, pullRequests) => {
+  const blocks = buildSectionHeader('✅ Recently merged', pullRequests.length, `Nothing merged in the last ${RECENTLY_MERGED_DAYS} days.`);
+
+  if (pullRequests.length > 0) {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: pullRequests.map(pr => {
+          const prUrl = getPullRequestUrl(org, pr.repository.github_repo_name, pr.github_pr_number, pr.repository.provider);
+          return `• <${prUrl}|#${pr.github_pr_number}: ${pr.title}> · ${pr.repository.github_repo_name} · merged ${formatAge(pr.merged_at)}`;
+        }).join('\n')
+      }
+    });
+  }
+
+  return blocks;
+};
+
+/**
+ * Build a user's Home tab view
+ * @param {Object} org - Organization data
+ * @param {Object|null} user - User data, if the Slack user is linked
+ * @param {string} notice - Optional message shown above the lists
+ * @returns {Promise<Object>} Slack view
+ */
+const buildHomeView = async (org, user, notice = null) => {
+  const blocks = [];
+
+  if (notice) {
+    blocks.push(
+      { type: 'section', text: { type: 'mrkdwn', text: notice } },
+      { type: 'divider' }
+    );
+  }
+
+  if (!user) {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: "Your Slack account isn't linked to a GitHub account yet. Ask your PingaPR admin to map your account, then come back here to see your PRs."
+      }
+    });
+
+    return { type: 'home', blocks };
+  }
+
+  const mergedSince = new Date(Date.now() - RECENTLY_MERGED_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  const [reviewRequests, authoredPRs, mergedPRs] = await Promise.all([
+    db.reviewRequests.findOpenPRsForReviewer(user.id),
+    db.pullRequests.findOpenPRsByAuthor(user.id),
+    db.pullRequests.findRecentlyMergedByAuthor(user.id, mergedSince)
+  ]);
+
+  // Snoozed reviews go last so the list starts with what needs attention
+  const waiting = reviewRequests
+    .filter(rr => rr.status === 'pending' && !rr.pull_request.is_draft)
+    .sort((a, b) => Boolean(a.snoozed_until && new Date(a.snoozed_until) > new Date())
+      - Boolean(b.snoozed_until && new Date(b.snoozed_until) > new Date()));
+
+  for (const pr of authoredPRs) {
+    pr.reviewRequests = await db.pullRequests.getReviewRequests(pr.id);
+  }
+
+  blocks.push(
+    ...buildReviewBlocks(org, waiting),
+    { type: 'divider' },
+    ...buildAuthoredBlocks(org, authoredPRs),
+    { type: 'divider' },
+    ...buildMergedBlocks(org, mergedPRs),
+    {
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `Updated <!date^${Math.floor(Date.now() / 1000)}^{time}|just now>` }]
+    }
+  );
+
+  return { type: 'home', blocks };
+};
+
+/**
+ * Publish a user's Home tab
+ * @param {Object} org - Organization data
+ * @param {string} slackUserId - Slack user ID
+ * @param {string} notice - Optional message shown above the lists
+ * @returns {Promise<Object>} Slack API response
+ */
+const publishHomeView = async (org, slackUserId, notice = null) => {
+  const client = new WebClient(org.slack_bot_token);
+  const user = await db.users.findBySlackUserId(org.id, slackUserId);
+
+  return client.views.publish({
+    user_id: slackUserId,
+    view: await buildHomeView(org, user, notice)
+  });
+};
+
+/**
+ * Refresh the Home tabs of a PR's author and reviewers
+ * The Home tab is a convenience, so failures are logged and not thrown
+ * @param {Object} org - Organization data
+ * @param {Object} pullRequest - Pull request record
+ * @returns {Promise<void>}
+ */
+const refreshForPullRequest = async (org, pullRequest) => {
+  try {
+    const reviewRequests = await db.pullRequests.getReviewRequests(pullRequest.id);
+    const author = pullRequest.author?.slack_user_id !== undefined
+      ? pullRequest.author
+      : await db.users.findById(pullRequest.author_id);
+
+    const slackUserIds = new Set([
+      author?.slack_user_id,
+      ...reviewRequests.map(rr => rr.reviewer?.slack_user_id)
+    ].filter(Boolean));
+
+    for (const slackUserId of slackUserIds) {
+      await publishHomeView(org, slackUserId);
+    }
+  } catch (error) {
+    console.error(`Error refreshing App Home views for PR ${pullRequest.id}:`, error.message);
+  }
+};
+
+module.exports = {
+  SNOOZE_HOURS,
+  publishHomeView,
+  refreshForPullRequest
+};
@@ -1,6 +1,12 @@
 // src/services/slack/interactions.js
+const { WebClient } = require('@slack/web-api');
 const db = require('../supabase/functions');
 const slackCommands = require('./commands');
+const slackMessages = require('./messages');
+const appHome = require('./home');
+const githubApi = require('../github/api');
+const githubAuth = require('../github/auth');
+const { getGithubAuth, getPullRequestUrl } = require('../../utils/github');
 
 /**
  * Handle view submission (modal form submissions)
@@ -16,11 +22,41 @@ const handleViewSubmission = async (payload) => {
       await handleRepoSelectionSubmission(view, user);
       break;
       
+    case 'reassign_reviewer_modal':
+      await handleReassignSubmission(view, user);
+      break;
+      
+    case 'submit_review_modal':
+      await handleReviewSubmission(view, user);
+      break;
+      
     default:
       console.warn(`Unhandled view submission: ${view.callback_id}`);
   }
 };
 
+/**
+ * Check a modal submission's input before it is acknowledged
+ * Slack only shows errors on the modal's inputs when they come back in the
+ * response to the submission
+ * @param {Object} payload - Slack view submission payload
+ * @returns {Promise<Object|null>} Error messages by block ID, or null when the input is valid
+ */
+const validateViewSubmission = async (payload) => {
+  const { view } = payload;
+  
+  switch (view.callback_id) {
+    case 'reassign_reviewer_modal':
+      return await validateReassignSubmission(view);
+      
+    case 'submit_review_modal':
+      return validateReviewSubmission(view);
+      
+    default:
+      return null;
+  }
+};
+
 /**
  * Handle block actions (button clicks, dropdown selections, etc.)
  * @param {Object} payload - Slack block actions payload
@@ -32,12 +68,631 @@ const handleBlockActions = async (payload) => {
   if (!action) return;
   
   switch (action.action_id) {
-    // Add specific action handlers as needed
+    case 'resolve_review_thread':
+      await handleResolveThreadAction(payload, action);
+      break;
+      
+    case 'home_snooze_review':
+    case 'home_approve_review':
+      await handleHomeReviewAction(payload, action);
+      break;
+      
+    case 'reminder_snooze':
+      await handleReminderSnooze(payload, action);
+      break;
+      
+    case 'reminder_nudge':
+      await handleReminderNudge(payload, action);
+      break;
+      
+    case 'reminder_reassign':
+      await openReassignModal(payload, action);
+      break;
+      
+    case 'reminder_block':
+      await handleReminderBlock(payload, action);
+      break;
+      
+    case 'open_review_modal':
+      await openReviewModalFromMessage(payload, action);
+      break;
+      
+    case 'home_open_channel':
+    case 'reminder_view_pr':
+      // Link buttons open in Slack; nothing to do here
+      break;
+      
     default:
       console.warn(`Unhandled block action: ${action.action_id}`);
   }
 };
 
+/**
+ * Handle the "Resolve conversation" button on a review comment
+ * The thread is resolved on GitHub as the user; the Slack message is updated
+ * by the pull_request_review_thread webhook that follows
+ * @param {Object} payload - Slack block actions payload
+ * @param {Object} action - Button action (value is the GitHub comment ID)
+ * @returns {Promise<void>}
+ */
+const handleResolveThreadAction = async (payload, action) => {
+  const channelId = payload.channel?.id;
+  const threadTs = payload.message?.thread_ts;
+  const slackUserId = payload.user.id;
+  
+  // Comments of threaded PRs are replies in the PR's thread
+  const pullRequest = (threadTs && await db.pullRequests.findBySlackThreadTs(channelId, threadTs))
+    || await db.pullRequests.findBySlackChannelId(channelId);
+  
+  if (!pullRequest) {
+    console.warn(`No pull request found for channel ${channelId}`);
+    return;
+  }
+  
+  const org = await db.organizations.findById(pullRequest.repository.org_id);
+  const reply = (text) => slackMessages.sendEphemeralMessage(
+    org.slack_bot_token,
+    slackMessages.getPrDestination(pullRequest),
+    slackUserId,
+    text
+  );
+  
+  try {
+    const comment = await db.comments.findByGithubCommentId(pullRequest.id, action.value);
+    
+    if (comment?.is_resolved) {
+      await reply('This conversation is already resolved.');
+      return;
+    }
+    
+    const user = await db.users.findBySlackUserId(org.id, slackUserId);
+    
+    if (!user || !user.github_access_token) {
+      await reply("Your GitHub account isn't connected. Please click on 'Connect GitHub' in the sidebar to resolve conversations from Slack.");
+      return;
+    }
+    
+    const { valid, token, message } = await githubAuth.validateAndRefreshUserToken(user);
+    
+    if (!valid) {
+      await reply(message || 'Your GitHub authentication is invalid. Please reconnect your GitHub account.');
+      return;
+    }
+    
+    const githubToken = getGithubAuth(org, token);
+    let threadId = comment?.github_thread_id;
+    
+    if (!threadId) {
+      const thread = await githubApi.findReviewThread(
+        githubToken,
+        pullRequest.repository.github_repo_name,
+        pullRequest.github_pr_number,
+        action.value
+      );
+      
+      if (!thread) {
+        await reply("Couldn't find this conversation on GitHub.");
+        return;
+      }
+      
+      if (thread.isResolved) {
+        await reply('This conversation is already resolved on GitHub.');
+        return;
+      }
+      
+      threadId = thread.id;
+    }
+    
+    await githubApi.resolveReviewThread(githubToken, threadId);
+    
+    await reply(':white_check_mark: Conversation resolved on GitHub.');
+  } catch (error) {
+    console.error('Error resolving review thread:', error);
+    await reply(`Error resolving conversation: ${error.message}`);
+  }
+};
+
+/**
+ * Handle the Snooze and Approve buttons on a review in the App Home
+ * The Home tab is published again with the outcome
+ * @param {Object} payload - Slack block actions payload
+ * @param {Object} action - Button action (value is the review request ID)
+ * @returns {Promise<void>}
+ */
+const handleHomeReviewAction = async (payload, action) => {
+  const slackUserId = payload.user.id;
+  const org = await db.organizations.findBySlackWorkspaceId(payload.team?.id || payload.user.team_id);
+  
+  if (!org) {
+    console.warn(`No organization found for Slack workspace ${payload.team?.id}`);
+    return;
+  }
+  
+  const user = await db.users.findBySlackUserId(org.id, slackUserId);
+  const reviewRequest = await db.reviewRequests.findById(action.value);
+  
+  // Only the reviewer can act on their own review request
+  if (!user || !reviewRequest || reviewRequest.reviewer_id !== user.id) {
+    await appHome.publishHomeView(org, slackUserId, ':warning: This review request is no longer yours.');
+    return;
+  }
+  
+  let notice;
+  
+  try {
+    const pullRequest = await db.pullRequests.findById(reviewRequest.pr_id);
+    
+    if (action.action_id === 'home_snooze_review') {
+      const snoozedUntil = new Date(Date.now() + appHome.SNOOZE_HOURS * 60 * 60 * 1000);
+      
+      await db.reviewRequests.update(reviewRequest.id, {
+        snoozed_until: snoozedUntil.toISOString()
+      });
+      
+      notice = `:zzz: Reminders for #${pullRequest.github_pr_number} are snoozed for ${appHome.SNOOZE_HOURS} hours.`;
+    } else {
+      const { success, message } = await slackCommands.approvePullRequest(org, user, pullRequest);
+      notice = success ? message : `:warning: ${message}`;
+    }
+  } catch (error) {
+    console.error(`Error handling ${action.action_id}:`, error);
+    notice = `:warning: Something went wrong: ${error.message}`;
+  }
+  
+  await appHome.publishHomeView(org, slackUserId, notice);
+};
+
+// Reviewers aren't nudged again within this many hours
+const NUDGE_COOLDOWN_HOURS = 1;
+
+/**
+ * Load what an action on a PR needs: the PR, its organization and the user
+ * @param {string} prId - Pull request UUID
+ * @param {string} slackUserId - Slack user who clicked
+ * @returns {Promise<Object>} pullRequest, org, user and a reply function for ephemeral messages
+ */
+const getPrActionContext = async (prId, slackUserId) => {
+  const pullRequest = await db.pullRequests.findById(prId);
+  const org = await db.organizations.findById(pullRequest.repository.org_id);
+  const user = await db.users.findBySlackUserId(org.id, slackUserId);
+  
+  const reply = (text) => slackMessages.sendEphemeralMessage(
+    org.slack_bot_token,
+    slackMessages.getPrDestination(pullRequest),
+    slackUserId,
+    text
+  );
+  
+  return { pullRequest, org, user, reply };
+};
+
+/**
+ * Get the PR ID of a reminder action from its block ID
+ * @param {Object} action - Block action
+ * @returns {string} Pull request UUID
+ */
+const getReminderPrId = (action) => action.block_id.split(':')[1];
+
+/**
+ * Record a reminder action and tell the PR's channel about it
+ * @param {Object} context - PR action context
+ * @param {string} slackUserId - Slack user who acted
+ * @param {string} actionName - Action name
+ * @param {Object} details - Action details
+ * @param {Object} activity - Activity message (icon and text), if any
+ * @returns {Promise<void>}
+ */
+const recordReminderAction = async ({ pullRequest, org, user }, slackUserId, actionName, details, activity = null) => {
+  await db.reminderActions.create({
+    pr_id: pullRequest.id,
+    user_id: user?.id || null,
+    slack_user_id: slackUserId,
+    action: actionName,
+    details
+  });
+  
+  if (activity) {
+    await slackMessages.sendPrActivityMessage(
+      org.slack_bot_token,
+      slackMessages.getPrDestination(pullRequest),
+      activity
+    );
+  }
+};
+
+/**
+ * Handle the Snooze menu on a reminder
+ * The reminder is sent again once the snooze ends
+ * @param {Object} payload - Slack block actions payload
+ * @param {Object} action - Select action (value is the number of hours)
+ * @returns {Promise<void>}
+ */
+const handleReminderSnooze = async (payload, action) => {
+  const slackUserId = payload.user.id;
+  const context = await getPrActionContext(getReminderPrId(action), slackUserId);
+  const hours = parseInt(action.selected_option.value, 10);
+  const snoozedUntil = new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+  
+  await db.pullRequests.update(context.pullRequest.id, {
+    reminders_snoozed_until: snoozedUntil,
+    reminder_sent: false
+  });
+  
+  await recordReminderAction(context, slackUserId, 'snoozed', { hours, until: snoozedUntil }, {
+    icon: ':zzz:',
+    text: `<@${slackUserId}> snoozed reminders for ${hours} hours`
+  });
+};
+
+/**
+ * Handle the Nudge reviewers button on a reminder
+ * Pending reviewers get a direct message; snoozed reviewers are skipped
+ * @param {Object} payload - Slack block actions payload
+ * @param {Object} action - Button action
+ * @returns {Promise<void>}
+ */
+const handleReminderNudge = async (payload, action) => {
+  const slackUserId = payload.user.id;
+  const context = await getPrActionContext(getReminderPrId(action), slackUserId);
+  const { pullRequest, org, reply } = context;
+  
+  const lastNudge = await db.reminderActions.findLatest(pullRequest.id, 'nudged');
+  
+  if (lastNudge && Date.now() - new Date(lastNudge.created_at) < NUDGE_COOLDOWN_HOURS * 60 * 60 * 1000) {
+    await reply(`Reviewers were already nudged by <@${lastNudge.slack_user_id}> in the last hour.`);
+    return;
+  }
+  
+  const now = new Date();
+  const pending = await db.reviewRequests.findPendingByPrId(pullRequest.id);
+  const reviewers = pending
+    .filter(rr => !rr.snoozed_until || new Date(rr.snoozed_until) <= now)
+    .map(rr => rr.reviewer)
+    .filter(reviewer => reviewer?.slack_user_id && reviewer.slack_user_id !== slackUserId);
+  
+  if (reviewers.length === 0) {
+    await reply('There are no pending reviewers with a linked Slack account to nudge.');
+    return;
+  }
+  
+  const repoName = pullRequest.repository.github_repo_name;
+  
+  for (const reviewer of reviewers) {
+    await slackMessages.sendReviewNudgeMessage(org.slack_bot_token, reviewer.slack_user_id, {
+      nudgedBy: slackUserId,
+      prNumber: pullRequest.github_pr_number,
+      title: pullRequest.title,
+      url: getPullRequestUrl(org, repoName, pullRequest.github_pr_number, pullRequest.repository.provider),
+      channelId: pullRequest.slack_channel_id,
+      repoName
+    });
+  }
+  
+  const mentions = reviewers.map(reviewer => `<@${reviewer.slack_user_id}>`).join(', ');
+  
+  await recordReminderAction(context, slackUserId, 'nudged', {
+    reviewers: reviewers.map(reviewer => reviewer.id)
+  }, {
+    icon: ':wave:',
+    text: `<@${slackUserId}> nudged ${mentions}`
+  });
+};
+
+/**
+ * Handle the Block button on a reminder, which toggles the PR's blocked state
+ * Unblocked PRs get their next reminder after the usual interval
+ * @param {Object} payload - Slack block actions payload
+ * @param {Object} action - Button action
+ * @returns {Promise<void>}
+ */
+const handleReminderBlock = async (payload, action) => {
+  const slackUserId = payload.user.id;
+  const context = await getPrActionContext(getReminderPrId(action), slackUserId);
+  const { pullRequest, org, user } = context;
+  const isBlocked = !pullRequest.is_blocked;
+  
+  if (isBlocked) {
+    await db.pullRequests.update(pullRequest.id, {
+      is_blocked: true,
+      blocked_at: new Date().toISOString(),
+      blocked_by: user?.id || null
+    });
+  } else {
+    const reminderHours = pullRequest.reminder_hours || org.settings?.pr_reminder_hours || 24;
+    
+    await db.pullRequests.update(pullRequest.id, {
+      is_blocked: false,
+      blocked_at: null,
+      blocked_by: null,
+      reminder_sent: false,
+      reminders_snoozed_until: new Date(Date.now() + reminderHours * 60 * 60 * 1000).toISOString()
+    });
+  }
+  
+  await recordReminderAction(context, slackUserId, isBlocked ? 'blocked' : 'unblocked', {}, {
+    icon: isBlocked ? ':no_entry:' : ':arrow_forward:',
+    text: isBlocked
+      ? `<@${slackUserId}> marked this PR as blocked; reminders are paused`
+      : `<@${slackUserId}> unblocked this PR`
+  });
+  
+  if (payload.message) {
+    await slackMessages.updateReminderBlockedState(
+      org.slack_bot_token,
+      payload.channel.id,
+      payload.message,
+      pullRequest.id,
+      isBlocked
+    );
+  }
+};
+
+/**
+ * Open the modal for replacing or adding a reviewer from a reminder
+ * @param {Object} payload - Slack block actions payload
+ * @param {Object} action - Button action
+ * @returns {Promise<void>}
+ */
+const openReassignModal = async (payload, action) => {
+  const slackUserId = payload.user.id;
+  const { pullRequest, org, reply } = await getPrActionContext(getReminderPrId(action), slackUserId);
+  
+  if (pullRequest.repository.provider !== 'github') {
+    await reply('Reviewers can only be reassigned from Slack on GitHub pull requests.');
+    return;
+  }
+  
+  const pending = await db.reviewRequests.findPendingByPrId(pullRequest.id);
+  const blocks = [];
+  
+  if (pending.length > 0) {
+    blocks.push({
+      type: "input",
+      block_id: "old_reviewer",
+      optional: true,
+      label: {
+        type: "plain_text",
+        text: "Replace reviewer"
+      },
+      element: {
+        type: "static_select",
+        action_id: "reviewer_select",
+        placeholder: {
+          type: "plain_text",
+          text: "Keep all current reviewers"
+        },
+        options: pending.map(rr => ({
+          text: {
+            type: "plain_text",
+            text: rr.reviewer.github_username
+          },
+          value: rr.reviewer.id
+        }))
+      }
+    });
+  }
+  
+  blocks.push({
+    type: "input",
+    block_id: "new_reviewer",
+    label: {
+      type: "plain_text",
+      text: "New reviewer"
+    },
+    element: {
+      type: "users_select",
+      action_id: "user_select",
+      placeholder: {
+        type: "plain_text",
+        text: "Select a teammate"
+      }
+    }
+  });
+  
+  const client = new WebClient(org.slack_bot_token);
+  await client.views.open({
+    trigger_id: payload.trigger_id,
+    view: {
+      type: "modal",
+      callback_id: "reassign_reviewer_modal",
+      private_metadata: JSON.stringify({ pr_id: pullRequest.id }),
+      title: {
+        type: "plain_text",
+        text: `Reassign #${pullRequest.github_pr_number}`
+      },
+      submit: {
+        type: "plain_text",
+        text: "Reassign"
+      },
+      close: {
+        type: "plain_text",
+        text: "Cancel"
+      },
+      blocks
+    }
+  });
+};
+
+/**
+ * Check that the reassign modal's new reviewer can review the PR
+ * @param {Object} view - Slack view payload
+ * @returns {Promise<Object|null>} Error messages by block ID, or null when the input is valid
+ */
+const validateReassignSubmission = async (view) => {
+  const { pr_id: prId } = JSON.parse(view.private_metadata || '{}');
+  const pullRequest = await db.pullRequests.findById(prId);
+  const newSlackUserId = view.state.values.new_reviewer.user_select.selected_user;
+  
+  const newReviewer = await db.users.findBySlackUserId(pullRequest.repository.org_id, newSlackUserId);
+  
+  if (!newReviewer?.github_username) {
+    return { new_reviewer: "This teammate isn't linked to a GitHub account in PingaPR yet." };
+  }
+  
+  if (newReviewer.id === pullRequest.author_id) {
+    return { new_reviewer: "The PR's author can't review their own PR." };
+  }
+  
+  return null;
+};
+
+/**
+ * Handle the reassign modal: request the new reviewer on GitHub as the user
+ * and drop the replaced one. The review request webhooks update PingaPR
+ * @param {Object} view - Slack view payload
+ * @param {Object} slackUser - Slack user who submitted
+ * @returns {Promise<void>}
+ */
+const handleReassignSubmission = async (view, slackUser) => {
+  const { pr_id: prId } = JSON.parse(view.private_metadata || '{}');
+  const context = await getPrActionContext(prId, slackUser.id);
+  const { pullRequest, org, user, reply } = context;
+  
+  try {
+    const values = view.state.values;
+    const oldReviewerId = values.old_reviewer?.reviewer_select?.selected_option?.value;
+    const newSlackUserId = values.new_reviewer.user_select.selected_user;
+    
+    // validateReassignSubmission has checked the new reviewer
+    const newReviewer = await db.users.findBySlackUserId(org.id, newSlackUserId);
+    
+    if (!user || !user.github_access_token) {
+      await reply("Your GitHub account isn't connected. Please click on 'Connect GitHub' in the sidebar to reassign reviewers from Slack.");
+      return;
+    }
+    
+    const { valid, token, message } = await githubAuth.validateAndRefreshUserToken(user);
+    
+    if (!valid) {
+      await reply(message || 'Your GitHub authentication is invalid. Please reconnect your GitHub account.');
+      return;
+    }
+    
+    const githubToken = getGithubAuth(org, token);
+    const repoName = pullRequest.repository.github_repo_name;
+    const oldReviewer = oldReviewerId && oldReviewerId !== newReviewer.id
+      ? await db.users.findById(oldReviewerId)
+      : null;
+    
+    await githubApi.requestReviewers(githubToken, repoName, pullRequest.github_pr_number, [newReviewer.github_username]);
+    
+    if (oldReviewer) {
+      await githubApi.removeRequestedReviewers(githubToken, repoName, pullRequest.github_pr_number, [oldReviewer.github_username]);
+    }
+    
+    await recordReminderAction(context, slackUser.id, 'reassigned', {
+      from: oldReviewer?.id || null,
+      to: newReviewer.id
+    });
+    
+    await reply(oldReviewer
+      ? `:arrows_counterclockwise: Review moved from ${oldReviewer.github_username} to ${newReviewer.github_username} on GitHub.`
+      : `:arrows_counterclockwise: Requested a review from ${newReviewer.github_username} on GitHub.`);
+  } catch (error) {
+    console.error('Error reassigning reviewer:', error);
+    await reply(`Error reassigning reviewer: ${error.message}`);
+  }
+};
+
+/**
+ * Handle the Review button on a PR opened message
+ * @param {Object} payload - Slack block actions payload
+ * @param {Object} action - Button action (value is the pull request ID)
+ * @returns {Promise<void>}
+ */
+const openReviewModalFromMessage = async (payload, action) => {
+  const { pullRequest, org, reply } = await getPrActionContext(action.value, payload.user.id);
+  
+  if (pullRequest.repository.provider !== 'github') {
+    await reply('Reviews can only be submitted from Slack on GitHub pull requests.');
+    return;
+  }
+  
+  await slackCommands.openReviewModal(org, pullRequest, payload.trigger_id);
+};
+
+/**
+ * Read the review modal's event and message
+ * @param {Object} view - Slack view payload
+ * @returns {Object} GitHub review event and trimmed body
+ */
+const getReviewInput = (view) => {
+  const values = view.state.values;
+  
+  return {
+    event: values.review_event.event_select.selected_option.value,
+    body: (values.review_body?.body_input?.value || '').trim()
+  };
+};
+
+/**
+ * Check that the review modal has a message where GitHub needs one
+ * GitHub rejects change requests and comments without a body
+ * @param {Object} view - Slack view payload
+ * @returns {Object|null} Error messages by block ID, or null when the input is valid
+ */
+const validateReviewSubmission = (view) => {
+  const { event, body } = getReviewInput(view);
+  
+  if (event !== 'APPROVE' && !body) {
+    return { review_body: 'Add a message to request changes or comment on the PR.' };
+  }
+  
+  return null;
+};
+
+/**
+ * Handle the review modal: submit the review on GitHub as the user
+ * The review webhook that follows updates the review request and posts the
+ * review to the PR's channel, as for reviews written on GitHub
+ * @param {Object} view - Slack view payload
+ * @param {Object} slackUser - Slack user who submitted
+ * @returns {Promise<void>}
+ */
+const handleReviewSubmission = async (view, slackUser) => {
+  const { pr_id: prId } = JSON.parse(view.private_metadata || '{}');
+  const { pullRequest, org, user, reply } = await getPrActionContext(prId, slackUser.id);
+  
+  try {
+    // validateReviewSubmission has checked the message
+    const { event, body } = getReviewInput(view);
+    
+    if (!user || !user.github_access_token) {
+      await reply("Your GitHub account isn't connected. Please click on 'Connect GitHub' in the sidebar to review PRs from Slack.");
+      return;
+    }
+    
+    const { valid, token, message } = await githubAuth.validateAndRefreshUserToken(user);
+    
+    if (!valid) {
+      await reply(message || 'Your GitHub authentication is invalid. Please reconnect your GitHub account.');
+      return;
+    }
+    
+    const [owner, repo] = pullRequest.repository.github_repo_name.split('/');
+    
+    await githubApi.createPullRequestReview(
+      getGithubAuth(org, token),
+      owner,
+      repo,
+      pullRequest.github_pr_number,
+      event,
+      body || undefined
+    );
+    
+    const outcome = {
+      APPROVE: ':white_check_mark: You approved',
+      REQUEST_CHANGES: ':x: You requested changes on',
+      COMMENT: ':speech_balloon: You commented on'
+    }[event];
+    
+    await reply(`${outcome} #${pullRequest.github_pr_number} on GitHub.`);
+  } catch (error) {
+    console.error('Error submitting review from Slack:', error);
+    await reply(`Error submitting review: ${error.message}`);
+  }
+};
+
 /**
  * Handle repository selection modal submission
  * @param {Object} view - Slack view payload
@@ -69,7 +724,7 @@ const processRepoSelectionAndShowPRs = async (orgId, repoId, responseUrl) => {
     }
     
     // Format PRs into blocks
-    const blocks = slackCommands.formatPRList(prs);
+    const blocks = slackCommands.formatPRList(prs, org);
     
     // Respond using the response_url
     await slackCommands.respondToCommand(responseUrl, {
@@ -160,8 +815,10 @@ const processInteractionPayload = async (payload) => {
 
 module.exports = {
   processInteractionPayload,
+  validateViewSubmission,
   handleViewSubmission,
   handleBlockActions,
   handleRepoSelectionSubmission,
+  handleResolveThreadAction,
   processRepoSelectionAndShowPRs
 };
\ No newline at end of file
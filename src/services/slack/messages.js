@@ -6,6 +6,34 @@
 const { WebClient } = require('@slack/web-api');
 const { truncateText, formatCodeBlock } = require('../../utils/formatting');
 const db = require('../../services/supabase/functions');
+
+/**
+ * Get where a PR's messages go
+ * PRs posted to their repository's shared channel keep everything in the
+ * thread under their PR opened message; other PRs have a channel of their own
+ * @param {Object} pullRequest - Pull request record
+ * @returns {string|Object} Channel ID, or channel and thread for threaded PRs
+ */
+const getPrDestination = (pullRequest) => pullRequest.slack_thread_ts
+  ? { channel: pullRequest.slack_channel_id, threadTs: pullRequest.slack_thread_ts }
+  : pullRequest.slack_channel_id;
+
+/**
+ * Resolve a destination into chat arguments
+ * Slack threads are one level deep, so a threaded PR's messages always go
+ * into the PR's thread, even when they answer another message
+ * @param {string|Object} destination - Channel ID, or channel and thread
+ * @param {string|null} threadTs - Thread to post in
+ * @returns {Object} channel and thread_ts
+ */
+const resolveDestination = (destination, threadTs = null) => {
+  if (destination && typeof destination === 'object') {
+    return { channel: destination.channel, thread_ts: destination.threadTs };
+  }
+
+  return { channel: destination, thread_ts: threadTs || undefined };
+};
+
 /**
  * Format code snippets for better display in Slack using rich text blocks
  * @param {string} body - Comment body that may contain code
@@ -214,165 +242,272 @@ const formatPrDescription = (description, maxLength = 1000) => {
 };
 
 /**
- * Send a PR opened message to Slack
- * @param {string} token - Slack bot token
- * @param {string} channelId - Slack channel ID
+ * Format the diff stats of a PR
+ * GitLab merge requests only report how many files changed, and Bitbucket
+ * pull requests report neither
  * @param {Object} pr - Pull request data
- * @returns {Promise<Object>} Slack message response
+ * @returns {string} Changes line
  */
-const sendPrOpenedMessage = async (token, channelId, pr) => {
-  const client = new WebClient(token);
+const formatChangeStats = (pr) => {
+  if (pr.additions !== undefined && pr.additions !== null) {
+    return `:clipboard: *Changes:* \`+${pr.additions} -${pr.deletions}\` in ${pr.changedFiles} files`;
+  }
 
-  try {
-    // Extract PR number for display
-    const prNumber = pr.url.split('/').pop();
-    
-    // Format the PR description with better handling of links and mentions
-    const formattedDescription = formatPrDescription(pr.description, 1000);
-    
-    // Format the author with Slack mention if available
-    const authorText = pr.author && pr.author.slack_user_id  
-      ? `<@${pr.author.slack_user_id}>` 
-      : pr.author.github_username;
-    
-    // Format the labels if present with visual styling
-    let labelsBlock = null;
-    if (pr.labels && pr.labels.length > 0) {
-      const formattedLabels = pr.labels.map(label => `\`${label}\``).join(' ');
-      labelsBlock = {
-        type: "context",
-        elements: [
-          {
-            type: "mrkdwn",
-            text: `:bookmark: *Labels:* ${formattedLabels}`
-          }
-        ]
-      };
+  return pr.changedFiles
+    ? `:clipboard: *Changes:* ${pr.changedFiles} files`
+    : ':clipboard: *Changes:* see the diff';
+};
+
+/**
+ * Build the blocks for a PR opened message
+ * Drafts get a draft header, which is swapped when the PR becomes ready for review
+ * The Review button opens the review modal for the PR's record (pr.pullRequestId)
+ * @param {Object} pr - Pull request data
+ * @returns {Array} Slack blocks
+ */
+const buildPrOpenedBlocks = (pr) => {
+  // Extract PR number for display
+  const prNumber = pr.url.split('/').pop();
+  
+  // Format the PR description with better handling of links and mentions
+  const formattedDescription = formatPrDescription(pr.description, 1000);
+  
+  // Format the author with Slack mention if available
+  const authorText = pr.author && pr.author.slack_user_id  
+    ? `<@${pr.author.slack_user_id}>` 
+    : pr.author.github_username;
+  
+  // Format the labels if present with visual styling
+  let labelsBlock = null;
+  if (pr.labels && pr.labels.length > 0) {
+    const formattedLabels = pr.labels.map(label => `\`${label}\``).join(' ');
+    labelsBlock = {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `:bookmark: *Labels:* ${formattedLabels}`
+        }
+      ]
+    };
+  }
+  
+  // Create the blocks array with improved structure and valid emojis
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: pr.isDraft
+          ? `:construction: Draft Pull Request #${prNumber}`
+          : `:arrow_heading_up: Pull Request #${prNumber}`,
+        emoji: true
+      }
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*<${pr.url}|${pr.title}>*`
+      }
+    },
+    {
+      type: "divider"
+    },
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `:file_folder: *Repository:* ${pr.repoName}`
+        }
+      ]
+    },
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `:bust_in_silhouette: *Author:* ${authorText}`
+        }
+      ]
+    },
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: formatChangeStats(pr)
+        }
+      ]
     }
+  ];
+  
+  // Add labels block if present
+  if (labelsBlock) {
+    blocks.push(labelsBlock);
+  }
+  
+  // Add reviewers section if there are reviewers
+  if (pr.reviewers && pr.reviewers.length > 0) {
+    const reviewerMentions = pr.reviewers.map(reviewer => {
+      if (reviewer.slackUserId) {
+        return `<@${reviewer.slackUserId}>`;
+      }
+      return reviewer.githubUsername;
+    });
     
-    // Create the blocks array with improved structure and valid emojis
-    const blocks = [
+    blocks.push({
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `:eyes: *Reviewers:* ${reviewerMentions.join(', ')}`
+        }
+      ]
+    });    
+  }
+  
+  // Add description with heading
+  blocks.push(
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*Description:*\n${formattedDescription}`
+      }
+    }
+  );
+  
+  // Add divider before actions
+  blocks.push({
+    type: "divider"
+  });
+  
+  // Add action buttons with multiple options and valid emojis
+  blocks.push({
+    type: "actions",
+    elements: [
       {
-        type: "header",
+        type: "button",
         text: {
           type: "plain_text",
-          text: `:arrow_heading_up: Pull Request #${prNumber}`,
+          text: ":link: View PR",
           emoji: true
-        }
+        },
+        url: pr.url,
+        style: "primary"
       },
       {
-        type: "section",
+        type: "button",
         text: {
-          type: "mrkdwn",
-          text: `*<${pr.url}|${pr.title}>*`
-        }
-      },
-      {
-        type: "divider"
-      },
-      {
-        type: "context",
-        elements: [
-          {
-            type: "mrkdwn",
-            text: `:file_folder: *Repository:* ${pr.repoName}`
-          }
-        ]
-      },
-      {
-        type: "context",
-        elements: [
-          {
-            type: "mrkdwn",
-            text: `:bust_in_silhouette: *Author:* ${authorText}`
-          }
-        ]
+          type: "plain_text",
+          text: ":mag: View Files",
+          emoji: true
+        },
+        url: `${pr.url}/files`
       },
       {
-        type: "context",
-        elements: [
-          {
-            type: "mrkdwn",
-            text: `:clipboard: *Changes:* \`+${pr.additions} -${pr.deletions}\` in ${pr.changedFiles} files`
-          }
-        ]
-      }
-    ];
-    
-    // Add labels block if present
-    if (labelsBlock) {
-      blocks.push(labelsBlock);
-    }
-    
-    // Add reviewers section if there are reviewers
-    if (pr.reviewers && pr.reviewers.length > 0) {
-      const reviewerMentions = pr.reviewers.map(reviewer => {
-        if (reviewer.slackUserId) {
-          return `<@${reviewer.slackUserId}>`;
-        }
-        return reviewer.githubUsername;
-      });
-      
-      blocks.push({
-        type: "context",
-        elements: [
-          {
-            type: "mrkdwn",
-            text: `:eyes: *Reviewers:* ${reviewerMentions.join(', ')}`
-          }
-        ]
-      });    
-    }
-    
-    // Add description with heading
-    blocks.push(
-      {
-        type: "section",
+        type: "button",
         text: {
-          type: "mrkdwn",
-          text: `*Description:*\n${formattedDescription}`
-        }
+          type: "plain_text",
+          text: ":memo: Review",
+          emoji: true
+        },
+        action_id: "open_review_modal",
+        value: pr.pullRequestId
       }
-    );
+    ]
+  });
+  
+  return blocks;
+};
+
+/**
+ * Send a PR opened message to Slack
+ * @param {string} token - Slack bot token
+ * @param {string} channelId - Slack channel ID
+ * @param {Object} pr - Pull request data
+ * @returns {Promise<Object>} Slack message response
+ */
+const sendPrOpenedMessage = async (token, channelId, pr) => {
+  const client = new WebClient(token);
+
+  try {
+    const prNumber = pr.url.split('/').pop();
     
-    // Add divider before actions
-    blocks.push({
-      type: "divider"
+    return await client.chat.postMessage({
+      ...resolveDestination(channelId),
+      blocks: buildPrOpenedBlocks(pr),
+      text: `PR #${prNumber}: ${pr.title} opened by ${pr.author.github_username}` // Fallback text for notifications
     });
+  } catch (error) {
+    console.error('Error sending PR opened message to Slack:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update a PR opened message, e.g. when the PR moves between draft and ready
+ * @param {string} token - Slack bot token
+ * @param {string} channelId - Slack channel ID
+ * @param {string} messageTs - Timestamp of the PR opened message
+ * @param {Object} pr - Pull request data
+ * @returns {Promise<Object>} Slack message response
+ */
+const updatePrOpenedMessage = async (token, channelId, messageTs, pr) => {
+  const client = new WebClient(token);
+
+  try {
+    const prNumber = pr.url.split('/').pop();
     
-    // Add action buttons with multiple options and valid emojis
-    blocks.push({
-      type: "actions",
-      elements: [
-        {
-          type: "button",
-          text: {
-            type: "plain_text",
-            text: ":link: View PR",
-            emoji: true
-          },
-          url: pr.url,
-          style: "primary"
-        },
+    return await client.chat.update({
+      channel: resolveDestination(channelId).channel,
+      ts: messageTs,
+      blocks: buildPrOpenedBlocks(pr),
+      text: `PR #${prNumber}: ${pr.title}${pr.isDraft ? ' (draft)' : ''}`
+    });
+  } catch (error) {
+    console.error('Error updating PR opened message in Slack:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send a message when a PR moves between draft and ready for review
+ * @param {string} token - Slack bot token
+ * @param {string} channelId - Slack channel ID
+ * @param {Object} data - Draft status data
+ * @returns {Promise<Object>} Slack message response
+ */
+const sendPrDraftStatusMessage = async (token, channelId, data) => {
+  const client = new WebClient(token);
+  
+  const reviewerMentions = (data.reviewers || []).map(reviewer =>
+    reviewer.slackUserId ? `<@${reviewer.slackUserId}>` : reviewer.githubUsername
+  );
+  
+  const text = data.isDraft
+    ? `:construction: *<${data.url}|${data.title}>* was converted to a draft by ${data.changedBy}`
+    : `:white_check_mark: *<${data.url}|${data.title}>* is ready for review`
+      + (reviewerMentions.length > 0 ? `\n:eyes: *Reviewers:* ${reviewerMentions.join(', ')}` : '');
+  
+  try {
+    return await client.chat.postMessage({
+      ...resolveDestination(channelId),
+      blocks: [
         {
-          type: "button",
+          type: "section",
           text: {
-            type: "plain_text",
-            text: ":mag: View Files",
-            emoji: true
-          },
-          url: `${pr.url}/files`
+            type: "mrkdwn",
+            text
+          }
         }
-      ]
-    });
-    
-    return await client.chat.postMessage({
-      channel: channelId,
-      blocks: blocks,
-      text: `PR #${prNumber}: ${pr.title} opened by ${pr.author.github_username}` // Fallback text for notifications
+      ],
+      text: data.isDraft ? `${data.title} was converted to a draft` : `${data.title} is ready for review`
     });
   } catch (error) {
-    console.error('Error sending PR opened message to Slack:', error);
+    console.error('Error sending PR draft status message to Slack:', error);
     throw error;
   }
 };
@@ -394,7 +529,7 @@ const sendPrClosedMessage = async (token, channelId, pr) => {
   
   try {
     return await client.chat.postMessage({
-      channel: channelId,
+      ...resolveDestination(channelId),
       blocks: [
         {
           type: "header",
@@ -458,7 +593,7 @@ const sendPrReopenedMessage = async (token, channelId, pr) => {
   
   try {
     return await client.chat.postMessage({
-      channel: channelId,
+      ...resolveDestination(channelId),
       blocks: [
         {
           type: "header",
@@ -523,7 +658,7 @@ const sendPrUpdatedMessage = async (token, channelId, pr) => {
   
   try {
     return await client.chat.postMessage({
-      channel: channelId,
+      ...resolveDestination(channelId),
       blocks: [
         {
           type: "header",
@@ -554,7 +689,7 @@ const sendPrUpdatedMessage = async (token, channelId, pr) => {
           elements: [
             {
               type: "mrkdwn",
-              text: `:clipboard: *Changes:* \`+${pr.additions} -${pr.deletions}\` in ${pr.changedFiles} files`
+              text: formatChangeStats(pr)
             }
           ]
         },
@@ -612,7 +747,7 @@ const sendPrEditedMessage = async (token, channelId, pr) => {
   
   try {
     return await client.chat.postMessage({
-      channel: channelId,
+      ...resolveDestination(channelId),
       blocks: [
         {
           type: "header",
@@ -690,7 +825,7 @@ const sendReviewRequestedMessage = async (token, channelId, data) => {
   
   try {
     return await client.chat.postMessage({
-      channel: channelId,
+      ...resolveDestination(channelId),
       blocks: [
         {
           type: "context",
@@ -710,141 +845,198 @@ const sendReviewRequestedMessage = async (token, channelId, data) => {
 };
 
 /**
- * Send a review request removed message to Slack
+ * Send a team review requested message to Slack
+ * The team's Slack user group is mentioned when it is mapped, otherwise
+ * each member is mentioned
  * @param {string} token - Slack bot token
  * @param {string} channelId - Slack channel ID
- * @param {Object} data - Review request data
+ * @param {Object} data - Team review request data
  * @returns {Promise<Object>} Slack message response
  */
-const sendReviewRequestRemovedMessage = async (token, channelId, data) => {
+const sendTeamReviewRequestedMessage = async (token, channelId, data) => {
   const client = new WebClient(token);
   
-  // Mention the reviewer if we have their Slack ID
-  const reviewerMention = data.reviewerSlackId 
-    ? `<@${data.reviewerSlackId}>` 
-    : data.reviewer;
+  const memberMentions = data.members
+    .map(member => member.slackUserId ? `<@${member.slackUserId}>` : member.githubUsername)
+    .join(', ');
+  
+  const teamMention = data.slackGroupId
+    ? `<!subteam^${data.slackGroupId}>`
+    : `*${data.team}*`;
+  
+  const memberText = !data.slackGroupId && memberMentions
+    ? ` (${memberMentions})`
+    : '';
   
   try {
     return await client.chat.postMessage({
-      channel: channelId,
+      ...resolveDestination(channelId),
       blocks: [
         {
           type: "context",
           elements: [
             {
               type: "mrkdwn",
-              text: `removed the review request for ${reviewerMention}`
+              text: `:busts_in_silhouette: ${teamMention}${memberText} was added as a reviewer`
             }
           ]
         }
-      ]
+      ],
+      text: `Team ${data.team} was added as a reviewer`
     });
   } catch (error) {
-    console.error('Error sending review request removed message to Slack:', error);
+    console.error('Error sending team review requested message to Slack:', error);
     throw error;
   }
 };
 
 /**
- * Send a review message to Slack with rich text code formatting
+ * Send a review request removed message to Slack
  * @param {string} token - Slack bot token
  * @param {string} channelId - Slack channel ID
- * @param {object} review - Review data
- * @returns {Promise<object>} Slack message response
+ * @param {Object} data - Review request data
+ * @returns {Promise<Object>} Slack message response
  */
-const sendReviewMessage = async (token, channelId, review) => {
-  try {
-    const client = new WebClient(token);
-    const { 
-      title, 
-      url, 
-      reviewer, 
-      reviewerSlackId, 
-      state, 
-      body, 
-      commentCount = 0, 
-      prNumber 
-    } = review;
-    
-    // Format reviewer with Slack mention if available
-    const reviewerDisplay = reviewerSlackId ? `<@${reviewerSlackId}>` : reviewer;
-    
-    // Format the body into blocks with proper code formatting
-    const contentBlocks = body ? formatCodeSnippets(body) : [];
-    
-    // Common blocks shared across all review types
-    const blocks = [
-      {
-        type: "header",
-        text: {
-          type: "plain_text",
-          text: `${getStateIcon(state)} PR Review: ${getStateLabel(state)}`,
-          emoji: true
+const sendReviewRequestRemovedMessage = async (token, channelId, data) => {
+  const client = new WebClient(token);
+  
+  // Mention the reviewer if we have their Slack ID
+  const reviewerMention = data.reviewerSlackId 
+    ? `<@${data.reviewerSlackId}>` 
+    : data.reviewer;
+  
+  try {
+    return await client.chat.postMessage({
+      ...resolveDestination(channelId),
+      blocks: [
+        {
+          type: "context",
+          elements: [
+            {
+              type: "mrkdwn",
+              text: `removed the review request for ${reviewerMention}`
+            }
+          ]
         }
-      },
-      {
-        type: "section",
-        text: {
+      ]
+    });
+  } catch (error) {
+    console.error('Error sending review request removed message to Slack:', error);
+    throw error;
+  }
+};
+
+/**
+ * Build the blocks and fallback text for a review message
+ * @param {object} review - Review data
+ * @returns {object} Slack blocks and fallback text
+ */
+const buildReviewMessage = (review) => {
+  const { 
+    title, 
+    url, 
+    reviewer, 
+    reviewerSlackId, 
+    state, 
+    body, 
+    commentCount = 0, 
+    prNumber 
+  } = review;
+  
+  // Format reviewer with Slack mention if available
+  const reviewerDisplay = reviewerSlackId ? `<@${reviewerSlackId}>` : reviewer;
+  
+  // Format the body into blocks with proper code formatting
+  const contentBlocks = body ? formatCodeSnippets(body) : [];
+  
+  // Common blocks shared across all review types
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: `${getStateIcon(state)} PR Review: ${getStateLabel(state)}`,
+        emoji: true
+      }
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*<${url}|${title}>*`
+      }
+    },
+    {
+      type: "context",
+      elements: [
+        {
           type: "mrkdwn",
-          text: `*<${url}|${title}>*`
+          text: `:bust_in_silhouette: *Reviewer:* ${reviewerDisplay}`
         }
-      },
-      {
-        type: "context",
-        elements: [
-          {
-            type: "mrkdwn",
-            text: `:bust_in_silhouette: *Reviewer:* ${reviewerDisplay}`
-          }
-        ]
-      }
-    ];
-    
-    // Add comment count if comments were made
-    if (commentCount > 0) {
-      blocks.push({
-        type: "context",
-        elements: [
-          {
-            type: "mrkdwn",
-            text: `:speech_balloon: *Comments:* ${commentCount}`
-          }
-        ]
-      });
-    }
-    
-    // Add divider
-    blocks.push({
-      type: "divider"
-    });
-    
-    // Add formatted content blocks if body exists
-    if (contentBlocks.length > 0) {
-      blocks.push(...contentBlocks);
+      ]
     }
-    
-    // Add action buttons
+  ];
+  
+  // Add comment count if comments were made
+  if (commentCount > 0) {
     blocks.push({
-      type: "actions",
+      type: "context",
       elements: [
         {
-          type: "button",
-          text: {
-            type: "plain_text",
-            text: ":link: View Review",
-            emoji: true
-          },
-          url: url,
-          style: state === 'approved' ? "primary" : undefined
+          type: "mrkdwn",
+          text: `:speech_balloon: *Comments:* ${commentCount}`
         }
       ]
     });
-    
-    // Generate appropriate fallback text
-    const text = getReviewText(state, reviewer, prNumber, title, commentCount);
+  }
+  
+  // Add divider
+  blocks.push({
+    type: "divider"
+  });
+  
+  // Add formatted content blocks if body exists
+  if (contentBlocks.length > 0) {
+    blocks.push(...contentBlocks);
+  }
+  
+  // Add action buttons
+  blocks.push({
+    type: "actions",
+    elements: [
+      {
+        type: "button",
+        text: {
+          type: "plain_text",
+          text: ":link: View Review",
+          emoji: true
+        },
+        url: url,
+        style: state === 'approved' ? "primary" : undefined
+      }
+    ]
+  });
+  
+  // Generate appropriate fallback text
+  const text = getReviewText(state, reviewer, prNumber, title, commentCount);
+  
+  return { blocks, text };
+};
+
+/**
+ * Send a review message to Slack with rich text code formatting
+ * @param {string} token - Slack bot token
+ * @param {string} channelId - Slack channel ID
+ * @param {object} review - Review data
+ * @returns {Promise<object>} Slack message response
+ */
+const sendReviewMessage = async (token, channelId, review) => {
+  try {
+    const client = new WebClient(token);
+    const { blocks, text } = buildReviewMessage(review);
     
     const result = await client.chat.postMessage({
-      channel: channelId,
+      ...resolveDestination(channelId),
       text: text,
       blocks: blocks,
       unfurl_links: false,
@@ -858,6 +1050,31 @@ const sendReviewMessage = async (token, channelId, review) => {
   }
 };
 
+/**
+ * Update a review message, e.g. when the review is edited or dismissed
+ * @param {string} token - Slack bot token
+ * @param {string} channelId - Slack channel ID
+ * @param {string} messageTs - Timestamp of the review message
+ * @param {object} review - Review data
+ * @returns {Promise<object>} Slack message response
+ */
+const updateReviewMessage = async (token, channelId, messageTs, review) => {
+  try {
+    const client = new WebClient(token);
+    const { blocks, text } = buildReviewMessage(review);
+    
+    return await client.chat.update({
+      channel: resolveDestination(channelId).channel,
+      ts: messageTs,
+      text: text,
+      blocks: blocks
+    });
+  } catch (error) {
+    console.error('Error updating review message in Slack:', error);
+    throw error;
+  }
+};
+
 /**
  * Get the icon for a review state
  * @param {string} state - Review state
@@ -871,6 +1088,8 @@ const getStateIcon = (state) => {
       return ':x:';
     case 'commented':
       return ':speech_balloon:';
+    case 'dismissed':
+      return ':no_entry_sign:';
     default:
       return ':information_source:';
   }
@@ -913,6 +1132,8 @@ const getReviewText = (state, reviewer, prNumber, title, commentCount) => {
       return `${reviewer} requested changes on PR #${prNumber}: ${title}${commentText}`;
     case 'commented':
       return `${reviewer} commented on PR #${prNumber}: ${title}${commentText}`;
+    case 'dismissed':
+      return `${reviewer}'s review on PR #${prNumber} was dismissed: ${title}`;
     default:
       return `${reviewer} reviewed PR #${prNumber}: ${title}${commentText}`;
   }
@@ -935,7 +1156,7 @@ const sendReviewStateMessage = async (token, channelId, data) => {
   
   try {
     return await client.chat.postMessage({
-      channel: channelId,
+      ...resolveDestination(channelId),
       blocks: [
         {
           type: "header",
@@ -988,6 +1209,103 @@ const sendReviewStateMessage = async (token, channelId, data) => {
   }
 };
 
+/**
+ * Build the blocks for a review comment message
+ * Comments that start a review thread get a button to resolve it, and show
+ * who resolved it once it is resolved
+ * @param {object} comment - Comment data
+ * @returns {Array} Slack blocks
+ */
+const buildReviewCommentBlocks = (comment) => {
+  const { author, authorSlackId, body, url, path, line, commentId, resolved, resolvedBy } = comment;
+  
+  // Format author with Slack mention if available
+  const authorDisplay = authorSlackId ? `<@${authorSlackId}>` : author;
+  
+  // Format the body to properly handle code snippets
+  const contentBlocks = formatCodeSnippets(body);
+  
+  // Create blocks array for the message
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: resolved ? `:white_check_mark: Code Comment (resolved)` : `:speech_balloon: Code Comment`,
+        emoji: true
+      }
+    },
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `:bust_in_silhouette: *Author:* ${authorDisplay}`
+        }
+      ]
+    },
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `:page_facing_up: *Location:* \`${path}:${line}\``
+        }
+      ]
+    },
+    {
+      type: "divider"
+    }
+  ];
+
+
+  blocks.push(...contentBlocks);
+  
+  if (resolved) {
+    blocks.push({
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `:white_check_mark: Conversation resolved${resolvedBy ? ` by ${resolvedBy}` : ''}`
+        }
+      ]
+    });
+  }
+  
+  const buttons = [
+    {
+      type: "button",
+      text: {
+        type: "plain_text",
+        text: ":link: View Comment",
+        emoji: true
+      },
+      url: url
+    }
+  ];
+  
+  if (commentId && !resolved) {
+    buttons.push({
+      type: "button",
+      text: {
+        type: "plain_text",
+        text: ":white_check_mark: Resolve conversation",
+        emoji: true
+      },
+      action_id: "resolve_review_thread",
+      value: commentId.toString()
+    });
+  }
+
+  blocks.push({
+    type: "actions",
+    elements: buttons
+  });
+  
+  return blocks;
+};
+
 /**
  * Send a review comment message to Slack
  * @param {string} token - Slack bot token
@@ -999,79 +1317,69 @@ const sendReviewStateMessage = async (token, channelId, data) => {
 const sendReviewCommentMessage = async (token, channelId, threadTs, comment) => {
   try {
     const client = new WebClient(token);
-    const { author, authorSlackId, body, url, path, line } = comment;
+    const { author, authorSlackId, path, line } = comment;
 
     console.log('author slack id: ', authorSlackId)
     
-    // Format author with Slack mention if available
-    const authorDisplay = authorSlackId ? `<@${authorSlackId}>` : author;
-    
-    // Format the body to properly handle code snippets
-    const contentBlocks = formatCodeSnippets(body);
+    const result = await client.chat.postMessage({
+      ...resolveDestination(channelId, threadTs), // If null, creates a new thread
+      text: `Comment from ${author} on ${path}:${line}`,
+      blocks: buildReviewCommentBlocks(comment),
+      unfurl_links: false,
+      unfurl_media: false
+    });
     
-    // Create blocks array for the message
-    const blocks = [
-      {
-        type: "header",
-        text: {
-          type: "plain_text",
-          text: `:speech_balloon: Code Comment`,
-          emoji: true
-        }
-      },
-      {
-        type: "context",
-        elements: [
-          {
-            type: "mrkdwn",
-            text: `:bust_in_silhouette: *Author:* ${authorDisplay}`
-          }
-        ]
-      },
-      {
-        type: "context",
-        elements: [
-          {
-            type: "mrkdwn",
-            text: `:page_facing_up: *Location:* \`${path}:${line}\``
-          }
-        ]
-      },
-      {
-        type: "divider"
-      }
-    ];
-
-
-    blocks.push(...contentBlocks);
+    return result;
+  } catch (error) {
+    console.error('Error sending review comment message to Slack:', error);
+    throw error;
+  }
+};
 
-    blocks.push({
-      type: "actions",
-      elements: [
-        {
-          type: "button",
-          text: {
-            type: "plain_text",
-            text: ":link: View Comment",
-            emoji: true
-          },
-          url: url
-        }
-      ]
+/**
+ * Update a review comment message, e.g. when its thread is resolved
+ * @param {string} token - Slack bot token
+ * @param {string} channelId - Slack channel ID
+ * @param {string} messageTs - Timestamp of the comment message
+ * @param {object} comment - Comment data
+ * @returns {Promise<object>} Slack message response
+ */
+const updateReviewCommentMessage = async (token, channelId, messageTs, comment) => {
+  try {
+    const client = new WebClient(token);
+    const { author, path, line, resolved } = comment;
+    
+    return await client.chat.update({
+      channel: resolveDestination(channelId).channel,
+      ts: messageTs,
+      text: `Comment from ${author} on ${path}:${line}${resolved ? ' (resolved)' : ''}`,
+      blocks: buildReviewCommentBlocks(comment)
     });
+  } catch (error) {
+    console.error('Error updating review comment message in Slack:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send a message only the given user can see
+ * @param {string} token - Slack bot token
+ * @param {string} channelId - Slack channel ID
+ * @param {string} userId - Slack user ID
+ * @param {string} text - Message text
+ * @returns {Promise<object>} Slack message response
+ */
+const sendEphemeralMessage = async (token, channelId, userId, text) => {
+  try {
+    const client = new WebClient(token);
     
-    const result = await client.chat.postMessage({
-      channel: channelId,
-      thread_ts: threadTs, // If null, creates a new thread
-      text: `Comment from ${author} on ${path}:${line}`,
-      blocks: blocks,
-      unfurl_links: false,
-      unfurl_media: false
+    return await client.chat.postEphemeral({
+      ...resolveDestination(channelId),
+      user: userId,
+      text
     });
-    
-    return result;
   } catch (error) {
-    console.error('Error sending review comment message to Slack:', error);
+    console.error('Error sending ephemeral message to Slack:', error);
     throw error;
   }
 };
@@ -1141,7 +1449,7 @@ const sendPrCommentMessage = async (token, channelId, data) => {
     });
     
     return await client.chat.postMessage({
-      channel: channelId,
+      ...resolveDestination(channelId),
       blocks: blocks,
       text: `${data.author} commented: ${truncateText(data.body, 50)}`
     });
@@ -1239,8 +1547,7 @@ const sendMessageAsUser = async (userToken, channelId, threadTs, body, url, user
     
     // Post message as the user
     const result = await userClient.chat.postMessage({
-      channel: channelId,
-      thread_ts: threadTs,
+      ...resolveDestination(channelId, threadTs),
       blocks: contentBlocks,
       text: truncateText(body, 100), // Plain text fallback
       unfurl_links: false,
@@ -1326,8 +1633,7 @@ const sendMessageAsBot = async (token, channelId, threadTs, comment) => {
     });
 
     const messageParams = {
-      channel: channelId,
-      thread_ts: threadTs,
+      ...resolveDestination(channelId, threadTs),
       blocks: blocks,
       text: `Reply from ${author}: ${truncateText(body, 50)}`,
       unfurl_links: false,
@@ -1396,8 +1702,7 @@ const sendCommentEditedMessage = async (token, channelId, threadTs, data) => {
     });
     
     return await client.chat.postMessage({
-      channel: channelId,
-      thread_ts: threadTs,
+      ...resolveDestination(channelId, threadTs),
       blocks: blocks,
       text: `${data.author} edited comment: ${truncateText(data.body, 50)}`
     });
@@ -1407,6 +1712,82 @@ const sendCommentEditedMessage = async (token, channelId, threadTs, data) => {
   }
 };
 
+// Snooze choices on reminder messages, in hours
+const REMINDER_SNOOZE_HOURS = [4, 24, 72];
+
+/**
+ * Build the action buttons of a PR reminder
+ * The block ID carries the PR ID for the interaction handlers
+ * @param {string} prId - Pull request UUID
+ * @param {string} url - Pull request URL
+ * @param {boolean} isBlocked - Whether the PR is marked as blocked
+ * @returns {Object} Slack actions block
+ */
+const buildReminderActions = (prId, url, isBlocked) => ({
+  type: "actions",
+  block_id: `reminder_actions:${prId}`,
+  elements: [
+    {
+      type: "button",
+      text: {
+        type: "plain_text",
+        text: ":link: View PR",
+        emoji: true
+      },
+      url,
+      style: "primary",
+      action_id: "reminder_view_pr"
+    },
+    {
+      type: "static_select",
+      placeholder: {
+        type: "plain_text",
+        text: ":zzz: Snooze",
+        emoji: true
+      },
+      action_id: "reminder_snooze",
+      options: REMINDER_SNOOZE_HOURS.map(hours => ({
+        text: {
+          type: "plain_text",
+          text: hours < 24 ? `${hours} hours` : `${hours / 24} day${hours > 24 ? 's' : ''}`
+        },
+        value: String(hours)
+      }))
+    },
+    {
+      type: "button",
+      text: {
+        type: "plain_text",
+        text: ":wave: Nudge reviewers",
+        emoji: true
+      },
+      action_id: "reminder_nudge",
+      value: prId
+    },
+    {
+      type: "button",
+      text: {
+        type: "plain_text",
+        text: ":arrows_counterclockwise: Reassign",
+        emoji: true
+      },
+      action_id: "reminder_reassign",
+      value: prId
+    },
+    {
+      type: "button",
+      text: {
+        type: "plain_text",
+        text: isBlocked ? ":arrow_forward: Unblock" : ":no_entry: Mark blocked",
+        emoji: true
+      },
+      action_id: "reminder_block",
+      value: prId,
+      ...(isBlocked ? {} : { style: "danger" })
+    }
+  ]
+});
+
 /**
  * Send a PR reminder message to Slack
  * @param {string} token - Slack bot token
@@ -1454,7 +1835,7 @@ const sendPrReminderMessage = async (token, channelId, data) => {
   
   try {
     return await client.chat.postMessage({
-      channel: channelId,
+      ...resolveDestination(channelId),
       blocks: [
         {
           type: "header",
@@ -1497,26 +1878,96 @@ const sendPrReminderMessage = async (token, channelId, data) => {
         {
           type: "divider"
         },
+        buildReminderActions(data.prId, data.url, false)
+      ],
+      text: `Reminder: PR #${data.prNumber} has been open for ${timeOpenText}`
+    });
+  } catch (error) {
+    console.error('Error sending PR reminder message to Slack:', error);
+    throw error;
+  }
+};
+
+/**
+ * Swap the Block button of a posted reminder after the PR is blocked or unblocked
+ * @param {string} token - Slack bot token
+ * @param {string} channelId - Slack channel ID
+ * @param {Object} message - The reminder message from the interaction payload
+ * @param {string} prId - Pull request UUID
+ * @param {boolean} isBlocked - Whether the PR is now blocked
+ * @returns {Promise<Object>} Slack API response
+ */
+const updateReminderBlockedState = async (token, channelId, message, prId, isBlocked) => {
+  const client = new WebClient(token);
+  const blockId = `reminder_actions:${prId}`;
+  
+  try {
+    const blocks = message.blocks.map(block => {
+      if (block.block_id !== blockId) {
+        return block;
+      }
+      
+      const url = block.elements.find(element => element.action_id === 'reminder_view_pr')?.url;
+      return buildReminderActions(prId, url, isBlocked);
+    });
+    
+    return await client.chat.update({
+      channel: resolveDestination(channelId).channel,
+      ts: message.ts,
+      blocks,
+      text: message.text
+    });
+  } catch (error) {
+    console.error('Error updating PR reminder message in Slack:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send a reviewer a direct message asking them to look at a PR
+ * @param {string} token - Slack bot token
+ * @param {string} slackUserId - Reviewer's Slack user ID
+ * @param {Object} data - Nudge data
+ * @returns {Promise<Object>} Slack message response
+ */
+const sendReviewNudgeMessage = async (token, slackUserId, data) => {
+  const client = new WebClient(token);
+  
+  try {
+    return await client.chat.postMessage({
+      channel: slackUserId,
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `:wave: <@${data.nudgedBy}> is waiting on your review of *<${data.url}|#${data.prNumber}: ${data.title}>*`
+          },
+          accessory: {
+            type: "button",
+            text: {
+              type: "plain_text",
+              text: "Review PR",
+              emoji: true
+            },
+            url: data.url,
+            action_id: "reminder_view_pr"
+          }
+        },
         {
-          type: "actions",
+          type: "context",
           elements: [
             {
-              type: "button",
-              text: {
-                type: "plain_text",
-                text: ":link: View PR",
-                emoji: true
-              },
-              url: data.url,
-              style: "primary"
+              type: "mrkdwn",
+              text: data.channelId ? `Discussion in <#${data.channelId}> · ${data.repoName}` : data.repoName
             }
           ]
         }
       ],
-      text: `Reminder: PR #${data.prNumber} has been open for ${timeOpenText}`
+      text: `Waiting on your review: PR #${data.prNumber}: ${data.title}`
     });
   } catch (error) {
-    console.error('Error sending PR reminder message to Slack:', error);
+    console.error('Error sending review nudge to Slack:', error);
     throw error;
   }
 };
@@ -1533,7 +1984,7 @@ const sendPrMergedToMainChannelMessage = async (token, channelId, data) => {
   
   try {
     return await client.chat.postMessage({
-      channel: channelId,
+      ...resolveDestination(channelId),
       blocks: [
         {
           type: "header",
@@ -1594,20 +2045,296 @@ const sendPrMergedToMainChannelMessage = async (token, channelId, data) => {
   }
 };
 
+/**
+ * Send a compact one-line PR update (labels, assignees, milestone)
+ * @param {string} token - Slack bot token
+ * @param {string} channelId - Slack channel ID
+ * @param {Object} data - Update data
+ * @returns {Promise<Object>} Slack message response
+ */
+const sendPrActivityMessage = async (token, channelId, data) => {
+  const client = new WebClient(token);
+  
+  try {
+    return await client.chat.postMessage({
+      ...resolveDestination(channelId),
+      blocks: [
+        {
+          type: "context",
+          elements: [
+            {
+              type: "mrkdwn",
+              text: `${data.icon} ${data.text}`
+            }
+          ]
+        }
+      ],
+      text: data.text
+    });
+  } catch (error) {
+    console.error('Error sending PR activity message to Slack:', error);
+    throw error;
+  }
+};
+
+/**
+ * Ping a Slack user group when a label rule is triggered
+ * @param {string} token - Slack bot token
+ * @param {string} channelId - Slack channel ID
+ * @param {Object} data - Label rule data
+ * @returns {Promise<Object>} Slack message response
+ */
+const sendLabelRuleAlertMessage = async (token, channelId, data) => {
+  const client = new WebClient(token);
+  
+  const reminderText = data.reminderHours
+    ? `\n:alarm_clock: Review reminders for this PR are sent after ${data.reminderHours}h`
+    : '';
+  
+  try {
+    return await client.chat.postMessage({
+      ...resolveDestination(channelId),
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `:rotating_light: <!subteam^${data.slackGroupId}> *<${data.url}|${data.title}>* is labeled \`${data.label}\`${reminderText}`
+          }
+        }
+      ],
+      text: `${data.title} is labeled ${data.label}`
+    });
+  } catch (error) {
+    console.error('Error sending label rule alert to Slack:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get an emoji icon for a CI status
+ * @param {string} status - CI status (pending, success, failure, neutral)
+ * @returns {string} Emoji icon
+ */
+const getCiStatusIcon = (status) => {
+  switch (status) {
+    case 'success':
+      return ':white_check_mark:';
+    case 'failure':
+      return ':x:';
+    case 'pending':
+      return ':hourglass_flowing_sand:';
+    default:
+      return ':white_circle:';
+  }
+};
+
+/**
+ * Build the blocks for the live CI status message
+ * @param {Object} data - CI status data
+ * @returns {Array} Slack blocks
+ */
+const buildCiStatusBlocks = (data) => {
+  const { title, url, headSha, overall, checks = [] } = data;
+  
+  const headerText = {
+    success: 'CI passed',
+    failure: 'CI failed',
+    pending: 'CI running'
+  }[overall] || 'CI status';
+  
+  // Failures first so they're visible even when the list is cut short
+  const order = { failure: 0, pending: 1, success: 2, neutral: 3 };
+  const sortedChecks = [...checks].sort((a, b) => order[a.status] - order[b.status]);
+  const maxChecks = 20;
+  
+  const checkLines = sortedChecks.slice(0, maxChecks).map(check => {
+    const name = check.url ? `<${check.url}|${check.name}>` : check.name;
+    return `${getCiStatusIcon(check.status)} ${name}`;
+  });
+  
+  if (sortedChecks.length > maxChecks) {
+    checkLines.push(`_...and ${sortedChecks.length - maxChecks} more_`);
+  }
+  
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: `${getCiStatusIcon(overall)} ${headerText}`,
+        emoji: true
+      }
+    },
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `*<${url}|${title}>* · commit \`${headSha.substring(0, 7)}\``
+        }
+      ]
+    }
+  ];
+  
+  if (checkLines.length > 0) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: checkLines.join('\n')
+      }
+    });
+  }
+  
+  return blocks;
+};
+
+/**
+ * Send the CI status message for a PR's head commit
+ * @param {string} token - Slack bot token
+ * @param {string} channelId - Slack channel ID
+ * @param {Object} data - CI status data
+ * @returns {Promise<Object>} Slack message response
+ */
+const sendCiStatusMessage = async (token, channelId, data) => {
+  const client = new WebClient(token);
+  
+  try {
+    return await client.chat.postMessage({
+      ...resolveDestination(channelId),
+      blocks: buildCiStatusBlocks(data),
+      text: `CI ${data.overall} for ${data.title}`
+    });
+  } catch (error) {
+    console.error('Error sending CI status message to Slack:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update the CI status message in place as checks progress
+ * @param {string} token - Slack bot token
+ * @param {string} channelId - Slack channel ID
+ * @param {string} messageTs - Timestamp of the CI status message
+ * @param {Object} data - CI status data
+ * @returns {Promise<Object>} Slack message response
+ */
+const updateCiStatusMessage = async (token, channelId, messageTs, data) => {
+  const client = new WebClient(token);
+  
+  try {
+    return await client.chat.update({
+      channel: resolveDestination(channelId).channel,
+      ts: messageTs,
+      blocks: buildCiStatusBlocks(data),
+      text: `CI ${data.overall} for ${data.title}`
+    });
+  } catch (error) {
+    console.error('Error updating CI status message in Slack:', error);
+    throw error;
+  }
+};
+
+/**
+ * Notify the PR author that checks failed
+ * @param {string} token - Slack bot token
+ * @param {string} channelId - Slack channel ID
+ * @param {Object} data - CI failure data
+ * @returns {Promise<Object>} Slack message response
+ */
+const sendCiFailedMessage = async (token, channelId, data) => {
+  const client = new WebClient(token);
+  
+  const authorMention = data.authorSlackId ? `<@${data.authorSlackId}>` : data.author;
+  const failedChecks = data.failedChecks
+    .map(check => check.url ? `<${check.url}|${check.name}>` : check.name)
+    .join(', ');
+  
+  try {
+    return await client.chat.postMessage({
+      ...resolveDestination(channelId, data.threadTs),
+      reply_broadcast: Boolean(data.threadTs),
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `${authorMention} :x: Checks failed on *<${data.url}|${data.title}>*\n*Failed:* ${failedChecks}`
+          }
+        }
+      ],
+      text: `Checks failed on ${data.title}`
+    });
+  } catch (error) {
+    console.error('Error sending CI failed message to Slack:', error);
+    throw error;
+  }
+};
+
+/**
+ * Tell a PR channel that missed GitHub updates were applied
+ * @param {string} token - Slack bot token
+ * @param {string} channelId - Slack channel ID
+ * @param {Object} data - PR title, url and corrections
+ * @returns {Promise<Object>} Slack message response
+ */
+const sendReconciliationMessage = async (token, channelId, data) => {
+  const client = new WebClient(token);
+  
+  const corrections = data.corrections.map(correction => `• ${correction}`).join('\n');
+  
+  try {
+    return await client.chat.postMessage({
+      ...resolveDestination(channelId),
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `:arrows_counterclockwise: *<${data.url}|${data.title}>* was out of sync with GitHub and has been corrected:\n${corrections}`
+          }
+        }
+      ],
+      text: `${data.title} was out of sync with GitHub and has been corrected`
+    });
+  } catch (error) {
+    console.error('Error sending reconciliation message to Slack:', error);
+    throw error;
+  }
+};
+
 module.exports = {
+  getPrDestination,
+  resolveDestination,
   sendPrOpenedMessage,
+  updatePrOpenedMessage,
+  sendPrDraftStatusMessage,
   sendPrClosedMessage,
   sendPrReopenedMessage,
   sendPrUpdatedMessage,
   sendPrEditedMessage,
   sendReviewRequestedMessage,
+  sendTeamReviewRequestedMessage,
   sendReviewRequestRemovedMessage,
   sendReviewMessage,
+  updateReviewMessage,
   sendReviewStateMessage,
   sendPrCommentMessage,
   sendReviewCommentMessage,
+  updateReviewCommentMessage,
+  sendEphemeralMessage,
   sendCommentReplyMessage,
   sendCommentEditedMessage,
   sendPrReminderMessage,
-  sendPrMergedToMainChannelMessage
+  buildReminderActions,
+  updateReminderBlockedState,
+  sendReviewNudgeMessage,
+  sendPrMergedToMainChannelMessage,
+  sendCiStatusMessage,
+  updateCiStatusMessage,
+  sendCiFailedMessage,
+  sendPrActivityMessage,
+  sendLabelRuleAlertMessage,
+  sendReconciliationMessage
 };
\ No newline at end of file
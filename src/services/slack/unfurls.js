@@ -0,0 +1,298 @@
+// src/services/slack/unfurls.js
+
+/**
+ * Slack link unfurls
+ * Shows a PR card when a pull request link from a tracked GitHub repository
+ * is shared anywhere in Slack
+ */
+const { WebClient } = require('@slack/web-api');
+const db = require('../supabase/functions');
+const githubApi = require('../github/api');
+const githubAuth = require('../github/auth');
+const checks = require('../github/checks');
+const { getGithubUrls, getPullRequestUrl } = require('../../utils/github');
+
+const REVIEW_STATUS_TEXT = {
+  pending: '⏳ pending',
+  approved: '✅ approved',
+  changes_requested: '❌ changes requested',
+  commented: '💬 commented',
+  team_reviewed: '👥 reviewed by team',
+  dismissed: '↩️ dismissed'
+};
+
+const CI_STATUS_TEXT = {
+  success: '✅ Checks passed',
+  failure: '❌ Checks failed',
+  pending: '⏳ Checks running'
+};
+
+// GitHub review states, mapped onto review request statuses
+const GITHUB_REVIEW_STATUSES = {
+  APPROVED: 'approved',
+  CHANGES_REQUESTED: 'changes_requested',
+  COMMENTED: 'commented',
+  DISMISSED: 'dismissed'
+};
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Read the repository and number out of a pull request URL
+ * Links to a PR's files, commits or a comment count as links to the PR
+ * @param {Object} org - Organization data
+ * @param {string} url - Shared URL
+ * @returns {Object|null} repoFullName and prNumber, or null for other URLs
+ */
+const parsePullRequestUrl = (org, url) => {
+  const pattern = new RegExp(`^${escapeRegExp(getGithubUrls(org).baseUrl)}/([^/]+/[^/]+)/pull/(\\d+)(?:[/?#]|$)`, 'i');
+  const match = url.match(pattern);
+
+  if (!match) return null;
+
+  return {
+    repoFullName: match[1],
+    prNumber: parseInt(match[2], 10)
+  };
+};
+
+/**
+ * Mention a user in Slack, or name them if they aren't linked
+ * @param {Object|null} user - User with github_username and slack_user_id
+ * @returns {string} Slack mrkdwn
+ */
+const formatUser = (user) => {
+  if (user?.slack_user_id) return `<@${user.slack_user_id}>`;
+  return user?.github_username || 'Unknown';
+};
+
+/**
+ * Describe a PR's state
+ * @param {string} status - open, merged or closed
+ * @param {boolean} isDraft - Whether the PR is a draft
+ * @returns {string} State text
+ */
+const formatState = (status, isDraft) => {
+  if (status === 'merged') return '🟣 Merged';
+  if (status === 'closed') return '🔴 Closed';
+  return isDraft ? '⚪ Draft' : '🟢 Open';
+};
+
+/**
+ * Describe a PR's diff size
+ * @param {Object} card - PR card data
+ * @returns {string|null} Size text, or null when it isn't known
+ */
+const formatSize = ({ additions, deletions, changedFiles }) => {
+  if (additions == null || deletions == null) return null;
+
+  const files = changedFiles == null ? '' : ` in ${changedFiles} file${changedFiles === 1 ? '' : 's'}`;
+  return `+${additions} −${deletions}${files}`;
+};
+
+/**
+ * Build the unfurl for a PR card
+ * @param {Object} card - PR card data
+ * @returns {Object} Slack unfurl with blocks
+ */
+const buildUnfurl = (card) => {
+  const reviewers = card.reviewers.length > 0
+    ? card.reviewers.map(r => `${formatUser(r.user)} ${REVIEW_STATUS_TEXT[r.status] || r.status}`).join('\n')
+    : 'No reviewers requested';
+
+  const details = [
+    `${formatState(card.status, card.isDraft)} · ${card.repoName} · by ${formatUser(card.author)}`,
+    CI_STATUS_TEXT[card.ciStatus] || '➖ No checks',
+    formatSize(card)
+  ].filter(Boolean);
+
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*<${card.url}|#${card.number}: ${card.title}>*\n${details.join(' · ')}`
+      }
+    },
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*Reviewers*\n${reviewers}` }
+    }
+  ];
+
+  if (card.channelText) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: card.channelText }]
+    });
+  }
+
+  return { blocks };
+};
+
+/**
+ * Build a PR card from what PingaPR already knows about the PR
+ * @param {Object} org - Organization data
+ * @param {Object} repo - Repository data
+ * @param {Object} pullRequest - Pull request record with author
+ * @returns {Promise<Object>} PR card data
+ */
+const getTrackedPrCard = async (org, repo, pullRequest) => {
+  const reviewRequests = await db.pullRequests.getReviewRequests(pullRequest.id);
+
+  let channelText = null;
+
+  if (pullRequest.slack_channel_id) {
+    channelText = pullRequest.slack_thread_ts
+      ? `Discussed in a thread in <#${pullRequest.slack_channel_id}>`
+      : `Discussed in <#${pullRequest.slack_channel_id}>`;
+  }
+
+  return {
+    url: getPullRequestUrl(org, repo.github_repo_name, pullRequest.github_pr_number),
+    number: pullRequest.github_pr_number,
+    title: pullRequest.title,
+    repoName: repo.github_repo_name,
+    status: pullRequest.status,
+    isDraft: pullRequest.is_draft,
+    author: pullRequest.author,
+    reviewers: reviewRequests.map(rr => ({ user: rr.reviewer, status: rr.status })),
+    ciStatus: pullRequest.ci_status,
+    additions: pullRequest.additions,
+    deletions: pullRequest.deletions,
+    changedFiles: pullRequest.changed_files,
+    channelText
+  };
+};
+
+/**
+ * Find the PingaPR user for a GitHub login, falling back to the login alone
+ * @param {Object} org - Organization data
+ * @param {string} login - GitHub username
+ * @returns {Promise<Object>} User with github_username and slack_user_id
+ */
+const findUser = async (org, login) => (
+  await db.users.findByGithubUsername(org.id, login) || { github_username: login }
+);
+
+/**
+ * Build a PR card from the GitHub API, for PRs PingaPR has no record of
+ * @param {Object} org - Organization data
+ * @param {Object} repo - Repository data
+ * @param {number} prNumber - PR number
+ * @returns {Promise<Object|null>} PR card data, or null without GitHub access
+ */
+const getGithubPrCard = async (org, repo, prNumber) => {
+  const auth = await githubAuth.getApiAuth(org.id);
+  if (!auth) return null;
+
+  const repoName = repo.github_repo_name;
+  const pr = await githubApi.getPullRequest(auth, repoName, prNumber);
+
+  const [reviews, commitChecks] = await Promise.all([
+    githubApi.listReviews(auth, repoName, prNumber),
+    githubApi.getCommitChecks(auth, repoName, pr.head.sha)
+  ]);
+
+  // A reviewer's latest approval or change request stands over later comments,
+  // and a new request puts them back to pending
+  const reviewStatuses = new Map();
+
+  for (const review of reviews) {
+    const status = GITHUB_REVIEW_STATUSES[review.state];
+    const login = review.user?.login;
+
+    if (!status || !login || login === pr.user.login) continue;
+    if (status === 'commented' && reviewStatuses.has(login)) continue;
+
+    reviewStatuses.set(login, status);
+  }
+
+  for (const reviewer of pr.requested_reviewers || []) {
+    reviewStatuses.set(reviewer.login, 'pending');
+  }
+
+  const reviewers = [];
+
+  for (const [login, status] of reviewStatuses) {
+    reviewers.push({ user: await findUser(org, login), status });
+  }
+
+  const ciChecks = [
+    ...commitChecks.checkRuns.map(run => ({ status: checks.getCheckStatus(run.status, run.conclusion) })),
+    ...commitChecks.statuses.map(status => ({ status: checks.getCommitStatus(status.state) }))
+  ];
+
+  return {
+    url: pr.html_url,
+    number: pr.number,
+    title: pr.title,
+    repoName,
+    status: pr.merged_at ? 'merged' : pr.state,
+    isDraft: Boolean(pr.draft),
+    author: await findUser(org, pr.user.login),
+    reviewers,
+    ciStatus: ciChecks.length > 0 ? checks.getOverallStatus(ciChecks) : null,
+    additions: pr.additions,
+    deletions: pr.deletions,
+    changedFiles: pr.changed_files,
+    channelText: null
+  };
+};
+
+/**
+ * Unfurl the pull request links of a link_shared event
+ * Links to repositories PingaPR doesn't track are left alone
+ * @param {Object} org - Organization data
+ * @param {Object} event - link_shared event
+ * @returns {Promise<void>}
+ */
+const unfurlLinks = async (org, event) => {
+  const unfurls = {};
+
+  for (const link of event.links || []) {
+    const parsed = parsePullRequestUrl(org, link.url);
+    if (!parsed) continue;
+
+    try {
+      const repo = await db.repositories.findByGithubRepoName(org.id, parsed.repoFullName);
+
+      if (!repo || !repo.is_active) {
+        continue;
+      }
+
+      const pullRequest = await db.pullRequests.findByPrNumber(repo.id, parsed.prNumber);
+      const card = pullRequest
+        ? await getTrackedPrCard(org, repo, pullRequest)
+        : await getGithubPrCard(org, repo, parsed.prNumber);
+
+      if (card) {
+        unfurls[link.url] = buildUnfurl(card);
+      }
+    } catch (error) {
+      console.error(`Error building unfurl for ${link.url}:`, error.message);
+    }
+  }
+
+  if (Object.keys(unfurls).length === 0) {
+    return;
+  }
+
+  // Links in the message composer are identified by unfurl_id rather than a message
+  const target = event.unfurl_id
+    ? { unfurl_id: event.unfurl_id, source: event.source }
+    : { channel: event.channel, ts: event.message_ts };
+
+  const client = new WebClient(org.slack_bot_token);
+  await client.chat.unfurl({ ...target, unfurls });
+};
+
+module.exports = {
+  unfurlLinks,
+  parsePullRequestUrl
+};
@@ -0,0 +1,65 @@
+// src/services/slack/unfurls.test.js
+jest.mock('../supabase/functions', () => ({}));
+jest.mock('../github/api', () => ({}));
+jest.mock('../github/auth', () => ({}));
+jest.mock('../github/checks', () => ({}));
+
+const unfurls = require('./unfurls');
+
+const githubOrg = { id: 'org-1' };
+
+const enterpriseOrg = {
+  id: 'org-2',
+  github_base_url: 'https://github.acme.internal/'
+};
+
+describe('parsePullRequestUrl', () => {
+  test('reads the repository and number from a pull request link', () => {
+    const result = unfurls.parsePullRequestUrl(githubOrg, 'https://github.com/acme/web-app/pull/42');
+
+    expect(result).toEqual({ repoFullName: 'acme/web-app', prNumber: 42 });
+  });
+
+  test('treats links to files, comments and queries as links to the pull request', () => {
+    const urls = [
+      'https://github.com/acme/web-app/pull/42/files',
+      'https://github.com/acme/web-app/pull/42#issuecomment-1',
+      'https://github.com/acme/web-app/pull/42?w=1'
+    ];
+
+    for (const url of urls) {
+      expect(unfurls.parsePullRequestUrl(githubOrg, url)).toEqual({ repoFullName: 'acme/web-app', prNumber: 42 });
+    }
+  });
+
+  test('matches the host case-insensitively', () => {
+    const result = unfurls.parsePullRequestUrl(githubOrg, 'https://GitHub.com/acme/web-app/pull/42');
+
+    expect(result).toEqual({ repoFullName: 'acme/web-app', prNumber: 42 });
+  });
+
+  test('ignores links that are not pull requests', () => {
+    const urls = [
+      'https://github.com/acme/web-app',
+      'https://github.com/acme/web-app/issues/42',
+      'https://github.com/acme/web-app/pull/42abc',
+      'https://github.com/acme/web-app/pulls'
+    ];
+
+    for (const url of urls) {
+      expect(unfurls.parsePullRequestUrl(githubOrg, url)).toBeNull();
+    }
+  });
+
+  test('only matches the GitHub host the organization uses', () => {
+    const enterpriseUrl = 'https://github.acme.internal/acme/web-app/pull/7';
+
+    expect(unfurls.parsePullRequestUrl(enterpriseOrg, enterpriseUrl)).toEqual({ repoFullName: 'acme/web-app', prNumber: 7 });
+    expect(unfurls.parsePullRequestUrl(githubOrg, enterpriseUrl)).toBeNull();
+    expect(unfurls.parsePullRequestUrl(enterpriseOrg, 'https://github.com/acme/web-app/pull/7')).toBeNull();
+  });
+
+  test('does not treat dots in the host as wildcards', () => {
+    expect(unfurls.parsePullRequestUrl(githubOrg, 'https://githubXcom/acme/web-app/pull/42')).toBeNull();
+  });
+});
@@ -90,6 +90,22 @@ const organizations = {
     return data;
   },
   
+  /**
+   * Find organization by GitHub App installation ID
+   * @param {string} installationId - GitHub installation ID
+   * @returns {Promise<Object>} Organization data
+   */
+  async findByInstallationId(installationId) {
+    const { data, error } = await supabase
+      .from('organizations')
+      .select('*')
+      .eq('github_installation_id', installationId)
+      .single();
+    
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  },
+  
   /**
    * Find organization by Slack workspace ID
    * @param {string} slackWorkspaceId - Slack workspace ID
@@ -147,7 +163,7 @@ const organizations = {
    * @returns {Promise<Object>} Updated organization
    */
   async updateSettings(id, settings) {
-    const { data: org } = await this.findById(id);
+    const org = await this.findById(id);
     const updatedSettings = { ...org.settings, ...settings };
     
     return this.update(id, { settings: updatedSettings });
@@ -185,6 +201,7 @@ const repositories = {
       .from('repositories')
       .select('*')
       .eq('org_id', orgId)
+      .eq('provider', 'github')
       .eq('github_repo_id', githubRepoId)
       .single();
     
@@ -192,6 +209,63 @@ const repositories = {
     return data;
   },
   
+  /**
+   * Find a GitHub repository by its full name
+   * @param {string} orgId - Organization UUID
+   * @param {string} repoFullName - Repository full name (owner/repo)
+   * @returns {Promise<Object>} Repository data
+   */
+  async findByGithubRepoName(orgId, repoFullName) {
+    const { data, error } = await supabase
+      .from('repositories')
+      .select('*')
+      .eq('org_id', orgId)
+      .eq('provider', 'github')
+      .eq('github_repo_name', repoFullName)
+      .single();
+    
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  },
+  
+  /**
+   * Find repository by GitLab project ID and org ID
+   * @param {string} orgId - Organization UUID
+   * @param {string} projectId - GitLab project ID
+   * @returns {Promise<Object>} Repository data
+   */
+  async findByGitlabProjectId(orgId, projectId) {
+    const { data, error } = await supabase
+      .from('repositories')
+      .select('*')
+      .eq('org_id', orgId)
+      .eq('provider', 'gitlab')
+      .eq('github_repo_id', projectId)
+      .single();
+    
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  },
+  
+  /**
+   * Find repository by Bitbucket repository UUID and org ID
+   * @param {string} orgId - Organization UUID
+   * @param {string} repoUuid - Bitbucket repository UUID
+   * @returns {Promise<Object>} Repository data
+   */
+  async findByBitbucketUuid(orgId, repoUuid) {
+    const { data, error } = await supabase
+      .from('repositories')
+      .select('*')
+      .eq('org_id', orgId)
+      .eq('provider', 'bitbucket')
+      .eq('github_repo_id', repoUuid)
+      .single();
+    
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  },
+  
   /**
    * Find all repositories for an organization
    * @param {string} orgId - Organization UUID
@@ -249,6 +323,44 @@ const repositories = {
   async toggleActive(id) {
     const { data: repo } = await this.findById(id);
     return this.update(id, { is_active: !repo.is_active });
+  },
+  
+  /**
+   * Update or create a repository by GitHub repo ID
+   * @param {string} orgId - Organization UUID
+   * @param {string} githubRepoId - GitHub repository ID
+   * @param {Object} data - Repository data
+   * @returns {Promise<Object>} Created or updated repository
+   */
+  async upsert(orgId, githubRepoId, data) {
+    const existing = await this.findByGithubRepoId(orgId, githubRepoId);
+    
+    if (existing) {
+      return this.update(existing.id, data);
+    } else {
+      return this.create({
+        org_id: orgId,
+        github_repo_id: githubRepoId,
+        ...data
+      });
+    }
+  },
+  
+  /**
+   * Deactivate all repositories for an organization
+   * @param {string} orgId - Organization UUID
+   * @returns {Promise<Array>} Deactivated repositories
+   */
+  async deactivateByOrgId(orgId) {
+    const { data, error } = await supabase
+      .from('repositories')
+      .update({ is_active: false })
+      .eq('org_id', orgId)
+      .eq('is_active', true)
+      .select();
+    
+    if (error) throw error;
+    return data;
   }
 };
 
@@ -290,6 +402,42 @@ const users = {
     return data;
   },
   
+  /**
+   * Find user by GitLab username and org ID
+   * @param {string} orgId - Organization UUID
+   * @param {string} gitlabUsername - GitLab username
+   * @returns {Promise<Object>} User data
+   */
+  async findByGitlabUsername(orgId, gitlabUsername) {
+    const { data, error } = await supabase
+      .from('users')
+      .select('*')
+      .eq('org_id', orgId)
+      .eq('gitlab_username', gitlabUsername)
+      .single();
+    
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  },
+  
+  /**
+   * Find user by Bitbucket account ID and org ID
+   * @param {string} orgId - Organization UUID
+   * @param {string} accountId - Bitbucket account ID
+   * @returns {Promise<Object>} User data
+   */
+  async findByBitbucketAccountId(orgId, accountId) {
+    const { data, error } = await supabase
+      .from('users')
+      .select('*')
+      .eq('org_id', orgId)
+      .eq('bitbucket_account_id', accountId)
+      .single();
+    
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  },
+  
   /**
    * Find user by Slack user ID and org ID
    * @param {string} orgId - Organization UUID
@@ -436,6 +584,29 @@ const users = {
   }
 };
 
+/**
+ * Team functions
+ */
+const teams = {
+  /**
+   * Find team mapped to a GitHub team
+   * @param {string} orgId - Organization UUID
+   * @param {string} githubTeamSlug - GitHub team slug
+   * @returns {Promise<Object>} Team data
+   */
+  async findByGithubSlug(orgId, githubTeamSlug) {
+    const { data, error } = await supabase
+      .from('teams')
+      .select('*')
+      .eq('org_id', orgId)
+      .eq('github_team_slug', githubTeamSlug)
+      .single();
+    
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  }
+};
+
 /**
  * Pull request functions
  */
@@ -450,7 +621,7 @@ const pullRequests = {
       .from('pull_requests')
       .select(`
         *,
-        repository:repo_id(id, github_repo_name, org_id),
+        repository:repo_id(id, github_repo_name, provider, org_id),
         author:author_id(id, github_username, slack_user_id)
       `)
       .eq('id', id)
@@ -471,7 +642,7 @@ const pullRequests = {
       .from('pull_requests')
       .select(`
         *,
-        repository:repo_id(id, github_repo_name, org_id),
+        repository:repo_id(id, github_repo_name, provider, org_id),
         author:author_id(id, github_username, slack_user_id)
       `)
       .eq('repo_id', repoId)
@@ -493,7 +664,7 @@ const pullRequests = {
       .from('pull_requests')
       .select(`
         *,
-        repository:repo_id(id, github_repo_name, org_id),
+        repository:repo_id(id, github_repo_name, provider, org_id),
         author:author_id(id, github_username, slack_user_id)
       `)
       .eq('repo_id', repoId)
@@ -564,6 +735,28 @@ const pullRequests = {
     return data;
   },
   
+  /**
+   * Find open pull requests whose head commit is the given SHA
+   * @param {string} repoId - Repository UUID
+   * @param {string} headSha - Commit SHA
+   * @returns {Promise<Array>} List of pull requests
+   */
+  async findOpenByHeadSha(repoId, headSha) {
+    const { data, error } = await supabase
+      .from('pull_requests')
+      .select(`
+        *,
+        repository:repo_id(id, github_repo_name, provider, org_id),
+        author:author_id(id, github_username, slack_user_id)
+      `)
+      .eq('repo_id', repoId)
+      .eq('head_sha', headSha)
+      .eq('status', 'open');
+    
+    if (error) throw error;
+    return data || [];
+  },
+  
   /**
    * Check for stale PRs that need reminders
    * @returns {Promise<Array>} List of PRs needing reminders
@@ -576,6 +769,33 @@ const pullRequests = {
     return data || [];
   },
   
+  /**
+   * Find a user's PRs merged since a given time, newest first
+   * @param {string} userId - Author UUID
+   * @param {string} since - ISO timestamp
+   * @param {number} limit - Maximum number of PRs
+   * @returns {Promise<Array>} List of pull requests with repository data
+   */
+  async findRecentlyMergedByAuthor(userId, since, limit = 5) {
+    const { data, error } = await supabase
+      .from('pull_requests')
+      .select(`
+        id,
+        title,
+        github_pr_number,
+        merged_at,
+        repository:repo_id(id, github_repo_name, provider)
+      `)
+      .eq('author_id', userId)
+      .eq('status', 'merged')
+      .gte('merged_at', since)
+      .order('merged_at', { ascending: false })
+      .limit(limit);
+    
+    if (error) throw error;
+    return data || [];
+  },
+  
   /**
    * Mark a PR as reminded
    * @param {string} prId - Pull request UUID
@@ -603,7 +823,7 @@ const pullRequests = {
         github_pr_number,
         slack_channel_id,
         status,
-        repository:repo_id(id, github_repo_name),
+        repository:repo_id(id, github_repo_name, provider),
         author:author_id(id, github_username, slack_user_id)
       `)
       .eq('repo_id', repoId)
@@ -612,6 +832,26 @@ const pullRequests = {
     if (error) throw error;
     return data;
   },
+  
+  /**
+   * Find every open PR of an active GitHub repository
+   * @returns {Promise<Array>} List of pull requests with repository data
+   */
+  async findOpenInActiveRepos() {
+    const { data, error } = await supabase
+      .from('pull_requests')
+      .select(`
+        *,
+        repository:repo_id!inner(id, org_id, github_repo_name, is_active, provider)
+      `)
+      .eq('status', 'open')
+      .eq('repository.is_active', true)
+      .eq('repository.provider', 'github')
+      .order('created_at', { ascending: true });
+    
+    if (error) throw error;
+    return data || [];
+  },
 
   
   async findOpenPRsByAuthor(userId) {
@@ -621,9 +861,12 @@ const pullRequests = {
         id,
         title,
         status,
+        is_draft,
         github_pr_number,
         slack_channel_id,
-        repository:repo_id(id, github_repo_name)
+        slack_thread_ts,
+        created_at,
+        repository:repo_id(id, github_repo_name, provider)
       `)
       .eq('author_id', userId)
       .eq('status', 'open');
@@ -648,7 +891,7 @@ const pullRequests = {
         github_pr_number,
         slack_channel_id,
         status,
-        repository:repo_id(id, github_repo_name),
+        repository:repo_id(id, github_repo_name, provider),
         author:author_id(id, github_username, slack_user_id)
       `)
       .in('repo_id', repoIds)
@@ -670,9 +913,12 @@ const pullRequests = {
         id,
         title,
         status,
+        is_draft,
         github_pr_number,
         slack_channel_id,
-        repository:repo_id(id, github_repo_name)
+        slack_thread_ts,
+        created_at,
+        repository:repo_id(id, github_repo_name, provider)
       `)
       .eq('author_id', userId)
       .eq('status', 'open');
@@ -684,6 +930,7 @@ const pullRequests = {
 
   /**
    * Find a pull request by Slack channel ID
+   * Shared repository channels belong to no single PR, so threaded PRs are skipped
    * @param {string} channelId - Slack channel ID
    * @returns {Promise<Object>} Pull request data with repository and author
    */
@@ -692,10 +939,33 @@ const pullRequests = {
       .from('pull_requests')
       .select(`
         *,
-        repository:repo_id(id, github_repo_name, org_id, github_repo_id),
+        repository:repo_id(id, github_repo_name, provider, org_id, github_repo_id),
+        author:author_id(id, github_username, slack_user_id)
+      `)
+      .eq('slack_channel_id', channelId)
+      .is('slack_thread_ts', null)
+      .single();
+    
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  },
+  
+  /**
+   * Find a pull request by its thread in a shared repository channel
+   * @param {string} channelId - Slack channel ID
+   * @param {string} threadTs - Timestamp of the PR opened message
+   * @returns {Promise<Object>} Pull request data with repository and author
+   */
+  async findBySlackThreadTs(channelId, threadTs) {
+    const { data, error } = await supabase
+      .from('pull_requests')
+      .select(`
+        *,
+        repository:repo_id(id, github_repo_name, provider, org_id, github_repo_id),
         author:author_id(id, github_username, slack_user_id)
       `)
       .eq('slack_channel_id', channelId)
+      .eq('slack_thread_ts', threadTs)
       .single();
     
     if (error && error.code !== 'PGRST116') throw error;
@@ -719,6 +989,22 @@ const pullRequests = {
  * Review request functions
  */
 const reviewRequests = {
+  /**
+   * Find review request by ID
+   * @param {string} id - Review request UUID
+   * @returns {Promise<Object>} Review request data
+   */
+  async findById(id) {
+    const { data, error } = await supabase
+      .from('review_requests')
+      .select('*')
+      .eq('id', id)
+      .single();
+    
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  },
+  
   /**
    * Find review request by PR ID and reviewer ID
    * @param {string} prId - Pull request UUID
@@ -805,14 +1091,18 @@ const reviewRequests = {
         .select(`
           id,
           status,
+          requested_at,
+          snoozed_until,
           pull_request:pr_id(
             id,
             title,
             status,
+            is_draft,
             github_pr_number,
             slack_channel_id,
+            slack_thread_ts,
             author_id,
-            repository:repo_id(id, github_repo_name),
+            repository:repo_id(id, github_repo_name, provider),
             author:author_id(id, github_username, slack_user_id)
           )
         `)
@@ -846,6 +1136,40 @@ const reviewRequests = {
     
     if (error) throw error;
     return data;
+  },
+
+  /**
+   * Get pending review requests created for a GitHub team
+   * @param {string} prId - Pull request UUID
+   * @param {string} teamSlug - GitHub team slug
+   * @returns {Promise<Array>} List of review requests with reviewer data
+   */
+  async findPendingByTeam(prId, teamSlug) {
+    const { data, error } = await supabase
+      .from('review_requests')
+      .select('*, reviewer:reviewer_id(id, github_username, slack_user_id)')
+      .eq('pr_id', prId)
+      .eq('team_slug', teamSlug)
+      .eq('status', 'pending');
+    
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Get all pending review requests of a PR
+   * @param {string} prId - Pull request UUID
+   * @returns {Promise<Array>} List of review requests with reviewer data
+   */
+  async findPendingByPrId(prId) {
+    const { data, error } = await supabase
+      .from('review_requests')
+      .select('*, reviewer:reviewer_id(id, github_username, slack_user_id)')
+      .eq('pr_id', prId)
+      .eq('status', 'pending');
+    
+    if (error) throw error;
+    return data || [];
   }
 
 };
@@ -1073,20 +1397,782 @@ async upsert(prId, githubCommentId, data) {
   },
   
   /**
-   * Get all comments for a PR
-   * @param {string} prId - Pull request UUID
-   * @returns {Promise<Array>} List of comments
+   * Find the comment a Slack message stands for
+   * Message timestamps are only unique within a channel
+   * @param {string} channelId - Slack channel ID of the PR
+   * @param {string} messageTs - Slack message timestamp
+   * @returns {Promise<Object|null>} Comment with its pull request, repository and user
    */
-  async getByPrId(prId) {
+  async findBySlackMessageTs(channelId, messageTs) {
     const { data, error } = await supabase
       .from('comments')
       .select(`
         *,
+        pull_request:pr_id!inner(
+          *,
+          repository:repo_id(*)
+        ),
         user:user_id(id, github_username, slack_user_id)
       `)
+      .eq('slack_message_ts', messageTs)
+      .eq('pull_request.slack_channel_id', channelId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    
+    if (error) throw error;
+    return data;
+  },
+  
+  /**
+   * Delete a comment
+   * @param {string} id - Comment UUID
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    const { error } = await supabase
+      .from('comments')
+      .delete()
+      .eq('id', id);
+    
+    if (error) throw error;
+  },
+  
+  /**
+   * Update every comment of a review thread
+   * @param {string} prId - Pull request UUID
+   * @param {Array<string>} githubCommentIds - GitHub comment IDs in the thread
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Array>} Updated comments
+   */
+  async updateByGithubCommentIds(prId, githubCommentIds, updates) {
+    const { data, error } = await supabase
+      .from('comments')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
       .eq('pr_id', prId)
-      .order('created_at', { ascending: true });
+      .in('github_comment_id', githubCommentIds)
+      .select();
     
+    if (error) throw error;
+    return data;
+  },
+  
+  /**
+   * Find the first comment of a thread
+   * @param {string} prId - Pull request UUID
+   * @param {string} githubThreadId - Review thread or GitLab discussion ID
+   * @returns {Promise<Object|null>} Comment data
+   */
+  async findFirstByGithubThreadId(prId, githubThreadId) {
+    const { data, error } = await supabase
+      .from('comments')
+      .select('*')
+      .eq('pr_id', prId)
+      .eq('github_thread_id', githubThreadId)
+      .order('created_at', { ascending: true })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Get all comments for a PR
+   * @param {string} prId - Pull request UUID
+   * @returns {Promise<Array>} List of comments
+   */
+  async getByPrId(prId) {
+    const { data, error } = await supabase
+      .from('comments')
+      .select(`
+        *,
+        user:user_id(id, github_username, slack_user_id)
+      `)
+      .eq('pr_id', prId)
+      .order('created_at', { ascending: true });
+    
+    if (error) throw error;
+    return data;
+  }
+};
+
+/**
+ * CI check functions
+ */
+const ciChecks = {
+  /**
+   * Find all checks for a PR's commit
+   * @param {string} prId - Pull request UUID
+   * @param {string} headSha - Commit SHA
+   * @returns {Promise<Array>} List of checks
+   */
+  async findByPrAndSha(prId, headSha) {
+    const { data, error } = await supabase
+      .from('ci_checks')
+      .select('*')
+      .eq('pr_id', prId)
+      .eq('head_sha', headSha)
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Record the latest result of a check
+   * @param {Object} check - Check data (pr_id, head_sha and name identify the check)
+   * @returns {Promise<Object>} Created or updated check
+   */
+  async upsert(check) {
+    const { data, error } = await supabase
+      .from('ci_checks')
+      .upsert(check, { onConflict: 'pr_id,head_sha,name' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+};
+
+/**
+ * Functions for CI results that arrived before any PR reached their commit
+ */
+const pendingCiChecks = {
+  /**
+   * Find the checks recorded for a commit
+   * @param {string} repoId - Repository UUID
+   * @param {string} headSha - Commit SHA
+   * @returns {Promise<Array>} List of checks
+   */
+  async findByRepoAndSha(repoId, headSha) {
+    const { data, error } = await supabase
+      .from('pending_ci_checks')
+      .select('*')
+      .eq('repo_id', repoId)
+      .eq('head_sha', headSha);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Record the latest result of a check
+   * @param {Object} check - Check data (repo_id, head_sha and name identify the check)
+   * @returns {Promise<Object>} Created or updated check
+   */
+  async upsert(check) {
+    const { data, error } = await supabase
+      .from('pending_ci_checks')
+      .upsert(check, { onConflict: 'repo_id,head_sha,name' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Delete the checks of a commit
+   * @param {string} repoId - Repository UUID
+   * @param {string} headSha - Commit SHA
+   * @returns {Promise<void>}
+   */
+  async deleteByRepoAndSha(repoId, headSha) {
+    const { error } = await supabase
+      .from('pending_ci_checks')
+      .delete()
+      .eq('repo_id', repoId)
+      .eq('head_sha', headSha);
+
+    if (error) throw error;
+  },
+
+  /**
+   * Delete checks for commits no PR reached in time
+   * @param {string} before - ISO timestamp
+   * @returns {Promise<number>} Number of deleted checks
+   */
+  async deleteOlderThan(before) {
+    const { data, error } = await supabase
+      .from('pending_ci_checks')
+      .delete()
+      .lt('updated_at', before)
+      .select('id');
+
+    if (error) throw error;
+    return data.length;
+  }
+};
+
+/**
+ * Review batch functions
+ */
+const reviewBatches = {
+  /**
+   * Find the batch for a review
+   * @param {string} prId - Pull request UUID
+   * @param {string} githubReviewId - GitHub review ID
+   * @returns {Promise<Object>} Batch data
+   */
+  async findByReviewId(prId, githubReviewId) {
+    const { data, error } = await supabase
+      .from('review_batches')
+      .select('*')
+      .eq('pr_id', prId)
+      .eq('github_review_id', githubReviewId.toString())
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Create a new review batch
+   * @param {Object} batch - Batch data
+   * @returns {Promise<Object>} Created batch
+   */
+  async create(batch) {
+    const { data, error } = await supabase
+      .from('review_batches')
+      .insert(batch)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Update a review batch
+   * @param {string} id - Batch UUID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} Updated batch
+   */
+  async update(id, updates) {
+    const { data, error } = await supabase
+      .from('review_batches')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Update a batch only while it is still buffering
+   * @param {string} id - Batch UUID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object|null>} Updated batch, or null if it was already claimed
+   */
+  async updateBuffering(id, updates) {
+    const { data, error } = await supabase
+      .from('review_batches')
+      .update(updates)
+      .eq('id', id)
+      .eq('status', 'buffering')
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Claim a buffering batch for posting
+   * @param {string} id - Batch UUID
+   * @returns {Promise<Object|null>} Claimed batch, or null if another worker got it first
+   */
+  async claim(id) {
+    return this.updateBuffering(id, {
+      status: 'emitting',
+      locked_at: new Date().toISOString()
+    });
+  },
+
+  /**
+   * Find buffering batches whose window has closed
+   * @param {number} limit - Maximum number of batches
+   * @returns {Promise<Array>} Expired batches
+   */
+  async findExpired(limit = 50) {
+    const { data, error } = await supabase
+      .from('review_batches')
+      .select('*')
+      .eq('status', 'buffering')
+      .lte('expires_at', new Date().toISOString())
+      .order('expires_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Release batches left in 'emitting' by a crashed worker
+   * @param {string} lockedBefore - ISO timestamp, batches locked before this are released
+   * @returns {Promise<Array>} Released batches
+   */
+  async releaseStale(lockedBefore) {
+    const { data, error } = await supabase
+      .from('review_batches')
+      .update({
+        status: 'buffering',
+        locked_at: null
+      })
+      .eq('status', 'emitting')
+      .lt('locked_at', lockedBefore)
+      .select('id');
+
+    if (error) throw error;
+    return data || [];
+  }
+};
+
+/**
+ * Apply webhook log search filters to a query
+ * @param {Object} query - Supabase query on webhook_jobs
+ * @param {Object} filters - Filters (status, event, action, repository, prNumber, deliveryId, since, until, error)
+ * @returns {Object} Filtered query
+ */
+const applyWebhookJobFilters = (query, filters = {}) => {
+  const { status, event, action, repository, prNumber, deliveryId, since, until, error } = filters;
+
+  if (status) query = query.eq('status', status);
+  if (event) query = query.eq('event', event);
+  if (action) query = query.eq('action', action);
+  if (repository) query = query.eq('repository_name', repository);
+  if (prNumber) query = query.eq('pr_number', prNumber);
+  if (deliveryId) query = query.eq('delivery_id', deliveryId);
+  if (since) query = query.gte('created_at', since);
+  if (until) query = query.lte('created_at', until);
+  if (error) query = query.ilike('last_error', `%${error}%`);
+
+  return query;
+};
+
+/**
+ * Webhook job queue functions
+ */
+const webhookJobs = {
+  /**
+   * Find webhook job by ID
+   * @param {string} id - Job UUID
+   * @returns {Promise<Object>} Job data
+   */
+  async findById(id) {
+    const { data, error } = await supabase
+      .from('webhook_jobs')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  },
+
+  /**
+   * Find webhook job by GitHub delivery ID
+   * @param {string} deliveryId - X-GitHub-Delivery header value
+   * @returns {Promise<Object>} Job data
+   */
+  async findByDeliveryId(deliveryId) {
+    const { data, error } = await supabase
+      .from('webhook_jobs')
+      .select('*')
+      .eq('delivery_id', deliveryId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Create a new webhook job
+   * @param {Object} job - Job data
+   * @returns {Promise<Object>} Created job
+   */
+  async create(job) {
+    const { data, error } = await supabase
+      .from('webhook_jobs')
+      .insert(job)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Update a webhook job
+   * @param {string} id - Job UUID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} Updated job
+   */
+  async update(id, updates) {
+    const { data, error } = await supabase
+      .from('webhook_jobs')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Claim a batch of runnable jobs, respecting per-PR ordering
+   * @param {number} batchSize - Maximum number of jobs to claim
+   * @param {string} workerId - Identifier of the claiming worker
+   * @returns {Promise<Array>} Claimed jobs
+   */
+  async claimBatch(batchSize, workerId) {
+    const { data, error } = await supabase
+      .rpc('claim_webhook_jobs', { batch_size: batchSize, worker_id: workerId });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Release jobs whose worker died mid-processing so they can be retried
+   * @param {string} lockedBefore - ISO timestamp, jobs locked before this are released
+   * @returns {Promise<Array>} Released jobs
+   */
+  async releaseStale(lockedBefore) {
+    const { data, error } = await supabase
+      .from('webhook_jobs')
+      .update({
+        status: 'pending',
+        locked_at: null,
+        locked_by: null,
+        next_attempt_at: new Date().toISOString()
+      })
+      .eq('status', 'processing')
+      .lt('locked_at', lockedBefore)
+      .select('id');
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * File jobs received before a GitHub organization was connected under the
+   * organization it was connected to
+   * @param {string} githubOrgId - GitHub organization ID
+   * @param {string} orgId - Organization UUID
+   * @returns {Promise<Array>} Updated jobs
+   */
+  async assignOrg(githubOrgId, orgId) {
+    const { data, error } = await supabase
+      .from('webhook_jobs')
+      .update({ org_id: orgId })
+      .eq('github_org_id', githubOrgId)
+      .is('org_id', null)
+      .select('id');
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * List jobs for an organization, newest first
+   * @param {string} orgId - Organization UUID
+   * @param {Object} filters - Optional search filters plus limit and offset
+   * @returns {Promise<Array>} List of jobs without payloads
+   */
+  async findByOrgId(orgId, { limit = 50, offset = 0, ...filters } = {}) {
+    let query = supabase
+      .from('webhook_jobs')
+      .select('id, event, action, delivery_id, ordering_key, repository_name, pr_number, status, attempts, max_attempts, next_attempt_at, last_error, result, duration_ms, replay_of, completed_at, dead_at, created_at, updated_at')
+      .eq('org_id', orgId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    query = applyWebhookJobFilters(query, filters);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Find original deliveries to replay, in the order they were received
+   * Replays themselves are left out so a range is never replayed twice over
+   * @param {string} orgId - Organization UUID
+   * @param {Object} filters - Search filters
+   * @param {number} limit - Maximum number of jobs
+   * @returns {Promise<Array>} List of jobs with payloads
+   */
+  async findForReplay(orgId, filters, limit) {
+    let query = supabase
+      .from('webhook_jobs')
+      .select('*')
+      .eq('org_id', orgId)
+      .is('replay_of', null)
+      .order('seq', { ascending: true })
+      .limit(limit);
+
+    query = applyWebhookJobFilters(query, filters);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Count jobs per status for an organization
+   * @param {string} orgId - Organization UUID
+   * @returns {Promise<Object>} Map of status to count
+   */
+  async countByStatus(orgId) {
+    const statuses = ['pending', 'processing', 'failed', 'completed', 'dead'];
+    const counts = {};
+
+    for (const status of statuses) {
+      const { count, error } = await supabase
+        .from('webhook_jobs')
+        .select('id', { count: 'exact', head: true })
+        .eq('org_id', orgId)
+        .eq('status', status);
+
+      if (error) throw error;
+      counts[status] = count || 0;
+    }
+
+    return counts;
+  }
+};
+
+/**
+ * Repository backfill functions
+ */
+const repositoryBackfills = {
+  /**
+   * Create a new backfill
+   * @param {Object} backfill - Backfill data
+   * @returns {Promise<Object>} Created backfill
+   */
+  async create(backfill) {
+    const { data, error } = await supabase
+      .from('repository_backfills')
+      .insert(backfill)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Update a backfill
+   * @param {string} id - Backfill UUID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} Updated backfill
+   */
+  async update(id, updates) {
+    const { data, error } = await supabase
+      .from('repository_backfills')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Find the queued or running backfill of a repository
+   * @param {string} repoId - Repository UUID
+   * @returns {Promise<Object|null>} Backfill data
+   */
+  async findActiveByRepoId(repoId) {
+    const { data, error } = await supabase
+      .from('repository_backfills')
+      .select('*')
+      .eq('repo_id', repoId)
+      .in('status', ['queued', 'running'])
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Find all queued or running backfills
+   * @returns {Promise<Array>} List of backfills, oldest first
+   */
+  async findActive() {
+    const { data, error } = await supabase
+      .from('repository_backfills')
+      .select('*')
+      .in('status', ['queued', 'running'])
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Find an organization's backfills, newest first
+   * @param {string} orgId - Organization UUID
+   * @returns {Promise<Array>} List of backfills with their repository
+   */
+  async findByOrgId(orgId) {
+    const { data, error } = await supabase
+      .from('repository_backfills')
+      .select(`
+        *,
+        repository:repo_id(github_repo_id, github_repo_name)
+      `)
+      .eq('org_id', orgId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+};
+
+/**
+ * Reconciliation run functions
+ */
+const reconciliationRuns = {
+  /**
+   * Create a new reconciliation run
+   * @param {Object} run - Run data
+   * @returns {Promise<Object>} Created run
+   */
+  async create(run) {
+    const { data, error } = await supabase
+      .from('reconciliation_runs')
+      .insert(run)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Update a reconciliation run
+   * @param {string} id - Run UUID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} Updated run
+   */
+  async update(id, updates) {
+    const { data, error } = await supabase
+      .from('reconciliation_runs')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Find the most recent run
+   * @returns {Promise<Object|null>} Run data
+   */
+  async findLatest() {
+    const { data, error } = await supabase
+      .from('reconciliation_runs')
+      .select('*')
+      .order('started_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+};
+
+/**
+ * Channel transcript functions
+ */
+const channelTranscripts = {
+  /**
+   * Save a channel transcript
+   * @param {Object} transcript - Transcript data
+   * @returns {Promise<Object>} Created transcript
+   */
+  async create(transcript) {
+    const { data, error } = await supabase
+      .from('channel_transcripts')
+      .insert(transcript)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Find a transcript by ID
+   * @param {string} id - Transcript UUID
+   * @returns {Promise<Object|null>} Transcript data
+   */
+  async findById(id) {
+    const { data, error } = await supabase
+      .from('channel_transcripts')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+};
+
+/**
+ * Reminder action functions
+ */
+const reminderActions = {
+  /**
+   * Record an action taken on a PR reminder
+   * @param {Object} action - Action data
+   * @returns {Promise<Object>} Created action
+   */
+  async create(action) {
+    const { data, error } = await supabase
+      .from('reminder_actions')
+      .insert(action)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Find the most recent action of a kind on a PR
+   * @param {string} prId - Pull request UUID
+   * @param {string} action - Action name
+   * @returns {Promise<Object|null>} Action data
+   */
+  async findLatest(prId, action) {
+    const { data, error } = await supabase
+      .from('reminder_actions')
+      .select('*')
+      .eq('pr_id', prId)
+      .eq('action', action)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
     if (error) throw error;
     return data;
   }
@@ -1201,8 +2287,17 @@ module.exports = {
     organizations,
     repositories,
     users,
+    teams,
     // githubConnections,
     pullRequests,
     reviewRequests,
-    comments
+    comments,
+    ciChecks,
+    pendingCiChecks,
+    reviewBatches,
+    webhookJobs,
+    repositoryBackfills,
+    reconciliationRuns,
+    channelTranscripts,
+    reminderActions
 };
\ No newline at end of file
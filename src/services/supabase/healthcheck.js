@@ -44,7 +44,9 @@ const verifyDatabaseStructure = async () => {
     'users',
     'pull_requests',
     'review_requests',
-    'comments'
+    'comments',
+    'webhook_jobs',
+    'review_batches'
   ];
   
   const missingTables = [];
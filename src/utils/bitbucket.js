@@ -0,0 +1,22 @@
+/**
+ * Bitbucket utilities
+ * Only Bitbucket Cloud is supported, so the URLs are fixed
+ */
+
+const BITBUCKET_URL = 'https://bitbucket.org';
+const BITBUCKET_API_URL = 'https://api.bitbucket.org/2.0';
+
+/**
+ * Build the URL of a Bitbucket pull request
+ * @param {string} repoFullName - Repository full name (workspace/repo)
+ * @param {number} prId - Pull request ID
+ * @returns {string} Pull request URL
+ */
+const getBitbucketPullRequestUrl = (repoFullName, prId) =>
+  `${BITBUCKET_URL}/${repoFullName}/pull-requests/${prId}`;
+
+module.exports = {
+  BITBUCKET_URL,
+  BITBUCKET_API_URL,
+  getBitbucketPullRequestUrl
+};
@@ -0,0 +1,81 @@
+/**
+ * GitHub utilities
+ * Organizations on GitHub Enterprise Server set their own web and API URLs;
+ * everyone else uses github.com
+ */
+const { getMergeRequestUrl } = require('./gitlab');
+const { getBitbucketPullRequestUrl } = require('./bitbucket');
+
+const DEFAULT_BASE_URL = 'https://github.com';
+const DEFAULT_API_URL = 'https://api.github.com';
+
+/**
+ * Remove trailing slashes from a URL
+ * @param {string} url - URL
+ * @returns {string} URL without trailing slashes
+ */
+const trimUrl = (url) => url.replace(/\/+$/, '');
+
+/**
+ * Get the GitHub URLs for an organization
+ * The API URL defaults to the server's /api/v3 when only a base URL is set
+ * @param {Object} org - Organization data
+ * @returns {Object} baseUrl and apiUrl
+ */
+const getGithubUrls = (org) => {
+  if (!org?.github_base_url) {
+    return {
+      baseUrl: DEFAULT_BASE_URL,
+      apiUrl: org?.github_api_url ? trimUrl(org.github_api_url) : DEFAULT_API_URL
+    };
+  }
+
+  const baseUrl = trimUrl(org.github_base_url);
+
+  return {
+    baseUrl,
+    apiUrl: org.github_api_url ? trimUrl(org.github_api_url) : `${baseUrl}/api/v3`
+  };
+};
+
+/**
+ * Pair a token with the organization's GitHub URLs for the API helpers
+ * @param {Object} org - Organization data
+ * @param {string} token - GitHub access token
+ * @returns {Object|null} token, apiUrl and baseUrl, or null without a token
+ */
+const getGithubAuth = (org, token) => {
+  if (!token) return null;
+
+  return {
+    token,
+    ...getGithubUrls(org)
+  };
+};
+
+/**
+ * Build the URL of a pull request, or of a merge request for GitLab repositories
+ * @param {Object} org - Organization data
+ * @param {string} repoFullName - Repository full name (owner/repo)
+ * @param {number} prNumber - PR number
+ * @param {string} provider - Repository provider
+ * @returns {string} Pull request URL
+ */
+const getPullRequestUrl = (org, repoFullName, prNumber, provider = 'github') => {
+  switch (provider) {
+    case 'gitlab':
+      return getMergeRequestUrl(org, repoFullName, prNumber);
+    case 'bitbucket':
+      return getBitbucketPullRequestUrl(repoFullName, prNumber);
+    default:
+      return `${getGithubUrls(org).baseUrl}/${repoFullName}/pull/${prNumber}`;
+  }
+};
+
+module.exports = {
+  DEFAULT_BASE_URL,
+  DEFAULT_API_URL,
+  getGithubUrls,
+  getGithubAuth,
+  getPullRequestUrl
+};
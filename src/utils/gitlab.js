@@ -0,0 +1,37 @@
+/**
+ * GitLab utilities
+ * Self-managed GitLab organizations set their own base URL; everyone else
+ * uses gitlab.com
+ */
+
+const DEFAULT_GITLAB_URL = 'https://gitlab.com';
+
+/**
+ * Get the GitLab URLs for an organization
+ * @param {Object} org - Organization data
+ * @returns {Object} baseUrl and apiUrl
+ */
+const getGitlabUrls = (org) => {
+  const baseUrl = (org?.gitlab_base_url || DEFAULT_GITLAB_URL).replace(/\/+$/, '');
+
+  return {
+    baseUrl,
+    apiUrl: `${baseUrl}/api/v4`
+  };
+};
+
+/**
+ * Build the URL of a merge request
+ * @param {Object} org - Organization data
+ * @param {string} projectPath - Project path (namespace/project)
+ * @param {number} iid - Merge request IID
+ * @returns {string} Merge request URL
+ */
+const getMergeRequestUrl = (org, projectPath, iid) =>
+  `${getGitlabUrls(org).baseUrl}/${projectPath}/-/merge_requests/${iid}`;
+
+module.exports = {
+  DEFAULT_GITLAB_URL,
+  getGitlabUrls,
+  getMergeRequestUrl
+};